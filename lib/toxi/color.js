@@ -4,17 +4,23 @@ define(function(require, exports) {
     exports.AccessCriteria = exports.accessCriteria;
 	exports.AlphaAccessor = require('./color/AlphaAccessor');
 	exports.CMYKAccessor = require('./color/CMYKAccessor');
+	exports.CIE94DistanceProxy = require('./color/CIE94DistanceProxy');
+	exports.CIEDE2000DistanceProxy = require('./color/CIEDE2000DistanceProxy');
 	exports.CMYKDDistanceProxy = require('./color/CMYKDistanceProxy');
 	exports.ColorGradient = require('./color/ColorGradient');
 	exports.ColorList = require('./color/ColorList');
     exports.ColorRange = require('./color/ColorRange');
     exports.ColorTheme = require('./color/ColorTheme');
+    exports.colorSpaces = require('./color/colorSpaces');
+    exports.ColorSpaces = exports.colorSpaces;
     exports.createListUsingStrategy = require('./color/createListUsingStrategy');
     exports.HistEntry = require('./color/HistEntry');
     exports.Histogram = require('./color/Histogram');
 	exports.HSVAccessor = require('./color/HSVAccessor');
 	exports.HSVDistanceProxy = require('./color/HSVDistanceProxy');
     exports.Hue = require('./color/Hue');
+	exports.LabDistanceProxy = require('./color/LabDistanceProxy');
+	exports.LChAccessor = require('./color/LChAccessor');
 	exports.LuminanceAccessor = require('./color/LuminanceAccessor');
     exports.namedColor = require('./color/namedColor');
     exports.NamedColor = exports.namedColor;
@@ -0,0 +1,3 @@
+define(function( require ){
+	return require('./distanceProxies').CIE94DistanceProxy;
+});
\ No newline at end of file
@@ -0,0 +1,3 @@
+define(function( require ){
+	return require('./distanceProxies').CIEDE2000DistanceProxy;
+});
\ No newline at end of file
@@ -3,9 +3,11 @@ define(function(require, exports, module) {
 
 var filter = require('../internals').filter,
 	numberComparator = require('../internals').numberComparator,
+	is = require('../internals').is,
 	mathUtils = require('../math/mathUtils'),
 	LinearInterpolation = require('../math/LinearInterpolation'),
-	ColorList = require('./ColorList');
+	ColorList = require('./ColorList'),
+	colorSpaces = require('./colorSpaces');
 
 //a protected object for every point on the gradient
 var _GradPoint = function(p, c){
@@ -32,6 +34,7 @@ var ColorGradient = function(){
 	this.gradient = [];
 	this.interpolator = new LinearInterpolation();
 	this.maxDither = 0;
+	this.colorSpace = colorSpaces.RGB;
 };
 
 ColorGradient.prototype = {
@@ -47,10 +50,16 @@ ColorGradient.prototype = {
 	* Calculates the gradient from specified position.
 	* @param {Number} pos position to start at (float)
 	* @param {Number} width (integer)
+	* @param {Object} [rng] generator with a `random()` method used for dithering,
+	* like {@link toxi.math.Random}, can also be the only argument
 	* @return list of interpolated gradient colors
 	*/
-	calcGradient: function(pos, width){
-		if( arguments.length === 0 ){
+	calcGradient: function(pos, width, rng){
+		if( is.Random(pos) ){
+			rng = pos;
+			pos = undefined;
+		}
+		if( pos === undefined ){
 			pos = this.gradient[0].getPosition();
 			var last = this.gradient[this.gradient.length-1].getPosition();
 			width = Math.floor(last - pos);
@@ -120,9 +129,9 @@ ColorGradient.prototype = {
 				}
 			}
 			if( currPoint  !== activeGradient[l-1] ){
-				var ditheredFrac = mathUtils.clip( frac+mathUtils.normalizedRandom() * this.maxDither, 0, 1 );
+				var ditheredFrac = mathUtils.clip( frac+mathUtils.normalizedRandom(rng) * this.maxDither, 0, 1 );
 				ditheredFrac = this.interpolator.interpolate( 0, 1, ditheredFrac );
-				result.add( currPoint.color.getBlended(nextPoint.color, ditheredFrac) );
+				result.add( colorSpaces.blend(currPoint.color, nextPoint.color, ditheredFrac, this.colorSpace) );
 			} else {
 				result.add( currPoint.color.copy() );
 			}
@@ -131,6 +140,12 @@ ColorGradient.prototype = {
 		return result;
 
 	},
+	/**
+	* @return {String} the color space the colors are interpolated in
+	*/
+	getColorSpace: function(){
+		return this.colorSpace;
+	},
 	getGradientPoints: function(){
 		return this.gradient;
 	},
@@ -147,6 +162,17 @@ ColorGradient.prototype = {
 		return this.maxDither;
 	},
 	/**
+	* Sets the color space to interpolate in, RGB by default. Lab, OKLab and
+	* their cylindrical forms LCh and OKLCh give perceptually even gradients.
+	* @param {String} space one of the constants of {@link toxi.color.colorSpaces}
+	*/
+	setColorSpace: function(space){
+		if( !colorSpaces.isSupported(space) ){
+			throw new Error("unknown color space: " + space);
+		}
+		this.colorSpace = space;
+	},
+	/**
 	* @param interpolator the interpolator to set
 	*/
 	setInterpolator: function(interpolator){
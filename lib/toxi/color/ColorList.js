@@ -28,7 +28,7 @@ var is = require('../internals/is'),
 */
 var ColorList = function(colors){
 	if(arguments.length > 1){
-		return ColorList.call(this,arguments);
+		return ColorList.call(this, Array.prototype.slice.call(arguments));
 	}
 	this.colors = [];
     var i = 0;
@@ -91,6 +91,21 @@ ColorList.prototype = {
 		});
 		return this;
 	},
+	/**
+	* Changes the lightness of all list colors until they reach the given
+	* contrast ratio to the background.
+	* @param {toxi.color.TColor} background
+	* @param {Number} [ratio] defaults to TColor.WCAG_AA
+	* @param {String} [space] 'oklch' (default) or 'lch'
+	* @return itself
+	* @see toxi.color.TColor#adjustForContrast
+	*/
+	adjustForContrast: function(background, ratio, space){
+		each(this.colors,function(c){
+			c.adjustForContrast(background, ratio, space);
+		});
+		return this;
+	},
 	/**
 	 * Adjusts the saturation component of all list colors by the given amount.
 		 * @param step
@@ -257,6 +272,59 @@ ColorList.prototype = {
 		return lightest;
 	},
 
+	/**
+	* Reports the pairs of list colors that can be told apart with normal
+	* color vision, but become indistinguishable with a color vision
+	* deficiency, as their CIEDE2000 difference drops below the threshold.
+	* @param {Number} [threshold] CIEDE2000 difference, defaults to 10
+	* @param {Array} [types] deficiencies to check, defaults to TColor.COLOR_BLINDNESS_TYPES
+	* @return {Object} for each deficiency an array of objects with the
+	* colors `a` and `b` and their simulated `distance`
+	*/
+	getIndistinguishableColors: function(threshold, types){
+		var report = {},
+			colors = this.colors,
+			i, j, t, simulated, d;
+		threshold = threshold || 10;
+		types = types || TColor.COLOR_BLINDNESS_TYPES;
+		for(t=0; t<types.length; t++){
+			simulated = colors.map(function(c){
+				return c.getSimulatedColorBlindness(types[t]);
+			});
+			report[types[t]] = [];
+			for(i=0; i<colors.length; i++){
+				for(j=i+1; j<colors.length; j++){
+					d = simulated[i].distanceToCIEDE2000(simulated[j]);
+					if(d < threshold && colors[i].distanceToCIEDE2000(colors[j]) >= threshold){
+						report[types[t]].push({ a: colors[i], b: colors[j], distance: d });
+					}
+				}
+			}
+		}
+		return report;
+	},
+
+	/**
+	* Finds all pairs of list colors with a WCAG 2 contrast ratio below the
+	* given one, i.e. those that can't be used as text and background.
+	* @param {Number} [ratio] defaults to TColor.WCAG_AA
+	* @return {Array} objects with the colors `a` and `b` and their `ratio`
+	*/
+	getLowContrastPairs: function(ratio){
+		var pairs = [],
+			i, j, r;
+		ratio = ratio || TColor.WCAG_AA;
+		for(i=0; i<this.colors.length; i++){
+			for(j=i+1; j<this.colors.length; j++){
+				r = this.colors[i].contrastRatio(this.colors[j]);
+				if(r < ratio){
+					pairs.push({ a: this.colors[i], b: this.colors[j], ratio: r });
+				}
+			}
+		}
+		return pairs;
+	},
+
 	getRandom: function(){
 		var index = Math.floor(mathUtils.random(this.colors.length));
 		return this.colors[index];
@@ -295,6 +363,20 @@ ColorList.prototype = {
 		return this;
 	},
 
+	/**
+	* Changes all list colors to how they appear with a color vision deficiency.
+	* @param {String} type one of TColor.PROTANOPIA, DEUTERANOPIA, TRITANOPIA or ACHROMATOPSIA
+	* @param {Number} [severity] 0..1, defaults to 1
+	* @return itself
+	* @see toxi.color.TColor#simulateColorBlindness
+	*/
+	simulateColorBlindness: function(type, severity){
+		this.each(function(c){
+			c.simulateColorBlindness(type, severity);
+		});
+		return this;
+	},
+
 	size: function(){
 		return this.colors.length;
 	},
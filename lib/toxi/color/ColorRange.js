@@ -32,8 +32,8 @@ define([
 
     //@private
     //pickRandom element from array
-    pickRandom = function( arr ){
-        return arr[Math.floor(Math.random()*arr.length)];
+    pickRandom = function( arr, rng ){
+        return arr[Math.floor(MathUtils.random(rng)*arr.length)];
     };
 
     /**
@@ -182,14 +182,15 @@ define([
          * and alpha constraints taken from the given color (if specified)
          * @param {toxi.color.TColor} [c]
          * @param {Number} [variance]
+         * @param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
          * @return copy
          */
-        copy: function( c, variance ){
+        copy: function( c, variance, rng ){
             variance = typeof variance === 'number' ? variance : 0;
             var range = new ColorRange();
             range.name = this.name;
             if( c ){
-                var hue = c.hue() + variance * MathUtils.normalizedRandom();
+                var hue = c.hue() + variance * MathUtils.normalizedRandom(rng);
                 range.hueConstraint = [ new FloatRange(hue,hue) ];
                 range.alphaConstraint = [ new FloatRange(c.alpha(),c.alpha()) ];
             } else {
@@ -211,40 +212,49 @@ define([
          * 3.
             * @param {toxi.color.TColor} c
             * @param {Number} variance
+        * each of them can be followed by a generator with a `random()` method,
+        * like {@link toxi.math.Random}, to use instead of {@link toxi.math.MathUtils.RND}
         */
-        getColor: function( hue_c, variance ){
+        getColor: function( hue_c, variance, rng ){
+            if( is.Random(hue_c) ){
+                rng = hue_c;
+                hue_c = undefined;
+            } else if( is.Random(variance) ){
+                rng = variance;
+                variance = undefined;
+            }
             if( is.Hue(hue_c) ){
                 return TColor.newHSVA(
                     hue_c.getHue(),
-                    pickRandom(this.saturationConstraint).pickRandom(),
-                    pickRandom(this.brightnessConstraint).pickRandom(),
-                    pickRandom(this.alphaConstraint).pickRandom()
+                    pickRandom(this.saturationConstraint, rng).pickRandom(rng),
+                    pickRandom(this.brightnessConstraint, rng).pickRandom(rng),
+                    pickRandom(this.alphaConstraint, rng).pickRandom(rng)
                 );
             }
             //must be a TColor
             var c = hue_c, h, s, b, a;
             if( c ){
                 if( c.isBlack() ){
-                    return TColor.newHSVA(c.hue(), 0, this.black.pickRandom(), c.alpha() );
+                    return TColor.newHSVA(c.hue(), 0, this.black.pickRandom(rng), c.alpha() );
                 } else if( c.isWhite() ){
-                    return TColor.newHSVA(c.hue(), 0, this.white.pickRandom(), c.alpha() );
+                    return TColor.newHSVA(c.hue(), 0, this.white.pickRandom(rng), c.alpha() );
                 }
                 if( c.isGrey() ){
                     return TColor.newHSVA(
                         c.hue(),
                         0,
-                        MathUtils.flipCoin() ? this.black.pickRandom() : this.white.pickRandom(),
+                        MathUtils.flipCoin(rng) ? this.black.pickRandom(rng) : this.white.pickRandom(rng),
                         c.alpha()
                     );
                 }
-                h = c.hue() + variance * MathUtils.normalizedRandom();
+                h = c.hue() + variance * MathUtils.normalizedRandom(rng);
                 a = c.alpha();
             } else {
-                h = pickRandom(this.hueConstraint).pickRandom();
-                a = pickRandom(this.alphaConstraint).pickRandom();
+                h = pickRandom(this.hueConstraint, rng).pickRandom(rng);
+                a = pickRandom(this.alphaConstraint, rng).pickRandom(rng);
             }
-            s = pickRandom(this.saturationConstraint).pickRandom();
-            b = pickRandom(this.brightnessConstraint).pickRandom();
+            s = pickRandom(this.saturationConstraint, rng).pickRandom(rng);
+            b = pickRandom(this.brightnessConstraint, rng).pickRandom(rng);
             return TColor.newHSVA(h,s,b,a);
         },
         /**
@@ -256,19 +266,25 @@ define([
             * @param {toxi.color.TColor} c
             * @param {Number} num
             * @param {Number} variance
+        * each of them can be followed by a generator with a `random()` method,
+        * like {@link toxi.math.Random}
         * @return {toxi.color.ColorList} list
         */
-        getColors: function( c, num, variance ){
-            if( arguments.length < 3 ){
+        getColors: function( c, num, variance, rng ){
+            var numArgs = arguments.length;
+            if( is.Random(arguments[numArgs-1]) ){
+                rng = arguments[--numArgs];
+            }
+            if( numArgs < 3 ){
                 variance = ColorRange.DEFAULT_VARIANCE;
             }
-            if( arguments.length === 1 ){
+            if( numArgs === 1 ){
                 num = c;
                 c = undefined;
             }
             var list = new ColorList();
             for( var i=0; i<num; i++){
-                list.add(this.getColor(c, variance));
+                list.add(this.getColor(c, variance, rng));
             }
             return list;
         },
@@ -276,9 +292,10 @@ define([
          * creates a new shade of gray
          * @param {Number} brightness
          * @param {Number} variance
+         * @param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
          */
-        getGrayscale: function( brightness, variance ){
-            return this.getColor( TColor.newGray(brightness), variance);
+        getGrayscale: function( brightness, variance, rng ){
+            return this.getColor( TColor.newGray(brightness), variance, rng);
         },
         getName: function(){
             return this.name;
@@ -22,8 +22,8 @@ define([
         this.color = color;
         this.weight = weight;
     };
-    _ThemePart.prototype.getColor = function(){
-        return this.range.getColor(this.color, ColorRange.DEFAULT_VARIANCE);
+    _ThemePart.prototype.getColor = function( rng ){
+        return this.range.getColor(this.color, ColorRange.DEFAULT_VARIANCE, rng);
     };
 
     /**
@@ -75,16 +75,21 @@ define([
             }
             return this;
         },
-        getColor: function(){
+        /**
+         * pick a color from one of the theme's parts, chosen by their weights
+         * @param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
+         * @return {toxi.color.TColor}
+         */
+        getColor: function( rng ){
             var self = this,
-                rnd = Math.random(),
+                rnd = MathUtils.random(rng),
                 t,
                 currWeight;
             for( var i = 0, l = this.parts.length; i<l; i++){
                 t = this.parts[i];
                 currWeight = t.weight / this._weightedSum;
                 if( currWeight >= rnd ){
-                    return t.getColor();
+                    return t.getColor( rng );
                 }
                 rnd -= currWeight;
             }
@@ -94,11 +99,12 @@ define([
          * Creates a {ColorList} of {TColor} based on the theme's
          * ranges and balance defined by their weights
          * @param {Number} num the number of colors to put in the list
+         * @param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
          */
-        getColors: function( num ){
+        getColors: function( num, rng ){
            var list = new ColorList();
            for( var i = 0; i < num; i++) {
-               list.add( this.getColor() );
+               list.add( this.getColor( rng ) );
             }
            return list;
         },
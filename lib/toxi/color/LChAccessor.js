@@ -0,0 +1,3 @@
+define(function( require ) {
+	return require('./accessors').LChAccessor;
+});
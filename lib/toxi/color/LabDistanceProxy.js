@@ -0,0 +1,3 @@
+define(function( require ){
+	return require('./distanceProxies').LabDistanceProxy;
+});
\ No newline at end of file
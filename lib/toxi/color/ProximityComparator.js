@@ -1,7 +1,10 @@
 define(function( require ){
+	var bind = require('../internals').bind;
 	var ProximityComparator = function( col, proxy ){
 		this.col = col;
 		this.proxy = proxy;
+		//compare() is handed to Array#sort, bind it
+		this.compare = bind( this.compare, this );
 	};
 	ProximityComparator.prototype.compare = function( a, b ){
 		var da = this.proxy.distanceBetween( this.col, a );
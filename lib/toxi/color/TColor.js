@@ -27,6 +27,231 @@ var dec2hex = function decimalToHexString(number){
 	return number.toString(16);
 };
 
+//private: sRGB companding, between 0..1 gamma encoded and linear values
+var toLinear = function( c ){
+	return c <= 0.04045 ? c / 12.92 : Math.pow( (c + 0.055) / 1.055, 2.4 );
+};
+var fromLinear = function( c ){
+	return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow( c, 1 / 2.4 ) - 0.055;
+};
+
+//private: cube root that keeps the sign
+var cbrt = function( x ){
+	return x < 0 ? -Math.pow( -x, 1 / 3 ) : Math.pow( x, 1 / 3 );
+};
+
+//private: rounds to the given number of decimals for CSS strings
+var round = function( x, decimals ){
+	var m = Math.pow( 10, decimals );
+	return Math.round( x * m ) / m;
+};
+
+//private: OKLab from linear sRGB and back, the gamma encoded conversions
+//and gamut mapping are built on these
+var linearToOKLab = function( r, g, b, oklab ){
+	var lc = cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b),
+		mc = cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b),
+		sc = cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+	oklab[0] = 0.2104542553 * lc + 0.7936177850 * mc - 0.0040720468 * sc;
+	oklab[1] = 1.9779984951 * lc - 2.4285922050 * mc + 0.4505937099 * sc;
+	oklab[2] = 0.0259040371 * lc + 0.7827717662 * mc - 0.8086757660 * sc;
+	return oklab;
+};
+var oklabToLinear = function( l, a, b, rgb ){
+	var lc = l + 0.3963377774 * a + 0.2158037573 * b,
+		mc = l - 0.1055613458 * a - 0.0638541728 * b,
+		sc = l - 0.0894841775 * a - 1.2914855480 * b;
+	lc = lc * lc * lc;
+	mc = mc * mc * mc;
+	sc = sc * sc * sc;
+	rgb[0] = 4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc;
+	rgb[1] = -1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc;
+	rgb[2] = -0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc;
+	return rgb;
+};
+
+//private: gamut mapping as in CSS Color 4, the just noticeable difference
+//in OKLab a clipped color may be off and the precision of the chroma search
+var GAMUT_JND = 0.02,
+	GAMUT_EPS = 0.0001;
+var inGamut = function( rgb ){
+	return rgb[0] >= -1e-7 && rgb[0] <= 1 + 1e-7 &&
+		rgb[1] >= -1e-7 && rgb[1] <= 1 + 1e-7 &&
+		rgb[2] >= -1e-7 && rgb[2] <= 1 + 1e-7;
+};
+var clipGamut = function( rgb ){
+	return [mathUtils.clip(rgb[0], 0, 1), mathUtils.clip(rgb[1], 0, 1), mathUtils.clip(rgb[2], 0, 1)];
+};
+var deltaEOK = function( rgb, oklab ){
+	var ok = TColor.rgbToOKLab( rgb[0], rgb[1], rgb[2] ),
+		dl = ok[0] - oklab[0],
+		da = ok[1] - oklab[1],
+		db = ok[2] - oklab[2];
+	return Math.sqrt( dl * dl + da * da + db * db );
+};
+
+//private: linear display P3 to CIE XYZ relative to D65
+var P3_TO_XYZ = [
+	[0.4865709486, 0.2656676932, 0.1982172852],
+	[0.2289745641, 0.6917385218, 0.07928691409],
+	[0, 0.04511338186, 1.043944369]
+];
+
+//private: parsing of the CSS Color 4 functions, which separate their
+//arguments by spaces and the alpha by a slash. Each function returns
+//sRGB components that may be out of gamut, or undefined if invalid.
+var parseCSSNumber = function( str, percentScale ){
+	if( str === 'none' ){
+		return 0;
+	}
+	if( /%$/.test( str ) ){
+		return parseFloat( str ) / 100 * percentScale;
+	}
+	return Number( str );
+};
+var parseCSSHue = function( str ){
+	var units = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 },
+		match = /^([-+0-9.e]+)(deg|grad|rad|turn)?$/.exec( str );
+	if( str === 'none' ){
+		return 0;
+	}
+	if( !match ){
+		return NaN;
+	}
+	return Number( match[1] ) * (match[2] ? units[match[2]] : 1);
+};
+var cssColorFunctions = {
+	'lab': function( v ){
+		return TColor.labToRGB( parseCSSNumber(v[0], 100), parseCSSNumber(v[1], 125), parseCSSNumber(v[2], 125), [], TColor.D50 );
+	},
+	'lch': function( v ){
+		var lab = TColor.lchToLab( parseCSSNumber(v[0], 100), parseCSSNumber(v[1], 150), parseCSSHue(v[2]) );
+		return TColor.labToRGB( lab[0], lab[1], lab[2], [], TColor.D50 );
+	},
+	'oklab': function( v ){
+		return TColor.oklabToRGB( parseCSSNumber(v[0], 1), parseCSSNumber(v[1], 0.4), parseCSSNumber(v[2], 0.4) );
+	},
+	'oklch': function( v ){
+		var lab = TColor.lchToLab( parseCSSNumber(v[0], 1), parseCSSNumber(v[1], 0.4), parseCSSHue(v[2]) );
+		return TColor.oklabToRGB( lab[0], lab[1], lab[2] );
+	},
+	'hwb': function( v ){
+		var h = parseCSSHue( v[0] ) % 360,
+			w = parseCSSNumber( v[1], 100 ) / 100,
+			b = parseCSSNumber( v[2], 100 ) / 100,
+			gray;
+		if( w + b >= 1 ){
+			gray = w / (w + b);
+			return [gray, gray, gray];
+		}
+		return TColor.hsvToRGB( (h < 0 ? h + 360 : h) / 360, 1 - w / (1 - b), 1 - b );
+	},
+	'color': function( v ){
+		var space = v.shift(),
+			c = [parseCSSNumber(v[0], 1), parseCSSNumber(v[1], 1), parseCSSNumber(v[2], 1)],
+			xyz;
+		if( space === 'srgb' ){
+			return c;
+		}
+		if( space === 'srgb-linear' ){
+			return c.map( fromLinear );
+		}
+		if( space === 'display-p3' ){
+			xyz = multiply( P3_TO_XYZ, c.map( toLinear ) );
+			return TColor.xyzToRGB( xyz[0], xyz[1], xyz[2] );
+		}
+	}
+};
+
+//private: WCAG 2 relative luminance of sRGB components and the contrast
+//ratio of two of them
+var relativeLuminance = function( rgb ){
+	return 0.2126 * toLinear(rgb[0]) + 0.7152 * toLinear(rgb[1]) + 0.0722 * toLinear(rgb[2]);
+};
+var contrastRatio = function( la, lb ){
+	return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+};
+
+//private: screen luminance as estimated by APCA 0.0.98G, with the soft
+//clamp of near blacks
+var apcaLuminance = function( rgb ){
+	var y = 0.2126729 * Math.pow(rgb[0], 2.4) + 0.7151522 * Math.pow(rgb[1], 2.4) + 0.0721750 * Math.pow(rgb[2], 2.4);
+	return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+};
+
+//private: simulation matrices for linear RGB of dichromats by Machado,
+//Oliveira and Fernandes (2009), anomalous trichromacy of lower severity is
+//approximated by blending with the original color
+var CVD_MATRICES = {
+	'protanopia': [
+		[0.152286, 1.052583, -0.204868],
+		[0.114503, 0.786281, 0.099216],
+		[-0.003882, -0.048116, 1.051998]
+	],
+	'deuteranopia': [
+		[0.367322, 0.860646, -0.227968],
+		[0.280085, 0.672501, 0.047413],
+		[-0.011820, 0.042940, 0.968881]
+	],
+	'tritanopia': [
+		[1.255528, -0.076749, -0.178779],
+		[-0.078411, 0.930809, 0.147602],
+		[0.004733, 0.691367, 0.303900]
+	]
+};
+
+//private: the sRGB components of a CIE LCh or OKLCh color with another
+//lightness, brought into gamut by reducing the chroma. Like in OKLCh the
+//ends of the CIE lightness range are black and white.
+var withLightness = function( lch, l, ok ){
+	var lab, rgb;
+	if( ok ){
+		return TColor.gamutMapOKLCh(l, lch[1], lch[2]);
+	}
+	if( l <= 0 || l >= 100 ){
+		return l <= 0 ? [0, 0, 0] : [1, 1, 1];
+	}
+	lab = TColor.lchToLab(l, lch[1], lch[2]);
+	rgb = TColor.labToRGB(lab[0], lab[1], lab[2]);
+	return TColor.gamutMapRGB(rgb[0], rgb[1], rgb[2]);
+};
+
+//private: Bradford chromatic adaptation of XYZ values between white points
+var BRADFORD = [
+	[0.8951, 0.2664, -0.1614],
+	[-0.7502, 1.7135, 0.0367],
+	[0.0389, -0.0685, 1.0296]
+];
+var BRADFORD_INV = [
+	[0.9869929055, -0.1470542564, 0.1599626517],
+	[0.4323052697, 0.5183602715, 0.04929122821],
+	[-0.008528664575, 0.04004282165, 0.9684866958]
+];
+var multiply = function( m, v ){
+	return [
+		m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+		m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+		m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+	];
+};
+var adaptXYZ = function( xyz, from, to ){
+	if( from === to ){
+		return xyz;
+	}
+	var src = multiply( BRADFORD, from ),
+		dest = multiply( BRADFORD, to ),
+		cone = multiply( BRADFORD, xyz );
+	cone[0] *= dest[0] / src[0];
+	cone[1] *= dest[1] / src[1];
+	cone[2] *= dest[2] / src[2];
+	return multiply( BRADFORD_INV, cone );
+};
+
+//private: the Lab values of both colors for the distance functions
+var labPair = function( a, b ){
+	return [a.toLabAArray(), b.toLabAArray()];
+};
+
 /**
  @class Creates a new TColor instance
  @memberOf toxi.color
@@ -70,6 +295,61 @@ TColor.prototype = {
 		return this.hsv[2] < 0.5 ? this.darken(amount) : this.lighten(amount);
 	},
 
+	/**
+	 * Changes the lightness of the color as little as possible, keeping
+	 * its hue, until its contrast ratio to the background reaches the given
+	 * ratio. If no lightness reaches it, the color becomes as dark or as light
+	 * as possible, whichever contrasts more.
+	 * @param {toxi.color.TColor} background
+	 * @param {Number} [ratio] defaults to TColor.WCAG_AA
+	 * @param {String} [space] 'oklch' (default) or 'lch' for CIE LCh
+	 * @return itself
+	 */
+	adjustForContrast: function(background, ratio, space) {
+		ratio = ratio || TColor.WCAG_AA;
+		space = space || 'oklch';
+		var ok = space === 'oklch' || space === 'oklab',
+			bgLuminance = background.relativeLuminance(),
+			lch, maxL, darker, lighter, l;
+		if( !ok && space !== 'lch' && space !== 'lab' ){
+			throw new Error("unsupported color space: " + space);
+		}
+		if( this.contrastRatio(background) >= ratio ){
+			return this;
+		}
+		lch = ok ? this.toOKLChAArray() : this.toLChAArray();
+		maxL = ok ? 1 : 100;
+		var contrastAt = function( l ){
+			return contrastRatio(relativeLuminance(withLightness(lch, l, ok)), bgLuminance);
+		};
+		//the lightness closest to the current one reaching the ratio
+		var search = function( target ){
+			var from = lch[0], i, mid;
+			if( contrastAt(target) < ratio ){
+				return undefined;
+			}
+			for( i=0; i<40; i++ ){
+				mid = (from + target) / 2;
+				if( contrastAt(mid) >= ratio ){
+					target = mid;
+				} else {
+					from = mid;
+				}
+			}
+			return target;
+		};
+		darker = search(0);
+		lighter = search(maxL);
+		if( darker === undefined && lighter === undefined ){
+			l = contrastAt(0) > contrastAt(maxL) ? 0 : maxL;
+		} else if( darker === undefined || (lighter !== undefined && lighter - lch[0] < lch[0] - darker) ){
+			l = lighter;
+		} else {
+			l = darker;
+		}
+		return this.setRGB(withLightness(lch, l, ok));
+	},
+
 
 	/**
 	 * Adds the given HSV values as offsets to the current color. Hue will
@@ -108,16 +388,40 @@ TColor.prototype = {
 	 *            max. rotation angle (in radians)
 	 * @param delta
 	 *            max. sat/bri variance
+	 * @param [rng]
+	 *            generator with a `random()` method, like {@link toxi.math.Random}
 	 * @return itself
 	 */
-	analog: function(theta, delta) {
+	analog: function(theta, delta, rng) {
 		var angle = mathUtils.degrees(theta);
-		this.rotateRYB(angle * mathUtils.normalizedRandom());
-		this.hsv[1] += delta * mathUtils.normalizedRandom();
-		this.hsv[2] += delta * mathUtils.normalizedRandom();
+		this.rotateRYB(angle * mathUtils.normalizedRandom(rng));
+		this.hsv[1] += delta * mathUtils.normalizedRandom(rng);
+		this.hsv[2] += delta * mathUtils.normalizedRandom(rng);
 		return this.setHSV(this.hsv);
 	},
 
+	/**
+	 * APCA lightness contrast (0.0.98G) of the color as text on the given
+	 * background. Dark text on light backgrounds gives positive values,
+	 * light text on dark ones negative values, roughly -108..106.
+	 * @param {toxi.color.TColor} background
+	 * @return {Number} Lc value
+	 */
+	apcaContrast: function(background) {
+		var text = apcaLuminance(this.rgb),
+			bg = apcaLuminance(background.rgb),
+			sapc;
+		if( Math.abs(bg - text) < 0.0005 ){
+			return 0;
+		}
+		if( bg > text ){
+			sapc = (Math.pow(bg, 0.56) - Math.pow(text, 0.57)) * 1.14;
+			return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+		}
+		sapc = (Math.pow(bg, 0.65) - Math.pow(text, 0.62)) * 1.14;
+		return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+	},
+
 	//shouldnt this be this.cmyk[3]?
 	black: function(){
 		return this.cmyk[3];
@@ -152,6 +456,15 @@ TColor.prototype = {
 		return this.rotateRYB(180);
 	},
 
+	/**
+	 * WCAG 2 contrast ratio between this and the given color
+	 * @param {toxi.color.TColor} c
+	 * @return {Number} ratio 1..21
+	 */
+	contrastRatio: function(c) {
+		return contrastRatio(this.relativeLuminance(), c.relativeLuminance());
+	},
+
 	copy: function(){
 		return new TColor(this);
 	},
@@ -180,6 +493,27 @@ TColor.prototype = {
 			Math.abs(this.rgb[2] - c.rgb[2]));
 	},
 
+	/**
+	 * perceptual distance using the CIE94 formula for graphic arts, this
+	 * color is the reference, so the distance isn't quite symmetric
+	 * @param {toxi.color.TColor} c
+	 * @return {Number}
+	 */
+	distanceToCIE94: function(c) {
+		var labs = labPair(this, c);
+		return TColor.deltaE94(labs[0], labs[1]);
+	},
+
+	/**
+	 * perceptual distance using the CIEDE2000 formula
+	 * @param {toxi.color.TColor} c
+	 * @return {Number}
+	 */
+	distanceToCIEDE2000: function(c) {
+		var labs = labPair(this, c);
+		return TColor.deltaE2000(labs[0], labs[1]);
+	},
+
 	distanceToCMYK: function(c) {
 		var ccmyk = c.toCMYKAArray();
 		var dc = this.cmyk[0] - ccmyk[0];
@@ -197,6 +531,16 @@ TColor.prototype = {
 		return v1.distanceTo(v2);
 	},
 
+	/**
+	 * euclidean distance in CIE Lab space, the CIE76 color difference
+	 * @param {toxi.color.TColor} c
+	 * @return {Number}
+	 */
+	distanceToLab: function(c) {
+		var labs = labPair(this, c);
+		return TColor.deltaE76(labs[0], labs[1]);
+	},
+
 	distanceToRGB: function(c) {
 		var crgb = c.toRGBAArray();
 		var dr = this.rgb[0] - crgb[0];
@@ -218,6 +562,17 @@ TColor.prototype = {
 		return false;
 	},
 
+	/**
+	 * @param {toxi.color.TColor} background
+	 * @param {Number} [ratio] defaults to TColor.WCAG_AA
+	 * @param {String} [space] 'oklch' (default) or 'lch'
+	 * @return new color
+	 * @see #adjustForContrast
+	 */
+	getAdjustedForContrast: function(background, ratio, space) {
+		return new TColor(this).adjustForContrast(background, ratio, space);
+	},
+
 	getAnalog: function(theta,delta) {
 		return new TColor(this).analog(theta, delta);
 	},
@@ -266,6 +621,16 @@ TColor.prototype = {
 		return new TColor(this).saturate(step);
 	},
 
+	/**
+	 * @param {String} type one of TColor.PROTANOPIA, DEUTERANOPIA, TRITANOPIA or ACHROMATOPSIA
+	 * @param {Number} [severity] 0..1, defaults to 1
+	 * @return new color
+	 * @see #simulateColorBlindness
+	 */
+	getSimulatedColorBlindness: function(type, severity) {
+		return new TColor(this).simulateColorBlindness(type, severity);
+	},
+
 	green: function() {
 		return this.rgb[1];
 	},
@@ -314,6 +679,14 @@ TColor.prototype = {
 		return this.rgb[0];
 	},
 
+	/**
+	 * WCAG 2 relative luminance of the color
+	 * @return {Number} luminance 0..1
+	 */
+	relativeLuminance: function() {
+		return relativeLuminance(this.rgb);
+	},
+
 	rotateRYB: function(theta) {
 		var deg = parseInt(mathUtils.degrees(theta),10),
 			h = this.hsv[0] * 360,
@@ -451,11 +824,82 @@ TColor.prototype = {
 		return this.setHSV(this.hsv);
 	},
 
+	/**
+	 * set the color from CIE Lab values, colors outside of sRGB are clipped
+	 * @param {Number|Array} l lightness 0..100, or an array of all 3 values
+	 * @param {Number} a
+	 * @param {Number} b
+	 * @param {Array} [white] reference white point, defaults to TColor.D65
+	 * @return itself
+	 */
+	setLab: function(l, a, b, white) {
+		if( is.Array( l ) ){
+			white = a;
+			a = l[1];
+			b = l[2];
+			l = l[0];
+		}
+		return this.setRGB(TColor.labToRGB(l, a, b, [], white));
+	},
+
+	/**
+	 * set the color from CIE LCh values, colors outside of sRGB are clipped
+	 * @param {Number|Array} l lightness 0..100, or an array of all 3 values
+	 * @param {Number} c chroma
+	 * @param {Number} h hue in degrees
+	 * @param {Array} [white] reference white point, defaults to TColor.D65
+	 * @return itself
+	 */
+	setLCh: function(l, c, h, white) {
+		if( is.Array( l ) ){
+			white = c;
+			c = l[1];
+			h = l[2];
+			l = l[0];
+		}
+		return this.setLab(TColor.lchToLab(l, c, h), white);
+	},
+
 	setMagenta: function(val) {
 		this.cmyk[1] = val;
 		return this.setCMYK(this.cmyk);
 	},
 
+	/**
+	 * set the color from OKLab values, colors outside of sRGB are brought
+	 * into gamut by reducing their chroma
+	 * @param {Number|Array} l lightness 0..1, or an array of all 3 values
+	 * @param {Number} a
+	 * @param {Number} b
+	 * @return itself
+	 */
+	setOKLab: function(l, a, b) {
+		if( is.Array( l ) ){
+			a = l[1];
+			b = l[2];
+			l = l[0];
+		}
+		var lch = TColor.labToLCh(l, a, b);
+		return this.setOKLCh(lch);
+	},
+
+	/**
+	 * set the color from OKLCh values, colors outside of sRGB are brought
+	 * into gamut by reducing their chroma
+	 * @param {Number|Array} l lightness 0..1, or an array of all 3 values
+	 * @param {Number} c chroma
+	 * @param {Number} h hue in degrees
+	 * @return itself
+	 */
+	setOKLCh: function(l, c, h) {
+		if( is.Array( l ) ){
+			c = l[1];
+			h = l[2];
+			l = l[0];
+		}
+		return this.setRGB(TColor.gamutMapOKLCh(l, c, h));
+	},
+
 	setRed: function(red) {
 		this.rgb[0] = red;
 		return this.setRGB(this.rgb);
@@ -480,11 +924,58 @@ TColor.prototype = {
 		return this.setHSV(this.hsv);
 	},
 
+	/**
+	 * set the color from CIE XYZ values relative to D65, with Y 0..1,
+	 * colors outside of sRGB are clipped
+	 * @param {Number|Array} x or an array of all 3 values
+	 * @param {Number} y
+	 * @param {Number} z
+	 * @return itself
+	 */
+	setXYZ: function(x, y, z) {
+		if( is.Array( x ) ){
+			y = x[1];
+			z = x[2];
+			x = x[0];
+		}
+		return this.setRGB(TColor.xyzToRGB(x, y, z));
+	},
+
 	setYellow: function(val) {
 		this.cmyk[2] = val;
 		return this.setCMYK(this.cmyk);
 	},
 
+	/**
+	 * Changes the color to how it appears with a color vision deficiency,
+	 * using the model of Machado et al. (2009) and, for achromatopsia, the
+	 * relative luminance.
+	 * @param {String} type one of TColor.PROTANOPIA, DEUTERANOPIA, TRITANOPIA or ACHROMATOPSIA
+	 * @param {Number} [severity] 0..1, defaults to 1 for the full deficiency
+	 * @return itself
+	 */
+	simulateColorBlindness: function(type, severity) {
+		var linear = [toLinear(this.rgb[0]), toLinear(this.rgb[1]), toLinear(this.rgb[2])],
+			simulated, y, i;
+		severity = severity === undefined ? 1 : mathUtils.clip(severity, 0, 1);
+		if( type === TColor.ACHROMATOPSIA ){
+			y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+			simulated = [y, y, y];
+		} else if( CVD_MATRICES.hasOwnProperty(type) ){
+			simulated = multiply(CVD_MATRICES[type], linear);
+		} else {
+			throw new Error("unknown color vision deficiency: " + type);
+		}
+		//converting back and forth isn't exact
+		if( severity === 0 ){
+			return this;
+		}
+		for( i=0; i<3; i++ ){
+			simulated[i] = fromLinear(mathUtils.clip(linear[i] + (simulated[i] - linear[i]) * severity, 0, 1));
+		}
+		return this.setRGB(simulated);
+	},
+
 	sub: function(c) {
 		return this.copy().subSelf(c);
 	},
@@ -575,6 +1066,66 @@ TColor.prototype = {
 		return Number( '0x' + this.toHex() );
 	},
 
+	/**
+	 * to an Array of CIE Lab values and alpha
+	 * @param {Array} [laba]
+	 * @param {Array} [white] reference white point, defaults to TColor.D65
+	 * @return {Array} lightness 0..100, a, b and alpha
+	 */
+	toLabAArray: function(laba, white) {
+		laba = TColor.rgbToLab(this.rgb[0], this.rgb[1], this.rgb[2], laba, white);
+		laba[3] = this._alpha;
+		return laba;
+	},
+
+	/**
+	 * to an Array of CIE LCh values and alpha
+	 * @param {Array} [lcha]
+	 * @param {Array} [white] reference white point, defaults to TColor.D65
+	 * @return {Array} lightness 0..100, chroma, hue in degrees and alpha
+	 */
+	toLChAArray: function(lcha, white) {
+		var lab = TColor.rgbToLab(this.rgb[0], this.rgb[1], this.rgb[2], [], white);
+		lcha = TColor.labToLCh(lab[0], lab[1], lab[2], lcha);
+		lcha[3] = this._alpha;
+		return lcha;
+	},
+
+	/**
+	 * to an Array of OKLab values and alpha
+	 * @param {Array} [oklaba]
+	 * @return {Array} lightness 0..1, a, b and alpha
+	 */
+	toOKLabAArray: function(oklaba) {
+		oklaba = TColor.rgbToOKLab(this.rgb[0], this.rgb[1], this.rgb[2], oklaba);
+		oklaba[3] = this._alpha;
+		return oklaba;
+	},
+
+	/**
+	 * to an Array of OKLCh values and alpha
+	 * @param {Array} [oklcha]
+	 * @return {Array} lightness 0..1, chroma, hue in degrees and alpha
+	 */
+	toOKLChAArray: function(oklcha) {
+		var lab = TColor.rgbToOKLab(this.rgb[0], this.rgb[1], this.rgb[2]);
+		oklcha = TColor.labToLCh(lab[0], lab[1], lab[2], oklcha);
+		oklcha[3] = this._alpha;
+		return oklcha;
+	},
+
+	/**
+	 * to CSS's oklch() string, with the alpha only if not opaque
+	 */
+	toOKLCHCSS: function(){
+		var lch = this.toOKLChAArray(),
+			c = round(lch[1], 4),
+			//grays have no hue
+			h = c > 0 ? round(lch[2], 2) : 0,
+			alpha = this._alpha < 1 ? " / " + this._alpha : "";
+		return "oklch(" + round(lch[0] * 100, 2) + "% " + c + " " + h + alpha + ")";
+	},
+
 	/**
 	 * to an Array of RGBA values
 	 * @param rgba
@@ -635,6 +1186,17 @@ TColor.prototype = {
 				" alpha: "+this._alpha;
 	},
 
+	/**
+	 * to an Array of CIE XYZ values relative to D65, Y 0..1, and alpha
+	 * @param {Array} [xyza]
+	 * @return {Array}
+	 */
+	toXYZAArray: function(xyza) {
+		xyza = TColor.rgbToXYZ(this.rgb[0], this.rgb[1], this.rgb[2], xyza);
+		xyza[3] = this._alpha;
+		return xyza;
+	},
+
 	yellow: function() {
 		return this.cmyk[2];
 	}
@@ -663,6 +1225,35 @@ TColor.WHITE_POINT = 1.0;
  */
 TColor.GREY_THRESHOLD = 0.01;
 
+/**
+ * minimum WCAG 2 contrast ratios of text to its background, for normal and
+ * for large text at levels AA and AAA
+ */
+TColor.WCAG_AA = 4.5;
+TColor.WCAG_AA_LARGE = 3;
+TColor.WCAG_AAA = 7;
+TColor.WCAG_AAA_LARGE = 4.5;
+
+/**
+ * color vision deficiencies, lacking red, green or blue cones or all color vision
+ */
+TColor.PROTANOPIA = 'protanopia';
+TColor.DEUTERANOPIA = 'deuteranopia';
+TColor.TRITANOPIA = 'tritanopia';
+TColor.ACHROMATOPSIA = 'achromatopsia';
+TColor.COLOR_BLINDNESS_TYPES = [TColor.PROTANOPIA, TColor.DEUTERANOPIA, TColor.TRITANOPIA, TColor.ACHROMATOPSIA];
+
+/**
+ * XYZ of the CIE standard illuminant D65, noon daylight and the white point of sRGB
+ */
+TColor.D65 = [0.95047, 1.0, 1.08883];
+
+/**
+ * XYZ of the CIE standard illuminant D50, horizon light and the white point
+ * used for print and ICC profiles
+ */
+TColor.D50 = [0.96422, 1.0, 0.82521];
+
 
 
 /**
@@ -685,6 +1276,185 @@ TColor.cmykToRGB = function(c,m,y,k,rgb) {
 };
 
 
+/**
+ * CIE76 color difference, the euclidean distance between the Lab values
+ * @param {Array} lab1
+ * @param {Array} lab2
+ * @return {Number}
+ */
+TColor.deltaE76 = function(lab1, lab2) {
+	var dl = lab1[0] - lab2[0],
+		da = lab1[1] - lab2[1],
+		db = lab1[2] - lab2[2];
+	return Math.sqrt(dl * dl + da * da + db * db);
+};
+
+/**
+ * CIE94 color difference with the weights for graphic arts, the first
+ * color is the reference
+ * @param {Array} lab1
+ * @param {Array} lab2
+ * @return {Number}
+ */
+TColor.deltaE94 = function(lab1, lab2) {
+	var dl = lab1[0] - lab2[0],
+		da = lab1[1] - lab2[1],
+		db = lab1[2] - lab2[2],
+		c1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]),
+		c2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]),
+		dc = c1 - c2,
+		dh2 = Math.max(0, da * da + db * db - dc * dc),
+		sc = 1 + 0.045 * c1,
+		sh = 1 + 0.015 * c1;
+	return Math.sqrt(dl * dl + (dc / sc) * (dc / sc) + dh2 / (sh * sh));
+};
+
+/**
+ * CIEDE2000 color difference, following the implementation notes by
+ * Sharma, Wu and Dalal
+ * @param {Array} lab1
+ * @param {Array} lab2
+ * @return {Number}
+ */
+TColor.deltaE2000 = function(lab1, lab2) {
+	var rad = Math.PI / 180,
+		pow7 = Math.pow(25, 7),
+		l1 = lab1[0], a1 = lab1[1], b1 = lab1[2],
+		l2 = lab2[0], a2 = lab2[1], b2 = lab2[2],
+		cBar = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2,
+		g = 0.5 * (1 - Math.sqrt(Math.pow(cBar, 7) / (Math.pow(cBar, 7) + pow7))),
+		ap1 = (1 + g) * a1,
+		ap2 = (1 + g) * a2,
+		cp1 = Math.sqrt(ap1 * ap1 + b1 * b1),
+		cp2 = Math.sqrt(ap2 * ap2 + b2 * b2),
+		hue = function(b, a){
+			if(a === 0 && b === 0){
+				return 0;
+			}
+			var h = Math.atan2(b, a) / rad;
+			return h < 0 ? h + 360 : h;
+		},
+		hp1 = hue(b1, ap1),
+		hp2 = hue(b2, ap2),
+		dl = l2 - l1,
+		dc = cp2 - cp1,
+		dhp = 0,
+		hBar = hp1 + hp2,
+		lBar = (l1 + l2) / 2,
+		cpBar = (cp1 + cp2) / 2,
+		dh, t, dTheta, rc, sl, sc, sh, rt, lBar50;
+	if(cp1 * cp2 !== 0){
+		dhp = hp2 - hp1;
+		if(dhp > 180){
+			dhp -= 360;
+		} else if(dhp < -180){
+			dhp += 360;
+		}
+		if(Math.abs(hp1 - hp2) <= 180){
+			hBar = (hp1 + hp2) / 2;
+		} else if(hp1 + hp2 < 360){
+			hBar = (hp1 + hp2 + 360) / 2;
+		} else {
+			hBar = (hp1 + hp2 - 360) / 2;
+		}
+	}
+	dh = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dhp * rad / 2);
+	t = 1 - 0.17 * Math.cos((hBar - 30) * rad) +
+		0.24 * Math.cos(2 * hBar * rad) +
+		0.32 * Math.cos((3 * hBar + 6) * rad) -
+		0.20 * Math.cos((4 * hBar - 63) * rad);
+	dTheta = 30 * Math.exp(-((hBar - 275) / 25) * ((hBar - 275) / 25));
+	rc = 2 * Math.sqrt(Math.pow(cpBar, 7) / (Math.pow(cpBar, 7) + pow7));
+	lBar50 = (lBar - 50) * (lBar - 50);
+	sl = 1 + 0.015 * lBar50 / Math.sqrt(20 + lBar50);
+	sc = 1 + 0.045 * cpBar;
+	sh = 1 + 0.015 * cpBar * t;
+	rt = -Math.sin(2 * dTheta * rad) * rc;
+	return Math.sqrt(
+		(dl / sl) * (dl / sl) +
+		(dc / sc) * (dc / sc) +
+		(dh / sh) * (dh / sh) +
+		rt * (dc / sc) * (dh / sh)
+	);
+};
+
+/**
+ * Brings an OKLCh color into the sRGB gamut by reducing its chroma, keeping
+ * lightness and hue, as CSS Color 4 does for displaying colors. The chroma
+ * is reduced until clipping the color changes it less than a just noticeable
+ * difference.
+ * @param l lightness 0..1
+ * @param c chroma
+ * @param h hue in degrees
+ * @param rgb optional array to populate
+ * @return gamma encoded rgb array within 0..1
+ */
+TColor.gamutMapOKLCh = function(l, c, h, rgb) {
+	if(rgb === undefined){ rgb = []; }
+	var lab = TColor.lchToLab(l, c, h),
+		current = TColor.oklabToRGB(lab[0], lab[1], lab[2]),
+		best = clipGamut(current),
+		minInGamut = true,
+		min = 0,
+		max = c,
+		chroma, clipped, e;
+	if( l >= 1 || l <= 0 ){
+		best = l >= 1 ? [1, 1, 1] : [0, 0, 0];
+	} else if( !inGamut(current) && deltaEOK(best, lab) >= GAMUT_JND ){
+		//the gray of the same lightness is always in gamut
+		best = clipGamut(TColor.oklabToRGB(l, 0, 0));
+		while( max - min > GAMUT_EPS ){
+			chroma = (min + max) / 2;
+			TColor.lchToLab(l, chroma, h, lab);
+			TColor.oklabToRGB(lab[0], lab[1], lab[2], current);
+			if( minInGamut && inGamut(current) ){
+				min = chroma;
+				best = clipGamut(current);
+				continue;
+			}
+			clipped = clipGamut(current);
+			e = deltaEOK(clipped, lab);
+			if( e < GAMUT_JND ){
+				min = chroma;
+				best = clipped;
+				if( GAMUT_JND - e < GAMUT_EPS ){
+					break;
+				}
+				minInGamut = false;
+			} else {
+				max = chroma;
+			}
+		}
+	}
+	rgb[0] = best[0];
+	rgb[1] = best[1];
+	rgb[2] = best[2];
+	return rgb;
+};
+
+/**
+ * Brings gamma encoded sRGB components outside of 0..1, like the results of
+ * {@link TColor.labToRGB}, into gamut by reducing their OKLCh chroma.
+ * @param r
+ * @param g
+ * @param b
+ * @param rgb optional array to populate
+ * @return rgb array within 0..1
+ * @see TColor.gamutMapOKLCh
+ */
+TColor.gamutMapRGB = function(r, g, b, rgb) {
+	if(rgb === undefined){ rgb = []; }
+	if( inGamut([r, g, b]) ){
+		rgb[0] = mathUtils.clip(r, 0, 1);
+		rgb[1] = mathUtils.clip(g, 0, 1);
+		rgb[2] = mathUtils.clip(b, 0, 1);
+		return rgb;
+	}
+	var lab = TColor.rgbToOKLab(r, g, b),
+		lch = TColor.labToLCh(lab[0], lab[1], lab[2]);
+	return TColor.gamutMapOKLCh(lch[0], lch[1], lch[2], rgb);
+};
+
 /**
  * Converts hex string into a RGB array.
  * @param hexRGB
@@ -751,54 +1521,97 @@ TColor.hsvToRGB = function(h, s, v,rgb) {
 	return rgb;
 };
 
+/**
+ * Converts CIE Lab to cylindrical LCh values.
+ * @param l
+ * @param a
+ * @param b
+ * @param lch optional array to populate
+ * @return lch array, hue in degrees 0..360
+ */
+TColor.labToLCh = function(l, a, b, lch) {
+	if(lch === undefined){ lch = []; }
+	var h = Math.atan2(b, a) * 180 / Math.PI;
+	lch[0] = l;
+	lch[1] = Math.sqrt(a * a + b * b);
+	lch[2] = h < 0 ? h + 360 : h;
+	return lch;
+};
+
 /**
  * Converts CIE Lab to RGB components.
  * First we have to convert to XYZ color space. Conversion involves using a
- * white point, in this case D65 which represents daylight illumination.
- * Algorithm adopted from: http://www.easyrgb.com/math.php
+ * white point, D65 which represents daylight illumination unless another one
+ * is given. The components are not clipped to 0..1.
  * @param l
  * @param a
  * @param b
- * @param rgb
+ * @param rgb optional array to populate
+ * @param white optional reference white point, defaults to TColor.D65
  * @return rgb array
  */
-TColor.labToRGB = function(l, a, b,rgb) {
-	if(rgb === undefined){ rgb = []; }
-	var y = (l + 16) / 116.0,
-		x = a / 500.0 + y,
-		z = y - b / 200.0,
-		i = 0;
-	rgb[0] = x;
-	rgb[1] = y;
-	rgb[2] = z;
-	for (i = 0; i < 3; i++) {
-		var p = Math.pow(rgb[i], 3);
-		if (p > 0.008856) {
-			rgb[i] = p;
-		} else {
-			rgb[i] = (rgb[i] - 16 / 116.0) / 7.787;
-		}
-	}
+TColor.labToRGB = function(l, a, b, rgb, white) {
+	var xyz = TColor.labToXYZ(l, a, b, [], white);
+	xyz = adaptXYZ(xyz, white || TColor.D65, TColor.D65);
+	return TColor.xyzToRGB(xyz[0], xyz[1], xyz[2], rgb);
+};
 
-	// Observer = 2, Illuminant = D65
-	x = rgb[0] * 0.95047;
-	y = rgb[1];
-	z = rgb[2] * 1.08883;
-
-	rgb[0] = x * 3.2406 + y * -1.5372 + z * -0.4986;
-	rgb[1] = x * -0.9689 + y * 1.8758 + z * 0.0415;
-	rgb[2] = x * 0.0557 + y * -0.2040 + z * 1.0570;
-	var tpow = 1 / 2.4;
-	for (i = 0; i < 3; i++) {
-		if (rgb[i] > 0.0031308) {
-			rgb[i] = (1.055 * Math.pow(rgb[i], tpow) - 0.055);
-		} else {
-			rgb[i] = 12.92 * rgb[i];
-		}
-	}
-	return rgb;
+/**
+ * Converts CIE Lab to XYZ relative to the same white point.
+ * @param l
+ * @param a
+ * @param b
+ * @param xyz optional array to populate
+ * @param white optional reference white point, defaults to TColor.D65
+ * @return xyz array
+ */
+TColor.labToXYZ = function(l, a, b, xyz, white) {
+	if(xyz === undefined){ xyz = []; }
+	white = white || TColor.D65;
+	var fy = (l + 16) / 116,
+		fx = a / 500 + fy,
+		fz = fy - b / 200,
+		finv = function(f){
+			var f3 = f * f * f;
+			return f3 > 216 / 24389 ? f3 : (116 * f - 16) * 27 / 24389;
+		};
+	xyz[0] = finv(fx) * white[0];
+	xyz[1] = finv(fy) * white[1];
+	xyz[2] = finv(fz) * white[2];
+	return xyz;
+};
+
+/**
+ * Converts cylindrical LCh values to CIE Lab.
+ * @param l
+ * @param c
+ * @param h hue in degrees
+ * @param lab optional array to populate
+ * @return lab array
+ */
+TColor.lchToLab = function(l, c, h, lab) {
+	if(lab === undefined){ lab = []; }
+	h *= Math.PI / 180;
+	lab[0] = l;
+	lab[1] = c * Math.cos(h);
+	lab[2] = c * Math.sin(h);
+	return lab;
 };
 
+/**
+ * Removes the gamma of an sRGB component.
+ * @param c gamma encoded component 0..1
+ * @return linear component
+ */
+TColor.linearizeComponent = toLinear;
+
+/**
+ * Applies the sRGB gamma to a linear component.
+ * @param c linear component 0..1
+ * @return gamma encoded component
+ */
+TColor.gammaEncodeComponent = fromLinear;
+
 /**
  * Factory method. Creates new color from ARGB int.
  * @param argb
@@ -837,11 +1650,28 @@ TColor.newCMYKA = function(c, m, y, k, a) {
 };
 
 /**
-Factory method. Creats a new color from any CSS color values
+Factory method. Creats a new color from any CSS color values, besides names,
+hex, rgb(), rgba(), hsl() and hsla() it understands the CSS Color 4 functions
+lab(), lch(), oklab(), oklch(), hwb() and color() with the srgb, srgb-linear
+and display-p3 spaces. Colors outside of sRGB are brought into gamut by
+reducing their chroma.
 @param {String} css value
 @return new color
 */
 TColor.newCSS = function( css ){
+	var fn = /^\s*([a-z-]+)\s*\((.*)\)\s*$/.exec( css.toLowerCase() ),
+		args, alpha, rgb;
+	if( fn && cssColorFunctions.hasOwnProperty( fn[1] ) ){
+		args = fn[2].split( '/' );
+		alpha = args.length > 1 ? parseCSSNumber( args[1].trim(), 1 ) : 1;
+		args = args[0].trim().split( /[\s,]+/ );
+		rgb = cssColorFunctions[fn[1]]( args );
+		if( rgb === undefined || isNaN( rgb[0] + rgb[1] + rgb[2] + alpha ) ){
+			return undefined;
+		}
+		rgb = TColor.gamutMapRGB( rgb[0], rgb[1], rgb[2] );
+		return TColor.newRGBA( rgb[0], rgb[1], rgb[2], alpha );
+	}
 	//remove all spaces
 	while( css.indexOf(' ') > -1 ){
 		css = css.replace(' ', '');
@@ -947,12 +1777,61 @@ TColor.newHSVA = function(h, s,v,a) {
 	return c;
 };
 
+/**
+ * Factory method. Creates new color from CIE Lab values.
+ * @param l lightness 0..100
+ * @param a
+ * @param b
+ * @param white optional reference white point, defaults to TColor.D65
+ * @return new color
+ */
+TColor.newLab = function(l, a, b, white) {
+	return new TColor().setLab(l, a, b, white);
+};
+
+/**
+ * Factory method. Creates new color from CIE LCh values.
+ * @param l lightness 0..100
+ * @param c chroma
+ * @param h hue in degrees
+ * @param white optional reference white point, defaults to TColor.D65
+ * @return new color
+ */
+TColor.newLCh = function(l, c, h, white) {
+	return new TColor().setLCh(l, c, h, white);
+};
+
+/**
+ * Factory method. Creates new color from OKLab values, colors outside of
+ * sRGB are brought into gamut by reducing their chroma.
+ * @param l lightness 0..1
+ * @param a
+ * @param b
+ * @return new color
+ */
+TColor.newOKLab = function(l, a, b) {
+	return new TColor().setOKLab(l, a, b);
+};
+
+/**
+ * Factory method. Creates new color from OKLCh values, colors outside of
+ * sRGB are brought into gamut by reducing their chroma.
+ * @param l lightness 0..1
+ * @param c chroma
+ * @param h hue in degrees
+ * @return new color
+ */
+TColor.newOKLCh = function(l, c, h) {
+	return new TColor().setOKLCh(l, c, h);
+};
+
 /**
 Factory method. Creates new random color. Alpha is always 1.0.
+@param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
 @return random color
 */
-TColor.newRandom = function() {
-	return TColor.newRGBA(Math.random(), Math.random(), Math.random(), 1);
+TColor.newRandom = function(rng) {
+	return TColor.newRGBA(mathUtils.random(rng), mathUtils.random(rng), mathUtils.random(rng), 1);
 };
 
 /**
@@ -973,6 +1852,24 @@ TColor.newRGBA = function( r, g, b, a) {
 	return c;
 };
 
+/**
+ * Converts OKLab (Björn Ottosson) to gamma encoded sRGB components,
+ * which are not clipped to 0..1.
+ * @param l lightness 0..1
+ * @param a
+ * @param b
+ * @param rgb optional array to populate
+ * @return rgb array
+ */
+TColor.oklabToRGB = function(l, a, b, rgb) {
+	if(rgb === undefined){ rgb = []; }
+	oklabToLinear(l, a, b, rgb);
+	rgb[0] = fromLinear(rgb[0]);
+	rgb[1] = fromLinear(rgb[1]);
+	rgb[2] = fromLinear(rgb[2]);
+	return rgb;
+};
+
 /**
 Converts the RGB values into a CMYK array.
 @param r
@@ -1044,6 +1941,94 @@ TColor.rgbToHSV = function(r, g, b,hsv) {
 	return hsv;
 };
 
+/**
+ * Converts sRGB components to OKLab.
+ * @param r
+ * @param g
+ * @param b
+ * @param oklab optional array to populate
+ * @return oklab array, lightness 0..1
+ */
+TColor.rgbToOKLab = function(r, g, b, oklab) {
+	if(oklab === undefined){ oklab = []; }
+	return linearToOKLab(toLinear(r), toLinear(g), toLinear(b), oklab);
+};
+
+/**
+ * Converts sRGB components to CIE Lab.
+ * @param r
+ * @param g
+ * @param b
+ * @param lab optional array to populate
+ * @param white optional reference white point, defaults to TColor.D65
+ * @return lab array, lightness 0..100
+ */
+TColor.rgbToLab = function(r, g, b, lab, white) {
+	white = white || TColor.D65;
+	var xyz = adaptXYZ(TColor.rgbToXYZ(r, g, b), TColor.D65, white);
+	return TColor.xyzToLab(xyz[0], xyz[1], xyz[2], lab, white);
+};
+
+/**
+ * Converts gamma encoded sRGB components to CIE XYZ, relative to D65.
+ * @param r
+ * @param g
+ * @param b
+ * @param xyz optional array to populate
+ * @return xyz array, Y 0..1
+ */
+TColor.rgbToXYZ = function(r, g, b, xyz) {
+	if(xyz === undefined){ xyz = []; }
+	r = toLinear(r);
+	g = toLinear(g);
+	b = toLinear(b);
+	xyz[0] = r * 0.4124564 + g * 0.3575761 + b * 0.1804375;
+	xyz[1] = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
+	xyz[2] = r * 0.0193339 + g * 0.1191920 + b * 0.9503041;
+	return xyz;
+};
+
+/**
+ * Converts CIE XYZ to Lab.
+ * @param x
+ * @param y
+ * @param z
+ * @param lab optional array to populate
+ * @param white optional white point the values are relative to, defaults to TColor.D65
+ * @return lab array
+ */
+TColor.xyzToLab = function(x, y, z, lab, white) {
+	if(lab === undefined){ lab = []; }
+	white = white || TColor.D65;
+	var f = function(t){
+		return t > 216 / 24389 ? Math.pow(t, 1 / 3) : (24389 / 27 * t + 16) / 116;
+	};
+	var fx = f(x / white[0]),
+		fy = f(y / white[1]),
+		fz = f(z / white[2]);
+	lab[0] = 116 * fy - 16;
+	lab[1] = 500 * (fx - fy);
+	lab[2] = 200 * (fy - fz);
+	return lab;
+};
+
+/**
+ * Converts CIE XYZ relative to D65 to gamma encoded sRGB components,
+ * which are not clipped to 0..1.
+ * @param x
+ * @param y
+ * @param z
+ * @param rgb optional array to populate
+ * @return rgb array
+ */
+TColor.xyzToRGB = function(x, y, z, rgb) {
+	if(rgb === undefined){ rgb = []; }
+	rgb[0] = fromLinear(x * 3.240454836 + y * -1.537138850 + z * -0.4985315469);
+	rgb[1] = fromLinear(x * -0.9692663899 + y * 1.876010929 + z * 0.04155608235);
+	rgb[2] = fromLinear(x * 0.05564341960 + y * -0.2040258543 + z * 1.057225162);
+	return rgb;
+};
+
 TColor.RED = TColor.newRGB(1, 0, 0);
 TColor.RYB_WHEEL = [
 	new Vec2D(0, 0),
@@ -2,8 +2,9 @@ define([
     '../internals/is',
     '../math/ScaleMap',
     './ColorList',
-    './ColorGradient'
-], function( is, ScaleMap, ColorList, ColorGradient ){
+    './ColorGradient',
+    './colorSpaces'
+], function( is, ScaleMap, ColorList, ColorGradient, colorSpaces ){
 
     var ToneMap;
     /**
@@ -14,6 +15,7 @@ define([
      * @param {toxi.color.ColorGradient|ColorList|TColor} g
      * @param {toxi.color.TColor} [colorB]
      * @param {Number} [resolution]
+     * @param {String} [colorSpace] to calculate the gradient in, see {@link toxi.color.colorSpaces}
      *
      * @usages
      * new ToneMap( min, max, gradient );
@@ -23,8 +25,10 @@ define([
      * new ToneMap( a, b, colorA, colorB );
      * or
      * new ToneMap( min, max, colorA, colorB, resolution );
+     * or
+     * new ToneMap( min, max, colorA, colorB, resolution, colorSpace );
      */
-    ToneMap = function( min, max, list, colorB, resolution ){
+    ToneMap = function( min, max, list, colorB, resolution, colorSpace ){
         var al = arguments.length;
         if( al > 3 ){
             //( a, b, colorA, colorB )
@@ -34,6 +38,9 @@ define([
                 //( min, max, colorA, colorB, resolution )
                 var colA = list;
                 list = new ColorGradient();
+                if( colorSpace !== undefined ){
+                    list.setColorSpace( colorSpace );
+                }
                 list.addColorAt(0, colA);
                 list.addColorAt(resolution-1, colorB);
                 list = list.calcGradient(0, resolution);
@@ -48,6 +55,7 @@ define([
         }
         this.map = new ScaleMap( min, max, 0, list.size()-1 );
         this.colors = list;
+        this.colorSpace = undefined;
     };
 
     ToneMap.prototype = {
@@ -61,7 +69,16 @@ define([
         * @return {toxi.color.TColor}
         */
         getToneFor: function( t ){
-            var idx;
+            var idx, frac;
+            if( this.colorSpace !== undefined ){
+                idx = this.map.getClippedValueFor(t);
+                frac = idx - Math.floor( idx );
+                idx = Math.floor( idx );
+                if( frac === 0 ){
+                    return this.colors.get(idx);
+                }
+                return colorSpaces.blend( this.colors.get(idx), this.colors.get(idx+1), frac, this.colorSpace );
+            }
             if( this.colors.size() > 2 ){
                 idx = Math.floor( this.map.getClippedValueFor(t) + 0.5 );
             } else {
@@ -93,6 +110,18 @@ define([
             }
             return pixels;
         },
+        /**
+         * Blend between the two closest colors of the map in the given space
+         * instead of picking the closest one, for smooth tones from few colors.
+         * @param {String} [space] see {@link toxi.color.colorSpaces}, undefined
+         * to go back to picking colors
+         */
+        setColorSpace: function( space ){
+            if( space !== undefined && !colorSpaces.isSupported( space ) ){
+                throw new Error("unknown color space: " + space);
+            }
+            this.colorSpace = space;
+        },
         /**
          * @param {toxi.math.InterpolateStrategy} func
          */
@@ -4,6 +4,7 @@ define(function( require, exports ) {
 var HSVAccessor = require('./HSVAccessor'),
 	RGBAccessor = require('./RGBAccessor'),
 	CMYKAccessor = require('./CMYKAccessor'),
+	LChAccessor = require('./LChAccessor'),
 	AlphaAccessor = require('./AlphaAccessor'),
 	LuminanceAccessor = require('./LuminanceAccessor');
 /**
@@ -26,6 +27,10 @@ exports.MAGENTA = new CMYKAccessor(1),
 exports.YELLOW = new CMYKAccessor(2),
 exports.BLACK = new CMYKAccessor(3),
 
+exports.LIGHTNESS = new LChAccessor(0),
+exports.CHROMA = new LChAccessor(1),
+exports.LCH_HUE = new LChAccessor(2),
+
 exports.ALPHA = new AlphaAccessor(),
 exports.LUMINANCE = new LuminanceAccessor();
 
@@ -52,6 +52,27 @@ define(function( require, exports, module ){
 		col.setAlpha(value);
 	};
 
+	//CIE LCh components, scaled to 0..1 like the other accessors: lightness
+	//of 0..100, chroma of 0..LChAccessor.MAX_CHROMA and hue of 0..360 degrees
+	var LChAccessor = function( comp ){
+		this.component = comp;
+		this.compare = bind( this.compare, this );
+	};
+	LChAccessor.MAX_CHROMA = 150;
+	var lchScale = [100, LChAccessor.MAX_CHROMA, 360];
+	LChAccessor.prototype.compare = function( a, b ){
+		return numberComparator( this.getComponentValueFor( a ), this.getComponentValueFor( b ) );
+	};
+	LChAccessor.prototype.getComponentValueFor = function( col ){
+		return col.toLChAArray()[this.component] / lchScale[this.component];
+	};
+	LChAccessor.prototype.setComponentValueFor = function( col, val ){
+		var lch = col.toLChAArray();
+		lch[this.component] = val * lchScale[this.component];
+		col.setLCh( lch );
+	};
+
+	exports.LChAccessor = LChAccessor;
 	exports.LuminanceAccessor = LuminanceAccessor;
 	exports.AlphaAccessor = AlphaAccessor;
 
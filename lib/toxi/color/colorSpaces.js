@@ -0,0 +1,164 @@
+define(function( require, exports ) {
+
+	var TColor = require('./TColor');
+
+	/**
+	 * Color spaces for interpolating between colors, used by
+	 * {@link toxi.color.ColorGradient} and {@link toxi.color.ToneMap}.
+	 * Gamma encoded RGB is the classic behaviour, linear RGB mixes light
+	 * physically, Lab and OKLab are perceptually even and LCh, OKLCh and HSV
+	 * go around the hue circle on the shorter side, keeping the colors
+	 * saturated. Hues of grays are ignored, so blending with white or black
+	 * keeps the hue of the other color.
+	 */
+
+	//per space: conversion of a color to 3 values and back to rgb, and for
+	//the cylindrical ones the index and period of the hue and the chroma
+	//below which it has no meaning
+	var spaces = {
+		'rgb': {
+			to: function( c ){
+				return c.rgb.slice( 0 );
+			},
+			from: function( v ){
+				return v;
+			}
+		},
+		'linear-rgb': {
+			to: function( c ){
+				return c.rgb.map( TColor.linearizeComponent );
+			},
+			from: function( v ){
+				return v.map(function( x ){
+					return TColor.gammaEncodeComponent( Math.max( 0, x ) );
+				});
+			}
+		},
+		'hsv': {
+			to: function( c ){
+				return c.hsv.slice( 0 );
+			},
+			from: function( v ){
+				return TColor.hsvToRGB( v[0], v[1], v[2] );
+			},
+			hue: 0,
+			period: 1,
+			//saturation, scaled by the brightness
+			chroma: function( v ){
+				return v[1] * v[2];
+			},
+			epsilon: 1e-6
+		},
+		'lab': {
+			to: function( c ){
+				return TColor.rgbToLab( c.rgb[0], c.rgb[1], c.rgb[2] );
+			},
+			from: function( v ){
+				return TColor.labToRGB( v[0], v[1], v[2] );
+			}
+		},
+		'lch': {
+			to: function( c ){
+				var lab = TColor.rgbToLab( c.rgb[0], c.rgb[1], c.rgb[2] );
+				return TColor.labToLCh( lab[0], lab[1], lab[2] );
+			},
+			from: function( v ){
+				var lab = TColor.lchToLab( v[0], v[1], v[2] );
+				return TColor.labToRGB( lab[0], lab[1], lab[2] );
+			},
+			hue: 2,
+			period: 360,
+			chroma: function( v ){
+				return v[1];
+			},
+			epsilon: 1e-2
+		},
+		'oklab': {
+			to: function( c ){
+				return TColor.rgbToOKLab( c.rgb[0], c.rgb[1], c.rgb[2] );
+			},
+			from: function( v ){
+				return TColor.oklabToRGB( v[0], v[1], v[2] );
+			}
+		},
+		'oklch': {
+			to: function( c ){
+				var lab = TColor.rgbToOKLab( c.rgb[0], c.rgb[1], c.rgb[2] );
+				return TColor.labToLCh( lab[0], lab[1], lab[2] );
+			},
+			from: function( v ){
+				var lab = TColor.lchToLab( v[0], v[1], v[2] );
+				return TColor.oklabToRGB( lab[0], lab[1], lab[2] );
+			},
+			hue: 2,
+			period: 360,
+			chroma: function( v ){
+				return v[1];
+			},
+			epsilon: 1e-4
+		}
+	};
+
+	exports.RGB = 'rgb';
+	exports.LINEAR_RGB = 'linear-rgb';
+	exports.HSV = 'hsv';
+	exports.LAB = 'lab';
+	exports.LCH = 'lch';
+	exports.OKLAB = 'oklab';
+	exports.OKLCH = 'oklch';
+
+	/**
+	 * @param {String} space
+	 * @return {Boolean} true, if colors can be interpolated in the space
+	 */
+	exports.isSupported = function( space ){
+		return spaces.hasOwnProperty( space );
+	};
+
+	/**
+	 * interpolate between two colors, alpha is interpolated linearly
+	 * @param {toxi.color.TColor} a
+	 * @param {toxi.color.TColor} b
+	 * @param {Number} t 0 for a, 1 for b
+	 * @param {String} [space] one of the constants of this module, defaults to RGB
+	 * @return {toxi.color.TColor} a new color, clipped to the RGB range
+	 */
+	exports.blend = function( a, b, t, space ){
+		var s = spaces[space || exports.RGB],
+			va, vb, result, i, h, d, grayA, grayB;
+		if( s === undefined ){
+			throw new Error( "unknown color space: " + space );
+		}
+		va = s.to( a );
+		vb = s.to( b );
+		result = [];
+		for( i=0; i<3; i++ ){
+			result[i] = va[i] + (vb[i] - va[i]) * t;
+		}
+		if( s.hue !== undefined ){
+			h = s.hue;
+			grayA = s.chroma( va ) < s.epsilon;
+			grayB = s.chroma( vb ) < s.epsilon;
+			if( grayA && !grayB ){
+				result[h] = vb[h];
+			} else if( grayB && !grayA ){
+				result[h] = va[h];
+			} else {
+				//the shorter way around
+				d = vb[h] - va[h];
+				if( d > s.period / 2 ){
+					d -= s.period;
+				} else if( d < -s.period / 2 ){
+					d += s.period;
+				}
+				result[h] = (va[h] + d * t) % s.period;
+				if( result[h] < 0 ){
+					result[h] += s.period;
+				}
+			}
+		}
+		result = s.from( result );
+		return TColor.newRGBA( result[0], result[1], result[2], a.alpha() + (b.alpha() - a.alpha()) * t );
+	};
+
+});
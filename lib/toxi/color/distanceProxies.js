@@ -10,4 +10,8 @@ define(function( require, exports ){
 	makeProxy('HSV');
 	makeProxy('RGB');
 	makeProxy('CMYK');
+	//perceptual distances, CIE76, CIE94 and CIEDE2000
+	makeProxy('Lab');
+	makeProxy('CIE94');
+	makeProxy('CIEDE2000');
 });
\ No newline at end of file
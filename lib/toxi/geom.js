@@ -17,12 +17,17 @@ define([
     "./geom/LineStrip3D",
     "./geom/Matrix4x4",
     "./geom/Plane",
+    "./geom/PointOctree",
+    "./geom/PointQuadtree",
     "./geom/Polygon2D",
+    "./geom/polygonBooleans",
+    "./geom/polygonTriangulator",
     "./geom/Quaternion",
     "./geom/Ray2D",
     "./geom/Ray3D",
     "./geom/Ray3DIntersector",
     "./geom/Rect",
+    "./geom/SpatialBins",
     "./geom/Sphere",
     "./geom/Spline2D",
     "./geom/Spline3D",
@@ -51,12 +56,20 @@ define([
     exports.LineStrip3D = require('./geom/LineStrip3D');
 	exports.Matrix4x4 = require('./geom/Matrix4x4');
 	exports.Plane = require('./geom/Plane');
+	exports.PointOctree = require('./geom/PointOctree');
+	exports.PointQuadtree = require('./geom/PointQuadtree');
 	exports.Polygon2D = require('./geom/Polygon2D');
+	exports.polygonBooleans = require('./geom/polygonBooleans');
+	//keep it uppercase also
+	exports.PolygonBooleans = exports.polygonBooleans;
+	exports.polygonTriangulator = require('./geom/polygonTriangulator');
+	exports.PolygonTriangulator = exports.polygonTriangulator;
 	exports.Quaternion = require('./geom/Quaternion');
 	exports.Ray2D = require('./geom/Ray2D');
 	exports.Ray3D = require('./geom/Ray3D');
 	exports.Ray3DIntersector = require('./geom/Ray3DIntersector');
 	exports.Rect = require('./geom/Rect');
+	exports.SpatialBins = require('./geom/SpatialBins');
 	exports.Sphere = require('./geom/Sphere');
 	exports.Spline2D = require('./geom/Spline2D');
     exports.Spline3D = require('./geom/Spline3D');
@@ -122,7 +122,7 @@ define([
 			return segments;
 		},
 		getVertices: function(){
-			return vertices;
+			return this.vertices;
 		},
 		iterator: function(){
 			return new Iterator( this.vertices );
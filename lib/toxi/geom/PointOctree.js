@@ -0,0 +1,415 @@
+define([
+	"require",
+	"exports",
+	"module",
+	"../internals",
+	"./Vec3D",
+	"./AABB"
+], function(require, exports, module) {
+
+var internals = require('../internals'),
+	Vec3D = require('./Vec3D'),
+	AABB = require('./AABB');
+
+//squared distance from a point to the closest point of a node's box
+var distanceToBoxSquared = function( node, p ){
+	var d = 0, s;
+	s = Math.max( node.offset.x - p.x, 0, p.x - (node.offset.x + node.size) );
+	d += s * s;
+	s = Math.max( node.offset.y - p.y, 0, p.y - (node.offset.y + node.size) );
+	d += s * s;
+	s = Math.max( node.offset.z - p.z, 0, p.z - (node.offset.z + node.size) );
+	return d + s * s;
+};
+
+//octant of the child containing p, compared against the center so the
+//result always agrees with the child's bounds
+var octantFor = function( node, p ){
+	return (p.x >= node.x ? 1 : 0) + (p.y >= node.y ? 2 : 0) + (p.z >= node.z ? 4 : 0);
+};
+
+var containsPoint = function( node, p ){
+	return p.x >= node.offset.x && p.x <= node.offset.x + node.size &&
+		p.y >= node.offset.y && p.y <= node.offset.y + node.size &&
+		p.z >= node.offset.z && p.z <= node.offset.z + node.size;
+};
+
+/**
+ * @class Implements a spatial subdivision tree to work efficiently with large numbers
+ * of 3D points. This octree can only be used for point type data and
+ * maintains its coordinates relative to the root node's corner. Branches are
+ * subdivided until their size reaches the minimum node size, only the
+ * leaves store points.
+ * @member toxi.geom
+ * @augments toxi.geom.AABB
+ * @param {Vec3D} o minimum corner of the root node
+ * @param {Number} size edge length of the cube
+ */
+var PointOctree = function( o, size ){
+	var halfSize = size * 0.5;
+	AABB.call( this, o.add( halfSize, halfSize, halfSize ), new Vec3D( halfSize, halfSize, halfSize ) );
+	this.parent = undefined;
+	this.offset = o.copy();
+	this.size = size;
+	this.halfSize = halfSize;
+	this.depth = 0;
+	this.minNodeSize = 8;
+	this.isAutoReducing = false;
+	this.children = undefined;
+	this.numChildren = 0;
+	this.points = undefined;
+};
+
+internals.extend( PointOctree, AABB );
+
+/**
+ * add all points of an array
+ * @param {Vec3D[]} points
+ * @return {Boolean} true, if all points were added
+ */
+PointOctree.prototype.addAll = function( points ){
+	var addedAll = true;
+	for( var i=0; i<points.length; i++ ){
+		addedAll = this.addPoint( points[i] ) && addedAll;
+	}
+	return addedAll;
+};
+
+/**
+ * add a point, it is stored as reference and not copied
+ * @param {Vec3D} p
+ * @return {Boolean} true, if the point was inside the tree and got added
+ */
+PointOctree.prototype.addPoint = function( p ){
+	var node = this,
+		octant;
+	if( !containsPoint( this, p ) ){
+		return false;
+	}
+	//only add points to leaves, branches are picked by octant without
+	//checking their bounds again so rounding can't lose points on the edges
+	while( node.size > node.minNodeSize ){
+		if( node.children === undefined ){
+			node.children = [];
+		}
+		octant = octantFor( node, p );
+		if( node.children[octant] === undefined ){
+			node._createChild( octant );
+		}
+		node = node.children[octant];
+	}
+	if( node.points === undefined ){
+		node.points = [];
+	}
+	node.points.push( p );
+	return true;
+};
+
+/**
+ * remove all points and children from this node
+ */
+PointOctree.prototype.clear = function(){
+	this.numChildren = 0;
+	this.children = undefined;
+	this.points = undefined;
+};
+
+PointOctree.prototype._createChild = function( octant ){
+	var off = new Vec3D(
+			(octant & 1) !== 0 ? this.x : this.offset.x,
+			(octant & 2) !== 0 ? this.y : this.offset.y,
+			(octant & 4) !== 0 ? this.z : this.offset.z
+		),
+		child = new PointOctree( off, this.halfSize );
+	child.parent = this;
+	child.depth = this.depth + 1;
+	child.minNodeSize = this.minNodeSize;
+	this.children[octant] = child;
+	this.numChildren++;
+	return child;
+};
+
+PointOctree.prototype.getChildren = function(){
+	if( this.children === undefined ){
+		return [];
+	}
+	return this.children.filter(function( c ){ return c !== undefined; });
+};
+
+PointOctree.prototype.getDepth = function(){
+	return this.depth;
+};
+
+/**
+ * find the leaf node which spatially relates to the given point
+ * @param {Vec3D} p
+ * @return {PointOctree} leaf node or undefined if the point is outside the tree
+ */
+PointOctree.prototype.getLeafForPoint = function( p ){
+	var node = this;
+	if( !containsPoint( this, p ) ){
+		return undefined;
+	}
+	while( node !== undefined && node.points === undefined ){
+		node = node.numChildren > 0 ? node.children[ octantFor( node, p ) ] : undefined;
+	}
+	return node;
+};
+
+PointOctree.prototype.getMinNodeSize = function(){
+	return this.minNodeSize;
+};
+
+/**
+ * find the point closest to p
+ * @param {Vec3D} p
+ * @param {Number} [maxDistance] ignore points further away
+ * @return {Vec3D} the closest point or undefined if there is none
+ */
+PointOctree.prototype.getNearestPoint = function( p, maxDistance ){
+	return this.getNearestPoints( p, 1, maxDistance )[0];
+};
+
+/**
+ * find the k points closest to p
+ * @param {Vec3D} p
+ * @param {Number} k maximum number of points to find
+ * @param {Number} [maxDistance] ignore points further away
+ * @return {Vec3D[]} points sorted by their distance to p, closest first
+ */
+PointOctree.prototype.getNearestPoints = function( p, k, maxDistance ){
+	var maxDistSq = maxDistance === undefined ? Number.MAX_VALUE : maxDistance * maxDistance,
+		//kept sorted by distance, closest first
+		found = [];
+
+	var search = function( node ){
+		var i, d, j, order;
+		if( distanceToBoxSquared( node, p ) > (found.length === k ? found[k-1].distSq : maxDistSq) ){
+			return;
+		}
+		if( node.points !== undefined ){
+			for( i=0; i<node.points.length; i++ ){
+				d = node.points[i].distanceToSquared( p );
+				if( d > maxDistSq || (found.length === k && d >= found[k-1].distSq) ){
+					continue;
+				}
+				j = found.length;
+				while( j > 0 && found[j-1].distSq > d ){
+					j--;
+				}
+				found.splice( j, 0, { point: node.points[i], distSq: d } );
+				if( found.length > k ){
+					found.pop();
+				}
+			}
+		}
+		if( node.numChildren > 0 ){
+			//visit closer children first to shrink the search radius quickly
+			order = node.getChildren().sort(function( a, b ){
+				return distanceToBoxSquared( a, p ) - distanceToBoxSquared( b, p );
+			});
+			for( i=0; i<order.length; i++ ){
+				search( order[i] );
+			}
+		}
+	};
+
+	if( k > 0 ){
+		search( this );
+	}
+	return found.map(function( f ){ return f.point; });
+};
+
+PointOctree.prototype.getNumChildren = function(){
+	return this.numChildren;
+};
+
+/**
+ * compute the local child octant/cube index for the given point
+ * @param {Vec3D} plocal point in the node-local coordinate system
+ * @return {Number} octant index
+ */
+PointOctree.prototype.getOctantID = function( plocal ){
+	var id = 0;
+	if( plocal.x >= this.halfSize ){
+		id += 1;
+	}
+	if( plocal.y >= this.halfSize ){
+		id += 2;
+	}
+	if( plocal.z >= this.halfSize ){
+		id += 4;
+	}
+	return id;
+};
+
+PointOctree.prototype.getParent = function(){
+	return this.parent;
+};
+
+/**
+ * @param {Vec3D[]} [results] optional array to add the points to
+ * @return {Vec3D[]} all points stored in this node and its children
+ */
+PointOctree.prototype.getPoints = function( results ){
+	results = results || [];
+	var i;
+	if( this.points !== undefined ){
+		for( i=0; i<this.points.length; i++ ){
+			results.push( this.points[i] );
+		}
+	} else if( this.numChildren > 0 ){
+		for( i=0; i<8; i++ ){
+			if( this.children[i] !== undefined ){
+				this.children[i].getPoints( results );
+			}
+		}
+	}
+	return results;
+};
+
+/**
+ * select all points inside the given box
+ * @param {AABB} box
+ * @param {Vec3D[]} [results] optional array to add the points to
+ * @return {Vec3D[]}
+ */
+PointOctree.prototype.getPointsWithinAABB = function( box, results ){
+	results = results || [];
+	var min = box.min,
+		max = box.max,
+		i, q;
+	if( !this.intersectsBox( box ) ){
+		return results;
+	}
+	if( this.points !== undefined ){
+		for( i=0; i<this.points.length; i++ ){
+			q = this.points[i];
+			if( q.x >= min.x && q.x <= max.x && q.y >= min.y && q.y <= max.y && q.z >= min.z && q.z <= max.z ){
+				results.push( this.points[i] );
+			}
+		}
+	} else if( this.numChildren > 0 ){
+		for( i=0; i<8; i++ ){
+			if( this.children[i] !== undefined ){
+				this.children[i].getPointsWithinAABB( box, results );
+			}
+		}
+	}
+	return results;
+};
+
+/**
+ * select all points inside the given sphere
+ * @param {Sphere|Vec3D} sphere a Sphere or its center
+ * @param {Number} [radius] if a center was given
+ * @param {Vec3D[]} [results] optional array to add the points to
+ * @return {Vec3D[]}
+ */
+PointOctree.prototype.getPointsWithinSphere = function( sphere, radius, results ){
+	var center = sphere,
+		i;
+	if( internals.is.Sphere( sphere ) ){
+		center = new Vec3D( sphere );
+		results = radius;
+		radius = sphere.radius;
+	}
+	results = results || [];
+	var radiusSq = radius * radius;
+	if( !this.intersectsSphere( center, radius ) ){
+		return results;
+	}
+	if( this.points !== undefined ){
+		for( i=0; i<this.points.length; i++ ){
+			if( this.points[i].distanceToSquared( center ) <= radiusSq ){
+				results.push( this.points[i] );
+			}
+		}
+	} else if( this.numChildren > 0 ){
+		for( i=0; i<8; i++ ){
+			if( this.children[i] !== undefined ){
+				this.children[i].getPointsWithinSphere( center, radius, results );
+			}
+		}
+	}
+	return results;
+};
+
+PointOctree.prototype.getSize = function(){
+	return this.size;
+};
+
+//remove empty nodes on the way up to the root
+PointOctree.prototype._reduceBranch = function(){
+	var parent = this.parent,
+		i;
+	if( this.points !== undefined && this.points.length === 0 ){
+		this.points = undefined;
+	}
+	if( parent !== undefined && this.points === undefined && this.numChildren === 0 ){
+		for( i=0; i<8; i++ ){
+			if( parent.children[i] === this ){
+				parent.children[i] = undefined;
+				parent.numChildren--;
+			}
+		}
+		parent._reduceBranch();
+	}
+};
+
+/**
+ * remove a point from the tree and (optionally) prune empty branches
+ * @param {Vec3D} p the point to remove, compared by reference
+ * @return {Boolean} true, if the point was found and removed
+ */
+PointOctree.prototype.remove = function( p ){
+	var leaf = this.getLeafForPoint( p ),
+		index;
+	if( leaf === undefined ){
+		return false;
+	}
+	index = leaf.points.indexOf( p );
+	if( index < 0 ){
+		return false;
+	}
+	leaf.points.splice( index, 1 );
+	if( this.isAutoReducing ){
+		leaf._reduceBranch();
+	}
+	return true;
+};
+
+/**
+ * @param {Vec3D[]} points
+ * @return {Boolean} true, if all points were removed
+ */
+PointOctree.prototype.removeAll = function( points ){
+	var removedAll = true;
+	for( var i=0; i<points.length; i++ ){
+		removedAll = this.remove( points[i] ) && removedAll;
+	}
+	return removedAll;
+};
+
+/**
+ * @param {Number} minNodeSize nodes are no further subdivided once their size is
+ * at or below this, changing it only affects nodes created later
+ */
+PointOctree.prototype.setMinNodeSize = function( minNodeSize ){
+	this.minNodeSize = minNodeSize;
+};
+
+/**
+ * enable/disable the removal of empty branches when points are removed
+ * @param {Boolean} state
+ */
+PointOctree.prototype.setTreeAutoReduction = function( state ){
+	this.isAutoReducing = state;
+};
+
+PointOctree.prototype.toString = function(){
+	return "<octree> offset: " + this.offset.toString() + " size: " + this.size;
+};
+
+module.exports = PointOctree;
+});
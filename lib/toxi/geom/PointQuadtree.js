@@ -0,0 +1,445 @@
+define([
+	"require",
+	"exports",
+	"module",
+	"../internals",
+	"./Vec2D",
+	"./Rect"
+], function(require, exports, module) {
+
+var internals = require('../internals'),
+	Vec2D = require('./Vec2D'),
+	Rect = require('./Rect');
+
+//squared distance from a point to the closest point of a node's rect
+var distanceToRectSquared = function( node, p ){
+	var dx = Math.max( node.x - p.x, 0, p.x - (node.x + node.size) ),
+		dy = Math.max( node.y - p.y, 0, p.y - (node.y + node.size) );
+	return dx * dx + dy * dy;
+};
+
+//quadrant of the child containing p, compared against the center so the
+//result always agrees with the child's bounds
+var quadrantFor = function( node, p ){
+	return (p.x >= node.x + node.halfSize ? 1 : 0) + (p.y >= node.y + node.halfSize ? 2 : 0);
+};
+
+var containsPoint = function( node, p ){
+	return p.x >= node.x && p.x <= node.x + node.size && p.y >= node.y && p.y <= node.y + node.size;
+};
+
+/**
+ * @class Implements a spatial subdivision tree to work efficiently with large numbers
+ * of 2D points, the 2D counterpart of {@link toxi.geom.PointOctree}. Branches are
+ * subdivided until their size reaches the minimum node size, only the
+ * leaves store points.
+ * @member toxi.geom
+ * @augments toxi.geom.Rect
+ * @param {Number|Vec2D} x x-coordinate of the top-left corner, or the corner as a vector
+ * @param {Number} [y] y-coordinate of the top-left corner, omit if a vector was given
+ * @param {Number} size edge length of the square
+ */
+var PointQuadtree = function( x, y, size ){
+	if( internals.has.XY( x ) ){
+		size = y;
+		y = x.y;
+		x = x.x;
+	}
+	Rect.call( this, x, y, size, size );
+	this.parent = undefined;
+	this.size = size;
+	this.halfSize = size * 0.5;
+	this.depth = 0;
+	this.minNodeSize = 8;
+	this.isAutoReducing = false;
+	this.children = undefined;
+	this.numChildren = 0;
+	this.points = undefined;
+};
+
+internals.extend( PointQuadtree, Rect );
+
+/**
+ * add all points of an array
+ * @param {Vec2D[]} points
+ * @return {Boolean} true, if all points were added
+ */
+PointQuadtree.prototype.addAll = function( points ){
+	var addedAll = true;
+	for( var i=0; i<points.length; i++ ){
+		addedAll = this.addPoint( points[i] ) && addedAll;
+	}
+	return addedAll;
+};
+
+/**
+ * add a point, it is stored as reference and not copied
+ * @param {Vec2D} p
+ * @return {Boolean} true, if the point was inside the tree and got added
+ */
+PointQuadtree.prototype.addPoint = function( p ){
+	var node = this,
+		quadrant;
+	if( !containsPoint( this, p ) ){
+		return false;
+	}
+	//see PointOctree#addPoint()
+	while( node.size > node.minNodeSize ){
+		if( node.children === undefined ){
+			node.children = [];
+		}
+		quadrant = quadrantFor( node, p );
+		if( node.children[quadrant] === undefined ){
+			node._createChild( quadrant );
+		}
+		node = node.children[quadrant];
+	}
+	if( node.points === undefined ){
+		node.points = [];
+	}
+	node.points.push( p );
+	return true;
+};
+
+/**
+ * remove all points and children from this node
+ */
+PointQuadtree.prototype.clear = function(){
+	this.numChildren = 0;
+	this.children = undefined;
+	this.points = undefined;
+};
+
+PointQuadtree.prototype._createChild = function( quadrant ){
+	var child = new PointQuadtree(
+		(quadrant & 1) !== 0 ? this.x + this.halfSize : this.x,
+		(quadrant & 2) !== 0 ? this.y + this.halfSize : this.y,
+		this.halfSize
+	);
+	child.parent = this;
+	child.depth = this.depth + 1;
+	child.minNodeSize = this.minNodeSize;
+	this.children[quadrant] = child;
+	this.numChildren++;
+	return child;
+};
+
+PointQuadtree.prototype.getChildren = function(){
+	if( this.children === undefined ){
+		return [];
+	}
+	return this.children.filter(function( c ){ return c !== undefined; });
+};
+
+PointQuadtree.prototype.getDepth = function(){
+	return this.depth;
+};
+
+/**
+ * find the leaf node which spatially relates to the given point
+ * @param {Vec2D} p
+ * @return {PointQuadtree} leaf node or undefined if the point is outside the tree
+ */
+PointQuadtree.prototype.getLeafForPoint = function( p ){
+	var node = this;
+	if( !containsPoint( this, p ) ){
+		return undefined;
+	}
+	while( node !== undefined && node.points === undefined ){
+		node = node.numChildren > 0 ? node.children[ quadrantFor( node, p ) ] : undefined;
+	}
+	return node;
+};
+
+PointQuadtree.prototype.getMinNodeSize = function(){
+	return this.minNodeSize;
+};
+
+/**
+ * find the point closest to p
+ * @param {Vec2D} p
+ * @param {Number} [maxDistance] ignore points further away
+ * @return {Vec2D} the closest point or undefined if there is none
+ */
+PointQuadtree.prototype.getNearestPoint = function( p, maxDistance ){
+	return this.getNearestPoints( p, 1, maxDistance )[0];
+};
+
+/**
+ * find the k points closest to p
+ * @param {Vec2D} p
+ * @param {Number} k maximum number of points to find
+ * @param {Number} [maxDistance] ignore points further away
+ * @return {Vec2D[]} points sorted by their distance to p, closest first
+ */
+PointQuadtree.prototype.getNearestPoints = function( p, k, maxDistance ){
+	var maxDistSq = maxDistance === undefined ? Number.MAX_VALUE : maxDistance * maxDistance,
+		//kept sorted by distance, closest first
+		found = [];
+
+	var search = function( node ){
+		var i, d, j, order;
+		if( distanceToRectSquared( node, p ) > (found.length === k ? found[k-1].distSq : maxDistSq) ){
+			return;
+		}
+		if( node.points !== undefined ){
+			for( i=0; i<node.points.length; i++ ){
+				d = node.points[i].distanceToSquared( p );
+				if( d > maxDistSq || (found.length === k && d >= found[k-1].distSq) ){
+					continue;
+				}
+				j = found.length;
+				while( j > 0 && found[j-1].distSq > d ){
+					j--;
+				}
+				found.splice( j, 0, { point: node.points[i], distSq: d } );
+				if( found.length > k ){
+					found.pop();
+				}
+			}
+		}
+		if( node.numChildren > 0 ){
+			//visit closer children first to shrink the search radius quickly
+			order = node.getChildren().sort(function( a, b ){
+				return distanceToRectSquared( a, p ) - distanceToRectSquared( b, p );
+			});
+			for( i=0; i<order.length; i++ ){
+				search( order[i] );
+			}
+		}
+	};
+
+	if( k > 0 ){
+		search( this );
+	}
+	return found.map(function( f ){ return f.point; });
+};
+
+PointQuadtree.prototype.getNumChildren = function(){
+	return this.numChildren;
+};
+
+PointQuadtree.prototype.getParent = function(){
+	return this.parent;
+};
+
+/**
+ * @param {Vec2D[]} [results] optional array to add the points to
+ * @return {Vec2D[]} all points stored in this node and its children
+ */
+PointQuadtree.prototype.getPoints = function( results ){
+	results = results || [];
+	var i;
+	if( this.points !== undefined ){
+		for( i=0; i<this.points.length; i++ ){
+			results.push( this.points[i] );
+		}
+	} else if( this.numChildren > 0 ){
+		for( i=0; i<4; i++ ){
+			if( this.children[i] !== undefined ){
+				this.children[i].getPoints( results );
+			}
+		}
+	}
+	return results;
+};
+
+/**
+ * select all points inside the given circle
+ * @param {Circle|Vec2D} circle a Circle or its center
+ * @param {Number} [radius] if a center was given
+ * @param {Vec2D[]} [results] optional array to add the points to
+ * @return {Vec2D[]}
+ */
+PointQuadtree.prototype.getPointsWithinCircle = function( circle, radius, results ){
+	var center = circle,
+		i;
+	if( internals.is.Circle( circle ) ){
+		center = new Vec2D( circle );
+		results = radius;
+		radius = circle.getRadius();
+	}
+	results = results || [];
+	var radiusSq = radius * radius;
+	if( distanceToRectSquared( this, center ) > radiusSq ){
+		return results;
+	}
+	if( this.points !== undefined ){
+		for( i=0; i<this.points.length; i++ ){
+			if( this.points[i].distanceToSquared( center ) <= radiusSq ){
+				results.push( this.points[i] );
+			}
+		}
+	} else if( this.numChildren > 0 ){
+		for( i=0; i<4; i++ ){
+			if( this.children[i] !== undefined ){
+				this.children[i].getPointsWithinCircle( center, radius, results );
+			}
+		}
+	}
+	return results;
+};
+
+/**
+ * select all points inside the given rect, points on its edges are included
+ * @param {Rect} rect
+ * @param {Vec2D[]} [results] optional array to add the points to
+ * @return {Vec2D[]}
+ */
+PointQuadtree.prototype.getPointsWithinRect = function( rect, results ){
+	results = results || [];
+	var right = rect.x + rect.width,
+		bottom = rect.y + rect.height,
+		i, q;
+	if( !this.intersectsRect( rect ) ){
+		return results;
+	}
+	if( this.points !== undefined ){
+		for( i=0; i<this.points.length; i++ ){
+			q = this.points[i];
+			if( q.x >= rect.x && q.x <= right && q.y >= rect.y && q.y <= bottom ){
+				results.push( q );
+			}
+		}
+	} else if( this.numChildren > 0 ){
+		for( i=0; i<4; i++ ){
+			if( this.children[i] !== undefined ){
+				this.children[i].getPointsWithinRect( rect, results );
+			}
+		}
+	}
+	return results;
+};
+
+PointQuadtree.prototype.getSize = function(){
+	return this.size;
+};
+
+//remove empty nodes on the way up to the root
+PointQuadtree.prototype._reduceBranch = function(){
+	var parent = this.parent,
+		i;
+	if( this.points !== undefined && this.points.length === 0 ){
+		this.points = undefined;
+	}
+	if( parent !== undefined && this.points === undefined && this.numChildren === 0 ){
+		for( i=0; i<4; i++ ){
+			if( parent.children[i] === this ){
+				parent.children[i] = undefined;
+				parent.numChildren--;
+			}
+		}
+		parent._reduceBranch();
+	}
+};
+
+/**
+ * remove a point from the tree and (optionally) prune empty branches
+ * @param {Vec2D} p the point to remove, compared by reference. Points that
+ * moved since they were added are still found, but slower
+ * @return {Boolean} true, if the point was found and removed
+ */
+PointQuadtree.prototype.remove = function( p ){
+	var leaf = this._findLeafContaining( p );
+	if( leaf === undefined ){
+		return false;
+	}
+	leaf.points.splice( leaf.points.indexOf( p ), 1 );
+	if( this.isAutoReducing ){
+		leaf._reduceBranch();
+	}
+	return true;
+};
+
+//find the leaf storing p, first at its current position then in all leaves
+PointQuadtree.prototype._findLeafContaining = function( p ){
+	var leaf = this.getLeafForPoint( p ),
+		i;
+	if( leaf !== undefined && leaf.points.indexOf( p ) >= 0 ){
+		return leaf;
+	}
+	if( this.points !== undefined ){
+		return this.points.indexOf( p ) >= 0 ? this : undefined;
+	}
+	for( i=0; i<4 && this.numChildren > 0; i++ ){
+		leaf = this.children[i] !== undefined ? this.children[i]._findLeafContaining( p ) : undefined;
+		if( leaf !== undefined ){
+			return leaf;
+		}
+	}
+	return undefined;
+};
+
+/**
+ * @param {Vec2D[]} points
+ * @return {Boolean} true, if all points were removed
+ */
+PointQuadtree.prototype.removeAll = function( points ){
+	var removedAll = true;
+	for( var i=0; i<points.length; i++ ){
+		removedAll = this.remove( points[i] ) && removedAll;
+	}
+	return removedAll;
+};
+
+/**
+ * @param {Number} minNodeSize nodes are no further subdivided once their size is
+ * at or below this, changing it only affects nodes created later
+ */
+PointQuadtree.prototype.setMinNodeSize = function( minNodeSize ){
+	this.minNodeSize = minNodeSize;
+};
+
+/**
+ * enable/disable the removal of empty branches when points are removed
+ * @param {Boolean} state
+ */
+PointQuadtree.prototype.setTreeAutoReduction = function( state ){
+	this.isAutoReducing = state;
+};
+
+//spatial index interface, see toxi.geom.SpatialBins
+
+/**
+ * same as addPoint()
+ * @param {Vec2D} p
+ * @return {Boolean} true, if the point was inside the tree and got added
+ */
+PointQuadtree.prototype.index = function( p ){
+	return this.addPoint( p );
+};
+
+/**
+ * @param {Vec2D} p
+ * @return {Boolean} true, if the point is stored in the tree
+ */
+PointQuadtree.prototype.isIndexed = function( p ){
+	return this._findLeafContaining( p ) !== undefined;
+};
+
+/**
+ * same as getPointsWithinCircle( p, radius, results )
+ * @param {Vec2D} p
+ * @param {Number} radius
+ * @param {Vec2D[]} [results]
+ * @return {Vec2D[]}
+ */
+PointQuadtree.prototype.itemsWithinRadius = function( p, radius, results ){
+	return this.getPointsWithinCircle( p, radius, results );
+};
+
+/**
+ * same as remove()
+ * @param {Vec2D} p
+ * @return {Boolean} true, if the point was found and removed
+ */
+PointQuadtree.prototype.unindex = function( p ){
+	return this.remove( p );
+};
+
+PointQuadtree.prototype.toString = function(){
+	return "<quadtree> x: " + this.x + " y: " + this.y + " size: " + this.size;
+};
+
+module.exports = PointQuadtree;
+});
@@ -7,7 +7,10 @@ define([
     './Rect',
     './mesh/TriangleMesh',
     '../internals/has',
-    '../internals/is'
+    '../internals/is',
+    './polygonBooleans',
+    './polygonTriangulator',
+    './mesh/extruder'
 ], function( require, MathUtils, Vec2D, Line2D, Circle, Rect, TriangleMesh, has, is) {
 
     /**
@@ -99,6 +102,25 @@ define([
             return new Polygon2D( this.vertices );
         },
 
+        /**
+        * subtract a polygon from this one, see {@link toxi.geom.polygonBooleans}
+        * @param {Polygon2D|Array} poly a polygon, optionally with holes, or an array of polygons
+        * @return {Polygon2D[]} resulting polygons, each with a `holes` array
+        */
+        difference: function( poly ){
+            return require('./polygonBooleans').difference( this, poly );
+        },
+
+        /**
+        * extrude the polygon along the Z axis into a closed mesh, see {@link toxi.geom.mesh.extruder.extrude}
+        * @param {Number} depth
+        * @param {Object} [options] holes, bevel, bevelSegments, taper and mesh
+        * @return {TriangleMesh}
+        */
+        extrude: function( depth, options ){
+            return require('./mesh/extruder').extrude( this, depth, options );
+        },
+
         flipVertexOrder: function(){
             this.vertices.reverse();
             return this;
@@ -131,16 +153,7 @@ define([
         },
 
         getArea: function(){
-            var area = 0,
-                numPoints = this.vertices.length;
-            for(var i=0;i<numPoints;i++){
-                var a = this.vertices[i],
-                    b = this.vertices[(i+1) % numPoints];
-                area += a.x * b.y;
-                area -= a.y * b.x;
-            }
-            area *= 0.5;
-            return area;
+            return Polygon2D.getSignedArea( this.vertices );
         },
 
         getBoundingCircle: function() {
@@ -220,20 +233,26 @@ define([
             return this.vertices.length;
         },
 
-        getRandomPoint: function(){
+        /**
+         * pick a random point between two random edges, inside the polygon
+         * if it is convex
+         * @param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
+         * @return {Vec2D}
+         */
+        getRandomPoint: function( rng ){
             var edges = this.getEdges();
             var numEdges = edges.length;
-            var ea = edges[MathUtils.random(numEdges)],
+            var ea = edges[Math.floor(MathUtils.random(rng, numEdges))],
                 eb;
             while( eb === undefined || eb.equals( ea ) ){
-                eb = edges[ MathUtils.random(numEdges) ];
+                eb = edges[ Math.floor(MathUtils.random(rng, numEdges)) ];
             }
             //pick a random point on edge A
-            var p = ea.a.interpolateTo( ea.b, Math.random() );
+            var p = ea.a.interpolateTo( ea.b, MathUtils.random(rng) );
             //then randomly interpolate to another point on b
             return p.interpolateToSelf(
-                eb.a.interpolateTo( eb.b, Math.random() ),
-                Math.random()
+                eb.a.interpolateTo( eb.b, MathUtils.random(rng) ),
+                MathUtils.random(rng)
             );
         },
 
@@ -273,6 +292,15 @@ define([
             return this;
         },
 
+        /**
+        * the area covered by both polygons, see {@link toxi.geom.polygonBooleans}
+        * @param {Polygon2D|Array} poly a polygon, optionally with holes, or an array of polygons
+        * @return {Polygon2D[]} resulting polygons, each with a `holes` array
+        */
+        intersection: function( poly ){
+            return require('./polygonBooleans').intersection( this, poly );
+        },
+
         intersectsPolygon: function(poly) {
             if (!this.containsPolygon(poly)) {
                 var edges=this.getEdges();
@@ -314,7 +342,7 @@ define([
                 d1 = this.vertices[next].sub(this.vertices[i]);
                 newIsP = (d0.cross(d1) > 0);
                 if( i === 0 ) {
-                    isPositive = true;
+                    isPositive = newIsP;
                 } else if( isPositive != newIsP ) {
                     return false;
                 }
@@ -575,12 +603,37 @@ define([
             return this;
         },
 
+        /**
+        * triangulate the polygon by ear clipping, see {@link toxi.geom.polygonTriangulator}
+        * @param {Polygon2D[]} [holes] polygons inside this one, defaults to the `holes` property
+        * @return {Triangle2D[]} triangles in the same orientation as the polygon
+        */
+        triangulate: function( holes ){
+            return require('./polygonTriangulator').triangulate( this, holes );
+        },
+
+        /**
+        * add the polygon as faces in the XY plane to a mesh. Convex polygons are
+        * triangulated as a fan around the centroid, concave polygons and polygons
+        * with `holes` by ear clipping. A fan is only valid for convex polygons,
+        * so passing `centroid2D` or a non-zero `extrude` for the others throws.
+        * @param {TriangleMesh} [mesh] optional mesh to add the faces to
+        * @param {Vec2D} [centroid2D] center of the fan, defaults to the centroid
+        * @param {Number} [extrude] z coordinate of the fan's center
+        * @return {TriangleMesh}
+        */
         toMesh: function( mesh, centroid2D, extrude ){
+            if( !this.isConvex() || (this.holes !== undefined && this.holes.length > 0) ){
+                if( centroid2D || extrude ){
+                    throw new Error("Polygon2D: centroid2D and extrude need a convex polygon without holes");
+                }
+                return require('./polygonTriangulator').toMesh( this, this.holes, mesh );
+            }
             mesh = mesh || new TriangleMesh();
             var num = this.vertices.length;
             centroid2D = centroid2D || this.getCentroid();
             var centroid = centroid2D.to3DXY();
-            centroid.z = extrude;
+            centroid.z = extrude || 0;
             var bounds = this.getBounds(),
                 boundScale = new Vec2D(1/bounds.width, 1/bounds.height),
                 uvC = centroid2D.sub(bounds.getTopLeft()).scaleSelf(boundScale),
@@ -611,6 +664,15 @@ define([
             return s;
         },
 
+        /**
+        * the area covered by either polygon, see {@link toxi.geom.polygonBooleans}
+        * @param {Polygon2D|Array} poly a polygon, optionally with holes, or an array of polygons
+        * @return {Polygon2D[]} resulting polygons, each with a `holes` array
+        */
+        union: function( poly ){
+            return require('./polygonBooleans').union( this, poly );
+        },
+
         translate: function() {
             var x,y;
             if (arguments.length==1 && has.XY( arguments[0] ) ){
@@ -626,6 +688,15 @@ define([
                 this.vertices[i].addSelf(x, y);
             }
             return this;
+        },
+
+        /**
+        * the area covered by only one of the polygons, see {@link toxi.geom.polygonBooleans}
+        * @param {Polygon2D|Array} poly a polygon, optionally with holes, or an array of polygons
+        * @return {Polygon2D[]} resulting polygons, each with a `holes` array
+        */
+        xor: function( poly ){
+            return require('./polygonBooleans').xor( this, poly );
         }
     };
 
@@ -676,5 +747,23 @@ define([
         return len / ( 2 * MathUtils.sin(MathUtils.PI/res) );
     };
 
+    /**
+    * Computes the signed area of a closed ring of points, positive for
+    * rings ordered clockwise (see {@link toxi.geom.Polygon2D#isClockwise})
+    * @param {Vec2D[]} points
+    * @return {Number} signed area
+    */
+    Polygon2D.getSignedArea = function( points ){
+        var area = 0,
+            numPoints = points.length,
+            a, b;
+        for( var i=0; i<numPoints; i++ ){
+            a = points[i];
+            b = points[(i+1) % numPoints];
+            area += a.x * b.y - a.y * b.x;
+        }
+        return area * 0.5;
+    };
+
     return Polygon2D;
 });
@@ -0,0 +1,185 @@
+define([
+	"require",
+	"exports",
+	"module"
+], function(require, exports, module) {
+
+/**
+ * @class A spatial hash for 2D points, points are sorted into square bins
+ * so only the bins overlapping a query have to be searched. The grid is
+ * unbounded, only bins containing points use memory.
+ * Along with {@link toxi.geom.PointQuadtree} this implements the spatial index
+ * interface used by {@link toxi.physics2d.VerletPhysics2D#setIndex}:
+ * `clear()`, `index( p )`, `unindex( p )`, `isIndexed( p )` and
+ * `itemsWithinRadius( p, radius, [results] )`.
+ * @member toxi.geom
+ * @param {Number} binSize edge length of each bin, ideally close to the radius of typical queries
+ */
+var SpatialBins = function( binSize ){
+	if( !(binSize > 0) ){
+		throw new Error("SpatialBins: binSize needs to be greater than 0");
+	}
+	this.binSize = binSize;
+	this.clear();
+};
+
+SpatialBins.prototype = {
+	constructor: SpatialBins,
+
+	_key: function( binX, binY ){
+		return binX + "," + binY;
+	},
+
+	/**
+	 * remove all items
+	 * @return itself
+	 */
+	clear: function(){
+		this.bins = {};
+		this.numBins = 0;
+		this.numItems = 0;
+		//range of the bins that held items since the last clear
+		this._min = { x: Infinity, y: Infinity };
+		this._max = { x: -Infinity, y: -Infinity };
+		return this;
+	},
+
+	getBinSize: function(){
+		return this.binSize;
+	},
+
+	getNumItems: function(){
+		return this.numItems;
+	},
+
+	/**
+	 * add an item at its current position, it is stored as reference and not copied
+	 * @param {Vec2D} p
+	 * @return {Boolean} true
+	 */
+	index: function( p ){
+		var binX = Math.floor( p.x / this.binSize ),
+			binY = Math.floor( p.y / this.binSize ),
+			key = this._key( binX, binY );
+		if( this.bins[key] === undefined ){
+			this.bins[key] = [];
+			this.numBins++;
+			this._min.x = Math.min( this._min.x, binX );
+			this._min.y = Math.min( this._min.y, binY );
+			this._max.x = Math.max( this._max.x, binX );
+			this._max.y = Math.max( this._max.y, binY );
+		}
+		this.bins[key].push( p );
+		this.numItems++;
+		return true;
+	},
+
+	/**
+	 * @param {Vec2D} p
+	 * @return {Boolean} true, if the item is in the index
+	 */
+	isIndexed: function( p ){
+		return this._find( p ) !== undefined;
+	},
+
+	/**
+	 * select all items within a radius. Only bins that held items are
+	 * searched, so large or infinite radii cost no more than a search of all
+	 * items
+	 * @param {Vec2D} p center of the search
+	 * @param {Number} radius
+	 * @param {Vec2D[]} [results] optional array to add the items to
+	 * @return {Vec2D[]}
+	 */
+	itemsWithinRadius: function( p, radius, results ){
+		results = results || [];
+		var radiusSq = radius * radius,
+			minX = Math.max( Math.floor( (p.x - radius) / this.binSize ), this._min.x ),
+			maxX = Math.min( Math.floor( (p.x + radius) / this.binSize ), this._max.x ),
+			minY = Math.max( Math.floor( (p.y - radius) / this.binSize ), this._min.y ),
+			maxY = Math.min( Math.floor( (p.y + radius) / this.binSize ), this._max.y ),
+			x, y, key;
+		var collect = function( bin ){
+			var i, q, dx, dy;
+			for( i=0; i<bin.length; i++ ){
+				q = bin[i];
+				dx = q.x - p.x;
+				dy = q.y - p.y;
+				if( dx * dx + dy * dy <= radiusSq ){
+					results.push( q );
+				}
+			}
+		};
+		if( minX > maxX || minY > maxY ){
+			return results;
+		}
+		//visit the bins that hold items when there are fewer of them
+		//than cells in the range
+		if( (maxX - minX + 1) * (maxY - minY + 1) > this.numBins ){
+			for( key in this.bins ){
+				collect( this.bins[key] );
+			}
+			return results;
+		}
+		for( y=minY; y<=maxY; y++ ){
+			for( x=minX; x<=maxX; x++ ){
+				key = this._key( x, y );
+				if( this.bins[key] !== undefined ){
+					collect( this.bins[key] );
+				}
+			}
+		}
+		return results;
+	},
+
+	/**
+	 * move an item to the bin of its new position, call this after an item has moved
+	 * @param {Vec2D} p
+	 * @return {Boolean} true, if the item was indexed before
+	 */
+	reindex: function( p ){
+		var found = this.unindex( p );
+		this.index( p );
+		return found;
+	},
+
+	/**
+	 * remove an item, compared by reference. Items that moved since they
+	 * were indexed are still found, but slower
+	 * @param {Vec2D} p
+	 * @return {Boolean} true, if the item was found and removed
+	 */
+	unindex: function( p ){
+		var found = this._find( p );
+		if( found === undefined ){
+			return false;
+		}
+		found.bin.splice( found.index, 1 );
+		if( found.bin.length === 0 ){
+			delete this.bins[found.key];
+			this.numBins--;
+		}
+		this.numItems--;
+		return true;
+	},
+
+	//look in the bin of the current position first, then in all bins
+	_find: function( p ){
+		var key = this._key( Math.floor( p.x / this.binSize ), Math.floor( p.y / this.binSize ) ),
+			bin = this.bins[key],
+			index = bin !== undefined ? bin.indexOf( p ) : -1;
+		if( index >= 0 ){
+			return { key: key, bin: bin, index: index };
+		}
+		for( key in this.bins ){
+			index = this.bins[key].indexOf( p );
+			if( index >= 0 ){
+				return { key: key, bin: this.bins[key], index: index };
+			}
+		}
+		return undefined;
+	}
+};
+
+module.exports = SpatialBins;
+});
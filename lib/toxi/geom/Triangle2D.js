@@ -4,7 +4,6 @@ var Vec2D = require('./Vec2D'),
 	Line2D = require('./Line2D'),
 	Rect = require('./Rect'),
 	Circle = require('./Circle'),
-	Polygon2D = require('./Polygon2D'),
 	mathUtils = require('../math/mathUtils');
 
 /**
@@ -172,6 +171,7 @@ Triangle2D.prototype = {
 	},
 	
 	toPolygon2D: function(){
+		var Polygon2D = require('./Polygon2D');
 		var poly = new Polygon2D();
 		poly.add(this.a.copy());
 		poly.add(this.b.copy());
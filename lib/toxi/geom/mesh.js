@@ -2,19 +2,35 @@ define(function(require, exports) {
 	exports.TriangleMesh = require('./mesh/TriangleMesh');
 	exports.BezierPatch = require('./mesh/BezierPatch');
 	exports.BoxSelector = require('./mesh/BoxSelector');
+	exports.BVH = require('./mesh/BVH');
+	exports.CSG = require('./mesh/CSG');
 	exports.DefaultSelector = require('./mesh/DefaultSelector');
+	exports.extruder = require('./mesh/extruder');
+	exports.Extruder = exports.extruder;
 	exports.Face = require('./mesh/Face');
-	//exports.LaplacianSmooth = require('./mesh/LaplacianSmooth');
+	exports.LaplacianSmooth = require('./mesh/LaplacianSmooth');
+	exports.LSCMUnwrap = require('./mesh/LSCMUnwrap');
+	exports.MeshSimplifier = require('./mesh/MeshSimplifier');
+	exports.meshTopology = require('./mesh/meshTopology');
+	exports.MeshTopology = exports.meshTopology;
+	exports.MTLWriter = require('./mesh/MTLWriter');
+	exports.OBJReader = require('./mesh/OBJReader');
 	exports.OBJWriter = require('./mesh/OBJWriter');
+	exports.PLYReader = require('./mesh/PLYReader');
 	exports.PlaneSelector = require('./mesh/PlaneSelector');
+	exports.STLReader = require('./mesh/STLReader');
+	exports.STLWriter = require('./mesh/STLWriter');
 	exports.SphereFunction = require('./mesh/SphereFunction');
 	exports.SphericalHarmonics = require('./mesh/SphericalHarmonics');
 	exports.SurfaceMeshBuilder = require('./mesh/SurfaceMeshBuilder');
 	exports.SuperEllipsoid = require('./mesh/SuperEllipsoid');
+	exports.TaubinSmooth = require('./mesh/TaubinSmooth');
 	exports.Terrain = require('./mesh/Terrain');
 	exports.TriangleMesh = require('./mesh/TriangleMesh');
+	exports.uvProjection = require('./mesh/uvProjection');
+	exports.UVProjection = exports.uvProjection;
 	exports.Vertex = require('./mesh/Vertex');
 	exports.VertexSelector = require('./mesh/VertexSelector');
 	exports.WETriangleMesh = require('./mesh/WETriangleMesh');
-	//exports.subdiv = require('./mesh/subdiv');
+	exports.subdiv = require('./mesh/subdiv');
 });
@@ -0,0 +1,564 @@
+define(function(require, exports, module) {
+
+	var mathUtils = require('../../math/mathUtils'),
+		Vec3D = require('../Vec3D'),
+		Triangle3D = require('../Triangle3D'),
+		IsectData3D = require('../IsectData3D');
+
+	/**
+	 * @class Bounding volume hierarchy of the faces of a mesh, a binary tree of
+	 * axis-aligned boxes for finding the faces near a ray, point, sphere, box or
+	 * another mesh without testing all of them. The tree refers to the vertices
+	 * of the mesh, after moving them call {@link toxi.geom.mesh.BVH#refit},
+	 * after adding or removing faces build a new one.
+	 * @member toxi.geom.mesh
+	 * @param {toxi.geom.mesh.TriangleMesh} mesh
+	 * @param {Number} [maxLeafSize] largest number of faces in a leaf, defaults to 4
+	 */
+	var BVH = function( mesh, maxLeafSize ){
+		this.mesh = mesh;
+		this.maxLeafSize = maxLeafSize || BVH.DEFAULT_LEAF_SIZE;
+		this.build();
+	};
+
+	BVH.DEFAULT_LEAF_SIZE = 4;
+
+	//@private
+	var Node = function( start, count ){
+		this.min = new Vec3D();
+		this.max = new Vec3D();
+		this.start = start;
+		this.count = count;
+		this.left = undefined;
+		this.right = undefined;
+	};
+
+	//@private
+	var clearBounds = function( node ){
+		node.min.set( Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE );
+		node.max.set( -Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE );
+	};
+
+	//@private
+	var fitFace = function( node, f ){
+		node.min.minSelf( f.a ).minSelf( f.b ).minSelf( f.c );
+		node.max.maxSelf( f.a ).maxSelf( f.b ).maxSelf( f.c );
+	};
+
+	//@private
+	var isLeaf = function( node ){
+		return node.left === undefined;
+	};
+
+	//@private
+	var boxesOverlap = function( a, b ){
+		return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+			a.min.y <= b.max.y && a.max.y >= b.min.y &&
+			a.min.z <= b.max.z && a.max.z >= b.min.z;
+	};
+
+	//@private
+	//squared distance from the point to the box, 0 inside of it
+	var boxDistanceSquared = function( node, p ){
+		var dx = Math.max( node.min.x - p.x, 0, p.x - node.max.x ),
+			dy = Math.max( node.min.y - p.y, 0, p.y - node.max.y ),
+			dz = Math.max( node.min.z - p.z, 0, p.z - node.max.z );
+		return dx * dx + dy * dy + dz * dz;
+	};
+
+	//@private
+	//distance along the ray to where it enters the box, Infinity if it misses it
+	var rayBoxDistance = function( node, ray, maxDist ){
+		var near = 0,
+			far = maxDist,
+			axes = ['x', 'y', 'z'],
+			i, a, t1, t2, t;
+		for( i=0; i<3; i++ ){
+			a = axes[i];
+			if( ray.dir[a] === 0 ){
+				if( ray[a] < node.min[a] || ray[a] > node.max[a] ){
+					return Infinity;
+				}
+				continue;
+			}
+			t1 = (node.min[a] - ray[a]) / ray.dir[a];
+			t2 = (node.max[a] - ray[a]) / ray.dir[a];
+			if( t1 > t2 ){
+				t = t1;
+				t1 = t2;
+				t2 = t;
+			}
+			near = Math.max( near, t1 );
+			far = Math.min( far, t2 );
+			if( near > far ){
+				return Infinity;
+			}
+		}
+		return near;
+	};
+
+	//@private
+	//Möller-Trumbore, seen from both sides
+	//@return {Number[]} distance and barycentric weights of b and c, or undefined
+	var intersectTriangle = function( o, d, a, b, c, maxDist ){
+		var e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z,
+			e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z,
+			px = d.y * e2z - d.z * e2y,
+			py = d.z * e2x - d.x * e2z,
+			pz = d.x * e2y - d.y * e2x,
+			det = e1x * px + e1y * py + e1z * pz,
+			inv, sx, sy, sz, u, v, qx, qy, qz, t;
+		if( Math.abs( det ) < 1e-14 ){
+			return undefined;
+		}
+		inv = 1 / det;
+		sx = o.x - a.x;
+		sy = o.y - a.y;
+		sz = o.z - a.z;
+		u = (sx * px + sy * py + sz * pz) * inv;
+		if( u < 0 || u > 1 ){
+			return undefined;
+		}
+		qx = sy * e1z - sz * e1y;
+		qy = sz * e1x - sx * e1z;
+		qz = sx * e1y - sy * e1x;
+		v = (d.x * qx + d.y * qy + d.z * qz) * inv;
+		if( v < 0 || u + v > 1 ){
+			return undefined;
+		}
+		t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+		if( t < mathUtils.EPS || t > maxDist ){
+			return undefined;
+		}
+		return [t, u, v];
+	};
+
+	//@private
+	//closest point on the triangle to p (Ericson, Real-Time Collision Detection)
+	//@return {Object} point and barycentric weights of a, b and c
+	var closestPointOnTriangle = function( p, a, b, c ){
+		var ab = b.sub( a ),
+			ac = c.sub( a ),
+			ap = p.sub( a ),
+			d1 = ab.dot( ap ),
+			d2 = ac.dot( ap ),
+			bp, cp, d3, d4, d5, d6, va, vb, vc, v, w, denom;
+		var result = function( u, v, w ){
+			return {
+				point: new Vec3D(
+					a.x * u + b.x * v + c.x * w,
+					a.y * u + b.y * v + c.y * w,
+					a.z * u + b.z * v + c.z * w
+				),
+				barycentric: new Vec3D( u, v, w )
+			};
+		};
+		if( d1 <= 0 && d2 <= 0 ){
+			return result( 1, 0, 0 );
+		}
+		bp = p.sub( b );
+		d3 = ab.dot( bp );
+		d4 = ac.dot( bp );
+		if( d3 >= 0 && d4 <= d3 ){
+			return result( 0, 1, 0 );
+		}
+		vc = d1 * d4 - d3 * d2;
+		if( vc <= 0 && d1 >= 0 && d3 <= 0 ){
+			v = d1 / (d1 - d3);
+			return result( 1 - v, v, 0 );
+		}
+		cp = p.sub( c );
+		d5 = ab.dot( cp );
+		d6 = ac.dot( cp );
+		if( d6 >= 0 && d5 <= d6 ){
+			return result( 0, 0, 1 );
+		}
+		vb = d5 * d2 - d1 * d6;
+		if( vb <= 0 && d2 >= 0 && d6 <= 0 ){
+			w = d2 / (d2 - d6);
+			return result( 1 - w, 0, w );
+		}
+		va = d3 * d6 - d5 * d4;
+		if( va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0 ){
+			w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+			return result( 0, 1 - w, w );
+		}
+		denom = va + vb + vc;
+		if( denom === 0 ){
+			//degenerate, all on a line and handled by the edges above
+			return result( 1, 0, 0 );
+		}
+		v = vb / denom;
+		w = vc / denom;
+		return result( 1 - v - w, v, w );
+	};
+
+	//@private
+	//whether one of the edges of a crosses the triangle b
+	var edgesCrossTriangle = function( a, b ){
+		var corners = [a.a, a.b, a.c],
+			i, o, d;
+		for( i=0; i<3; i++ ){
+			o = corners[i];
+			d = corners[(i + 1) % 3].sub( o );
+			if( intersectTriangle( o, d, b.a, b.b, b.c, 1 ) !== undefined ){
+				return true;
+			}
+		}
+		return false;
+	};
+
+	//@private
+	var facesIntersect = function( a, b ){
+		return edgesCrossTriangle( a, b ) || edgesCrossTriangle( b, a );
+	};
+
+	//@private
+	//call fn( face ) for the faces in the leaves whose boxes pass the test,
+	//stopping when it returns true
+	var visitFaces = function( bvh, testNode, fn ){
+		var stack = [bvh.root],
+			node, i;
+		while( stack.length > 0 ){
+			node = stack.pop();
+			if( !testNode( node ) ){
+				continue;
+			}
+			if( isLeaf( node ) ){
+				for( i=node.start; i<node.start + node.count; i++ ){
+					if( fn( bvh.faces[i] ) ){
+						return true;
+					}
+				}
+			} else {
+				stack.push( node.right, node.left );
+			}
+		}
+		return false;
+	};
+
+	//@private
+	//call fn( faceA, faceB ) for the pairs of faces in overlapping leaves,
+	//stopping when it returns true
+	var visitFacePairs = function( a, b, fn ){
+		var stack = [[a.root, b.root]],
+			pair, na, nb, i, j, fa, fb;
+		while( stack.length > 0 ){
+			pair = stack.pop();
+			na = pair[0];
+			nb = pair[1];
+			if( !boxesOverlap( na, nb ) ){
+				continue;
+			}
+			if( isLeaf( na ) && isLeaf( nb ) ){
+				for( i=na.start; i<na.start + na.count; i++ ){
+					fa = a.faces[i];
+					for( j=nb.start; j<nb.start + nb.count; j++ ){
+						fb = b.faces[j];
+						if( fn( fa, fb ) ){
+							return true;
+						}
+					}
+				}
+			} else if( isLeaf( nb ) || (!isLeaf( na ) && na.count > nb.count) ){
+				stack.push( [na.right, nb], [na.left, nb] );
+			} else {
+				stack.push( [na, nb.right], [na, nb.left] );
+			}
+		}
+		return false;
+	};
+
+	BVH.prototype = {
+		constructor: BVH,
+
+		/**
+		 * build the tree from the current faces of the mesh
+		 * @return itself
+		 */
+		build: function(){
+			var self = this,
+				faces = this.mesh.faces.slice( 0 ),
+				centroids = faces.map(function( f ){
+					return f.a.add( f.b ).addSelf( f.c ).scaleSelf( 1 / 3 );
+				}),
+				order = faces.map(function( f, i ){ return i; });
+			var split = function( start, count ){
+				var node = new Node( start, count ),
+					centroidBounds = new Node(),
+					i, axis, size, range, half;
+				clearBounds( node );
+				clearBounds( centroidBounds );
+				for( i=start; i<start + count; i++ ){
+					fitFace( node, faces[order[i]] );
+					centroidBounds.min.minSelf( centroids[order[i]] );
+					centroidBounds.max.maxSelf( centroids[order[i]] );
+				}
+				size = centroidBounds.max.sub( centroidBounds.min );
+				if( count <= self.maxLeafSize || size.magSquared() === 0 ){
+					return node;
+				}
+				//halve at the median of the longest side
+				axis = size.x >= size.y && size.x >= size.z ? 'x' : (size.y >= size.z ? 'y' : 'z');
+				range = order.slice( start, start + count ).sort(function( a, b ){
+					return centroids[a][axis] - centroids[b][axis];
+				});
+				for( i=0; i<count; i++ ){
+					order[start + i] = range[i];
+				}
+				half = Math.floor( count / 2 );
+				node.left = split( start, half );
+				node.right = split( start + half, count - half );
+				return node;
+			};
+			this.root = split( 0, faces.length );
+			this.faces = order.map(function( i ){ return faces[i]; });
+			return this;
+		},
+
+		/**
+		 * @param {toxi.geom.mesh.BVH|toxi.geom.mesh.TriangleMesh} other in the same space
+		 * @return {Face[][]} the pairs of faces of this and the other mesh that cross
+		 * each other, faces only touching in the same plane are not included
+		 */
+		getIntersectingFaces: function( other ){
+			var pairs = [];
+			visitFacePairs( this, toBVH( other ), function( a, b ){
+				if( facesIntersect( a, b ) ){
+					pairs.push( [a, b] );
+				}
+			});
+			return pairs;
+		},
+
+		/**
+		 * @return {toxi.geom.AABB} the bounds of all faces
+		 */
+		getBoundingBox: function(){
+			var AABB = require('../AABB');
+			return AABB.fromMinMax( this.root.min, this.root.max );
+		},
+
+		/**
+		 * @param {toxi.geom.Vec3D} p
+		 * @param {Number} [maxDist] only look for faces closer than this
+		 * @return {Object} with the closest point on the surface, its face,
+		 * distance and barycentric weights of the corners of the face,
+		 * undefined if there are no faces within maxDist
+		 */
+		getClosestPoint: function( p, maxDist ){
+			var best,
+				bestDistSq = maxDist === undefined ? Infinity : maxDist * maxDist,
+				stack = [this.root],
+				node, i, f, closest, d, dl, dr;
+			while( stack.length > 0 ){
+				node = stack.pop();
+				if( boxDistanceSquared( node, p ) > bestDistSq ){
+					continue;
+				}
+				if( isLeaf( node ) ){
+					for( i=node.start; i<node.start + node.count; i++ ){
+						f = this.faces[i];
+						closest = closestPointOnTriangle( p, f.a, f.b, f.c );
+						d = closest.point.distanceToSquared( p );
+						if( d <= bestDistSq ){
+							bestDistSq = d;
+							best = closest;
+							best.face = f;
+						}
+					}
+				} else {
+					//nearer child last, so it is visited first
+					dl = boxDistanceSquared( node.left, p );
+					dr = boxDistanceSquared( node.right, p );
+					if( dl < dr ){
+						stack.push( node.right, node.left );
+					} else {
+						stack.push( node.left, node.right );
+					}
+				}
+			}
+			if( best !== undefined ){
+				best.dist = Math.sqrt( bestDistSq );
+			}
+			return best;
+		},
+
+		/**
+		 * @param {toxi.geom.AABB} box
+		 * @return {Face[]} the faces overlapping the box
+		 */
+		getFacesInBox: function( box ){
+			var bounds = { min: box.getMin(), max: box.getMax() },
+				tri = new Triangle3D(),
+				found = [];
+			visitFaces( this, function( node ){
+				return boxesOverlap( node, bounds );
+			}, function( f ){
+				tri.set( f.a, f.b, f.c );
+				if( box.intersectsTriangle( tri ) ){
+					found.push( f );
+				}
+			});
+			return found;
+		},
+
+		/**
+		 * @param {toxi.geom.Sphere} sphere
+		 * @return {Face[]} the faces touching the sphere
+		 */
+		getFacesInSphere: function( sphere ){
+			var found = [],
+				radiusSq = sphere.radius * sphere.radius;
+			visitFaces( this, function( node ){
+				return boxDistanceSquared( node, sphere ) <= radiusSq;
+			}, function( f ){
+				if( closestPointOnTriangle( sphere, f.a, f.b, f.c ).point.distanceToSquared( sphere ) <= radiusSq ){
+					found.push( f );
+				}
+			});
+			return found;
+		},
+
+		/**
+		 * find the nearest face hit by the ray, from either side
+		 * @param {toxi.geom.Ray3D} ray
+		 * @param {Number} [maxDist] only look for hits closer than this,
+		 * in multiples of the length of the ray's direction
+		 * @return {toxi.geom.IsectData3D} the hit, with its face and the
+		 * barycentric weights of the corners of the face, or undefined
+		 */
+		intersectRay: function( ray, maxDist ){
+			var best,
+				bestDist = maxDist === undefined ? Infinity : maxDist,
+				stack = [this.root],
+				node, i, f, hit, dl, dr, isec;
+			if( rayBoxDistance( this.root, ray, bestDist ) === Infinity ){
+				return undefined;
+			}
+			while( stack.length > 0 ){
+				node = stack.pop();
+				if( rayBoxDistance( node, ray, bestDist ) === Infinity ){
+					continue;
+				}
+				if( isLeaf( node ) ){
+					for( i=node.start; i<node.start + node.count; i++ ){
+						f = this.faces[i];
+						hit = intersectTriangle( ray, ray.dir, f.a, f.b, f.c, bestDist );
+						if( hit !== undefined ){
+							bestDist = hit[0];
+							best = { face: f, hit: hit };
+						}
+					}
+				} else {
+					dl = rayBoxDistance( node.left, ray, bestDist );
+					dr = rayBoxDistance( node.right, ray, bestDist );
+					if( dl < dr ){
+						stack.push( node.right, node.left );
+					} else {
+						stack.push( node.left, node.right );
+					}
+				}
+			}
+			if( best === undefined ){
+				return undefined;
+			}
+			f = best.face;
+			isec = new IsectData3D();
+			isec.isIntersection = true;
+			isec.dist = best.hit[0];
+			isec.pos = ray.getPointAtDistance( isec.dist );
+			isec.dir = ray.dir.getNormalized();
+			isec.normal = f.a.sub( f.c ).crossSelf( f.a.sub( f.b ) ).normalize();
+			isec.face = f;
+			isec.barycentric = new Vec3D( 1 - best.hit[1] - best.hit[2], best.hit[1], best.hit[2] );
+			return isec;
+		},
+
+		/**
+		 * @param {toxi.geom.AABB} box
+		 * @return {Boolean} true, if a face overlaps the box
+		 */
+		intersectsBox: function( box ){
+			var bounds = { min: box.getMin(), max: box.getMax() },
+				tri = new Triangle3D();
+			return visitFaces( this, function( node ){
+				return boxesOverlap( node, bounds );
+			}, function( f ){
+				tri.set( f.a, f.b, f.c );
+				return box.intersectsTriangle( tri );
+			});
+		},
+
+		/**
+		 * @param {toxi.geom.mesh.BVH|toxi.geom.mesh.TriangleMesh} other in the same space
+		 * @return {Boolean} true, if faces of the meshes cross each other
+		 */
+		intersectsMesh: function( other ){
+			return visitFacePairs( this, toBVH( other ), facesIntersect );
+		},
+
+		/**
+		 * @param {toxi.geom.Ray3D} ray
+		 * @param {Number} [maxDist]
+		 * @return {Boolean} true, if the ray hits any face
+		 */
+		intersectsRay: function( ray, maxDist ){
+			var dist = maxDist === undefined ? Infinity : maxDist;
+			return visitFaces( this, function( node ){
+				return rayBoxDistance( node, ray, dist ) !== Infinity;
+			}, function( f ){
+				return intersectTriangle( ray, ray.dir, f.a, f.b, f.c, dist ) !== undefined;
+			});
+		},
+
+		/**
+		 * @param {toxi.geom.Sphere} sphere
+		 * @return {Boolean} true, if a face touches the sphere
+		 */
+		intersectsSphere: function( sphere ){
+			var radiusSq = sphere.radius * sphere.radius;
+			return visitFaces( this, function( node ){
+				return boxDistanceSquared( node, sphere ) <= radiusSq;
+			}, function( f ){
+				return closestPointOnTriangle( sphere, f.a, f.b, f.c ).point.distanceToSquared( sphere ) <= radiusSq;
+			});
+		},
+
+		/**
+		 * update the boxes to the current positions of the vertices, keeping
+		 * the structure of the tree. Cheaper than building it again, but the
+		 * tree gets less efficient if the faces move relative to each other a lot.
+		 * @return itself
+		 */
+		refit: function(){
+			var faces = this.faces;
+			var fit = function( node ){
+				var i;
+				if( isLeaf( node ) ){
+					clearBounds( node );
+					for( i=node.start; i<node.start + node.count; i++ ){
+						fitFace( node, faces[i] );
+					}
+				} else {
+					fit( node.left );
+					fit( node.right );
+					node.min.set( node.left.min ).minSelf( node.right.min );
+					node.max.set( node.left.max ).maxSelf( node.right.max );
+				}
+			};
+			fit( this.root );
+			return this;
+		}
+	};
+
+	//@private
+	var toBVH = function( other ){
+		if( other instanceof BVH ){
+			return other;
+		}
+		return typeof other.getBVH === 'function' ? other.getBVH() : new BVH( other );
+	};
+
+	module.exports = BVH;
+});
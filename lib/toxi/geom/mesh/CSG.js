@@ -0,0 +1,543 @@
+define(function(require, exports, module) {
+
+	var Vec3D = require('../Vec3D'),
+		Plane = require('../Plane'),
+		TriangleMesh = require('./TriangleMesh');
+
+	/**
+	 * @class Constructive solid geometry on closed meshes, using BSP trees
+	 * (after csg.js by Evan Wallace). A solid is a list of convex polygons
+	 * wound counter-clockwise when seen from the outside. Results are turned
+	 * back into meshes with the cracks between split polygons closed, so they
+	 * are watertight again.
+	 * @member toxi.geom.mesh
+	 * @param {Object[]} [polygons] as created by {@link toxi.geom.mesh.CSG.fromMesh}
+	 */
+	var CSG = function( polygons ){
+		this.polygons = polygons || [];
+	};
+
+	//tolerance of the plane classification, in world units
+	CSG.EPSILON = 1e-5;
+
+	var COPLANAR = 0,
+		FRONT = 1,
+		BACK = 2,
+		SPANNING = 3;
+
+	//@private
+	//@param {Vec3D[]} vertices
+	//@param {Plane} [plane] defaults to the plane through the first 3 vertices
+	var createPolygon = function( vertices, plane ){
+		if( plane === undefined ){
+			plane = new Plane(
+				vertices[0],
+				vertices[1].sub( vertices[0] ).crossSelf( vertices[2].sub( vertices[0] ) )
+			);
+		}
+		return { vertices: vertices, plane: plane, w: plane.normal.dot( plane ) };
+	};
+
+	//@private
+	var flipPolygon = function( polygon ){
+		polygon.vertices.reverse();
+		polygon.plane = new Plane( polygon.plane, polygon.plane.normal.getInverted() );
+		polygon.w = -polygon.w;
+	};
+
+	//@private
+	var copyPolygon = function( polygon ){
+		return { vertices: polygon.vertices.slice( 0 ), plane: polygon.plane, w: polygon.w };
+	};
+
+	//@private
+	//sort the polygon into the lists by its position to the plane of the
+	//other polygon, splitting it if it crosses the plane
+	var splitPolygon = function( splitter, polygon, coplanarFront, coplanarBack, front, back ){
+		var normal = splitter.plane.normal,
+			types = [],
+			polygonType = 0,
+			vertices = polygon.vertices,
+			n = vertices.length,
+			f, b, i, j, ti, tj, vi, vj, t, v;
+		for( i=0; i<n; i++ ){
+			t = normal.dot( vertices[i] ) - splitter.w;
+			ti = t < -CSG.EPSILON ? BACK : (t > CSG.EPSILON ? FRONT : COPLANAR);
+			polygonType |= ti;
+			types.push( ti );
+		}
+		switch( polygonType ){
+			case COPLANAR:
+				(normal.dot( polygon.plane.normal ) > 0 ? coplanarFront : coplanarBack).push( polygon );
+				break;
+			case FRONT:
+				front.push( polygon );
+				break;
+			case BACK:
+				back.push( polygon );
+				break;
+			case SPANNING:
+				f = [];
+				b = [];
+				for( i=0; i<n; i++ ){
+					j = (i + 1) % n;
+					ti = types[i];
+					tj = types[j];
+					vi = vertices[i];
+					vj = vertices[j];
+					if( ti !== BACK ){
+						f.push( vi );
+					}
+					if( ti !== FRONT ){
+						b.push( vi );
+					}
+					if( (ti | tj) === SPANNING ){
+						t = (splitter.w - normal.dot( vi )) / normal.dot( vj.sub( vi ) );
+						v = vi.interpolateTo( vj, t );
+						f.push( v );
+						b.push( v );
+					}
+				}
+				if( f.length >= 3 ){
+					front.push( createPolygon( f, polygon.plane ) );
+				}
+				if( b.length >= 3 ){
+					back.push( createPolygon( b, polygon.plane ) );
+				}
+				break;
+		}
+	};
+
+	//@private
+	//node of a BSP tree, the polygons are on its plane
+	var Node = function( polygons ){
+		this.splitter = undefined;
+		this.front = undefined;
+		this.back = undefined;
+		this.polygons = [];
+		if( polygons ){
+			this.build( polygons );
+		}
+	};
+
+	Node.prototype = {
+		allPolygons: function(){
+			var polygons = this.polygons.slice( 0 );
+			if( this.front ){
+				polygons = polygons.concat( this.front.allPolygons() );
+			}
+			if( this.back ){
+				polygons = polygons.concat( this.back.allPolygons() );
+			}
+			return polygons;
+		},
+
+		build: function( polygons ){
+			var front = [],
+				back = [],
+				i;
+			if( polygons.length === 0 ){
+				return;
+			}
+			if( this.splitter === undefined ){
+				this.splitter = copyPolygon( polygons[0] );
+			}
+			for( i=0; i<polygons.length; i++ ){
+				splitPolygon( this.splitter, polygons[i], this.polygons, this.polygons, front, back );
+			}
+			if( front.length > 0 ){
+				this.front = this.front || new Node();
+				this.front.build( front );
+			}
+			if( back.length > 0 ){
+				this.back = this.back || new Node();
+				this.back.build( back );
+			}
+		},
+
+		//remove the parts of the polygons inside this solid
+		clipPolygons: function( polygons ){
+			var front = [],
+				back = [],
+				i;
+			if( this.splitter === undefined ){
+				return polygons.slice( 0 );
+			}
+			for( i=0; i<polygons.length; i++ ){
+				splitPolygon( this.splitter, polygons[i], front, back, front, back );
+			}
+			if( this.front ){
+				front = this.front.clipPolygons( front );
+			}
+			back = this.back ? this.back.clipPolygons( back ) : [];
+			return front.concat( back );
+		},
+
+		//remove the parts of this tree's polygons inside the other tree
+		clipTo: function( bsp ){
+			this.polygons = bsp.clipPolygons( this.polygons );
+			if( this.front ){
+				this.front.clipTo( bsp );
+			}
+			if( this.back ){
+				this.back.clipTo( bsp );
+			}
+		},
+
+		//swap inside and outside
+		invert: function(){
+			var t;
+			this.polygons.forEach( flipPolygon );
+			if( this.splitter !== undefined ){
+				flipPolygon( this.splitter );
+			}
+			if( this.front ){
+				this.front.invert();
+			}
+			if( this.back ){
+				this.back.invert();
+			}
+			t = this.front;
+			this.front = this.back;
+			this.back = t;
+		}
+	};
+
+	//@private
+	//6 times the volume, positive if the faces are counter-clockwise seen from outside
+	var signedVolume = function( mesh ){
+		var volume = 0;
+		for( var i=0; i<mesh.faces.length; i++ ){
+			var f = mesh.faces[i];
+			volume += f.a.dot( f.b.cross( f.c ) );
+		}
+		return volume;
+	};
+
+	//@private
+	//merge points closer than the tolerance, returning the same object for all of them
+	var createWelder = function( tolerance ){
+		var grid = {};
+		return function( p ){
+			var x = Math.floor( p.x / tolerance ),
+				y = Math.floor( p.y / tolerance ),
+				z = Math.floor( p.z / tolerance ),
+				i, j, k, l, list;
+			for( i=x-1; i<=x+1; i++ ){
+				for( j=y-1; j<=y+1; j++ ){
+					for( k=z-1; k<=z+1; k++ ){
+						list = grid[i + ',' + j + ',' + k];
+						for( l=0; list && l<list.length; l++ ){
+							if( list[l].distanceToSquared( p ) <= tolerance * tolerance ){
+								return list[l];
+							}
+						}
+					}
+				}
+			}
+			p = new Vec3D( p );
+			list = grid[x + ',' + y + ',' + z] = grid[x + ',' + y + ',' + z] || [];
+			list.push( p );
+			return p;
+		};
+	};
+
+	//@private
+	//insert the vertices of other polygons lying on the edges of each polygon,
+	//so neighbouring faces share their edges completely
+	var fixTJunctions = function( polygons, tolerance ){
+		var vertices = [],
+			seen = {},
+			grid = {},
+			cellSize = 0,
+			numEdges = 0,
+			i, j, k, v, key, list;
+		polygons.forEach(function( polygon ){
+			polygon.vertices.forEach(function( v, i ){
+				var id = v.x + ',' + v.y + ',' + v.z;
+				if( !seen[id] ){
+					seen[id] = true;
+					vertices.push( v );
+				}
+				cellSize += v.distanceTo( polygon.vertices[(i + 1) % polygon.vertices.length] );
+				numEdges++;
+			});
+		});
+		cellSize = numEdges > 0 ? Math.max( cellSize / numEdges, tolerance ) : 1;
+		var cellOf = function( p ){
+			return [Math.floor( p.x / cellSize ), Math.floor( p.y / cellSize ), Math.floor( p.z / cellSize )];
+		};
+		for( i=0; i<vertices.length; i++ ){
+			key = cellOf( vertices[i] ).join( ',' );
+			(grid[key] = grid[key] || []).push( vertices[i] );
+		}
+		//vertices near the segment from a to b, ordered along it
+		var findOnEdge = function( a, b ){
+			var min = cellOf( a.copy().minSelf( b ) ),
+				max = cellOf( a.copy().maxSelf( b ) ),
+				dir = b.sub( a ),
+				lenSq = dir.magSquared(),
+				found = [],
+				x, y, z, l, t, p, cell;
+			if( lenSq === 0 ){
+				return found;
+			}
+			for( x=min[0]; x<=max[0]; x++ ){
+				for( y=min[1]; y<=max[1]; y++ ){
+					for( z=min[2]; z<=max[2]; z++ ){
+						cell = grid[x + ',' + y + ',' + z] || [];
+						for( l=0; l<cell.length; l++ ){
+							p = cell[l];
+							if( p === a || p === b ){
+								continue;
+							}
+							t = p.sub( a ).dot( dir ) / lenSq;
+							if( t > 0 && t < 1 && a.add( dir.scale( t ) ).distanceToSquared( p ) <= tolerance * tolerance ){
+								found.push({ t: t, p: p });
+							}
+						}
+					}
+				}
+			}
+			found.sort(function( m, n ){ return m.t - n.t; });
+			return found.map(function( m ){ return m.p; });
+		};
+		for( i=0; i<polygons.length; i++ ){
+			list = [];
+			v = polygons[i].vertices;
+			for( j=0; j<v.length; j++ ){
+				list.push( v[j] );
+				k = findOnEdge( v[j], v[(j + 1) % v.length] );
+				list = list.concat( k );
+			}
+			polygons[i].vertices = list;
+		}
+	};
+
+	//@private
+	//fan out from a corner of the convex polygon whose edges have no points
+	//inserted, so there are no degenerate triangles, or from its centre
+	var triangulate = function( vertices, addFace ){
+		var n = vertices.length,
+			corners = vertices.map(function( v, i ){
+				var prev = vertices[(i + n - 1) % n],
+					next = vertices[(i + 1) % n],
+					u = v.sub( prev ),
+					w = next.sub( v );
+				//not on a straight line, within the precision of the numbers
+				return u.cross( w ).magSquared() > 1e-18 * u.magSquared() * w.magSquared();
+			}),
+			start = -1,
+			center, i;
+		if( corners.filter(function( c ){ return c; }).length < 3 ){
+			//collapsed into a line
+			return;
+		}
+		for( i=0; i<n && start < 0; i++ ){
+			if( corners[i] && corners[(i + 1) % n] && corners[(i + n - 1) % n] ){
+				start = i;
+			}
+		}
+		if( start >= 0 ){
+			for( i=1; i<n-1; i++ ){
+				addFace( vertices[start], vertices[(start + i) % n], vertices[(start + i + 1) % n] );
+			}
+			return;
+		}
+		center = new Vec3D();
+		for( i=0; i<n; i++ ){
+			center.addSelf( vertices[i] );
+		}
+		center.scaleSelf( 1 / n );
+		for( i=0; i<n; i++ ){
+			addFace( center, vertices[i], vertices[(i + 1) % n] );
+		}
+	};
+
+	/**
+	 * @param {toxi.geom.mesh.TriangleMesh} mesh a closed mesh
+	 * @return {toxi.geom.mesh.CSG} the solid enclosed by the mesh, faces wound
+	 * either way are accepted as long as they are consistent
+	 */
+	CSG.fromMesh = function( mesh ){
+		var flip = signedVolume( mesh ) < 0,
+			polygons = [],
+			i, f;
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			if( f.b.sub( f.a ).crossSelf( f.c.sub( f.a ) ).magSquared() === 0 ){
+				continue;
+			}
+			polygons.push( createPolygon( flip ? [new Vec3D( f.a ), new Vec3D( f.c ), new Vec3D( f.b )] : [new Vec3D( f.a ), new Vec3D( f.b ), new Vec3D( f.c )] ) );
+		}
+		return new CSG( polygons );
+	};
+
+	//@private
+	//run an operation on the meshes, keeping the winding of the first one
+	var operate = function( a, b, operation ){
+		var boundsA = a.getBoundingBox(),
+			boundsB = b.getBoundingBox(),
+			result;
+		if( !boundsA.intersectsBox( boundsB ) ){
+			//nothing to split
+			if( operation === 'union' ){
+				result = CSG.fromMesh( a );
+				result.polygons = result.polygons.concat( CSG.fromMesh( b ).polygons );
+			} else if( operation === 'subtract' ){
+				result = CSG.fromMesh( a );
+			} else {
+				result = new CSG();
+			}
+		} else {
+			result = CSG.fromMesh( a )[operation]( CSG.fromMesh( b ) );
+		}
+		result = result.toMesh( new TriangleMesh( a.name + "-" + operation ) );
+		if( signedVolume( a ) < 0 ){
+			result.flipVertexOrder();
+			result.computeFaceNormals();
+			result.computeVertexNormals();
+		}
+		return result;
+	};
+
+	/**
+	 * @param {toxi.geom.mesh.TriangleMesh} a
+	 * @param {toxi.geom.mesh.TriangleMesh} b
+	 * @return {toxi.geom.mesh.TriangleMesh} a new mesh of the space in a but not in b
+	 */
+	CSG.difference = function( a, b ){
+		return operate( a, b, 'subtract' );
+	};
+
+	/**
+	 * @param {toxi.geom.mesh.TriangleMesh} a
+	 * @param {toxi.geom.mesh.TriangleMesh} b
+	 * @return {toxi.geom.mesh.TriangleMesh} a new mesh of the space in both meshes
+	 */
+	CSG.intersection = function( a, b ){
+		return operate( a, b, 'intersect' );
+	};
+
+	/**
+	 * @param {toxi.geom.mesh.TriangleMesh} a
+	 * @param {toxi.geom.mesh.TriangleMesh} b
+	 * @return {toxi.geom.mesh.TriangleMesh} a new mesh of the space in either mesh
+	 */
+	CSG.union = function( a, b ){
+		return operate( a, b, 'union' );
+	};
+
+	CSG.prototype = {
+		constructor: CSG,
+
+		/**
+		 * @return {toxi.geom.mesh.CSG} a copy, which can be modified independently
+		 */
+		copy: function(){
+			return new CSG( this.polygons.map( copyPolygon ) );
+		},
+
+		/**
+		 * @param {toxi.geom.mesh.CSG} csg
+		 * @return {toxi.geom.mesh.CSG} a new solid of the space in both solids
+		 */
+		intersect: function( csg ){
+			var a = new Node( this.copy().polygons ),
+				b = new Node( csg.copy().polygons );
+			a.invert();
+			b.clipTo( a );
+			b.invert();
+			a.clipTo( b );
+			b.clipTo( a );
+			a.build( b.allPolygons() );
+			a.invert();
+			return new CSG( a.allPolygons() );
+		},
+
+		/**
+		 * @return {toxi.geom.mesh.CSG} a new solid with inside and outside swapped
+		 */
+		inverse: function(){
+			var csg = this.copy();
+			csg.polygons.forEach( flipPolygon );
+			return csg;
+		},
+
+		/**
+		 * @param {toxi.geom.mesh.CSG} csg
+		 * @return {toxi.geom.mesh.CSG} a new solid of the space in this solid but not the other
+		 */
+		subtract: function( csg ){
+			var a = new Node( this.copy().polygons ),
+				b = new Node( csg.copy().polygons );
+			a.invert();
+			a.clipTo( b );
+			b.clipTo( a );
+			b.invert();
+			b.clipTo( a );
+			b.invert();
+			a.build( b.allPolygons() );
+			a.invert();
+			return new CSG( a.allPolygons() );
+		},
+
+		/**
+		 * turn the polygons into triangles, merging points closer than the
+		 * tolerance and closing the cracks between split polygons
+		 * @param {toxi.geom.mesh.TriangleMesh} [mesh] to add the faces to, defaults to a new one
+		 * @param {Number} [tolerance] defaults to CSG.EPSILON
+		 * @return {toxi.geom.mesh.TriangleMesh} the mesh, with normals computed
+		 */
+		toMesh: function( mesh, tolerance ){
+			tolerance = tolerance || CSG.EPSILON;
+			var weld = createWelder( tolerance ),
+				polygons = [],
+				addFace;
+			mesh = mesh || new TriangleMesh( "csg" );
+			addFace = function( a, b, c ){
+				mesh.addFace( a, b, c );
+			};
+			this.polygons.forEach(function( polygon ){
+				var vertices = [];
+				polygon.vertices.forEach(function( v ){
+					v = weld( v );
+					if( vertices[vertices.length - 1] !== v ){
+						vertices.push( v );
+					}
+				});
+				if( vertices.length > 1 && vertices[0] === vertices[vertices.length - 1] ){
+					vertices.pop();
+				}
+				if( vertices.length >= 3 ){
+					polygons.push({ vertices: vertices });
+				}
+			});
+			fixTJunctions( polygons, tolerance );
+			polygons.forEach(function( polygon ){
+				triangulate( polygon.vertices, addFace );
+			});
+			mesh.computeFaceNormals();
+			mesh.computeVertexNormals();
+			return mesh;
+		},
+
+		/**
+		 * @param {toxi.geom.mesh.CSG} csg
+		 * @return {toxi.geom.mesh.CSG} a new solid of the space in either solid
+		 */
+		union: function( csg ){
+			var a = new Node( this.copy().polygons ),
+				b = new Node( csg.copy().polygons );
+			a.clipTo( b );
+			b.clipTo( a );
+			b.invert();
+			b.clipTo( a );
+			b.invert();
+			a.build( b.allPolygons() );
+			return new CSG( a.allPolygons() );
+		}
+	};
+
+	module.exports = CSG;
+});
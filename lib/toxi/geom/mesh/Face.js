@@ -38,6 +38,11 @@ define([
 				var t = this.a;
 				this.a = this.b;
 				this.b = t;
+				if( this.uvA !== undefined ){
+					t = this.uvA;
+					this.uvA = this.uvB;
+					this.uvB = t;
+				}
 				this.normal.invert();
 			},
 			
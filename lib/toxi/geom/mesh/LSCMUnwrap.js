@@ -0,0 +1,371 @@
+define(function(require, exports, module) {
+
+	var Vec2D = require('../Vec2D');
+
+	/**
+	 * @class Unwraps arbitrary meshes into texture space. The faces are cut into
+	 * charts of faces facing in similar directions, each chart is flattened with
+	 * least squares conformal maps (Lévy et al.), keeping its angles as well as
+	 * possible, and the charts are packed side by side into the unit square.
+	 * Relative sizes are kept, so the texture has the same density everywhere.
+	 * @member toxi.geom.mesh
+	 * @param {Object} [options]
+	 * @param {Number} [options.maxAngle] largest angle between the normals of the first
+	 * face of a chart and the others, in radians, defaults to PI/3
+	 * @param {Number} [options.margin] space between the charts, relative to the size
+	 * of the texture, defaults to 0.01
+	 * @param {Number} [options.maxIterations] of the solver per chart, defaults to
+	 * 4 times the number of vertices of the chart. Both the number of iterations needed
+	 * and the time for each grow with the size of the chart, a chart of 80x80 quads
+	 * takes a few seconds.
+	 */
+	var LSCMUnwrap = function( options ){
+		options = options || {};
+		this.maxAngle = options.maxAngle === undefined ? Math.PI / 3 : options.maxAngle;
+		this.margin = options.margin === undefined ? 0.01 : options.margin;
+		this.maxIterations = options.maxIterations;
+	};
+
+	//@private
+	var edgeKey = function( a, b ){
+		return a.id < b.id ? a.id + '_' + b.id : b.id + '_' + a.id;
+	};
+
+	//@private
+	var faceArea = function( f ){
+		return f.a.sub( f.c ).crossSelf( f.a.sub( f.b ) ).magnitude() / 2;
+	};
+
+	//@private
+	//solve the normal equations of the sparse rows for the free variables
+	//with conjugate gradients, the pinned ones keep their values in x.
+	//The diagonal of A^T A is used as (Jacobi) preconditioner, which evens out
+	//faces of different sizes
+	var solve = function( rows, x, free, maxIterations ){
+		var n = x.length,
+			product = function( vec ){
+				//A^T A vec
+				var result = [],
+					i, j, row, s;
+				for( i=0; i<n; i++ ){
+					result[i] = 0;
+				}
+				for( i=0; i<rows.length; i++ ){
+					row = rows[i];
+					s = 0;
+					for( j=0; j<row.cols.length; j++ ){
+						s += row.vals[j] * vec[row.cols[j]];
+					}
+					for( j=0; j<row.cols.length; j++ ){
+						result[row.cols[j]] += row.vals[j] * s;
+					}
+				}
+				for( i=0; i<n; i++ ){
+					if( !free[i] ){
+						result[i] = 0;
+					}
+				}
+				return result;
+			},
+			dot = function( a, b ){
+				var s = 0;
+				for( var i=0; i<n; i++ ){
+					s += a[i] * b[i];
+				}
+				return s;
+			},
+			precondition = function( vec ){
+				return vec.map(function( value, i ){ return value * inverseDiagonal[i]; });
+			},
+			inverseDiagonal = [],
+			pinned = x.map(function( value, i ){ return free[i] ? 0 : value; }),
+			r = product( pinned ).map(function( value ){ return -value; }),
+			rr = dot( r, r ),
+			tolerance = rr * 1e-20,
+			z, p, rz, i, j, ap, alpha, beta, rzNew;
+		for( i=0; i<n; i++ ){
+			inverseDiagonal[i] = 0;
+			if( free[i] ){
+				x[i] = 0;
+			}
+		}
+		for( i=0; i<rows.length; i++ ){
+			for( j=0; j<rows[i].cols.length; j++ ){
+				inverseDiagonal[rows[i].cols[j]] += rows[i].vals[j] * rows[i].vals[j];
+			}
+		}
+		for( i=0; i<n; i++ ){
+			inverseDiagonal[i] = inverseDiagonal[i] > 0 ? 1 / inverseDiagonal[i] : 1;
+		}
+		z = precondition( r );
+		p = z.slice( 0 );
+		rz = dot( r, z );
+		for( i=0; i<maxIterations && rr > tolerance && rz > 0; i++ ){
+			ap = product( p );
+			alpha = rz / dot( p, ap );
+			if( !isFinite( alpha ) ){
+				break;
+			}
+			for( j=0; j<n; j++ ){
+				x[j] += alpha * p[j];
+				r[j] -= alpha * ap[j];
+			}
+			z = precondition( r );
+			rzNew = dot( r, z );
+			beta = rzNew / rz;
+			rz = rzNew;
+			rr = dot( r, r );
+			for( j=0; j<n; j++ ){
+				p[j] = z[j] + beta * p[j];
+			}
+		}
+		return x;
+	};
+
+	//@private
+	//rotate the coordinates of a chart so its bounding rectangle is the smallest
+	var alignChart = function( uvs ){
+		var points = [],
+			best = 0,
+			bestArea = Infinity,
+			id, i, k, angle, cos, sin, minX, minY, maxX, maxY, x, y, area;
+		for( id in uvs ){
+			points.push( uvs[id] );
+		}
+		for( k=0; k<90; k++ ){
+			angle = k * Math.PI / 180;
+			cos = Math.cos( angle );
+			sin = Math.sin( angle );
+			minX = minY = Infinity;
+			maxX = maxY = -Infinity;
+			for( i=0; i<points.length; i++ ){
+				x = points[i].x * cos - points[i].y * sin;
+				y = points[i].x * sin + points[i].y * cos;
+				minX = Math.min( minX, x );
+				maxX = Math.max( maxX, x );
+				minY = Math.min( minY, y );
+				maxY = Math.max( maxY, y );
+			}
+			area = (maxX - minX) * (maxY - minY);
+			if( area < bestArea - 1e-12 ){
+				bestArea = area;
+				best = angle;
+			}
+		}
+		for( i=0; i<points.length; i++ ){
+			points[i].rotate( best );
+		}
+	};
+
+	LSCMUnwrap.prototype = {
+		constructor: LSCMUnwrap,
+
+		/**
+		 * group faces connected by their edges with normals within maxAngle
+		 * of the first face of the group
+		 * @param {toxi.geom.mesh.TriangleMesh} mesh
+		 * @return {Face[][]} the faces of each chart
+		 */
+		getCharts: function( mesh ){
+			var faces = mesh.faces,
+				edgeFaces = {},
+				chartOf = [],
+				charts = [],
+				minDot = Math.cos( this.maxAngle ),
+				i, j, k, f, key, chart, queue, corners, list, other;
+			for( i=0; i<faces.length; i++ ){
+				f = faces[i];
+				corners = [f.a, f.b, f.c];
+				for( j=0; j<3; j++ ){
+					key = edgeKey( corners[j], corners[(j+1) % 3] );
+					(edgeFaces[key] = edgeFaces[key] || []).push( i );
+				}
+			}
+			for( i=0; i<faces.length; i++ ){
+				if( chartOf[i] !== undefined ){
+					continue;
+				}
+				chart = [faces[i]];
+				chartOf[i] = charts.length;
+				queue = [i];
+				while( queue.length > 0 ){
+					f = faces[queue.shift()];
+					corners = [f.a, f.b, f.c];
+					for( j=0; j<3; j++ ){
+						list = edgeFaces[edgeKey( corners[j], corners[(j+1) % 3] )];
+						//only grow across manifold edges
+						if( list.length !== 2 ){
+							continue;
+						}
+						for( k=0; k<2; k++ ){
+							other = list[k];
+							if( chartOf[other] === undefined && faces[other].normal.dot( faces[i].normal ) >= minDot ){
+								chartOf[other] = charts.length;
+								chart.push( faces[other] );
+								queue.push( other );
+							}
+						}
+					}
+				}
+				charts.push( chart );
+			}
+			return charts;
+		},
+
+		/**
+		 * flatten one chart, keeping the scale of the mesh
+		 * @param {Face[]} faces
+		 * @return {Object} the texture coordinates by vertex id
+		 */
+		flattenChart: function( faces ){
+			var ids = {},
+				vertices = [],
+				rows = [],
+				i, j, f, corners, x, free, n, e1, e2, len, local, w, scale, pinA, pinB, far, d, uvs;
+			for( i=0; i<faces.length; i++ ){
+				corners = [faces[i].a, faces[i].b, faces[i].c];
+				for( j=0; j<3; j++ ){
+					if( ids[corners[j].id] === undefined ){
+						ids[corners[j].id] = vertices.length;
+						vertices.push( corners[j] );
+					}
+				}
+			}
+			n = vertices.length;
+
+			//pin the two vertices furthest apart, the rest follows
+			far = function( from ){
+				var best = 0, dist = -1, k, dk;
+				for( k=0; k<n; k++ ){
+					dk = vertices[k].distanceToSquared( vertices[from] );
+					if( dk > dist ){
+						dist = dk;
+						best = k;
+					}
+				}
+				return best;
+			};
+			pinA = far( 0 );
+			pinB = far( pinA );
+			d = vertices[pinA].distanceTo( vertices[pinB] );
+
+			//two rows per face, the real and imaginary parts of the conformality
+			//condition, u of vertex k at k and v at n + k
+			for( i=0; i<faces.length; i++ ){
+				f = faces[i];
+				e1 = f.b.sub( f.a );
+				e2 = f.c.sub( f.a );
+				len = e1.magnitude();
+				if( len === 0 || faceArea( f ) === 0 ){
+					continue;
+				}
+				x = e2.dot( e1 ) / len;
+				local = [
+					[0, 0],
+					[len, 0],
+					[x, Math.sqrt( Math.max( 0, e2.magSquared() - x * x ) )]
+				];
+				scale = 1 / Math.sqrt( 2 * faceArea( f ) );
+				corners = [ids[f.a.id], ids[f.b.id], ids[f.c.id]];
+				w = [];
+				for( j=0; j<3; j++ ){
+					w.push([
+						(local[(j+2) % 3][0] - local[(j+1) % 3][0]) * scale,
+						(local[(j+2) % 3][1] - local[(j+1) % 3][1]) * scale
+					]);
+				}
+				rows.push({
+					cols: [corners[0], corners[1], corners[2], n + corners[0], n + corners[1], n + corners[2]],
+					vals: [w[0][0], w[1][0], w[2][0], -w[0][1], -w[1][1], -w[2][1]]
+				});
+				rows.push({
+					cols: [corners[0], corners[1], corners[2], n + corners[0], n + corners[1], n + corners[2]],
+					vals: [w[0][1], w[1][1], w[2][1], w[0][0], w[1][0], w[2][0]]
+				});
+			}
+
+			x = [];
+			free = [];
+			for( i=0; i<2*n; i++ ){
+				x[i] = 0;
+				free[i] = true;
+			}
+			free[pinA] = free[n + pinA] = false;
+			free[pinB] = free[n + pinB] = false;
+			x[pinB] = d;
+			solve( rows, x, free, this.maxIterations !== undefined ? this.maxIterations : 4 * n + 10 );
+
+			uvs = {};
+			for( i=0; i<n; i++ ){
+				uvs[vertices[i].id] = new Vec2D( x[i], x[n + i] );
+			}
+			return uvs;
+		},
+
+		/**
+		 * replace the texture coordinates of all faces of the mesh
+		 * @param {toxi.geom.mesh.TriangleMesh} mesh
+		 * @return {toxi.geom.mesh.TriangleMesh} the mesh
+		 */
+		unwrap: function( mesh ){
+			var charts = this.getCharts( mesh ),
+				layouts = [],
+				totalArea = 0,
+				maxWidth = 0,
+				padding, rowWidth, cursorX, cursorY, rowHeight, width, height, scale, i, j, k, layout, min, max, uvs, id, f;
+			for( i=0; i<charts.length; i++ ){
+				uvs = this.flattenChart( charts[i] );
+				alignChart( uvs );
+				min = new Vec2D( Infinity, Infinity );
+				max = new Vec2D( -Infinity, -Infinity );
+				for( id in uvs ){
+					min.minSelf( uvs[id] );
+					max.maxSelf( uvs[id] );
+				}
+				layouts.push({ faces: charts[i], uvs: uvs, min: min, size: max.sub( min ) });
+				for( j=0; j<charts[i].length; j++ ){
+					totalArea += faceArea( charts[i][j] );
+				}
+			}
+			//shelves of charts, tallest first, in a roughly square area
+			padding = this.margin * Math.sqrt( totalArea ) * 2;
+			layouts.sort(function( a, b ){ return b.size.y - a.size.y; });
+			totalArea = 0;
+			for( i=0; i<layouts.length; i++ ){
+				totalArea += (layouts[i].size.x + padding) * (layouts[i].size.y + padding);
+				maxWidth = Math.max( maxWidth, layouts[i].size.x + padding );
+			}
+			rowWidth = Math.max( maxWidth, Math.sqrt( totalArea ) );
+			cursorX = cursorY = rowHeight = width = 0;
+			for( i=0; i<layouts.length; i++ ){
+				layout = layouts[i];
+				if( cursorX > 0 && cursorX + layout.size.x + padding > rowWidth ){
+					cursorX = 0;
+					cursorY += rowHeight;
+					rowHeight = 0;
+				}
+				layout.offset = new Vec2D( cursorX + padding / 2, cursorY + padding / 2 );
+				cursorX += layout.size.x + padding;
+				rowHeight = Math.max( rowHeight, layout.size.y + padding );
+				width = Math.max( width, cursorX );
+			}
+			height = cursorY + rowHeight;
+			scale = Math.max( width, height );
+			scale = scale > 0 ? 1 / scale : 1;
+			for( i=0; i<layouts.length; i++ ){
+				layout = layouts[i];
+				for( j=0; j<layout.faces.length; j++ ){
+					f = layout.faces[j];
+					for( k=0; k<3; k++ ){
+						id = [f.a, f.b, f.c][k].id;
+						uvs = layout.uvs[id].sub( layout.min ).addSelf( layout.offset ).scaleSelf( scale );
+						f[['uvA', 'uvB', 'uvC'][k]] = uvs;
+					}
+				}
+			}
+			return mesh;
+		}
+	};
+
+	module.exports = LSCMUnwrap;
+});
@@ -0,0 +1,167 @@
+define(function(require, exports, module) {
+
+	var Vec3D = require('../Vec3D');
+
+	/**
+	 * @class Smooths a {@link toxi.geom.mesh.WETriangleMesh} by moving every vertex
+	 * towards the weighted average of its neighbours.
+	 * @member toxi.geom.mesh
+	 * @param {Object} [options]
+	 * @param {Number} [options.lambda] amount to move towards the average per
+	 * iteration, defaults to 0.5
+	 * @param {String} [options.weighting] LaplacianSmooth.UNIFORM (default) or
+	 * LaplacianSmooth.COTANGENT, which keeps the shape of irregular meshes better
+	 * @param {Boolean} [options.pinBoundary] keep the vertices of open edges in place
+	 * @param {toxi.geom.mesh.VertexSelector|Vertex[]} [options.pinned] vertices to keep in place
+	 */
+	var LaplacianSmooth = function( options ){
+		options = options || {};
+		this.lambda = options.lambda === undefined ? 0.5 : options.lambda;
+		this.weighting = options.weighting || LaplacianSmooth.UNIFORM;
+		this.pinBoundary = options.pinBoundary || false;
+		this.pinned = options.pinned;
+	};
+
+	LaplacianSmooth.COTANGENT = 'cotangent';
+	LaplacianSmooth.UNIFORM = 'uniform';
+
+	//@private
+	//cotangent of the angle at o in the triangle a, b, o
+	var cotangent = function( o, a, b ){
+		var u = a.sub( o ),
+			v = b.sub( o ),
+			sin = u.cross( v ).magnitude();
+		return sin > 0 ? u.dot( v ) / sin : 0;
+	};
+
+	//@private
+	var isBoundary = function( v ){
+		for( var i=0; i<v.edges.length; i++ ){
+			if( v.edges[i].faces.length < 2 ){
+				return true;
+			}
+		}
+		return false;
+	};
+
+	LaplacianSmooth.prototype = {
+		constructor: LaplacianSmooth,
+
+		/**
+		 * compute the offset of a vertex to the weighted average of its neighbours
+		 * @param {WEVertex} v
+		 * @return {Vec3D} the offset, zero for vertices without neighbours
+		 */
+		computeLaplacian: function( v ){
+			var laplacian = new Vec3D(),
+				total = 0,
+				i, j, e, n, w, faces, f, o;
+			for( i=0; i<v.edges.length; i++ ){
+				e = v.edges[i];
+				n = e.getOtherEndFor( v );
+				w = 1;
+				if( this.weighting === LaplacianSmooth.COTANGENT ){
+					w = 0;
+					faces = e.faces;
+					for( j=0; j<faces.length; j++ ){
+						f = faces[j];
+						o = f.a !== v && f.a !== n ? f.a : (f.b !== v && f.b !== n ? f.b : f.c);
+						w += cotangent( o, v, n ) / 2;
+					}
+					//obtuse triangles give negative weights, which can flip faces
+					w = Math.max( w, 0 );
+				}
+				laplacian.addSelf( n.sub( v ).scaleSelf( w ) );
+				total += w;
+			}
+			if( total > 0 ){
+				return laplacian.scaleSelf( 1 / total );
+			}
+			if( this.weighting === LaplacianSmooth.COTANGENT && v.edges.length > 0 ){
+				//degenerate neighbourhood, fall back to uniform weights
+				for( i=0; i<v.edges.length; i++ ){
+					laplacian.addSelf( v.edges[i].getOtherEndFor( v ).sub( v ) );
+				}
+				laplacian.scaleSelf( 1 / v.edges.length );
+			}
+			return laplacian;
+		},
+
+		/**
+		 * smooth the vertices of a mesh or of a selection
+		 * @param {toxi.geom.mesh.WETriangleMesh|toxi.geom.mesh.VertexSelector} mesh the
+		 * mesh, or a selector of the vertices to smooth
+		 * @param {Number} [numIterations] defaults to 1
+		 * @return {toxi.geom.mesh.WETriangleMesh} the mesh
+		 */
+		filter: function( mesh, numIterations ){
+			var vertices = this.getFilteredVertices( mesh ),
+				i;
+			if( typeof mesh.getSelection === 'function' ){
+				mesh = mesh.getMesh();
+			}
+			if( numIterations === undefined ){
+				numIterations = 1;
+			}
+			for( i=0; i<numIterations; i++ ){
+				this.filterStep( mesh, vertices );
+			}
+			mesh.computeFaceNormals();
+			mesh.computeVertexNormals();
+			if( mesh.bvh !== undefined ){
+				mesh.bvh.refit();
+			}
+			return mesh;
+		},
+
+		//@protected
+		//one iteration, moving all vertices at once
+		filterStep: function( mesh, vertices ){
+			this.moveVertices( mesh, vertices, this.lambda );
+		},
+
+		/**
+		 * @param {toxi.geom.mesh.WETriangleMesh|toxi.geom.mesh.VertexSelector} mesh
+		 * @return {WEVertex[]} the vertices moved by the filter
+		 */
+		getFilteredVertices: function( mesh ){
+			var vertices = typeof mesh.getSelection === 'function' ? mesh.getSelection() : mesh.getVertices(),
+				pinned = this.pinned || [],
+				skip = {},
+				filtered = [],
+				i, v;
+			if( typeof pinned.getSelection === 'function' ){
+				pinned = pinned.getSelection();
+			}
+			for( i=0; i<pinned.length; i++ ){
+				skip[pinned[i].id] = true;
+			}
+			for( i=0; i<vertices.length; i++ ){
+				v = vertices[i];
+				//selections can contain duplicates
+				if( !skip[v.id] && !(this.pinBoundary && isBoundary( v )) ){
+					filtered.push( v );
+				}
+				skip[v.id] = true;
+			}
+			return filtered;
+		},
+
+		//@protected
+		//@param {WETriangleMesh} mesh
+		//@param {WEVertex[]} vertices
+		//@param {Number} factor amount of the laplacian to move by
+		moveVertices: function( mesh, vertices, factor ){
+			var self = this,
+				offsets = vertices.map(function( v ){
+					return self.computeLaplacian( v ).scaleSelf( factor );
+				});
+			for( var i=0; i<vertices.length; i++ ){
+				vertices[i].addSelf( offsets[i] );
+			}
+			mesh.rebuildIndex();
+		}
+	};
+
+	module.exports = LaplacianSmooth;
+});
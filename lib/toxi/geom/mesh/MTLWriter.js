@@ -0,0 +1,135 @@
+define([
+	'require',
+	'./writerCommon'
+], function( require ){
+
+	var TextSink = require('./writerCommon').TextSink;
+
+	//@return {Array} [r,g,b] in 0-1 from a TColor or an array
+	var toRGB = function( color ){
+		if( color.rgb !== undefined ){
+			return color.rgb;
+		}
+		return color;
+	};
+
+	/**
+	 * @class Writes Wavefront MTL material libraries to accompany
+	 * {@link toxi.geom.mesh.OBJWriter}. Output can be streamed the same way.
+	 * @member toxi.geom.mesh
+	 * @param {String} [filename]
+	 */
+	var MTLWriter = function( filename ){
+		this.VERSION = "0.1";
+		this.__sink = new TextSink();
+		this.__filename = filename || "objwriter.mtl";
+		this._numMaterials = 0;
+	};
+
+	MTLWriter.prototype = {
+		constructor: MTLWriter,
+
+		/**
+		 * ambient color
+		 * @param {TColor|Array} color TColor or [r,g,b] in 0-1
+		 */
+		ambient: function( color ){
+			this._color( "Ka", color );
+		},
+
+		/**
+		 * begin saving
+		 * @param {WritableStream | Function | String} [stream] see {@link toxi.geom.mesh.OBJWriter#beginSave}
+		 * @param {Number} [bufferSize]
+		 */
+		beginSave: function( stream, bufferSize ){
+			if( typeof stream == 'string' ){
+				this.__filename = stream;
+				stream = undefined;
+			}
+			this.__sink = new TextSink( stream, bufferSize );
+			this._numMaterials = 0;
+			this.__sink.write("# generated by MTLExport (js) v" + this.VERSION + "\n");
+		},
+
+		/**
+		 * diffuse color
+		 * @param {TColor|Array} color TColor or [r,g,b] in 0-1
+		 */
+		diffuse: function( color ){
+			this._color( "Kd", color );
+		},
+
+		/**
+		 * @param {String} filename texture used for the diffuse color
+		 */
+		diffuseMap: function( filename ){
+			this.__sink.write("map_Kd " + filename + "\n");
+		},
+
+		endSave: function(){
+			this.__sink.end();
+		},
+
+		getFilename: function(){
+			return this.__filename;
+		},
+
+		getNumMaterials: function(){
+			return this._numMaterials;
+		},
+
+		//@return {String} the MTL, empty when streaming to a WritableStream or callback
+		getOutput: function(){
+			return this.__sink.toString();
+		},
+
+		/**
+		 * @param {Number} model illumination model, 0-10
+		 */
+		illumination: function( model ){
+			this.__sink.write("illum " + model + "\n");
+		},
+
+		/**
+		 * begin a new material, following calls set its properties
+		 * @param {String} name
+		 */
+		newMaterial: function( name ){
+			if( this._numMaterials > 0 ){
+				this.__sink.write("\n");
+			}
+			this.__sink.write("newmtl " + name + "\n");
+			this._numMaterials++;
+		},
+
+		/**
+		 * @param {Number} alpha 1 is fully opaque
+		 */
+		opacity: function( alpha ){
+			this.__sink.write("d " + alpha + "\n");
+		},
+
+		/**
+		 * specular color
+		 * @param {TColor|Array} color TColor or [r,g,b] in 0-1
+		 */
+		specular: function( color ){
+			this._color( "Ks", color );
+		},
+
+		/**
+		 * @param {Number} exponent specular exponent, 0-1000
+		 */
+		specularExponent: function( exponent ){
+			this.__sink.write("Ns " + exponent + "\n");
+		},
+
+		_color: function( keyword, color ){
+			var rgb = toRGB( color );
+			this.__sink.write(keyword + " " + rgb[0] + " " + rgb[1] + " " + rgb[2] + "\n");
+		}
+	};
+
+	return MTLWriter;
+});
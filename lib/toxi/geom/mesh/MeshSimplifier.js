@@ -0,0 +1,525 @@
+define(function(require, exports, module) {
+
+	var Vec2D = require('../Vec2D'),
+		Vec3D = require('../Vec3D');
+
+	/**
+	 * @class Reduces the number of faces of a mesh by collapsing edges, picking
+	 * the edges which change the shape the least first by measuring the
+	 * quadric error (Garland & Heckbert) of the new vertex to the planes of the
+	 * original faces around it.
+	 * @member toxi.geom.mesh
+	 * @param {Object} [options]
+	 * @param {Number} [options.targetFaces] stop at this number of faces, defaults to
+	 * half of the faces of the mesh
+	 * @param {Number} [options.maxError] stop when the cheapest collapse would move
+	 * the surface further than this (squared distance), defaults to Infinity
+	 * @param {Boolean} [options.preserveBoundary] keep open edges and UV seams in shape,
+	 * so their vertices only move along them, defaults to true
+	 */
+	var MeshSimplifier = function( options ){
+		options = options || {};
+		this.targetFaces = options.targetFaces;
+		this.maxError = options.maxError === undefined ? Infinity : options.maxError;
+		this.preserveBoundary = options.preserveBoundary === undefined ? true : options.preserveBoundary;
+	};
+
+	//weight of the planes keeping boundaries in shape
+	MeshSimplifier.BOUNDARY_WEIGHT = 1000;
+
+	//@private
+	//binary min-heap of collapse candidates ordered by cost
+	var Heap = function(){
+		this.items = [];
+	};
+	Heap.prototype = {
+		pop: function(){
+			var items = this.items,
+				top = items[0],
+				last = items.pop(),
+				i = 0,
+				n = items.length,
+				l, r, m, t;
+			if( n > 0 ){
+				items[0] = last;
+				while( true ){
+					l = 2 * i + 1;
+					r = l + 1;
+					m = i;
+					if( l < n && items[l].cost < items[m].cost ){ m = l; }
+					if( r < n && items[r].cost < items[m].cost ){ m = r; }
+					if( m === i ){ break; }
+					t = items[i];
+					items[i] = items[m];
+					items[m] = t;
+					i = m;
+				}
+			}
+			return top;
+		},
+		push: function( item ){
+			var items = this.items,
+				i = items.length,
+				p, t;
+			items.push( item );
+			while( i > 0 ){
+				p = (i - 1) >> 1;
+				if( items[p].cost <= items[i].cost ){ break; }
+				t = items[i];
+				items[i] = items[p];
+				items[p] = t;
+				i = p;
+			}
+		},
+		size: function(){
+			return this.items.length;
+		}
+	};
+
+	//@private
+	//symmetric 4x4 matrix of the plane n.x + d = 0 as 10 coefficients
+	var planeQuadric = function( n, d, weight ){
+		return [
+			n.x * n.x * weight, n.x * n.y * weight, n.x * n.z * weight, n.x * d * weight,
+			n.y * n.y * weight, n.y * n.z * weight, n.y * d * weight,
+			n.z * n.z * weight, n.z * d * weight,
+			d * d * weight
+		];
+	};
+
+	//@private
+	var addQuadric = function( q, o ){
+		for( var i=0; i<10; i++ ){
+			q[i] += o[i];
+		}
+		return q;
+	};
+
+	//@private
+	var quadricError = function( q, v ){
+		var x = v.x, y = v.y, z = v.z;
+		return Math.max( 0,
+			q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+			q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+			q[7] * z * z + 2 * q[8] * z +
+			q[9]
+		);
+	};
+
+	//@private
+	//the point with the smallest error, undefined if it isn't well defined
+	var optimalPosition = function( q ){
+		var a = q[0], b = q[1], c = q[2],
+			e = q[4], f = q[5],
+			h = q[7],
+			det = a * (e * h - f * f) - b * (b * h - f * c) + c * (b * f - e * c),
+			scale = Math.abs( a ) + Math.abs( e ) + Math.abs( h );
+		if( Math.abs( det ) <= 1e-12 * scale * scale * scale ){
+			return undefined;
+		}
+		var u = -q[3], v = -q[6], w = -q[8];
+		return new Vec3D(
+			(u * (e * h - f * f) - b * (v * h - f * w) + c * (v * f - e * w)) / det,
+			(a * (v * h - w * f) - u * (b * h - f * c) + c * (b * w - v * c)) / det,
+			(a * (e * w - f * v) - b * (b * w - v * c) + u * (b * f - e * c)) / det
+		);
+	};
+
+	//@private
+	var sameUV = function( a, b ){
+		if( a === undefined || b === undefined ){
+			return a === b;
+		}
+		return a.x === b.x && a.y === b.y;
+	};
+
+	MeshSimplifier.prototype = {
+		constructor: MeshSimplifier,
+
+		/**
+		 * @param {toxi.geom.mesh.TriangleMesh} mesh the mesh to simplify, it isn't modified
+		 * @param {toxi.geom.mesh.TriangleMesh} [result] mesh to add the faces to,
+		 * defaults to a new mesh of the same type as the given one
+		 * @return {toxi.geom.mesh.TriangleMesh} the simplified mesh
+		 */
+		simplify: function( mesh, result ){
+			result = result || new mesh.constructor();
+			this._init( mesh );
+			this._collapseEdges();
+			return this._createMesh( result );
+		},
+
+		//@private
+		//copy the mesh into indexed arrays and compute the quadrics
+		_init: function( mesh ){
+			var ids = {},
+				positions = [],
+				faces = [],
+				vertexFaces = [],
+				edgeFaces = {},
+				indexOf = function( v ){
+					if( ids[v.id] === undefined ){
+						ids[v.id] = positions.length;
+						positions.push( new Vec3D( v ) );
+						vertexFaces.push( [] );
+					}
+					return ids[v.id];
+				},
+				i, j, f, face, key, n, area, list;
+			for( i=0; i<mesh.faces.length; i++ ){
+				f = mesh.faces[i];
+				face = {
+					v: [indexOf( f.a ), indexOf( f.b ), indexOf( f.c )],
+					uv: [f.uvA, f.uvB, f.uvC],
+					removed: false
+				};
+				if( face.v[0] === face.v[1] || face.v[1] === face.v[2] || face.v[2] === face.v[0] ){
+					continue;
+				}
+				for( j=0; j<3; j++ ){
+					vertexFaces[face.v[j]].push( faces.length );
+					key = this._edgeKey( face.v[j], face.v[(j+1) % 3] );
+					(edgeFaces[key] = edgeFaces[key] || []).push( faces.length );
+				}
+				faces.push( face );
+			}
+			this.positions = positions;
+			this.faces = faces;
+			this.vertexFaces = vertexFaces;
+			this.versions = positions.map(function(){ return 0; });
+			this.removed = positions.map(function(){ return false; });
+			this.numFaces = faces.length;
+			this.quadrics = positions.map(function(){ return [0,0,0,0,0,0,0,0,0,0]; });
+			this.locked = positions.map(function(){ return false; });
+			this.constrainedEdges = {};
+
+			for( i=0; i<faces.length; i++ ){
+				face = faces[i];
+				n = this._getFaceNormal( face.v[0], face.v[1], face.v[2] );
+				area = n.magnitude() / 2;
+				if( area === 0 ){
+					continue;
+				}
+				n.normalize();
+				for( j=0; j<3; j++ ){
+					addQuadric( this.quadrics[face.v[j]], planeQuadric( n, -n.dot( positions[face.v[j]] ), area ) );
+				}
+			}
+
+			if( this.preserveBoundary ){
+				for( key in edgeFaces ){
+					list = edgeFaces[key];
+					if( list.length === 1 || this._isSeam( key, list ) ){
+						this._constrainEdge( key, list[0] );
+					}
+				}
+			}
+
+			this.heap = new Heap();
+			for( key in edgeFaces ){
+				list = key.split( '_' );
+				this._pushCollapse( parseInt( list[0], 10 ), parseInt( list[1], 10 ) );
+			}
+		},
+
+		//@private
+		//lock the vertices of an edge and add planes perpendicular to its face
+		_constrainEdge: function( key, faceIndex ){
+			var ends = key.split( '_' ),
+				a = parseInt( ends[0], 10 ),
+				b = parseInt( ends[1], 10 ),
+				face = this.faces[faceIndex],
+				dir = this.positions[b].sub( this.positions[a] ),
+				length = dir.magnitude(),
+				n = this._getFaceNormal( face.v[0], face.v[1], face.v[2] ).normalize(),
+				plane = dir.cross( n ),
+				q;
+			this.constrainedEdges[key] = true;
+			this.locked[a] = this.locked[b] = true;
+			if( length === 0 || plane.isZeroVector() ){
+				return;
+			}
+			plane.normalize();
+			q = planeQuadric( plane, -plane.dot( this.positions[a] ), MeshSimplifier.BOUNDARY_WEIGHT * length * length );
+			addQuadric( this.quadrics[a], q );
+			addQuadric( this.quadrics[b], q );
+		},
+
+		//@private
+		_edgeKey: function( a, b ){
+			return a < b ? a + '_' + b : b + '_' + a;
+		},
+
+		//@private
+		//positions of both ends to consider for the collapse of an edge
+		_getCandidates: function( a, b, q ){
+			var positions = this.positions,
+				locked = this.locked,
+				optimal;
+			if( locked[a] && locked[b] ){
+				//only along boundaries and seams, never across
+				if( !this.constrainedEdges[this._edgeKey( a, b )] ){
+					return [];
+				}
+				return [positions[a], positions[b]];
+			}
+			if( locked[a] ){
+				return [positions[a]];
+			}
+			if( locked[b] ){
+				return [positions[b]];
+			}
+			optimal = optimalPosition( q );
+			//far away solutions of nearly flat regions aren't useful
+			if( optimal !== undefined && optimal.distanceTo( positions[a] ) + optimal.distanceTo( positions[b] ) < 2 * positions[a].distanceTo( positions[b] ) ){
+				return [optimal];
+			}
+			return [positions[a], positions[b], positions[a].interpolateTo( positions[b], 0.5 )];
+		},
+
+		//@private
+		_getFaceNormal: function( a, b, c ){
+			var p = this.positions;
+			return p[a].sub( p[c] ).crossSelf( p[a].sub( p[b] ) );
+		},
+
+		//@private
+		//true if both faces of an edge disagree on the texture coordinates of its ends
+		_isSeam: function( key, list ){
+			var ends = key.split( '_' ),
+				faces = this.faces,
+				uvOf = function( face, v ){
+					return face.uv[face.v.indexOf( v )];
+				},
+				i, a, b;
+			if( list.length !== 2 ){
+				return list.length > 2;
+			}
+			a = parseInt( ends[0], 10 );
+			b = parseInt( ends[1], 10 );
+			for( i=0; i<2; i++ ){
+				if( !sameUV( uvOf( faces[list[0]], i === 0 ? a : b ), uvOf( faces[list[1]], i === 0 ? a : b ) ) ){
+					return true;
+				}
+			}
+			return false;
+		},
+
+		//@private
+		_pushCollapse: function( a, b ){
+			var q = addQuadric( this.quadrics[a].slice( 0 ), this.quadrics[b] ),
+				candidates = this._getCandidates( a, b, q ),
+				best, cost, i, e;
+			for( i=0; i<candidates.length; i++ ){
+				e = quadricError( q, candidates[i] );
+				if( best === undefined || e < cost ){
+					best = candidates[i];
+					cost = e;
+				}
+			}
+			if( best !== undefined ){
+				this.heap.push({
+					a: a,
+					b: b,
+					cost: cost,
+					target: best,
+					versionA: this.versions[a],
+					versionB: this.versions[b]
+				});
+			}
+		},
+
+		//@private
+		_collapseEdges: function(){
+			var heap = this.heap,
+				targetFaces = this.targetFaces === undefined ? Math.floor( this.faces.length / 2 ) : this.targetFaces,
+				item;
+			while( this.numFaces > targetFaces && heap.size() > 0 ){
+				item = heap.pop();
+				if( item.cost > this.maxError ){
+					break;
+				}
+				if( this.removed[item.a] || this.removed[item.b] ||
+					item.versionA !== this.versions[item.a] || item.versionB !== this.versions[item.b] ){
+					//outdated
+					continue;
+				}
+				this._collapse( item.a, item.b, item.target );
+			}
+		},
+
+		//@private
+		//move a to the target and remove b, if that keeps the mesh valid
+		_collapse: function( a, b, target ){
+			var positions = this.positions,
+				faces = this.faces,
+				shared = [],
+				neighborsA = {},
+				common = 0,
+				affected = [],
+				i, j, f, face, oldNormal, newNormal, t, edge, moved, uvA, uvB, neighbors;
+
+			//faces of both vertices, shared ones get removed
+			for( i=0; i<this.vertexFaces[a].length; i++ ){
+				face = faces[this.vertexFaces[a][i]];
+				if( face.v.indexOf( b ) >= 0 ){
+					shared.push( this.vertexFaces[a][i] );
+				} else {
+					affected.push( this.vertexFaces[a][i] );
+				}
+				for( j=0; j<3; j++ ){
+					neighborsA[face.v[j]] = true;
+				}
+			}
+			for( i=0; i<this.vertexFaces[b].length; i++ ){
+				if( faces[this.vertexFaces[b][i]].v.indexOf( a ) < 0 ){
+					affected.push( this.vertexFaces[b][i] );
+				}
+			}
+			//only collapse if a and b share no other neighbours than the
+			//corners of their shared faces, otherwise the mesh gets non-manifold
+			neighbors = {};
+			for( i=0; i<this.vertexFaces[b].length; i++ ){
+				face = faces[this.vertexFaces[b][i]];
+				for( j=0; j<3; j++ ){
+					if( face.v[j] !== a && face.v[j] !== b && neighborsA[face.v[j]] && !neighbors[face.v[j]] ){
+						neighbors[face.v[j]] = true;
+						common++;
+					}
+				}
+			}
+			if( common !== shared.length || shared.length === 0 ){
+				return false;
+			}
+			//the remaining faces must not flip or become degenerate
+			for( i=0; i<affected.length; i++ ){
+				face = faces[affected[i]];
+				oldNormal = this._getFaceNormal( face.v[0], face.v[1], face.v[2] );
+				moved = face.v.map(function( v ){
+					return v === a || v === b ? target : positions[v];
+				});
+				newNormal = moved[0].sub( moved[2] ).crossSelf( moved[0].sub( moved[1] ) );
+				if( newNormal.magnitude() <= 1e-12 * oldNormal.magnitude() || newNormal.dot( oldNormal ) <= 0.1 * newNormal.magnitude() * oldNormal.magnitude() ){
+					return false;
+				}
+			}
+
+			//texture coordinates along the edge, from the faces sharing it
+			edge = positions[b].sub( positions[a] );
+			t = edge.magSquared() > 0 ? Math.min( 1, Math.max( 0, target.sub( positions[a] ).dot( edge ) / edge.magSquared() ) ) : 0;
+			for( i=0; i<affected.length; i++ ){
+				face = faces[affected[i]];
+				j = face.v.indexOf( a ) >= 0 ? face.v.indexOf( a ) : face.v.indexOf( b );
+				if( face.uv[j] === undefined ){
+					continue;
+				}
+				for( f=0; f<shared.length; f++ ){
+					uvA = faces[shared[f]].uv[faces[shared[f]].v.indexOf( a )];
+					uvB = faces[shared[f]].uv[faces[shared[f]].v.indexOf( b )];
+					if( sameUV( face.v[j] === a ? uvA : uvB, face.uv[j] ) ){
+						break;
+					}
+				}
+				if( f < shared.length ){
+					face.uv[j] = new Vec2D( uvA ).interpolateToSelf( uvB, t );
+				}
+			}
+
+			//apply
+			for( i=0; i<shared.length; i++ ){
+				face = faces[shared[i]];
+				face.removed = true;
+				this.numFaces--;
+				for( j=0; j<3; j++ ){
+					if( face.v[j] !== a && face.v[j] !== b ){
+						f = this.vertexFaces[face.v[j]];
+						f.splice( f.indexOf( shared[i] ), 1 );
+					}
+				}
+			}
+			for( i=0; i<affected.length; i++ ){
+				face = faces[affected[i]];
+				j = face.v.indexOf( b );
+				if( j >= 0 ){
+					face.v[j] = a;
+				}
+			}
+			positions[a] = target.copy();
+			addQuadric( this.quadrics[a], this.quadrics[b] );
+			if( this.locked[b] ){
+				this.locked[a] = true;
+			}
+			this._moveConstraints( a, b, affected );
+			this.vertexFaces[a] = affected;
+			this.vertexFaces[b] = [];
+			this.removed[b] = true;
+			//new costs for the edges around a, the edges of its neighbours keep
+			//theirs but may have been rejected before and can be valid now
+			this.versions[a]++;
+			neighbors = this._pushVertexEdges( a );
+			for( i=0; i<neighbors.length; i++ ){
+				this._pushVertexEdges( neighbors[i], a );
+			}
+			return true;
+		},
+
+		//@private
+		//constrained edges of b now end at a
+		_moveConstraints: function( a, b, affected ){
+			var faces = this.faces,
+				constrained = this.constrainedEdges,
+				i, j, v;
+			for( i=0; i<affected.length; i++ ){
+				for( j=0; j<3; j++ ){
+					v = faces[affected[i]].v[j];
+					if( v !== a && v !== b && constrained[this._edgeKey( b, v )] ){
+						delete constrained[this._edgeKey( b, v )];
+						constrained[this._edgeKey( a, v )] = true;
+					}
+				}
+			}
+		},
+
+		//@private
+		//@param {Number} v
+		//@param {Number} [skip] neighbour whose edge is already queued
+		//@return {Number[]} the neighbours of v
+		_pushVertexEdges: function( v, skip ){
+			var faces = this.faces,
+				list = this.vertexFaces[v],
+				seen = {},
+				neighbors = [],
+				i, j, w;
+			for( i=0; i<list.length; i++ ){
+				for( j=0; j<3; j++ ){
+					w = faces[list[i]].v[j];
+					if( w !== v && !seen[w] ){
+						seen[w] = true;
+						neighbors.push( w );
+						if( w !== skip ){
+							this._pushCollapse( v, w );
+						}
+					}
+				}
+			}
+			return neighbors;
+		},
+
+		//@private
+		_createMesh: function( mesh ){
+			var positions = this.positions,
+				faces = this.faces,
+				i, f;
+			for( i=0; i<faces.length; i++ ){
+				f = faces[i];
+				if( !f.removed && this._getFaceNormal( f.v[0], f.v[1], f.v[2] ).magSquared() > 0 ){
+					mesh.addFace( positions[f.v[0]], positions[f.v[1]], positions[f.v[2]], undefined, f.uv[0], f.uv[1], f.uv[2] );
+				}
+			}
+			mesh.computeVertexNormals();
+			return mesh;
+		}
+	};
+
+	module.exports = MeshSimplifier;
+});
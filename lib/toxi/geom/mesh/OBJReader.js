@@ -0,0 +1,161 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../Vec2D',
+	'../Vec3D',
+	'./readerCommon'
+], function( require, exports, module ){
+
+	var Vec2D = require('../Vec2D'),
+		Vec3D = require('../Vec3D'),
+		common = require('./readerCommon');
+
+	/**
+	 * @class Parses Wavefront OBJ files into a TriangleMesh or WETriangleMesh.
+	 * Polygonal faces are triangulated as fans, texture coordinates
+	 * are kept on the faces and vertex normals are kept on the vertices.
+	 * @member toxi.geom.mesh
+	 */
+	var OBJReader = function(){
+		this._numLines = 0;
+	};
+
+	OBJReader.prototype = {
+		constructor: OBJReader,
+
+		/**
+		 * @return {Number} number of lines read in the last parse
+		 */
+		getNumLinesRead: function(){
+			return this._numLines;
+		},
+
+		/**
+		 * parse the contents of an OBJ file
+		 * @param {String} str the OBJ file contents
+		 * @param {TriangleMesh|WETriangleMesh} [mesh] optionally provide the mesh to add faces to
+		 * @return {TriangleMesh|WETriangleMesh}
+		 */
+		parse: function( str, mesh ){
+			mesh = common.getMesh( mesh );
+			var lines = str.split(/\r?\n/),
+				vertices = [],
+				uvs = [],
+				normals = [],
+				corners = [],
+				lineNumber = 0,
+				line, parts, keyword, values, nums, polygon, i, j;
+
+			//resolve a 1-based or negative relative index into an array
+			var lookup = function( list, token, type ){
+				if( !/^-?\d+$/.test( token ) ){
+					throw common.parseError( "OBJReader", lineNumber, "invalid " + type + " index `" + token + "`" );
+				}
+				var index = parseInt( token, 10 );
+				index = index < 0 ? list.length + index : index - 1;
+				if( index < 0 || index >= list.length ){
+					throw common.parseError( "OBJReader", lineNumber, type + " index " + token + " out of range" );
+				}
+				return list[index];
+			};
+
+			var parseNumbers = function( min, max ){
+				if( values.length < min || values.length > max ){
+					throw common.parseError( "OBJReader", lineNumber, "`" + keyword + "` expects " + min + (max > min ? " to " + max : "") + " values" );
+				}
+				var nums = [];
+				for( var k=0; k<values.length; k++ ){
+					nums[k] = common.toNumber( values[k] );
+					if( isNaN(nums[k]) ){
+						throw common.parseError( "OBJReader", lineNumber, "invalid number `" + values[k] + "`" );
+					}
+				}
+				return nums;
+			};
+
+			var parseCorner = function( token ){
+				var refs = token.split('/');
+				if( refs.length > 3 ){
+					throw common.parseError( "OBJReader", lineNumber, "invalid face vertex `" + token + "`" );
+				}
+				return {
+					position: lookup( vertices, refs[0], "vertex" ),
+					uv: refs.length > 1 && refs[1] !== "" ? lookup( uvs, refs[1], "texture coordinate" ) : undefined,
+					normal: refs.length > 2 && refs[2] !== "" ? lookup( normals, refs[2], "normal" ) : undefined
+				};
+			};
+
+			for( i=0; i<lines.length; i++ ){
+				lineNumber = i+1;
+				line = lines[i];
+				//strip comments and whitespace
+				j = line.indexOf('#');
+				if( j > -1 ){
+					line = line.substring( 0, j );
+				}
+				line = line.trim();
+				if( line.length === 0 ){
+					continue;
+				}
+				parts = line.split(/\s+/);
+				keyword = parts[0];
+				values = parts.slice(1);
+				var nums;
+				switch( keyword ){
+					case 'v':
+						nums = parseNumbers( 3, 4 );
+						vertices.push( new Vec3D( nums[0], nums[1], nums[2] ) );
+						break;
+					case 'vt':
+						nums = parseNumbers( 1, 3 );
+						uvs.push( new Vec2D( nums[0], nums.length > 1 ? nums[1] : 0 ) );
+						break;
+					case 'vn':
+						nums = parseNumbers( 3, 3 );
+						normals.push( new Vec3D( nums[0], nums[1], nums[2] ).normalize() );
+						break;
+					case 'f':
+						if( values.length < 3 ){
+							throw common.parseError( "OBJReader", lineNumber, "faces need at least 3 vertices" );
+						}
+						polygon = [];
+						for( j=0; j<values.length; j++ ){
+							polygon.push( parseCorner( values[j] ) );
+						}
+						//triangulate as a fan around the first vertex
+						for( j=1; j<polygon.length-1; j++ ){
+							this._addTriangle( mesh, polygon[0], polygon[j], polygon[j+1], corners );
+						}
+						break;
+					//ignored: objects, groups, smoothing, materials, lines, points, free-form geometry
+					default:
+						break;
+				}
+			}
+			this._numLines = lines.length;
+			if( corners.length > 0 ){
+				common.applyVertexNormals( corners );
+			}
+			return mesh;
+		},
+
+		_addTriangle: function( mesh, a, b, c, corners ){
+			var hasUVs = a.uv !== undefined && b.uv !== undefined && c.uv !== undefined,
+				face = common.addFace( mesh, a.position, b.position, c.position,
+					hasUVs ? a.uv.copy() : undefined,
+					hasUVs ? b.uv.copy() : undefined,
+					hasUVs ? c.uv.copy() : undefined
+				);
+			if( face === undefined ){
+				return;
+			}
+			//face vertices were swapped to b, a, c
+			if( b.normal ){ corners.push({ vertex: face.a, normal: b.normal }); }
+			if( a.normal ){ corners.push({ vertex: face.b, normal: a.normal }); }
+			if( c.normal ){ corners.push({ vertex: face.c, normal: c.normal }); }
+		}
+	};
+
+	module.exports = OBJReader;
+});
@@ -1,96 +1,149 @@
 define([
-	'../../internals'
-], function( internals ){
-
-	//faster than str += " "
-	var StringBuffer = function(){
-		this.buffer = [];
-	};
-	StringBuffer.prototype.append = function(string){
-		this.buffer.push(string);
-		return this;
-	};
-	StringBuffer.prototype.toString = function(){
-		return this.buffer.join("");
-	};
-	
-	var OBJWriter = function(){
+	'require',
+	'./writerCommon'
+], function( require ){
+
+	var TextSink = require('./writerCommon').TextSink;
+
+	/**
+	 * @class Writes Wavefront OBJ files. Output can be passed on in chunks
+	 * to a node.js WritableStream or a callback, otherwise it is kept in
+	 * memory and returned by `getOutput()`. Writing is synchronous, so text
+	 * written while the stream is full waits in the writer until it drains.
+	 * To keep memory low for large meshes write them in parts and continue
+	 * each with `onDrain()`.
+	 * @member toxi.geom.mesh
+	 * @param {String} [filename]
+	 */
+	var OBJWriter = function( filename ){
 		this.VERSION = "0.3";
-		this.__stringBuffer = new StringBuffer();
-		this.objStream = undefined;
-		this.__filename = "objwriter.obj";
+		this.__sink = new TextSink();
+		this.__filename = filename || "objwriter.obj";
 		this._numVerticesWritten = 0;
 		this._numNormalsWritten = 0;
+		this._numUVsWritten = 0;
 	};
 
 
 	OBJWriter.prototype = {
 		/**
 		 * begin saving
-		 * @param {WritableStream | String} [stream] stream can be a node.js WritableStream, or it can be a filename or undefined
+		 * @param {WritableStream | Function | String} [stream] stream can be a node.js WritableStream
+		 * (or any object with `write()` and `end()`), a callback receiving each chunk of text,
+		 * or a filename to keep the output in memory under. To write a file in node.js pass
+		 * `fs.createWriteStream( filename )`
+		 * @param {Number} [bufferSize] number of characters collected before each write to the stream
 		 */
-		beginSave: function( stream ){
+		beginSave: function( stream, bufferSize ){
 			if( typeof stream == 'string' ){
-				//if node.js create a writeable stream with this filename
-			} else if( internals.hasProperties(stream,['write','end','writable'] && stream.writable)){
-				this.objStream = stream;
-			} else {
+				this.__filename = stream;
+				stream = undefined;
 			}
+			this.__sink = new TextSink( stream, bufferSize );
 			this._handleBeginSave();
 		},
 
+		/**
+		 * finish saving, flushes remaining output and ends the stream
+		 */
 		endSave: function(){
-			if(this.objStream !== undefined ){
-				try {
-					this.objStream.destroy();
-				} catch( e ){
-
-				}
-			}
+			this.__sink.end();
 		},
 
 		face: function( a, b, c ){
-			this.__stringBuffer.append("f " + a + " " + b + " " + c + "\n");
+			this.__sink.write("f " + a + " " + b + " " + c + "\n");
 		},
 
 		faceList: function(){
-			this.__stringBuffer.append("s off \n");
+			this.__sink.write("s off\n");
 		},
 
 		faceWithNormals: function( a, b, c, na, nb, nc ){
-			this.__stringBuffer.append("f " + a + "//" + na + " " + b + "//" + nb + " " + c + "//" + nc + "\n");
+			this.__sink.write("f " + a + "//" + na + " " + b + "//" + nb + " " + c + "//" + nc + "\n");
+		},
+
+		faceWithUVs: function( a, b, c, ta, tb, tc ){
+			this.__sink.write("f " + a + "/" + ta + " " + b + "/" + tb + " " + c + "/" + tc + "\n");
+		},
+
+		faceWithUVsAndNormals: function( a, b, c, ta, tb, tc, na, nb, nc ){
+			this.__sink.write("f " + a + "/" + ta + "/" + na + " " + b + "/" + tb + "/" + nb + " " + c + "/" + tc + "/" + nc + "\n");
 		},
 
 		getCurrNormalOffset: function(){
 			return this._numNormalsWritten;
 		},
 
+		getCurrUVOffset: function(){
+			return this._numUVsWritten;
+		},
+
 		getCurrVertexOffset: function(){
 			return this._numVerticesWritten;
 		},
 
+		getFilename: function(){
+			return this.__filename;
+		},
+
 		//not in java version
+		//@return {String} the OBJ, empty when streaming to a WritableStream or callback
 		getOutput: function(){
-			return this.__stringBuffer.toString();
+			return this.__sink.toString();
 		},
 
 		_handleBeginSave: function(){
-			this.numVerticesWritten = 0;
-			this.numNormalsWrittern = 0;
-			this.__stringBuffer.append("# generated by OBJExport (js) v" + this.VERSION+'\n');
+			this._numVerticesWritten = 0;
+			this._numNormalsWritten = 0;
+			this._numUVsWritten = 0;
+			this.__sink.write("# generated by OBJExport (js) v" + this.VERSION+'\n');
+		},
+
+		/**
+		 * reference a material library, as written by {@link toxi.geom.mesh.MTLWriter}
+		 * @param {String} filename
+		 */
+		materialLib: function( filename ){
+			this.__sink.write("mtllib " + filename + "\n");
+		},
+
+		newGroup: function( name ){
+			this.__sink.write("g " + name + "\n");
 		},
 
 		newObject: function( name ){
-			this.__stringBuffer.append("o " + name + "\n");
+			this.__sink.write("o " + name + "\n");
 		},
 
 		normal: function( vecN ){
-			this.__stringBuffer.append("vn " + vecN.x + " " + vecN.y + " " + vecN.z + "\n");
+			this.__sink.write("vn " + vecN.x + " " + vecN.y + " " + vecN.z + "\n");
 			this._numNormalsWritten++;
 		},
 
+		/**
+		 * call a function once the stream can take more output, right away
+		 * when it isn't waiting for the stream to drain
+		 * @param {Function} callback
+		 */
+		onDrain: function( callback ){
+			this.__sink.onDrain( callback );
+		},
+
+		/**
+		 * use a material from the material library for all following faces
+		 * @param {String} name
+		 */
+		useMaterial: function( name ){
+			this.__sink.write("usemtl " + name + "\n");
+		},
+
+		uv: function( vecUV ){
+			this.__sink.write("vt " + vecUV.x + " " + vecUV.y + "\n");
+			this._numUVsWritten++;
+		},
+
 		vertex: function( vecV ){
-			this.__stringBuffer.append("v " + vecV.x + " " + vecV.y + " " + vecV.z +"\n");
+			this.__sink.write("v " + vecV.x + " " + vecV.y + " " + vecV.z +"\n");
 			this._numVerticesWritten++;
 		}
 	};
@@ -98,4 +151,4 @@ define([
 
 	return OBJWriter;
 
-});
\ No newline at end of file
+});
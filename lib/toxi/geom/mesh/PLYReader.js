@@ -0,0 +1,349 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../Vec2D',
+	'../Vec3D',
+	'./readerCommon'
+], function( require, exports, module ){
+
+	var Vec2D = require('../Vec2D'),
+		Vec3D = require('../Vec3D'),
+		common = require('./readerCommon');
+
+	//byte size and DataView getter of each PLY scalar type
+	var TYPES = {
+		'char': [1, 'getInt8'], 'int8': [1, 'getInt8'],
+		'uchar': [1, 'getUint8'], 'uint8': [1, 'getUint8'],
+		'short': [2, 'getInt16'], 'int16': [2, 'getInt16'],
+		'ushort': [2, 'getUint16'], 'uint16': [2, 'getUint16'],
+		'int': [4, 'getInt32'], 'int32': [4, 'getInt32'],
+		'uint': [4, 'getUint32'], 'uint32': [4, 'getUint32'],
+		'float': [4, 'getFloat32'], 'float32': [4, 'getFloat32'],
+		'double': [8, 'getFloat64'], 'float64': [8, 'getFloat64']
+	};
+
+	//accepted names of texture coordinate properties
+	var U_NAMES = ['u', 's', 'texture_u', 'texture_s'],
+		V_NAMES = ['v', 't', 'texture_v', 'texture_t'];
+
+	var error = function( line, message ){
+		return common.parseError( "PLYReader", line, message );
+	};
+
+	/**
+	 * @class Parses ASCII and binary (little or big endian) PLY files
+	 * into a TriangleMesh or WETriangleMesh. Reads vertex positions,
+	 * normals (nx, ny, nz) and texture coordinates (u, v or s, t) from
+	 * the `vertex` element and triangulates polygons of the `face` element.
+	 * @member toxi.geom.mesh
+	 */
+	var PLYReader = function(){
+		this.header = undefined;
+	};
+
+	/**
+	 * parse the header of a PLY file
+	 * @param {String} str the header text, up to and including `end_header`
+	 * @return {Object} with `format`, `headerLines` and `elements` describing each element's properties
+	 */
+	PLYReader.parseHeader = function( str ){
+		var lines = str.split(/\r?\n/),
+			header = { format: undefined, version: undefined, elements: [], headerLines: 0 },
+			element, parts, i, lineNumber;
+
+		if( lines[0].trim() !== 'ply' ){
+			throw error( 1, "missing `ply` magic number" );
+		}
+		for( i=1; i<lines.length; i++ ){
+			lineNumber = i+1;
+			parts = lines[i].trim().split(/\s+/);
+			switch( parts[0] ){
+				case 'format':
+					if( parts.length !== 3 || ['ascii', 'binary_little_endian', 'binary_big_endian'].indexOf( parts[1] ) < 0 ){
+						throw error( lineNumber, "invalid format `" + parts.slice(1).join(' ') + "`" );
+					}
+					header.format = parts[1];
+					header.version = parts[2];
+					break;
+				case 'element':
+					if( parts.length !== 3 || !/^\d+$/.test( parts[2] ) ){
+						throw error( lineNumber, "invalid element declaration" );
+					}
+					element = { name: parts[1], count: parseInt( parts[2], 10 ), properties: [] };
+					header.elements.push( element );
+					break;
+				case 'property':
+					if( element === undefined ){
+						throw error( lineNumber, "property declared before any element" );
+					}
+					if( parts[1] === 'list' ){
+						if( parts.length !== 5 || !TYPES[parts[2]] || !TYPES[parts[3]] ){
+							throw error( lineNumber, "invalid list property" );
+						}
+						element.properties.push({ name: parts[4], isList: true, countType: parts[2], type: parts[3] });
+					} else {
+						if( parts.length !== 3 || !TYPES[parts[1]] ){
+							throw error( lineNumber, "invalid property" );
+						}
+						element.properties.push({ name: parts[2], isList: false, type: parts[1] });
+					}
+					break;
+				case 'end_header':
+					if( header.format === undefined ){
+						throw error( lineNumber, "missing format" );
+					}
+					header.headerLines = lineNumber;
+					return header;
+				case 'comment':
+				case 'obj_info':
+				case '':
+					break;
+				default:
+					throw error( lineNumber, "unknown header keyword `" + parts[0] + "`" );
+			}
+		}
+		throw error( lines.length, "missing `end_header`" );
+	};
+
+	PLYReader.prototype = {
+		constructor: PLYReader,
+
+		/**
+		 * parse a PLY file
+		 * @param {String|ArrayBuffer|ArrayBufferView|Buffer} data strings are only valid for ASCII files
+		 * @param {TriangleMesh|WETriangleMesh} [mesh] optionally provide the mesh to add faces to
+		 * @return {TriangleMesh|WETriangleMesh}
+		 */
+		parse: function( data, mesh ){
+			var bytes, headerEnd, elements;
+			if( typeof data === 'string' ){
+				this.header = PLYReader.parseHeader( data );
+				if( this.header.format !== 'ascii' ){
+					throw new Error("PLYReader: binary PLY must be parsed from an ArrayBuffer or Buffer");
+				}
+				elements = this._readASCII( data.split(/\r?\n/).slice( this.header.headerLines ), this.header );
+			} else {
+				bytes = common.toBytes( data );
+				headerEnd = this._findHeaderEnd( bytes );
+				this.header = PLYReader.parseHeader( common.bytesToString( bytes, 0, headerEnd ) );
+				if( this.header.format === 'ascii' ){
+					elements = this._readASCII( common.bytesToString( bytes, headerEnd ).split(/\r?\n/), this.header );
+				} else {
+					elements = this._readBinary( bytes, headerEnd, this.header );
+				}
+			}
+			return this._buildMesh( elements, common.getMesh( mesh ) );
+		},
+
+		_buildMesh: function( elements, mesh ){
+			var vertexData = elements.vertex,
+				faceData = elements.face,
+				positions = [],
+				uvs = [],
+				normals = [],
+				corners = [],
+				i, j, k, v, a, b, c, indices, polygon, face, corner;
+
+			if( vertexData === undefined || faceData === undefined ){
+				throw new Error("PLYReader: file needs `vertex` and `face` elements");
+			}
+
+			//rows of ASCII files know their line
+			var faceError = function( index, message ){
+				message = "face " + index + " " + message;
+				if( faceData.lines !== undefined ){
+					return error( faceData.lines[index], message );
+				}
+				return new Error( "PLYReader: " + message );
+			};
+			if( !('x' in vertexData.properties && 'y' in vertexData.properties && 'z' in vertexData.properties) ){
+				throw new Error("PLYReader: `vertex` element needs x, y and z properties");
+			}
+
+			var find = function( names ){
+				for( var n=0; n<names.length; n++ ){
+					if( names[n] in vertexData.properties ){
+						return names[n];
+					}
+				}
+			};
+			var uName = find( U_NAMES ),
+				vName = find( V_NAMES ),
+				hasUVs = uName !== undefined && vName !== undefined,
+				hasNormals = 'nx' in vertexData.properties && 'ny' in vertexData.properties && 'nz' in vertexData.properties;
+
+			for( i=0; i<vertexData.rows.length; i++ ){
+				v = vertexData.rows[i];
+				positions.push( new Vec3D( v.x, v.y, v.z ) );
+				if( hasUVs ){
+					uvs.push( new Vec2D( v[uName], v[vName] ) );
+				}
+				if( hasNormals ){
+					normals.push( new Vec3D( v.nx, v.ny, v.nz ).normalize() );
+				}
+			}
+
+			for( i=0; i<faceData.rows.length; i++ ){
+				indices = faceData.rows[i].vertex_indices || faceData.rows[i].vertex_index;
+				if( indices === undefined ){
+					throw faceError( i, "has no `vertex_indices` list" );
+				}
+				if( indices.length < 3 ){
+					throw faceError( i, "needs at least 3 vertices" );
+				}
+				polygon = [];
+				for( j=0; j<indices.length; j++ ){
+					if( indices[j] < 0 || indices[j] >= positions.length ){
+						throw faceError( i, "references missing vertex " + indices[j] );
+					}
+					polygon.push( indices[j] );
+				}
+				//triangulate as a fan around the first vertex
+				for( j=1; j<polygon.length-1; j++ ){
+					a = polygon[0];
+					b = polygon[j];
+					c = polygon[j+1];
+					face = common.addFace( mesh, positions[a], positions[b], positions[c],
+						hasUVs ? uvs[a].copy() : undefined,
+						hasUVs ? uvs[b].copy() : undefined,
+						hasUVs ? uvs[c].copy() : undefined
+					);
+					if( face !== undefined && hasNormals ){
+						//face vertices were swapped to b, a, c
+						corner = [ b, a, c ];
+						for( k=0; k<3; k++ ){
+							corners.push({ vertex: face.getVertices()[k], normal: normals[corner[k]] });
+						}
+					}
+				}
+			}
+			if( corners.length > 0 ){
+				common.applyVertexNormals( corners );
+			}
+			return mesh;
+		},
+
+		//find the byte position right after the `end_header` line
+		_findHeaderEnd: function( bytes ){
+			var marker = "end_header",
+				limit = Math.min( bytes.length, 0x10000 ),
+				str = common.bytesToString( bytes, 0, limit ),
+				index = str.indexOf( marker );
+			if( index < 0 ){
+				throw error( str.split(/\r?\n/).length, "missing `end_header`" );
+			}
+			index += marker.length;
+			if( str.charAt(index) === '\r' ){
+				index++;
+			}
+			if( str.charAt(index) === '\n' ){
+				index++;
+			}
+			return index;
+		},
+
+		_readASCII: function( lines, header ){
+			var elements = {},
+				lineIndex = 0,
+				e, element, rows, row, p, prop, values, count, n, i, lineNumber, lineNumbers;
+
+			var next = function(){
+				var v = common.toNumber( values[n++] );
+				if( isNaN(v) ){
+					throw error( lineNumber, "invalid number `" + values[n-1] + "`" );
+				}
+				return v;
+			};
+
+			for( e=0; e<header.elements.length; e++ ){
+				element = header.elements[e];
+				rows = [];
+				lineNumbers = [];
+				for( i=0; i<element.count; i++ ){
+					//skip blank lines
+					while( lineIndex < lines.length && lines[lineIndex].trim() === '' ){
+						lineIndex++;
+					}
+					lineNumber = header.headerLines + lineIndex + 1;
+					if( lineIndex >= lines.length ){
+						throw error( lineNumber, "expected " + element.count + " `" + element.name + "` rows, found " + i );
+					}
+					values = lines[lineIndex++].trim().split(/\s+/);
+					n = 0;
+					row = {};
+					for( p=0; p<element.properties.length; p++ ){
+						prop = element.properties[p];
+						if( prop.isList ){
+							count = next();
+							row[prop.name] = [];
+							while( count-- > 0 ){
+								row[prop.name].push( next() );
+							}
+						} else {
+							row[prop.name] = next();
+						}
+					}
+					if( n !== values.length ){
+						throw error( lineNumber, "expected " + n + " values, found " + values.length );
+					}
+					rows.push( row );
+					lineNumbers.push( lineNumber );
+				}
+				elements[element.name] = this._toElementData( element, rows, lineNumbers );
+			}
+			return elements;
+		},
+
+		_readBinary: function( bytes, offset, header ){
+			var view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength ),
+				littleEndian = header.format === 'binary_little_endian',
+				elements = {},
+				e, element, rows, row, p, prop, count, i;
+
+			var read = function( type ){
+				var t = TYPES[type];
+				if( offset + t[0] > bytes.length ){
+					throw new Error("PLYReader: unexpected end of binary data in `" + element.name + "` " + i);
+				}
+				var v = view[t[1]]( offset, littleEndian );
+				offset += t[0];
+				return v;
+			};
+
+			for( e=0; e<header.elements.length; e++ ){
+				element = header.elements[e];
+				rows = [];
+				for( i=0; i<element.count; i++ ){
+					row = {};
+					for( p=0; p<element.properties.length; p++ ){
+						prop = element.properties[p];
+						if( prop.isList ){
+							count = read( prop.countType );
+							row[prop.name] = [];
+							while( count-- > 0 ){
+								row[prop.name].push( read( prop.type ) );
+							}
+						} else {
+							row[prop.name] = read( prop.type );
+						}
+					}
+					rows.push( row );
+				}
+				elements[element.name] = this._toElementData( element, rows );
+			}
+			return elements;
+		},
+
+		//@param {Number[]} [lines] the line number of each row, for ASCII files
+		_toElementData: function( element, rows, lines ){
+			var properties = {};
+			for( var p=0; p<element.properties.length; p++ ){
+				properties[element.properties[p].name] = element.properties[p];
+			}
+			return { properties: properties, rows: rows, lines: lines };
+		}
+	};
+
+	module.exports = PLYReader;
+});
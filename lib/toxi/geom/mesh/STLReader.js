@@ -0,0 +1,194 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../Vec3D',
+	'./readerCommon'
+], function( require, exports, module ){
+
+	var Vec3D = require('../Vec3D'),
+		common = require('./readerCommon');
+
+	var HEADER_SIZE = 80,
+		FACE_SIZE = 50;
+
+	/**
+	 * @class Parses binary and ASCII STL files into a TriangleMesh or WETriangleMesh.
+	 * Faces are expected in counter-clockwise order, as written by
+	 * {@link toxi.geom.mesh.STLWriter} without a flipped Y axis.
+	 * @member toxi.geom.mesh
+	 */
+	var STLReader = function(){
+		this._numFaces = 0;
+	};
+
+	/**
+	 * check if the data is a binary STL, binary files may also begin with "solid"
+	 * so the size is compared against the face count in the header
+	 * @param {ArrayBuffer|ArrayBufferView|Buffer} data
+	 * @return {Boolean}
+	 */
+	STLReader.isBinary = function( data ){
+		if( typeof data === 'string' ){
+			return false;
+		}
+		var bytes = common.toBytes( data ),
+			numFaces;
+		if( bytes.length < HEADER_SIZE + 4 ){
+			return false;
+		}
+		numFaces = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength ).getUint32( HEADER_SIZE, true );
+		if( HEADER_SIZE + 4 + numFaces * FACE_SIZE === bytes.length ){
+			return true;
+		}
+		return common.bytesToString( bytes, 0, 5 ).toLowerCase() !== 'solid';
+	};
+
+	STLReader.prototype = {
+		constructor: STLReader,
+
+		/**
+		 * @return {Number} number of faces read in the last parse
+		 */
+		getNumFaces: function(){
+			return this._numFaces;
+		},
+
+		/**
+		 * parse binary or ASCII STL, the format is detected automatically
+		 * @param {String|ArrayBuffer|ArrayBufferView|Buffer} data
+		 * @param {TriangleMesh|WETriangleMesh} [mesh] optionally provide the mesh to add faces to
+		 * @return {TriangleMesh|WETriangleMesh}
+		 */
+		parse: function( data, mesh ){
+			if( STLReader.isBinary( data ) ){
+				return this.parseBinary( data, mesh );
+			}
+			if( typeof data !== 'string' ){
+				data = common.bytesToString( common.toBytes( data ) );
+			}
+			return this.parseASCII( data, mesh );
+		},
+
+		/**
+		 * @param {String} str
+		 * @param {TriangleMesh|WETriangleMesh} [mesh]
+		 * @return {TriangleMesh|WETriangleMesh}
+		 */
+		parseASCII: function( str, mesh ){
+			mesh = common.getMesh( mesh );
+			var lines = str.split(/\r?\n/),
+				//the state expected next, each facet follows this order
+				expected = 'solid',
+				verts = [],
+				lineNumber, parts, keyword, i, k, nums;
+
+			var error = function( message ){
+				return common.parseError( "STLReader", lineNumber, message );
+			};
+
+			this._numFaces = 0;
+			for( i=0; i<lines.length; i++ ){
+				lineNumber = i+1;
+				parts = lines[i].trim().split(/\s+/);
+				keyword = parts[0].toLowerCase();
+				if( keyword === '' ){
+					continue;
+				}
+				if( keyword === 'solid' ){
+					if( expected !== 'solid' ){
+						throw error( "unexpected `solid`" );
+					}
+					expected = 'facet';
+				} else if( keyword === 'facet' ){
+					if( expected !== 'facet' ){
+						throw error( "unexpected `facet`" );
+					}
+					expected = 'outer';
+				} else if( keyword === 'outer' ){
+					if( expected !== 'outer' ){
+						throw error( "unexpected `outer loop`" );
+					}
+					verts = [];
+					expected = 'vertex';
+				} else if( keyword === 'vertex' ){
+					if( expected !== 'vertex' ){
+						throw error( "unexpected `vertex`" );
+					}
+					if( parts.length !== 4 ){
+						throw error( "`vertex` expects 3 values" );
+					}
+					nums = [];
+					for( k=1; k<4; k++ ){
+						nums.push( common.toNumber( parts[k] ) );
+						if( isNaN( nums[k-1] ) ){
+							throw error( "invalid number `" + parts[k] + "`" );
+						}
+					}
+					verts.push( new Vec3D( nums[0], nums[1], nums[2] ) );
+					if( verts.length === 3 ){
+						expected = 'endloop';
+					}
+				} else if( keyword === 'endloop' ){
+					if( expected !== 'endloop' ){
+						throw error( "facet needs exactly 3 vertices" );
+					}
+					expected = 'endfacet';
+				} else if( keyword === 'endfacet' ){
+					if( expected !== 'endfacet' ){
+						throw error( "unexpected `endfacet`" );
+					}
+					common.addFace( mesh, verts[0], verts[1], verts[2] );
+					this._numFaces++;
+					expected = 'facet';
+				} else if( keyword === 'endsolid' ){
+					if( expected !== 'facet' ){
+						throw error( "unexpected `endsolid`" );
+					}
+					expected = 'solid';
+				} else {
+					throw error( "unknown keyword `" + parts[0] + "`" );
+				}
+			}
+			if( expected !== 'solid' ){
+				throw common.parseError( "STLReader", lines.length, "unexpected end of file" );
+			}
+			return mesh;
+		},
+
+		/**
+		 * @param {ArrayBuffer|ArrayBufferView|Buffer} data
+		 * @param {TriangleMesh|WETriangleMesh} [mesh]
+		 * @return {TriangleMesh|WETriangleMesh}
+		 */
+		parseBinary: function( data, mesh ){
+			mesh = common.getMesh( mesh );
+			var bytes = common.toBytes( data ),
+				view, numFaces, offset, i, a, b, c;
+			if( bytes.length < HEADER_SIZE + 4 ){
+				throw new Error("STLReader: binary STL is missing its header");
+			}
+			view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+			numFaces = view.getUint32( HEADER_SIZE, true );
+			if( HEADER_SIZE + 4 + numFaces * FACE_SIZE > bytes.length ){
+				throw new Error("STLReader: binary STL declares " + numFaces + " faces but only has data for " + Math.floor( (bytes.length - HEADER_SIZE - 4) / FACE_SIZE ) );
+			}
+			var readVector = function( o ){
+				return new Vec3D( view.getFloat32( o, true ), view.getFloat32( o+4, true ), view.getFloat32( o+8, true ) );
+			};
+			offset = HEADER_SIZE + 4;
+			for( i=0; i<numFaces; i++ ){
+				//skip the normal, it is recomputed from the vertices
+				a = readVector( offset + 12 );
+				b = readVector( offset + 24 );
+				c = readVector( offset + 36 );
+				common.addFace( mesh, a, b, c );
+				offset += FACE_SIZE;
+			}
+			this._numFaces = numFaces;
+			return mesh;
+		}
+	};
+
+	module.exports = STLReader;
+});
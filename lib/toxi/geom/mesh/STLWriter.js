@@ -0,0 +1,226 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../Vec3D'
+], function( require, exports, module ){
+
+	var Vec3D = require('../Vec3D');
+
+	var HEADER_SIZE = 80,
+		FACE_SIZE = 50;
+
+	/**
+	 * convert a 24bit RGB integer into a 15bit VisCAM/SolidView color,
+	 * 5 bits per channel with blue in the lowest bits and bit 15 flagging it valid
+	 * @param {Number} rgb
+	 * @return {Number}
+	 */
+	var formatRGB = function( rgb ){
+		var col15bits = (rgb >> 3 & 0x1f);
+		col15bits |= (rgb >> 11 & 0x1f) << 5;
+		col15bits |= (rgb >> 19 & 0x1f) << 10;
+		col15bits |= 0x8000;
+		return col15bits;
+	};
+
+	/**
+	 * @class A simple, but flexible and memory efficient exporter for STL files.
+	 * Binary STL is written into an ArrayBuffer (with optional conversion
+	 * to a node.js Buffer), ASCII STL is written into a String.
+	 * @member toxi.geom.mesh
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.ascii] write ASCII STL instead of binary, default false
+	 */
+	var STLWriter = function( options ){
+		options = options || {};
+		this.VERSION = "0.1";
+		this.ascii = !!options.ascii;
+		this.scale = new Vec3D(1,1,1);
+		this.__useInvertedNormals = false;
+		this.__buffer = undefined;
+		this.__view = undefined;
+		this.__lines = undefined;
+		this.__name = "toxiclibsjs";
+		this._numFaces = 0;
+		this._numFacesWritten = 0;
+		this._offset = 0;
+	};
+
+	//use as `rgb` to write a face without color information
+	STLWriter.DEFAULT_RGB = -1;
+
+	STLWriter.prototype = {
+		constructor: STLWriter,
+
+		/**
+		 * begin saving, binary files need to know the number of faces upfront
+		 * @param {Number} numFaces the number of faces that will be written
+		 * @param {String} [name] the solid name used in ASCII files
+		 */
+		beginSave: function( numFaces, name ){
+			this._numFaces = numFaces || 0;
+			this._numFacesWritten = 0;
+			if( name !== undefined ){
+				this.__name = name;
+			}
+			if( this.ascii ){
+				this.__lines = [ "solid " + this.__name + "\n" ];
+			} else {
+				this.__buffer = new ArrayBuffer( HEADER_SIZE + 4 + FACE_SIZE * this._numFaces );
+				this.__view = new DataView( this.__buffer );
+				this._writeHeader();
+			}
+		},
+
+		/**
+		 * finish the file, the output is then available from `getOutput()`
+		 */
+		endSave: function(){
+			if( this.ascii ){
+				this.__lines.push( "endsolid " + this.__name + "\n" );
+				return;
+			}
+			if( this._numFacesWritten < this._numFaces ){
+				//fewer faces were written than allocated for, trim the buffer
+				this.__view.setUint32( HEADER_SIZE, this._numFacesWritten, true );
+				this.__buffer = this.__buffer.slice( 0, this._offset );
+				this.__view = new DataView( this.__buffer );
+			}
+		},
+
+		/**
+		 * write a face, if no normal is supplied it is computed
+		 * from the vertices in counter-clockwise order
+		 * @param {Vec3D} a
+		 * @param {Vec3D} b
+		 * @param {Vec3D} c
+		 * @param {Vec3D} [normal]
+		 * @param {Number|TColor} [rgb] 24bit RGB integer or a TColor, defaults to `STLWriter.DEFAULT_RGB`
+		 */
+		face: function( a, b, c, normal, rgb ){
+			if( normal === undefined || normal === null || typeof normal === 'number' ){
+				rgb = normal;
+				normal = b.sub(a).crossSelf(c.sub(a)).normalize();
+				if( this.__useInvertedNormals ){
+					normal.invert();
+				}
+			}
+			if( rgb === undefined || rgb === null ){
+				rgb = STLWriter.DEFAULT_RGB;
+			} else if( typeof rgb.toARGB === 'function' ){
+				rgb = rgb.toARGB() & 0xffffff;
+			}
+
+			if( this.ascii ){
+				this.__lines.push(
+					" facet normal " + normal.x + " " + normal.y + " " + normal.z + "\n" +
+					"  outer loop\n" +
+					this._formatScaledVertex( a ) +
+					this._formatScaledVertex( b ) +
+					this._formatScaledVertex( c ) +
+					"  endloop\n" +
+					" endfacet\n"
+				);
+			} else {
+				if( this._numFacesWritten >= this._numFaces ){
+					throw new Error("STLWriter.face() exceeded the " + this._numFaces + " faces given to beginSave()");
+				}
+				this._writeVector( normal );
+				this._writeScaledVector( a );
+				this._writeScaledVector( b );
+				this._writeScaledVector( c );
+				this._writeShort( rgb !== STLWriter.DEFAULT_RGB ? formatRGB( rgb ) : 0 );
+			}
+			this._numFacesWritten++;
+		},
+
+		/**
+		 * get a node.js Buffer of the binary output, only available in node.js
+		 * @return {Buffer}
+		 */
+		getBuffer: function(){
+			if( typeof Buffer === 'undefined' ){
+				throw new Error("STLWriter.getBuffer() requires node.js Buffer, use getOutput()");
+			}
+			var output = this.getOutput();
+			if( typeof output === 'string' ){
+				return typeof Buffer.from === 'function' ? Buffer.from( output ) : new Buffer( output );
+			}
+			return typeof Buffer.from === 'function' ? Buffer.from( output ) : new Buffer( new Uint8Array( output ) );
+		},
+
+		getNumFacesWritten: function(){
+			return this._numFacesWritten;
+		},
+
+		/**
+		 * @return {ArrayBuffer|String} ArrayBuffer for binary files, String for ASCII
+		 */
+		getOutput: function(){
+			return this.ascii ? this.__lines.join("") : this.__buffer;
+		},
+
+		/**
+		 * set the scale applied to every vertex written
+		 * @param {Vec3D|Number} s
+		 * @return itself
+		 */
+		setScale: function( s ){
+			if( typeof s === 'number' ){
+				this.scale.set( s, s, s );
+			} else {
+				this.scale.set( s );
+			}
+			return this;
+		},
+
+		/**
+		 * invert computed normals, for faces written without a normal
+		 * @param {Boolean} state
+		 * @return itself
+		 */
+		useInvertedNormals: function( state ){
+			this.__useInvertedNormals = state;
+			return this;
+		},
+
+		_formatScaledVertex: function( v ){
+			return "   vertex " + (v.x * this.scale.x) + " " + (v.y * this.scale.y) + " " + (v.z * this.scale.z) + "\n";
+		},
+
+		_writeFloat: function( a ){
+			this.__view.setFloat32( this._offset, a, true );
+			this._offset += 4;
+		},
+
+		_writeHeader: function(){
+			var header = "generated by STLWriter (js) v" + this.VERSION,
+				i = 0;
+			for( i=0; i<HEADER_SIZE; i++ ){
+				this.__view.setUint8( i, i < header.length ? header.charCodeAt(i) : 0 );
+			}
+			this.__view.setUint32( HEADER_SIZE, this._numFaces, true );
+			this._offset = HEADER_SIZE + 4;
+		},
+
+		_writeScaledVector: function( v ){
+			this._writeFloat( v.x * this.scale.x );
+			this._writeFloat( v.y * this.scale.y );
+			this._writeFloat( v.z * this.scale.z );
+		},
+
+		_writeShort: function( a ){
+			this.__view.setUint16( this._offset, a, true );
+			this._offset += 2;
+		},
+
+		_writeVector: function( v ){
+			this._writeFloat( v.x );
+			this._writeFloat( v.y );
+			this._writeFloat( v.z );
+		}
+	};
+
+	module.exports = STLWriter;
+});
@@ -0,0 +1,31 @@
+define(function(require, exports, module) {
+
+	var extend = require('../../internals').extend,
+		LaplacianSmooth = require('./LaplacianSmooth');
+
+	/**
+	 * @class Laplacian smoothing which avoids shrinking the mesh, every iteration
+	 * smooths with lambda and then inflates with the negative mu.
+	 * @member toxi.geom.mesh
+	 * @augments toxi.geom.mesh.LaplacianSmooth
+	 * @param {Object} [options] same as {@link toxi.geom.mesh.LaplacianSmooth}, and
+	 * @param {Number} [options.mu] negative factor with a larger magnitude than lambda,
+	 * defaults to -0.53
+	 */
+	var TaubinSmooth = function( options ){
+		options = options || {};
+		LaplacianSmooth.call( this, options );
+		this.mu = options.mu === undefined ? -0.53 : options.mu;
+		if( this.mu >= 0 ){
+			throw new Error("TaubinSmooth needs a negative mu");
+		}
+	};
+	extend( TaubinSmooth, LaplacianSmooth );
+
+	TaubinSmooth.prototype.filterStep = function( mesh, vertices ){
+		this.moveVertices( mesh, vertices, this.lambda );
+		this.moveVertices( mesh, vertices, this.mu );
+	};
+
+	module.exports = TaubinSmooth;
+});
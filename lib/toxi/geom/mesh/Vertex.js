@@ -3,7 +3,8 @@ define([
 	"exports",
 	"module",
 	"../../internals",
-	"../Vec3D"
+	"../Vec3D",
+	"./meshTopology"
 ], function(require, exports, module) {
 
 	//WEVertex becomes a property on Vertex
@@ -39,7 +40,9 @@ define([
 	}());
 
 	(function(){
-		var extend = require('../../internals').extend, proto;
+		var extend = require('../../internals').extend,
+			meshTopology = require('./meshTopology'),
+			proto;
 
 		WEVertex = function( vec3d, id ){
 			Vertex.call(this, vec3d, id);
@@ -51,6 +54,10 @@ define([
 		proto.addEdge = function( edge ){
 			this.edges.push( edge );
 		};
+		//@return {WEFace[]} the faces using the vertex
+		proto.getFaces = function(){
+			return meshTopology.getVertexFaces( this );
+		};
 		//@param {Vec3D} dir
 		//@param {Number} tolerance
 		//@return {WingedEdge} closest
@@ -76,6 +83,20 @@ define([
 			return neighbors;
 		};
 
+		//@return {WEVertex[]} the neighbours in order around the vertex
+		proto.getOneRing = function(){
+			return meshTopology.getOneRing( this );
+		};
+		//@return {Boolean} true if the vertex is on a hole or open border
+		proto.isBoundary = function(){
+			for(var i=0, l=this.edges.length; i<l; i++){
+				if( this.edges[i].isBoundary() ){
+					return true;
+				}
+			}
+			return false;
+		};
+
 		proto.removeEdge = function( e ){
 			this.edges.splice( this.edges.indexOf( e ), 1 );
 		};
@@ -11,6 +11,7 @@ define([
 	WingedEdge = function( va, vb, face, id ){
 		Line3D.call(this, va, vb);
 		this.id = id;
+		this.crease = 0;
 		this.faces = [];
 		this.addFace( face );
 	};
@@ -22,6 +23,10 @@ define([
 		this.faces.push( face );
 		return this;
 	};
+	//@return {Number} crease weight used by smooth subdivision schemes
+	proto.getCrease = function(){
+		return this.crease;
+	};
 	//@return {WEFace[]} faces
 	proto.getFaces = function() {
 		return this.faces;
@@ -37,6 +42,16 @@ define([
 		}
 	};
 
+	//@return {Boolean} true if the edge has only one face
+	proto.isBoundary = function(){
+		return this.faces.length === 1;
+	};
+
+	//@return {Boolean} true if the edge has no more than two faces
+	proto.isManifold = function(){
+		return this.faces.length <= 2;
+	};
+
 	proto.remove = function(){
 		var self = this;
 		var rm = function( edges ){
@@ -49,6 +64,15 @@ define([
 		rm( this.b.edges );
 	};
 
+	//mark the edge as sharp for smooth subdivision schemes like LoopSubdivision,
+	//a weight of n keeps it sharp for n levels, Infinity for all of them
+	//@param {Number} crease weight, 0 for a smooth edge
+	//@return {WingedEdge} this
+	proto.setCrease = function( crease ){
+		this.crease = crease;
+		return this;
+	};
+
 	proto.toString = function(){
 		return "id: " + this.id + " " + Line3D.prototype.toString.call(this) + " f: " + this.faces.length;
 	};
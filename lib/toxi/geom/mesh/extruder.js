@@ -0,0 +1,456 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../Vec2D',
+	'../Vec3D',
+	'../Polygon2D',
+	'../polygonTriangulator',
+	'./TriangleMesh',
+	'../../internals/is'
+], function( require, exports, module ){
+
+var Vec2D = require('../Vec2D'),
+	Vec3D = require('../Vec3D'),
+	polygonTriangulator = require('../polygonTriangulator'),
+	TriangleMesh = require('./TriangleMesh'),
+	is = require('../../internals/is');
+
+//copy a ring without duplicate points, counter-clockwise for outlines
+//and clockwise for holes
+var normalizeRing = function( vertices, isHole ){
+	//required late, Polygon2D depends on this module
+	var Polygon2D = require('../Polygon2D'),
+		ring = [],
+		i, v;
+	for( i=0; i<vertices.length; i++ ){
+		v = vertices[i];
+		if( ring.length === 0 || !ring[ring.length-1].equals( v ) ){
+			ring.push( v.copy() );
+		}
+	}
+	while( ring.length > 1 && ring[0].equals( ring[ring.length-1] ) ){
+		ring.pop();
+	}
+	if( ring.length < 3 ){
+		throw new Error("Extruder: polygons need at least 3 distinct vertices");
+	}
+	if( (Polygon2D.getSignedArea( ring ) < 0) !== !!isHole ){
+		ring.reverse();
+	}
+	return ring;
+};
+
+//the rings of a polygon, the outline first followed by its holes
+var getRings = function( poly, holes ){
+	var rings = [ normalizeRing( poly.vertices ) ],
+		i;
+	holes = holes || poly.holes || [];
+	for( i=0; i<holes.length; i++ ){
+		rings.push( normalizeRing( holes[i].vertices, true ) );
+	}
+	return rings;
+};
+
+//move all points of the rings to the left of their edges, which is
+//towards the inside of the shape for outlines and holes
+var insetRings = function( rings, distance ){
+	return rings.map(function( ring ){
+		var num = ring.length;
+		return ring.map(function( p, i ){
+			var prev = ring[(i + num - 1) % num],
+				next = ring[(i + 1) % num],
+				n0 = p.sub( prev ).getPerpendicular().normalize(),
+				n1 = next.sub( p ).getPerpendicular().normalize(),
+				miter = n0.add( n1 ).normalize(),
+				cos = miter.dot( n0 );
+			//limit the length of the miter on sharp corners
+			return p.add( miter.scaleSelf( distance / Math.max( cos, 0.25 ) ) );
+		});
+	});
+};
+
+//texture coordinates along the perimeter of each ring
+var getRingUVs = function( rings ){
+	return rings.map(function( ring ){
+		var lengths = [0],
+			total = 0,
+			i;
+		for( i=0; i<ring.length; i++ ){
+			total += ring[i].distanceTo( ring[(i+1) % ring.length] );
+			lengths.push( total );
+		}
+		return lengths.map(function( l ){ return total > 0 ? l / total : 0; });
+	});
+};
+
+/**
+ * create the faces of a solid from a sequence of cross sections. All sections
+ * share the topology of the first, each is a list of rings of 2D points
+ * (outline counter-clockwise, holes clockwise) and a function mapping the 2D
+ * points into 3D. The sections are expected to advance along the cross product
+ * of the mapped x and y axes, which makes the faces point outwards.
+ * @private
+ */
+var buildSolid = function( sections, isClosedLoop, mesh ){
+	var numSections = sections.length,
+		rings = sections[0].rings,
+		ringUVs = getRingUVs( rings ),
+		faces = [],
+		volume = 0,
+		points, s, r, i, next, ring, num, v0, v1, u0, u1, a, b, c, d;
+
+	//add a triangle with counter-clockwise vertices seen from the outside
+	var addTriangle = function( a, b, c, uvA, uvB, uvC ){
+		faces.push( [ a, b, c, uvA, uvB, uvC ] );
+		volume += a.dot( b.cross( c ) );
+	};
+
+	points = sections.map(function( section ){
+		return section.rings.map(function( ring ){
+			return ring.map( section.map );
+		});
+	});
+
+	for( s=0; s<numSections - (isClosedLoop ? 0 : 1); s++ ){
+		next = (s + 1) % numSections;
+		v0 = s / (numSections - (isClosedLoop ? 0 : 1));
+		v1 = (s + 1) / (numSections - (isClosedLoop ? 0 : 1));
+		for( r=0; r<rings.length; r++ ){
+			num = rings[r].length;
+			for( i=0; i<num; i++ ){
+				a = points[s][r][i];
+				b = points[s][r][(i+1) % num];
+				c = points[next][r][(i+1) % num];
+				d = points[next][r][i];
+				u0 = ringUVs[r][i];
+				u1 = ringUVs[r][i+1];
+				addTriangle( a, b, c, new Vec2D( u0, v0 ), new Vec2D( u1, v0 ), new Vec2D( u1, v1 ) );
+				addTriangle( a, c, d, new Vec2D( u0, v0 ), new Vec2D( u1, v1 ), new Vec2D( u0, v1 ) );
+			}
+		}
+	}
+
+	if( !isClosedLoop ){
+		var addCap = function( section, sectionPoints, isStart ){
+			var flat = [],
+				flatPoints = [],
+				result, bounds, k, uvs;
+			for( r=0; r<section.rings.length; r++ ){
+				flat = flat.concat( section.rings[r] );
+				flatPoints = flatPoints.concat( sectionPoints[r] );
+			}
+			result = polygonTriangulator.getIndices(
+				{ vertices: section.rings[0] },
+				section.rings.slice( 1 ).map(function( ring ){ return { vertices: ring }; })
+			);
+			bounds = getBounds( section.rings[0] );
+			uvs = flat.map(function( p ){
+				return new Vec2D(
+					bounds.width > 0 ? (p.x - bounds.x) / bounds.width : 0,
+					bounds.height > 0 ? (p.y - bounds.y) / bounds.height : 0
+				);
+			});
+			for( k=0; k<result.indices.length; k+=3 ){
+				a = flat.indexOf( result.points[result.indices[k]] );
+				b = flat.indexOf( result.points[result.indices[k+1]] );
+				c = flat.indexOf( result.points[result.indices[k+2]] );
+				if( isStart ){
+					addTriangle( flatPoints[a], flatPoints[c], flatPoints[b], uvs[a], uvs[c], uvs[b] );
+				} else {
+					addTriangle( flatPoints[a], flatPoints[b], flatPoints[c], uvs[a], uvs[b], uvs[c] );
+				}
+			}
+		};
+		addCap( sections[0], points[0], true );
+		addCap( sections[numSections-1], points[numSections-1], false );
+	}
+
+	//mirroring maps turn the solid inside out
+	mesh = mesh || new TriangleMesh();
+	for( i=0; i<faces.length; i++ ){
+		ring = faces[i];
+		//the mesh computes face normals from a clockwise order
+		if( volume >= 0 ){
+			mesh.addFace( ring[0], ring[2], ring[1], ring[3], ring[5], ring[4] );
+		} else {
+			mesh.addFace( ring[0], ring[1], ring[2], ring[3], ring[4], ring[5] );
+		}
+	}
+	return mesh;
+};
+
+var getBounds = function( points ){
+	var min = new Vec2D( Number.MAX_VALUE, Number.MAX_VALUE ),
+		max = new Vec2D( -Number.MAX_VALUE, -Number.MAX_VALUE );
+	points.forEach(function( p ){
+		min.minSelf( p );
+		max.maxSelf( p );
+	});
+	return { x: min.x, y: min.y, width: max.x - min.x, height: max.y - min.y };
+};
+
+//the vertices of a path given as Spline3D, LineStrip3D or array of Vec3D
+var getPathVertices = function( path, resolution ){
+	var vertices = path,
+		result = [],
+		i;
+	if( typeof path.computeVertices === 'function' ){
+		vertices = path.computeVertices( resolution || 8 );
+	} else if( !is.Array( path ) ){
+		vertices = path.getVertices();
+	}
+	for( i=0; i<vertices.length; i++ ){
+		if( result.length === 0 || !result[result.length-1].equals( vertices[i] ) ){
+			result.push( vertices[i] );
+		}
+	}
+	if( result.length < 2 ){
+		throw new Error("Extruder: the path needs at least 2 distinct points");
+	}
+	return result;
+};
+
+//a unit vector perpendicular to v
+var getPerpendicular = function( v ){
+	var ax = Math.abs( v.x ),
+		ay = Math.abs( v.y ),
+		az = Math.abs( v.z ),
+		axis = ax <= ay && ax <= az ? Vec3D.X_AXIS : ay <= az ? Vec3D.Y_AXIS : Vec3D.Z_AXIS;
+	return axis.sub( v.scale( v.dot( axis ) ) ).normalize();
+};
+
+
+/**
+ * @class Builds closed solids as {@link toxi.geom.mesh.TriangleMesh} from 2D shapes:
+ * extrusions with holes, bevels and tapering, lathes (surfaces of revolution),
+ * lofts between polygons and sweeps along 3D paths. Holes of polygons are taken
+ * from their `holes` property unless given explicitly. All faces point outwards.
+ * @member toxi.geom.mesh
+ * @static
+ */
+var Extruder = {};
+
+/**
+ * extrude a polygon along the Z axis, from z=0 to z=depth
+ * @param {Polygon2D} poly the outline
+ * @param {Number} depth
+ * @param {Object} [options]
+ * @param {Polygon2D[]} [options.holes] defaults to `poly.holes`
+ * @param {Number} [options.bevel] size of the bevel around both caps, defaults to 0
+ * @param {Number} [options.bevelSegments] 1 for a chamfer (default), more for a rounded bevel
+ * @param {Number} [options.taper] scale of the top relative to the bottom cap, defaults to 1
+ * @param {TriangleMesh} [options.mesh] optional mesh to add the faces to
+ * @return {TriangleMesh}
+ */
+Extruder.extrude = function( poly, depth, options ){
+	options = options || {};
+	var rings = getRings( poly, options.holes ),
+		bevel = options.bevel || 0,
+		bevelSegments = Math.max( 1, Math.floor( options.bevelSegments || 1 ) ),
+		taper = options.taper === undefined ? 1 : options.taper,
+		center = rings[0].reduce(function( sum, p ){ return sum.addSelf( p ); }, new Vec2D() ).scaleSelf( 1 / rings[0].length ),
+		profile = [],
+		i, theta;
+	if( bevel * 2 >= Math.abs( depth ) ){
+		throw new Error("Extruder: the bevel needs to be less than half of the depth");
+	}
+	//pairs of z and inset of all sections, from the bottom to the top
+	if( bevel > 0 ){
+		for( i=0; i<=bevelSegments; i++ ){
+			theta = i / bevelSegments * Math.PI / 2;
+			profile.push( [ bevel * (1 - Math.cos( theta )), bevel * (1 - Math.sin( theta )) ] );
+		}
+		for( i=bevelSegments; i>=0; i-- ){
+			theta = i / bevelSegments * Math.PI / 2;
+			profile.push( [ Math.abs( depth ) - bevel * (1 - Math.cos( theta )), bevel * (1 - Math.sin( theta )) ] );
+		}
+	} else {
+		profile.push( [ 0, 0 ], [ Math.abs( depth ), 0 ] );
+	}
+	var sections = profile.map(function( section ){
+		var z = depth < 0 ? -section[0] : section[0],
+			scale = 1 + (taper - 1) * z / depth;
+		return {
+			rings: section[1] > 0 ? insetRings( rings, section[1] ) : rings,
+			map: function( p ){
+				return new Vec3D(
+					center.x + (p.x - center.x) * scale,
+					center.y + (p.y - center.y) * scale,
+					z
+				);
+			}
+		};
+	});
+	return buildSolid( sections, false, options.mesh );
+};
+
+/**
+ * revolve a profile around the Y axis. The profile lies in the XY plane with x
+ * being the distance from the axis. An open profile (array of points) is closed
+ * along the axis, a Polygon2D is used as a closed ring (e.g. for a torus).
+ * Partial revolutions get caps on both ends.
+ * @param {Polygon2D|Vec2D[]} profile
+ * @param {Object} [options]
+ * @param {Number} [options.steps] number of segments around the axis, defaults to 16
+ * @param {Number} [options.angle] angle of the revolution, defaults to 2 * PI
+ * @param {TriangleMesh} [options.mesh] optional mesh to add the faces to
+ * @return {TriangleMesh}
+ */
+Extruder.lathe = function( profile, options ){
+	options = options || {};
+	var steps = Math.max( 1, Math.floor( options.steps || 16 ) ),
+		angle = options.angle === undefined ? Math.PI * 2 : options.angle,
+		isFullTurn = Math.abs( angle ) >= Math.PI * 2,
+		points = is.Array( profile ) ? profile.slice() : profile.vertices,
+		first, last, rings, sections = [], i;
+	if( is.Array( profile ) ){
+		first = points[0];
+		last = points[points.length-1];
+		if( last.x !== 0 ){
+			points.push( new Vec2D( 0, last.y ) );
+		}
+		if( first.x !== 0 ){
+			points.unshift( new Vec2D( 0, first.y ) );
+		}
+	}
+	rings = [ normalizeRing( points ) ];
+	var createSection = function( theta ){
+		var cos = Math.cos( theta ),
+			sin = Math.sin( theta );
+		return {
+			rings: rings,
+			map: function( p ){
+				return new Vec3D( p.x * cos, p.y, p.x * sin );
+			}
+		};
+	};
+	for( i=0; i<(isFullTurn ? steps : steps + 1); i++ ){
+		sections.push( createSection( i / steps * angle ) );
+	}
+	return buildSolid( sections, isFullTurn, options.mesh );
+};
+
+/**
+ * connect a list of polygons stacked along the Z axis, all polygons need the
+ * same number of vertices (and holes with the same number of vertices)
+ * @param {Polygon2D[]} polygons
+ * @param {Object} [options]
+ * @param {Number[]} [options.z] z position of each polygon
+ * @param {Number} [options.spacing] distance between the polygons if no positions are given, defaults to 1
+ * @param {TriangleMesh} [options.mesh] optional mesh to add the faces to
+ * @return {TriangleMesh}
+ */
+Extruder.loft = function( polygons, options ){
+	options = options || {};
+	var spacing = options.spacing === undefined ? 1 : options.spacing,
+		sections;
+	if( polygons.length < 2 ){
+		throw new Error("Extruder: lofting needs at least 2 polygons");
+	}
+	sections = polygons.map(function( poly, index ){
+		var z = options.z !== undefined ? options.z[index] : index * spacing;
+		return {
+			rings: getRings( poly ),
+			map: function( p ){
+				return new Vec3D( p.x, p.y, z );
+			}
+		};
+	});
+	sections.forEach(function( section ){
+		var rings = sections[0].rings;
+		if( section.rings.length !== rings.length || section.rings.some(function( ring, i ){
+			return ring.length !== rings[i].length;
+		}) ){
+			throw new Error("Extruder: all polygons of a loft need the same number of vertices");
+		}
+	});
+	return buildSolid( sections, false, options.mesh );
+};
+
+/**
+ * sweep a polygon along a path. The polygon's XY plane is oriented with
+ * rotation-minimizing frames, so it doesn't twist around the path. A path
+ * ending at its first point is treated as a closed loop without caps.
+ * @param {Polygon2D} poly the cross section, centered around the path
+ * @param {Spline3D|LineStrip3D|Vec3D[]} path
+ * @param {Object} [options]
+ * @param {Polygon2D[]} [options.holes] defaults to `poly.holes`
+ * @param {Number} [options.resolution] segments between the points of a Spline3D, defaults to 8
+ * @param {Vec3D} [options.up] direction of the polygon's Y axis at the start of the path
+ * @param {Number} [options.twist] additional rotation in radians from the start to the end
+ * @param {TriangleMesh} [options.mesh] optional mesh to add the faces to
+ * @return {TriangleMesh}
+ */
+Extruder.sweep = function( poly, path, options ){
+	options = options || {};
+	var rings = getRings( poly, options.holes ),
+		points = getPathVertices( path, options.resolution ),
+		isClosedLoop = points.length > 2 && points[0].distanceToSquared( points[points.length-1] ) < 1e-12,
+		twist = options.twist || 0,
+		tangents = [],
+		xAxes = [],
+		num, i, v1, c1, v2, c2, refX, refT, correction;
+	if( isClosedLoop ){
+		points.pop();
+	}
+	num = points.length;
+	for( i=0; i<num; i++ ){
+		if( isClosedLoop ){
+			tangents.push( points[(i+1) % num].sub( points[(i+num-1) % num] ).normalize() );
+		} else {
+			tangents.push( points[Math.min( i+1, num-1 )].sub( points[Math.max( i-1, 0 )] ).normalize() );
+		}
+	}
+	if( options.up !== undefined ){
+		//the x axis is the cross product of y and the tangent
+		xAxes[0] = options.up.cross( tangents[0] ).normalize();
+		if( xAxes[0].magSquared() === 0 ){
+			xAxes[0] = getPerpendicular( tangents[0] );
+		}
+	} else {
+		xAxes[0] = getPerpendicular( tangents[0] );
+	}
+	//double reflection method for rotation-minimizing frames
+	var propagate = function( x, p0, p1, t0, t1 ){
+		v1 = p1.sub( p0 );
+		c1 = v1.dot( v1 );
+		refX = x.sub( v1.scale( 2 / c1 * v1.dot( x ) ) );
+		refT = t0.sub( v1.scale( 2 / c1 * v1.dot( t0 ) ) );
+		v2 = t1.sub( refT );
+		c2 = v2.dot( v2 );
+		if( c2 > 0 ){
+			refX.subSelf( v2.scale( 2 / c2 * v2.dot( refX ) ) );
+		}
+		return refX.normalize();
+	};
+	for( i=1; i<num; i++ ){
+		xAxes[i] = propagate( xAxes[i-1], points[i-1], points[i], tangents[i-1], tangents[i] );
+	}
+	if( isClosedLoop ){
+		//distribute the angle the frames are off after a full loop over the path
+		v1 = propagate( xAxes[num-1], points[num-1], points[0], tangents[num-1], tangents[0] );
+		correction = Math.atan2( v1.cross( xAxes[0] ).dot( tangents[0] ), v1.dot( xAxes[0] ) );
+	}
+	var sections = points.map(function( p, index ){
+		var t = tangents[index],
+			x = xAxes[index],
+			fraction = index / (isClosedLoop ? num : num - 1),
+			theta = twist * fraction + (isClosedLoop ? correction * fraction : 0),
+			y = t.cross( x );
+		if( theta !== 0 ){
+			x = x.scale( Math.cos( theta ) ).addSelf( y.scaleSelf( Math.sin( theta ) ) );
+			y = t.cross( x );
+		}
+		return {
+			rings: rings,
+			map: function( q ){
+				return p.add( x.scale( q.x ) ).addSelf( y.scale( q.y ) );
+			}
+		};
+	});
+	return buildSolid( sections, isClosedLoop, options.mesh );
+};
+
+module.exports = Extruder;
+});
@@ -22,11 +22,13 @@ define(function( require, exports ){
 		var	internals = require('../../internals'),
 			mathUtils = require('../../math/mathUtils'),
 			Matrix4x4 = require('../Matrix4x4'),
+			BVH = require('./BVH'),
 			Face = require('./Face'),
 			Vec3D = require('../Vec3D'),
 			Triangle3D = require('../Triangle3D'),
             TriangleIntersector = require('../TriangleIntersector'),
 			Quaternion = require('../Quaternion'),
+			STLWriter = require('./STLWriter'),
 			Vertex = require('./Vertex');
 
 		/**
@@ -50,6 +52,8 @@ define(function( require, exports ){
 		TriangleMesh.DEFAULT_STRIDE = 4;
 
 		TriangleMesh.prototype = {
+			constructor: TriangleMesh,
+
             /**
              * add a Face to the mesh
              * @param {Vec3D} a
@@ -114,7 +118,9 @@ define(function( require, exports ){
 					var v = this.vertices[i];
 					v.addSelf(delta);
 				}
-
+				if(this.bvh !== undefined){
+					this.bvh.refit();
+				}
 				return this.getBoundingBox();
 			},
 
@@ -132,6 +138,7 @@ define(function( require, exports ){
 				this.vertices = this.vertexMap.getArray();
 				this.faces = [];
 				this.bounds = undefined;
+				this.bvh = undefined;
 				return this;
 			},
 
@@ -240,6 +247,21 @@ define(function( require, exports ){
 				return self.bounds;
 			},
 
+			/**
+			 * the bounding volume hierarchy of the faces, for fast ray casting and
+			 * proximity queries. It is kept and refitted when the vertices are moved
+			 * by the methods of the mesh (transform, center, updateVertex, smoothing),
+			 * but built again only when the number of faces changed.
+			 * @param {Boolean} [rebuild] force a new tree, after faces were replaced
+			 * @return {toxi.geom.mesh.BVH}
+			 */
+			getBVH: function( rebuild ){
+				if( rebuild || this.bvh === undefined || this.bvh.faces.length !== this.faces.length ){
+					this.bvh = new BVH( this );
+				}
+				return this.bvh;
+			},
+
 			getBoundingSphere:function(){
 				var Sphere = require('../Sphere');
 				var radius = 0;
@@ -606,22 +628,39 @@ define(function( require, exports ){
 				return this.vertices;
 			},
 
-			handleSaveAsSTL: function(stl,useFlippedY) {
-				/*f (useFlippedY) {
-					stl.setScale(new Vec3D(1, -1, 1));
-					for (Face f : faces) {
-						stl.face(f.a, f.b, f.c, f.normal, STLWriter.DEFAULT_RGB);
+			/**
+			 * write all faces into an already started STLWriter and end the save
+			 * @param {STLWriter} stl
+			 * @param {Boolean} [useFlippedY]
+			 * @param {Function|Number|TColor} [faceColor] color for all faces or
+			 * a function( face, index ) returning the color of each face
+			 */
+			handleSaveAsSTL: function(stl,useFlippedY,faceColor) {
+				var l = this.faces.length,
+					rgb = STLWriter.DEFAULT_RGB,
+					//the writer may be reused, so its scale is restored afterwards
+					scale = stl.scale.copy(),
+					f, i;
+				if (faceColor !== undefined && typeof faceColor !== 'function') {
+					rgb = faceColor;
+				}
+				if (useFlippedY) {
+					stl.setScale(new Vec3D(scale.x, -scale.y, scale.z));
+				}
+				for (i=0;i<l;i++) {
+					f = this.faces[i];
+					if (typeof faceColor === 'function') {
+						rgb = faceColor(f, i);
 					}
-				} else {
-					for (Face f : faces) {
-						stl.face(f.b, f.a, f.c, f.normal, STLWriter.DEFAULT_RGB);
+					if (useFlippedY) {
+						stl.face(f.a, f.b, f.c, new Vec3D(f.normal.x, -f.normal.y, f.normal.z), rgb);
+					} else {
+						stl.face(f.b, f.a, f.c, f.normal, rgb);
 					}
 				}
 				stl.endSave();
-				console.log(numFaces + " faces written");
-				*/
-				throw new Error("TriangleMesh.handleSaveAsSTL() currently not implemented");
-
+				stl.setScale(scale);
+				return stl;
 			},
 
 			init: function( name ){
@@ -713,41 +752,88 @@ define(function( require, exports ){
 				return this.transform(this.matrix.identity().rotateZ(theta));
 			},
 
-			saveAsOBJ: function(obj, saveNormals) {
+			/**
+			 * Saves the mesh as OBJ, texture coordinates are written for
+			 * all faces that have them
+			 * @param {OBJWriter} obj
+			 * @param {Boolean} [saveNormals] defaults to true
+			 * @param {String} [material] name of a material to use for all faces
+			 */
+			saveAsOBJ: function(obj, saveNormals, material) {
 				if( saveNormals === undefined){
 					saveNormals = true;
 				}
 				var vOffset = obj.getCurrVertexOffset() + 1,
-					nOffset = obj.getCurrNormalOffset() + 1;
+					nOffset = obj.getCurrNormalOffset() + 1,
+					tOffset = obj.getCurrUVOffset() + 1;
 				obj.newObject( this.name );
+				if( material !== undefined ){
+					obj.useMaterial( material );
+				}
 				//vertices
 				var v = 0, f = 0,
 					vlen = this.vertices.length,
 					flen = this.faces.length,
-					face;
+					uvIndices = {},
+					numUVs = 0,
+					face, a, b, c, ta, tb, tc;
+				//@return {Number} the index of the texture coordinate, writing it once
+				var uvIndex = function( uv ){
+					var key = uv.x + ',' + uv.y;
+					if( uvIndices[key] === undefined ){
+						obj.uv( uv );
+						uvIndices[key] = tOffset + numUVs++;
+					}
+					return uvIndices[key];
+				};
 				for( v=0; v<vlen; v++ ){
 					obj.vertex( this.vertices[v] );
 				}
-				//faces
+				//normals
 				if( saveNormals ){
-					//normals
 					for( v=0; v<vlen; v++){
 						obj.normal( this.vertices[v].normal );
 					}
-					for( f=0; f<flen; f++){
-						face = this.faces[f];
-						obj.faceWithNormals(face.b.id + vOffset, face.a.id + vOffset, face.c.id + vOffset, face.b.id + nOffset, face.a.id + nOffset, face.c.id + nOffset);
-					}
-				} else {
-					for( f=0; f<flen; f++){
-						face = this.faces[f];
-						obj.face(face.b.id + vOffset, face.a.id + vOffset, face.c.id + vOffset);
+				}
+				//faces
+				for( f=0; f<flen; f++){
+					face = this.faces[f];
+					a = face.b.id;
+					b = face.a.id;
+					c = face.c.id;
+					if( face.uvA ){
+						ta = uvIndex( face.uvB );
+						tb = uvIndex( face.uvA );
+						tc = uvIndex( face.uvC );
+						if( saveNormals ){
+							obj.faceWithUVsAndNormals(a + vOffset, b + vOffset, c + vOffset, ta, tb, tc, a + nOffset, b + nOffset, c + nOffset);
+						} else {
+							obj.faceWithUVs(a + vOffset, b + vOffset, c + vOffset, ta, tb, tc);
+						}
+					} else if( saveNormals ){
+						obj.faceWithNormals(a + vOffset, b + vOffset, c + vOffset, a + nOffset, b + nOffset, c + nOffset);
+					} else {
+						obj.face(a + vOffset, b + vOffset, c + vOffset);
 					}
 				}
 			},
 
-			saveAsSTL: function(a,b,c){
-				throw new Error("TriangleMesh.saveAsSTL() currently not implemented");
+			/**
+			 * Saves the mesh as binary (or ASCII) STL
+			 * @param {STLWriter} [stl] optionally provide a writer, a binary one is created otherwise
+			 * @param {Boolean} [useFlippedY] flip the Y axis, for Processing's coordinate system
+			 * @param {Function|Number|TColor} [faceColor] color for all faces or
+			 * a function( face, index ) returning the color of each face
+			 * @return {ArrayBuffer|String} the output of the writer
+			 */
+			saveAsSTL: function(stl,useFlippedY,faceColor){
+				if(stl === undefined || stl === null || typeof stl === 'boolean'){
+					faceColor = useFlippedY;
+					useFlippedY = stl;
+					stl = new STLWriter();
+				}
+				stl.beginSave(this.getNumFaces(), this.name);
+				return this.handleSaveAsSTL(stl, useFlippedY, faceColor).getOutput();
 			},
 
 			scale: function(scale) {
@@ -787,6 +873,9 @@ define(function( require, exports ){
 				if(updateNormals){
 					this.computeFaceNormals();
 				}
+				if(this.bvh !== undefined){
+					this.bvh.refit();
+				}
 				return this;
 			},
 
@@ -805,6 +894,9 @@ define(function( require, exports ){
 					this.vertexMap.remove( vertex );
 					vertex.set( newPos );
 					this.vertexMap.put( newPos, vertex );
+					if(this.bvh !== undefined){
+						this.bvh.refit();
+					}
 				}
 				return this;
 			}
@@ -821,6 +913,10 @@ define(function( require, exports ){
 		var WEFace = require('./Face').WEFace;
 		var WingedEdge = require('./WingedEdge');
 		var MidpointSubdivision = require('./subdiv/MidpointSubdivision');
+		var LaplacianSmooth = require('./LaplacianSmooth');
+		var MeshSimplifier = require('./MeshSimplifier');
+		var meshTopology = require('./meshTopology');
+		var TaubinSmooth = require('./TaubinSmooth');
 
 		//locals
 		var proto;
@@ -835,6 +931,7 @@ define(function( require, exports ){
 
 		internals.extend( WETriangleMesh, TriangleMesh );
 		proto = WETriangleMesh.prototype;
+		proto.constructor = WETriangleMesh;
 
 		proto.addFace = function( a, b, c, norm, uvA, uvB, uvC ){
 			if( arguments.length === 6 ){
@@ -890,18 +987,86 @@ define(function( require, exports ){
 				f = this.faces[i];
 				m.addFace( f.a, f.b, f.c, f.normal, f.uvA, f.uvB, f.uvC );
 			}
+			l = this.edges.length;
+			for(i=0; i<l; i++){
+				if( this.edges[i].crease !== 0 ){
+					m.getEdge( this.edges[i].a, this.edges[i].b ).setCrease( this.edges[i].crease );
+				}
+			}
 			return m;
 		};
 
+		/**
+		* Closes holes of the mesh with a fan of new faces around their centre,
+		* see {@link toxi.geom.mesh.meshTopology.fillHoles}
+		* @param {Number} [maxEdges] only fill holes with up to this many edges
+		* @return {Number} the number of filled holes
+		*/
+		proto.fillHoles = function( maxEdges ){
+			var numFilled = meshTopology.fillHoles( this, maxEdges );
+			this.computeVertexNormals();
+			return numFilled;
+		};
+
 		proto._createVertex = function( vec3D, id ){
 			var vertex = new WEVertex( vec3D, id );
 			return vertex;
 		};
+		//@return {WingedEdge[]} the edges with only one face
+		proto.getBoundaryEdges = function(){
+			return meshTopology.getBoundaryEdges( this );
+		};
+
+		//@return {WEVertex[][]} the vertices of each hole or open border, in order
+		proto.getBoundaryLoops = function(){
+			return meshTopology.getBoundaryLoops( this );
+		};
+
+		//@return {WEFace[][]} the faces of each connected part of the mesh
+		proto.getComponents = function(){
+			return meshTopology.getComponents( this );
+		};
+
+		/**
+		* @param {Vec3D} a
+		* @param {Vec3D} b
+		* @return {WingedEdge} the edge between the vertices at both points, in either direction,
+		* undefined if there is none
+		*/
+		proto.getEdge = function( a, b ){
+			var va = this.vertexMap.get( a ),
+				vb = this.vertexMap.get( b ),
+				e;
+			if( va === undefined || vb === undefined ){
+				return undefined;
+			}
+			e = this.edgeMap.get( this.__edgeCheck.set( va, vb ) );
+			if( !e ){
+				e = this.edgeMap.get( this.__edgeCheck.set( vb, va ) );
+			}
+			return e;
+		};
+
+		//@param {Vec3D} a
+		//@param {Vec3D} b
+		//@return {WEFace[]} the faces around the edge between the points, empty if there is none
+		proto.getEdgeFaces = function( a, b ){
+			var e = this.getEdge( a, b );
+			return e !== undefined ? e.faces.slice( 0 ) : [];
+		};
+
 		//TODO: numEdges currently not hooked up
 		proto.getNumEdges = function(){
 			return this.edgeMap.size();
 		};
 
+		//@param {Vec3D} v position of a vertex of the mesh
+		//@return {WEVertex[]} its neighbours in order around it, empty if there is no such vertex
+		proto.getOneRing = function( v ){
+			var vertex = this.vertexMap.get( v );
+			return vertex !== undefined ? vertex.getOneRing() : [];
+		};
+
 		proto.init = function( name ){
 			TriangleMesh.prototype.init.call(this, name);
 			//this.edgeMap.put(va.toString()+vb.toString(), {WingedEdge} );
@@ -911,6 +1076,17 @@ define(function( require, exports ){
 			this.__uniqueEdgeID = 0;
 		};
 
+		/**
+		* Moves every vertex towards the average of its neighbours, see
+		* {@link toxi.geom.mesh.LaplacianSmooth} for the options.
+		* @param {Number} [numIterations] defaults to 1
+		* @param {Object} [options] lambda, weighting, pinBoundary and pinned vertices
+		* @return itself
+		*/
+		proto.laplacianSmooth = function( numIterations, options ){
+			return new LaplacianSmooth( options ).filter( this, numIterations );
+		};
+
 		proto.rebuildIndex = function(){
 			//if vertices have moved / transformed a new vertexMap and edgeMap must be made
 			//in order to have updated string keys of new positions
@@ -1006,6 +1182,20 @@ define(function( require, exports ){
 			});
 		};
 
+		/**
+		* @return {toxi.geom.mesh.WETriangleMesh[]} a new mesh for each connected part
+		*/
+		proto.splitComponents = function(){
+			var name = this.name;
+			return meshTopology.getComponents( this ).map(function( faces, i ){
+				var m = new WETriangleMesh( name + "-" + i );
+				for( var j=0; j<faces.length; j++ ){
+					m.addFace( faces[j].a, faces[j].b, faces[j].c, undefined, faces[j].uvA, faces[j].uvB, faces[j].uvC );
+				}
+				return m;
+			});
+		};
+
 		//@param {Vec3D | WingedEdge} a or edge
 		//@param {Vec3D | SubdivisionStrategy} b or strategy if edge supplied
 		//@param {SubdivisionStrategy} [subDiv] or undefined
@@ -1060,9 +1250,27 @@ define(function( require, exports ){
 			}
 		};
 
-		//@param {SubdivisionStrategy | Number} subDiv or minLength
-		//@param {Number} [minLength] if also supplying subDiv
+		/**
+		* Creates a version of the mesh with fewer faces, see
+		* {@link toxi.geom.mesh.MeshSimplifier} for the options.
+		* @param {Object|Number} [options] options or the targetFaces
+		* @return {toxi.geom.mesh.WETriangleMesh} a new mesh, this one is unchanged
+		*/
+		proto.simplify = function( options ){
+			if( typeof options === 'number' ){
+				options = { targetFaces: options };
+			}
+			return new MeshSimplifier( options ).simplify( this, new WETriangleMesh( this.name + "-simplified" ) );
+		};
+
+		//@param {SubdivisionStrategy | SmoothSubdivision | Number} subDiv or minLength
+		//@param {Number} [minLength] if also supplying subDiv, smooth schemes
+		//like LoopSubdivision subdivide the whole mesh once and ignore it
 		proto.subdivide = function( subDiv, minLength ){
+			if( subDiv !== undefined && typeof subDiv.subdivideMesh === 'function' ){
+				subDiv.subdivideMesh( this );
+				return;
+			}
 			if( arguments.length === 1 ){
 				minLength = subDiv;
 				subDiv = new MidpointSubdivision();
@@ -1100,6 +1308,17 @@ define(function( require, exports ){
 			this.subdividEdges( fedges, subDiv, minLength );
 		};
 
+		/**
+		* Smooths the mesh without shrinking it, see {@link toxi.geom.mesh.TaubinSmooth}
+		* for the options.
+		* @param {Number} [numIterations] defaults to 1
+		* @param {Object} [options] lambda, mu, weighting, pinBoundary and pinned vertices
+		* @return itself
+		*/
+		proto.taubinSmooth = function( numIterations, options ){
+			return new TaubinSmooth( options ).filter( this, numIterations );
+		};
+
 		proto.toString = function(){
 			return "WETriangleMesh: " + this.name + " vertices: " + this.getNumVertices() + " faces: " + this.getNumFaces() + " edges:" + this.getNumEdges();
 		};
@@ -1122,9 +1341,25 @@ define(function( require, exports ){
 			if( updateNormals ){
 				this.computeFaceNormals();
 			}
+			if( this.bvh !== undefined ){
+				this.bvh.refit();
+			}
 			return this;
 		};
 
+		/**
+		* Flips faces so the faces of each connected part have the same winding,
+		* that of the majority of them
+		* @return {Number} the number of flipped faces
+		*/
+		proto.unifyWinding = function(){
+			var numFlipped = meshTopology.unifyWinding( this );
+			if( numFlipped > 0 ){
+				this.computeVertexNormals();
+			}
+			return numFlipped;
+		};
+
 		proto.updateEdge = function( va, vb, face ){
 			//dictionary key is va.toString() + vb.toString()
 			//because Line3D toString would be different than WingedEdge toString()
@@ -1145,6 +1380,25 @@ define(function( require, exports ){
 			}
 			face.addEdge( e );
 		};
+
+		/**
+		* Checks the mesh for non-manifold edges, holes, inconsistent winding and
+		* duplicate faces, see {@link toxi.geom.mesh.meshTopology.validate}
+		* @return {Object} the report
+		*/
+		proto.validate = function(){
+			return meshTopology.validate( this );
+		};
+
+		/**
+		* Merges vertices closer to each other than the tolerance, removing faces
+		* which become degenerate or duplicates
+		* @param {Number} tolerance
+		* @return {Number} the number of removed vertices
+		*/
+		proto.weldVertices = function( tolerance ){
+			return meshTopology.weldVertices( this, tolerance );
+		};
 	}( TriangleMesh ));
 
 
@@ -0,0 +1,460 @@
+define(function(require, exports, module) {
+
+	var Vec3D = require('../Vec3D');
+
+	/**
+	 * @class
+	 * @static
+	 * @member toxi.geom.mesh
+	 * @description connectivity queries, validation and repairs for
+	 * {@link toxi.geom.mesh.WETriangleMesh}, also available as methods of the mesh
+	 */
+	var MeshTopology = {};
+
+	//@private
+	//@return {Number} 1 if the face goes from u to v, -1 if from v to u, 0 if it has no such edge
+	var getDirection = function( face, u, v ){
+		var verts = [face.a, face.b, face.c],
+			i = verts.indexOf( u );
+		if( i < 0 ){
+			return 0;
+		}
+		if( verts[(i+1) % 3] === v ){
+			return 1;
+		}
+		if( verts[(i+2) % 3] === v ){
+			return -1;
+		}
+		return 0;
+	};
+
+	//@private
+	//union-find over numeric ids
+	var createSets = function(){
+		var parents = {};
+		var find = function( id ){
+			var root = id, next;
+			while( parents[root] !== undefined && parents[root] !== root ){
+				root = parents[root];
+			}
+			//compress the path
+			while( id !== root ){
+				next = parents[id];
+				parents[id] = root;
+				id = next === undefined ? root : next;
+			}
+			return root;
+		};
+		return {
+			find: find,
+			union: function( a, b ){
+				a = find( a );
+				b = find( b );
+				if( a !== b ){
+					//the smaller id stays the root
+					if( a < b ){
+						parents[b] = a;
+					} else {
+						parents[a] = b;
+					}
+				}
+			}
+		};
+	};
+
+	/**
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @return {WingedEdge[]} the edges with only one face
+	 */
+	MeshTopology.getBoundaryEdges = function( mesh ){
+		return mesh.edges.filter(function( e ){
+			return e.faces.length === 1;
+		});
+	};
+
+	/**
+	 * the outlines of the holes and open borders of a mesh
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @return {WEVertex[][]} a list of vertices for each loop, in the direction
+	 * of the faces along it
+	 */
+	MeshTopology.getBoundaryLoops = function( mesh ){
+		var outgoing = {},
+			loops = [],
+			edges = MeshTopology.getBoundaryEdges( mesh ),
+			used = {},
+			i, j, e, start, loop, v, next, list;
+		//boundary edges by the vertex they start at, following their face
+		for( i=0; i<edges.length; i++ ){
+			e = edges[i];
+			if( getDirection( e.faces[0], e.a, e.b ) > 0 ){
+				(outgoing[e.a.id] = outgoing[e.a.id] || []).push({ edge: e, to: e.b });
+			} else {
+				(outgoing[e.b.id] = outgoing[e.b.id] || []).push({ edge: e, to: e.a });
+			}
+		}
+		for( i=0; i<edges.length; i++ ){
+			if( used[edges[i].id] ){
+				continue;
+			}
+			start = getDirection( edges[i].faces[0], edges[i].a, edges[i].b ) > 0 ? edges[i].a : edges[i].b;
+			loop = [];
+			v = start;
+			do {
+				list = outgoing[v.id] || [];
+				next = undefined;
+				for( j=0; j<list.length; j++ ){
+					if( !used[list[j].edge.id] ){
+						next = list[j];
+						break;
+					}
+				}
+				if( next === undefined ){
+					//inconsistent winding leaves the loop open
+					break;
+				}
+				used[next.edge.id] = true;
+				loop.push( v );
+				v = next.to;
+			} while( v !== start );
+			if( loop.length > 0 ){
+				loops.push( loop );
+			}
+		}
+		return loops;
+	};
+
+	/**
+	 * group the faces of a mesh into parts which are connected by their vertices
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @return {WEFace[][]} the faces of each part
+	 */
+	MeshTopology.getComponents = function( mesh ){
+		var sets = createSets(),
+			groups = {},
+			components = [],
+			i, f, root;
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			sets.union( f.a.id, f.b.id );
+			sets.union( f.a.id, f.c.id );
+		}
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			root = sets.find( f.a.id );
+			if( groups[root] === undefined ){
+				groups[root] = components.length;
+				components.push( [] );
+			}
+			components[groups[root]].push( f );
+		}
+		return components;
+	};
+
+	/**
+	 * @param {WingedEdge} edge
+	 * @return {Boolean} true if the faces on both sides of the edge run along it
+	 * in the same direction, so one of them is flipped
+	 */
+	MeshTopology.hasInconsistentWinding = function( edge ){
+		return edge.faces.length === 2 &&
+			getDirection( edge.faces[0], edge.a, edge.b ) === getDirection( edge.faces[1], edge.a, edge.b );
+	};
+
+	/**
+	 * @param {WEVertex} vertex
+	 * @return {WEFace[]} the faces using the vertex
+	 */
+	MeshTopology.getVertexFaces = function( vertex ){
+		var faces = [],
+			i, j, f;
+		for( i=0; i<vertex.edges.length; i++ ){
+			for( j=0; j<vertex.edges[i].faces.length; j++ ){
+				f = vertex.edges[i].faces[j];
+				if( faces.indexOf( f ) < 0 ){
+					faces.push( f );
+				}
+			}
+		}
+		return faces;
+	};
+
+	/**
+	 * the neighbours of a vertex in order around it, following the winding of
+	 * its faces. Open fans start at the boundary, neighbours which can't be
+	 * reached that way (non-manifold vertices) are added at the end.
+	 * @param {WEVertex} vertex
+	 * @return {WEVertex[]}
+	 */
+	MeshTopology.getOneRing = function( vertex ){
+		var faces = MeshTopology.getVertexFaces( vertex ),
+			neighbors = vertex.getNeighbors(),
+			successors = {},
+			hasPredecessor = {},
+			ring = [],
+			visited = {},
+			i, verts, k, prev, next, start, v;
+		for( i=0; i<faces.length; i++ ){
+			verts = [faces[i].a, faces[i].b, faces[i].c];
+			k = verts.indexOf( vertex );
+			next = verts[(k+1) % 3];
+			prev = verts[(k+2) % 3];
+			successors[next.id] = prev;
+			hasPredecessor[prev.id] = true;
+		}
+		for( i=0; i<neighbors.length && start === undefined; i++ ){
+			if( successors[neighbors[i].id] && !hasPredecessor[neighbors[i].id] ){
+				start = neighbors[i];
+			}
+		}
+		start = start || neighbors[0];
+		v = start;
+		while( v !== undefined && !visited[v.id] ){
+			visited[v.id] = true;
+			ring.push( v );
+			v = successors[v.id];
+		}
+		for( i=0; i<neighbors.length; i++ ){
+			if( !visited[neighbors[i].id] ){
+				visited[neighbors[i].id] = true;
+				ring.push( neighbors[i] );
+			}
+		}
+		return ring;
+	};
+
+	/**
+	 * check a mesh for problems
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @return {Object} report with the properties
+	 * nonManifoldEdges {WingedEdge[]} edges with more than 2 faces,
+	 * holes {WEVertex[][]} the boundary loops, empty for closed meshes,
+	 * inconsistentEdges {WingedEdge[]} edges between faces with opposite winding,
+	 * duplicateFaces {WEFace[][]} pairs of faces using the same vertices,
+	 * isClosed, isManifold, isConsistent and isValid {Boolean}
+	 */
+	MeshTopology.validate = function( mesh ){
+		var report = {
+				nonManifoldEdges: [],
+				holes: MeshTopology.getBoundaryLoops( mesh ),
+				inconsistentEdges: [],
+				duplicateFaces: []
+			},
+			seen = {},
+			i, e, f, key;
+		for( i=0; i<mesh.edges.length; i++ ){
+			e = mesh.edges[i];
+			if( e.faces.length > 2 ){
+				report.nonManifoldEdges.push( e );
+			} else if( MeshTopology.hasInconsistentWinding( e ) ){
+				report.inconsistentEdges.push( e );
+			}
+		}
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			key = [f.a.id, f.b.id, f.c.id].sort(function( a, b ){ return a - b; }).join( '_' );
+			if( seen[key] !== undefined ){
+				report.duplicateFaces.push( [seen[key], f] );
+			} else {
+				seen[key] = f;
+			}
+		}
+		report.isClosed = report.holes.length === 0;
+		report.isManifold = report.nonManifoldEdges.length === 0;
+		report.isConsistent = report.inconsistentEdges.length === 0;
+		report.isValid = report.isManifold && report.isConsistent && report.duplicateFaces.length === 0;
+		return report;
+	};
+
+	/**
+	 * flip faces so all faces of a connected part have the same winding as
+	 * the majority of them
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @return {Number} the number of flipped faces
+	 */
+	MeshTopology.unifyWinding = function( mesh ){
+		var flip = {},
+			parts = {},
+			numFlips = [],
+			sizes = [],
+			numFlipped = 0,
+			faces = mesh.faces,
+			keyOf = function( f ){
+				return f.a.id + '_' + f.b.id + '_' + f.c.id;
+			},
+			i, j, f, e, key, other, otherKey, queue, part;
+		for( i=0; i<faces.length; i++ ){
+			key = keyOf( faces[i] );
+			if( parts[key] !== undefined ){
+				continue;
+			}
+			//breadth first through manifold edges, deciding the flips relative to the first face
+			part = sizes.length;
+			sizes.push( 1 );
+			numFlips.push( 0 );
+			parts[key] = part;
+			flip[key] = false;
+			queue = [faces[i]];
+			while( queue.length > 0 ){
+				f = queue.shift();
+				key = keyOf( f );
+				for( j=0; j<f.edges.length; j++ ){
+					e = f.edges[j];
+					if( e.faces.length !== 2 ){
+						continue;
+					}
+					other = e.faces[0] === f ? e.faces[1] : e.faces[0];
+					otherKey = keyOf( other );
+					if( parts[otherKey] !== undefined ){
+						continue;
+					}
+					parts[otherKey] = part;
+					flip[otherKey] = MeshTopology.hasInconsistentWinding( e ) ? !flip[key] : flip[key];
+					sizes[part]++;
+					if( flip[otherKey] ){
+						numFlips[part]++;
+					}
+					queue.push( other );
+				}
+			}
+		}
+		//keep the winding of the majority of each part
+		for( i=0; i<faces.length; i++ ){
+			key = keyOf( faces[i] );
+			part = parts[key];
+			if( flip[key] === (numFlips[part] * 2 <= sizes[part]) ){
+				faces[i].flipVertexOrder();
+				numFlipped++;
+			}
+		}
+		return numFlipped;
+	};
+
+	/**
+	 * close the holes of a mesh with up to a number of edges, by adding a fan
+	 * of faces around their centre
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @param {Number} [maxEdges] the largest hole to fill, defaults to all of them
+	 * @return {Number} the number of filled holes
+	 */
+	MeshTopology.fillHoles = function( mesh, maxEdges ){
+		var loops = MeshTopology.getBoundaryLoops( mesh ),
+			numFilled = 0,
+			i, j, loop, n, center;
+		maxEdges = maxEdges === undefined ? Infinity : maxEdges;
+		for( i=0; i<loops.length; i++ ){
+			loop = loops[i];
+			n = loop.length;
+			if( n < 3 || n > maxEdges ){
+				continue;
+			}
+			//the new faces run along the boundary against the existing ones
+			if( n === 3 ){
+				mesh.addFace( loop[2], loop[1], loop[0] );
+			} else {
+				center = new Vec3D();
+				for( j=0; j<n; j++ ){
+					center.addSelf( loop[j] );
+				}
+				center.scaleSelf( 1 / n );
+				for( j=0; j<n; j++ ){
+					mesh.addFace( loop[(j+1) % n], loop[j], center );
+				}
+			}
+			numFilled++;
+		}
+		return numFilled;
+	};
+
+	/**
+	 * merge vertices which are closer than the tolerance, faces which become
+	 * degenerate or duplicates of others are removed
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @param {Number} tolerance
+	 * @return {Number} the number of removed vertices
+	 */
+	MeshTopology.weldVertices = function( mesh, tolerance ){
+		var vertices = mesh.vertices.slice( 0 ),
+			numVertices = vertices.length,
+			sets = createSets(),
+			grid = {},
+			cellSize = tolerance > 0 ? tolerance : 1,
+			toleranceSq = tolerance * tolerance,
+			byId = {},
+			cellOf = function( v ){
+				return [Math.floor( v.x / cellSize ), Math.floor( v.y / cellSize ), Math.floor( v.z / cellSize )];
+			},
+			//every vertex moves to the first vertex of its group
+			weld = function( v ){
+				return byId[sets.find( v.id )];
+			},
+			faces, creases, seen, i, j, x, y, z, c, key, list, v, f, e;
+		for( i=0; i<vertices.length; i++ ){
+			v = vertices[i];
+			byId[v.id] = v;
+			c = cellOf( v );
+			for( x=c[0]-1; x<=c[0]+1; x++ ){
+				for( y=c[1]-1; y<=c[1]+1; y++ ){
+					for( z=c[2]-1; z<=c[2]+1; z++ ){
+						list = grid[x + ',' + y + ',' + z] || [];
+						for( j=0; j<list.length; j++ ){
+							if( list[j].distanceToSquared( v ) <= toleranceSq ){
+								sets.union( list[j].id, v.id );
+							}
+						}
+					}
+				}
+			}
+			key = c.join( ',' );
+			(grid[key] = grid[key] || []).push( v );
+		}
+		faces = mesh.faces.map(function( f ){
+			return [weld( f.a ), weld( f.b ), weld( f.c ), f.uvA, f.uvB, f.uvC];
+		});
+		creases = [];
+		for( i=0; i<mesh.edges.length; i++ ){
+			e = mesh.edges[i];
+			if( e.crease !== 0 ){
+				creases.push( [weld( e.a ), weld( e.b ), e.crease] );
+			}
+		}
+		//positions of the new vertices
+		faces.forEach(function( f ){
+			for( var k=0; k<3; k++ ){
+				f[k] = new Vec3D( f[k] );
+			}
+		});
+		creases.forEach(function( c ){
+			c[0] = new Vec3D( c[0] );
+			c[1] = new Vec3D( c[1] );
+		});
+		mesh.clear();
+		seen = {};
+		for( i=0; i<faces.length; i++ ){
+			f = faces[i];
+			if( f[0].equals( f[1] ) || f[1].equals( f[2] ) || f[2].equals( f[0] ) ){
+				continue;
+			}
+			key = f.slice( 0, 3 ).map(function( p ){ return p.toString(); }).sort().join( '|' );
+			if( seen[key] ){
+				continue;
+			}
+			seen[key] = true;
+			if( f[3] !== undefined ){
+				mesh.addFace( f[0], f[1], f[2], undefined, f[3], f[4], f[5] );
+			} else {
+				mesh.addFace( f[0], f[1], f[2] );
+			}
+		}
+		for( i=0; i<creases.length; i++ ){
+			e = mesh.getEdge( creases[i][0], creases[i][1] );
+			if( e !== undefined ){
+				e.setCrease( creases[i][2] );
+			}
+		}
+		mesh.computeVertexNormals();
+		return numVertices - mesh.vertices.length;
+	};
+
+	module.exports = MeshTopology;
+});
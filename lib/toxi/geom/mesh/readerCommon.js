@@ -0,0 +1,96 @@
+define(function( require, exports ){
+	//private: helpers shared by OBJReader, STLReader and PLYReader
+
+	var TriangleMesh = require('./TriangleMesh');
+
+	/**
+	 * create an Error that reports where in the input it occurred
+	 * @param {String} reader name of the reader throwing
+	 * @param {Number} line 1-based line number
+	 * @param {String} message
+	 * @return {Error}
+	 */
+	exports.parseError = function( reader, line, message ){
+		var err = new Error( reader + ": line " + line + ": " + message );
+		err.line = line;
+		return err;
+	};
+
+	/**
+	 * @param {TriangleMesh|WETriangleMesh} [mesh] optional mesh to add faces to
+	 * @return {TriangleMesh} the mesh or a new one
+	 */
+	exports.getMesh = function( mesh ){
+		return mesh || new TriangleMesh();
+	};
+
+	/**
+	 * add a face defined in counter-clockwise order, TriangleMesh expects
+	 * clockwise, see TriangleMesh#saveAsOBJ()
+	 * @return {Face} the face added or undefined if it was invalid
+	 */
+	exports.addFace = function( mesh, a, b, c, uvA, uvB, uvC ){
+		var numFaces = mesh.faces.length;
+		mesh.addFace( b, a, c, undefined, uvB, uvA, uvC );
+		return mesh.faces.length > numFaces ? mesh.faces[numFaces] : undefined;
+	};
+
+	/**
+	 * replace the accumulated normals of vertices with those from the file
+	 * @param {Array} corners array of { vertex: Vertex, normal: Vec3D }
+	 */
+	exports.applyVertexNormals = function( corners ){
+		var i, l = corners.length;
+		for( i=0; i<l; i++ ){
+			corners[i].vertex.clearNormal();
+		}
+		for( i=0; i<l; i++ ){
+			corners[i].vertex.addFaceNormal( corners[i].normal );
+		}
+		for( i=0; i<l; i++ ){
+			corners[i].vertex.computeNormal();
+		}
+	};
+
+	/**
+	 * @param {ArrayBuffer|ArrayBufferView|Buffer} data
+	 * @return {Uint8Array}
+	 */
+	exports.toBytes = function( data ){
+		if( data instanceof ArrayBuffer ){
+			return new Uint8Array( data );
+		}
+		return new Uint8Array( data.buffer, data.byteOffset, data.byteLength );
+	};
+
+	/**
+	 * decode a range of bytes as ASCII
+	 * @param {Uint8Array} bytes
+	 * @param {Number} [start]
+	 * @param {Number} [end]
+	 * @return {String}
+	 */
+	exports.bytesToString = function( bytes, start, end ){
+		var chunks = [],
+			chunkSize = 0x8000,
+			i;
+		start = start || 0;
+		end = end === undefined ? bytes.length : end;
+		for( i=start; i<end; i+=chunkSize ){
+			chunks.push( String.fromCharCode.apply( null, bytes.subarray( i, Math.min( i+chunkSize, end ) ) ) );
+		}
+		return chunks.join("");
+	};
+
+	/**
+	 * parse a Number, returning NaN for anything that isn't entirely numeric
+	 * @param {String} str
+	 * @return {Number}
+	 */
+	exports.toNumber = function( str ){
+		if( str === undefined || str === "" ){
+			return NaN;
+		}
+		return Number( str );
+	};
+});
@@ -2,24 +2,30 @@ define([
 	'require',
 	'exports',
 	'./subdiv/SubdivisionStrategy',
+	'./subdiv/CatmullClarkSubdivision',
 	'./subdiv/DisplacementSubdivision',
 	'./subdiv/DualDisplacementSubdivision',
 	'./subdiv/DualSubdivision',
 	'./subdiv/EdgeLengthComparator',
 	'./subdiv/FaceCountComparator',
+	'./subdiv/LoopSubdivision',
 	'./subdiv/MidpointDisplacementSubdivision',
 	'./subdiv/MidpointSubdivision',
 	'./subdiv/NormalDisplacementSubdivision',
+	'./subdiv/SmoothSubdivision',
 	'./subdiv/TriSubdivision'
 ], function( require, exports ){
+	exports.CatmullClarkSubdivision = require('./subdiv/CatmullClarkSubdivision');
 	exports.DisplacementSubdivision = require('./subdiv/DisplacementSubdivision');
 	exports.DualDisplacementSubdivision = require('./subdiv/DualDisplacementSubdivision');
 	exports.DualSubdivision = require('./subdiv/DualSubdivision');
 	exports.EdgeLengthComparator = require('./subdiv/EdgeLengthComparator');
 	exports.FaceCountComparator = require('./subdiv/FaceCountComparator');
+	exports.LoopSubdivision = require('./subdiv/LoopSubdivision');
 	exports.MidpointDisplacementSubdivision = require('./subdiv/MidpointDisplacementSubdivision');
 	exports.MidpointSubdivision = require('./subdiv/MidpointSubdivision');
 	exports.NormalDisplacementSubdivision = require('./subdiv/NormalDisplacementSubdivision');
+	exports.SmoothSubdivision = require('./subdiv/SmoothSubdivision');
 	exports.SubdivisionStrategy = require('./subdiv/SubdivisionStrategy');
 	exports.TriSubdivision = require('./subdiv/TriSubdivision');
 });
\ No newline at end of file
@@ -0,0 +1,93 @@
+define([
+	'../../../internals',
+	'../../Vec2D',
+	'../../Vec3D',
+	'./SmoothSubdivision'
+], function( internals, Vec2D, Vec3D, SmoothSubdivision ){
+
+	//Catmull-Clark subdivision: every face is split into quads around
+	//its centroid, which are triangulated as the mesh only holds triangles.
+	//For several levels the quads of the previous one are split again.
+	//@see SmoothSubdivision for boundaries and creases
+	var CatmullClarkSubdivision, proto;
+	CatmullClarkSubdivision = function(){
+		SmoothSubdivision.call(this);
+	};
+	internals.extend( CatmullClarkSubdivision, SmoothSubdivision );
+	proto = CatmullClarkSubdivision.prototype;
+
+	proto.computeEdgePoint = function( topology, edge, facePoints ){
+		var polygons = topology.edgePolygons[edge.id];
+		return edge.a.add( edge.b )
+			.addSelf( facePoints[polygons[0]] )
+			.addSelf( facePoints[polygons[1]] )
+			.scaleSelf( 0.25 );
+	};
+
+	//the centroid of the face
+	proto.computeFacePoint = function( topology, index ){
+		var vertices = topology.polygons[index].vertices,
+			p = new Vec3D(),
+			i;
+		for( i=0; i<vertices.length; i++ ){
+			p.addSelf( vertices[i] );
+		}
+		return p.scaleSelf( 1 / vertices.length );
+	};
+
+	proto.computeVertexPoint = function( topology, vertex, facePoints ){
+		var polygons = topology.vertexPolygons[vertex.id],
+			neighbors = this.getNeighbors( topology, vertex ),
+			n = neighbors.length,
+			q = new Vec3D(),
+			r = new Vec3D(),
+			i;
+		//average of the adjacent face points
+		for( i=0; i<polygons.length; i++ ){
+			q.addSelf( facePoints[polygons[i]] );
+		}
+		q.scaleSelf( 1 / polygons.length );
+		//average of the edge mid points
+		for( i=0; i<n; i++ ){
+			r.addSelf( neighbors[i] );
+		}
+		r.scaleSelf( 1 / n ).addSelf( vertex ).scaleSelf( 0.5 );
+		return q.addSelf( r.scaleSelf( 2 ) ).addSelf( vertex.scale( n - 3 ) ).scaleSelf( 1 / n );
+	};
+
+	//a quad from every corner to the face point, keeping the orientation of the face
+	proto.createFaces = function( topology, index, vertexPoints, edgePoints, facePoints, polygons ){
+		var polygon = topology.polygons[index],
+			n = polygon.vertices.length,
+			uvs = polygon.uvs,
+			center = facePoints[index],
+			centerUV, i, prev, next;
+		if( uvs !== undefined ){
+			centerUV = new Vec2D();
+			for( i=0; i<n; i++ ){
+				centerUV.addSelf( uvs[i] );
+			}
+			centerUV.scaleSelf( 1 / n );
+		}
+		for( i=0; i<n; i++ ){
+			prev = (i + n - 1) % n;
+			next = (i + 1) % n;
+			polygons.push({
+				vertices: [
+					vertexPoints[polygon.vertices[i].id],
+					edgePoints[polygon.edges[i].id],
+					center,
+					edgePoints[polygon.edges[prev].id]
+				],
+				uvs: uvs !== undefined ? [
+					uvs[i].copy(),
+					uvs[i].interpolateTo( uvs[next], 0.5 ),
+					centerUV.copy(),
+					uvs[i].interpolateTo( uvs[prev], 0.5 )
+				] : undefined
+			});
+		}
+	};
+
+	return CatmullClarkSubdivision;
+});
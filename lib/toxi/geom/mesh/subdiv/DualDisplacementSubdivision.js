@@ -10,7 +10,7 @@ define([
 	};
 	internals.extend( DualDisplacementSubdivision, SubdivisionStrategy );
 	DualDisplacementSubdivision.prototype.computeSplitPoints = function( edge ){
-		var len = ege.getLength(), a, b;
+		var len = edge.getLength(), a, b;
 		a = edge.a.interpolateTo( edge.b, 0.33333333333 );
 		a.addSelf( a.sub(this.centroid).normalizeTo(this.ampA*len) );
 		b = edge.a.interpolateTo( edge.b, 0.66666666666 );
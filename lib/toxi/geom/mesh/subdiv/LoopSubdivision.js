@@ -0,0 +1,88 @@
+define([
+	'../../../internals',
+	'./SmoothSubdivision'
+], function( internals, SmoothSubdivision ){
+
+	//Loop subdivision: every triangle is split into 4, with new points
+	//weighted to approximate a smooth (quartic box spline) surface.
+	//@see SmoothSubdivision for boundaries and creases
+	var LoopSubdivision, proto;
+	LoopSubdivision = function(){
+		SmoothSubdivision.call(this);
+	};
+	internals.extend( LoopSubdivision, SmoothSubdivision );
+	proto = LoopSubdivision.prototype;
+
+	//Loop's vertex weight for the given valence
+	LoopSubdivision.getBeta = function( valence ){
+		var c = 0.375 + 0.25 * Math.cos( 2 * Math.PI / valence );
+		return (0.625 - c * c) / valence;
+	};
+
+	proto.computeEdgePoint = function( topology, edge ){
+		var p = edge.a.add( edge.b ).scaleSelf( 0.375 ),
+			i, j, v;
+		//the opposite corners of both faces
+		for( i=0; i<edge.faces.length; i++ ){
+			v = edge.faces[i].getVertices();
+			for( j=0; j<3; j++ ){
+				if( v[j] !== edge.a && v[j] !== edge.b ){
+					p.addSelf( v[j].scale( 0.125 ) );
+				}
+			}
+		}
+		return p;
+	};
+
+	//Loop doesn't use face points
+	proto.computeFacePoint = function(){
+		return undefined;
+	};
+
+	proto.computeVertexPoint = function( topology, vertex ){
+		var neighbors = this.getNeighbors( topology, vertex ),
+			n = neighbors.length,
+			beta = LoopSubdivision.getBeta( n ),
+			p = vertex.scale( 1 - n * beta ),
+			i;
+		for( i=0; i<n; i++ ){
+			p.addSelf( neighbors[i].scale( beta ) );
+		}
+		return p;
+	};
+
+	//split the face into 4, keeping its orientation
+	proto.createFaces = function( topology, index, vertexPoints, edgePoints, facePoints, polygons ){
+		var polygon = topology.polygons[index],
+			v = polygon.vertices,
+			e = polygon.edges,
+			uv = polygon.uvs,
+			a = vertexPoints[v[0].id],
+			b = vertexPoints[v[1].id],
+			c = vertexPoints[v[2].id],
+			ab = edgePoints[e[0].id],
+			bc = edgePoints[e[1].id],
+			ca = edgePoints[e[2].id],
+			uvAB, uvBC, uvCA;
+		if( uv === undefined ){
+			polygons.push(
+				{ vertices: [a, ab, ca] },
+				{ vertices: [ab, b, bc] },
+				{ vertices: [ca, bc, c] },
+				{ vertices: [ab, bc, ca] }
+			);
+			return;
+		}
+		uvAB = uv[0].interpolateTo( uv[1], 0.5 );
+		uvBC = uv[1].interpolateTo( uv[2], 0.5 );
+		uvCA = uv[2].interpolateTo( uv[0], 0.5 );
+		polygons.push(
+			{ vertices: [a, ab, ca], uvs: [uv[0].copy(), uvAB, uvCA] },
+			{ vertices: [ab, b, bc], uvs: [uvAB.copy(), uv[1].copy(), uvBC] },
+			{ vertices: [ca, bc, c], uvs: [uvCA.copy(), uvBC.copy(), uv[2].copy()] },
+			{ vertices: [ab, bc, ca], uvs: [uvAB.copy(), uvBC.copy(), uvCA.copy()] }
+		);
+	};
+
+	return LoopSubdivision;
+});
@@ -0,0 +1,257 @@
+define([
+	'../../Vec3D'
+], function( Vec3D ){
+
+	//Abstract class for subdivision schemes smoothing the whole mesh,
+	//implementations provide computeFacePoint(), computeEdgePoint(),
+	//computeVertexPoint() and createFaces().
+	//Adjacency and creases come from the WEVertex, WingedEdge and WEFace
+	//structures of the mesh. Schemes creating quads store them as 2 triangles,
+	//the diagonals are remembered so the quads are used again for the next level.
+	//Boundary edges follow the crease rules, as do edges with a crease weight
+	//(see WingedEdge#setCrease). Weights of 1 or more are sharp for that many
+	//levels, fractional weights blend between the smooth and sharp rules.
+	//Texture coordinates of the faces are interpolated linearly.
+	var SmoothSubdivision, proto;
+	SmoothSubdivision = function(){};
+	proto = SmoothSubdivision.prototype;
+
+	//@private
+	//@param {Object} diagonals ids of the edges splitting quads
+	//@return {Object} the polygons of the mesh with the faces around each edge and vertex
+	var getTopology = function( mesh, diagonals ){
+		var polygons = [],
+			pending = {},
+			edgePolygons = {},
+			vertexPolygons = {},
+			i, j, k, f, e, v, uvs, polygon, other;
+		//@return {WingedEdge} the edge between the vertices
+		var findEdge = function( a, b ){
+			for( var i=0; i<a.edges.length; i++ ){
+				if( a.edges[i].getOtherEndFor( a ) === b ){
+					return a.edges[i];
+				}
+			}
+		};
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			v = f.getVertices();
+			uvs = f.uvA !== undefined ? [f.uvA, f.uvB, f.uvC] : undefined;
+			e = undefined;
+			for( j=0; j<3 && e === undefined; j++ ){
+				e = findEdge( v[j], v[(j+1) % 3] );
+				e = diagonals[e.id] ? e : undefined;
+			}
+			if( e === undefined ){
+				polygons.push({ vertices: v, uvs: uvs });
+			} else if( pending[e.id] === undefined ){
+				//start the quad with the diagonal as last edge
+				k = j % 3;
+				polygon = {
+					vertices: [v[k], v[(k+1) % 3], v[(k+2) % 3]],
+					uvs: uvs !== undefined ? [uvs[k], uvs[(k+1) % 3], uvs[(k+2) % 3]] : undefined
+				};
+				pending[e.id] = polygon;
+				polygons.push( polygon );
+			} else {
+				//add the corner of the other half
+				polygon = pending[e.id];
+				for( k=0; k<3; k++ ){
+					if( v[k] !== e.a && v[k] !== e.b ){
+						polygon.vertices.push( v[k] );
+						if( polygon.uvs !== undefined ){
+							polygon.uvs.push( uvs !== undefined ? uvs[k] : polygon.uvs[0] );
+						}
+					}
+				}
+			}
+		}
+		for( i=0; i<polygons.length; i++ ){
+			polygon = polygons[i];
+			polygon.edges = [];
+			for( j=0; j<polygon.vertices.length; j++ ){
+				v = polygon.vertices[j];
+				other = polygon.vertices[(j+1) % polygon.vertices.length];
+				e = findEdge( v, other );
+				polygon.edges.push( e );
+				(edgePolygons[e.id] = edgePolygons[e.id] || []).push( i );
+				(vertexPolygons[v.id] = vertexPolygons[v.id] || []).push( i );
+			}
+		}
+		return {
+			polygons: polygons,
+			edgePolygons: edgePolygons,
+			vertexPolygons: vertexPolygons,
+			diagonals: diagonals
+		};
+	};
+
+	//@private
+	//boundary and non-manifold edges are always sharp
+	var getSharpness = function( edge ){
+		return edge.faces.length === 2 ? edge.getCrease() : Infinity;
+	};
+
+	//@private
+	var blend = function( smooth, sharp, sharpness ){
+		if( sharpness >= 1 ){
+			return sharp;
+		}
+		if( sharpness <= 0 ){
+			return smooth;
+		}
+		return smooth.interpolateToSelf( sharp, sharpness );
+	};
+
+	//@param {WingedEdge} edge
+	//@return {Vec3D} the new point on a sharp edge
+	proto.computeSharpEdgePoint = function( edge ){
+		return edge.a.interpolateTo( edge.b, 0.5 );
+	};
+
+	//@param {WEVertex} vertex
+	//@param {WingedEdge[]} sharpEdges the sharp edges at the vertex
+	//@return {Vec3D} the new position using the crease or corner rule
+	proto.computeSharpVertexPoint = function( vertex, sharpEdges ){
+		var p = new Vec3D( vertex ),
+			i;
+		//corners stay in place
+		if( sharpEdges.length !== 2 ){
+			return p;
+		}
+		p.scaleSelf( 0.75 );
+		for( i=0; i<2; i++ ){
+			p.addSelf( sharpEdges[i].getOtherEndFor( vertex ).scale( 0.125 ) );
+		}
+		return p;
+	};
+
+	//@param {Object} topology
+	//@param {WEVertex} vertex
+	//@return {WingedEdge[]} the edges at the vertex, without the diagonals of quads
+	proto.getEdges = function( topology, vertex ){
+		return vertex.edges.filter(function( e ){
+			return !topology.diagonals[e.id];
+		});
+	};
+
+	//@param {Object} topology
+	//@param {WEVertex} vertex
+	//@return {WEVertex[]} the other ends of the edges at the vertex
+	proto.getNeighbors = function( topology, vertex ){
+		return this.getEdges( topology, vertex ).map(function( e ){
+			return e.getOtherEndFor( vertex );
+		});
+	};
+
+	/**
+	 * subdivide the whole mesh, replacing its faces
+	 * @param {toxi.geom.mesh.WETriangleMesh} mesh
+	 * @param {Number} [iterations] number of levels, defaults to 1
+	 * @return {toxi.geom.mesh.WETriangleMesh} the given mesh
+	 */
+	proto.subdivideMesh = function( mesh, iterations ){
+		var diagonals = {};
+		iterations = iterations === undefined ? 1 : iterations;
+		for( var i=0; i<iterations; i++ ){
+			diagonals = this._subdivideOnce( mesh, diagonals );
+		}
+		return mesh;
+	};
+
+	//@return {Object} ids of the diagonals of the new quads
+	proto._subdivideOnce = function( mesh, diagonals ){
+		var topology = getTopology( mesh, diagonals ),
+			self = this,
+			facePoints, edgePoints = {}, vertexPoints = {}, polygons, creases, quads,
+			i, edge, vertex, uvs, v;
+
+		facePoints = topology.polygons.map(function( p, i ){
+			return self.computeFacePoint( topology, i );
+		});
+
+		for( i=0; i<mesh.edges.length; i++ ){
+			edge = mesh.edges[i];
+			if( diagonals[edge.id] ){
+				continue;
+			}
+			v = getSharpness( edge );
+			edgePoints[edge.id] = blend(
+				v < 1 ? this.computeEdgePoint( topology, edge, facePoints ) : undefined,
+				v > 0 ? this.computeSharpEdgePoint( edge ) : undefined,
+				v
+			);
+		}
+
+		for( i=0; i<mesh.vertices.length; i++ ){
+			vertex = mesh.vertices[i];
+			if( topology.vertexPolygons[vertex.id] !== undefined ){
+				vertexPoints[vertex.id] = this._computeVertexPoint( topology, vertex, facePoints );
+			}
+		}
+
+		polygons = [];
+		for( i=0; i<topology.polygons.length; i++ ){
+			this.createFaces( topology, i, vertexPoints, edgePoints, facePoints, polygons );
+		}
+
+		//each half of a creased edge is one level less sharp
+		creases = [];
+		for( i=0; i<mesh.edges.length; i++ ){
+			edge = mesh.edges[i];
+			if( edge.getCrease() > 1 && !diagonals[edge.id] ){
+				creases.push(
+					[vertexPoints[edge.a.id], edgePoints[edge.id], edge.getCrease() - 1],
+					[edgePoints[edge.id], vertexPoints[edge.b.id], edge.getCrease() - 1]
+				);
+			}
+		}
+
+		mesh.clear();
+		quads = [];
+		for( i=0; i<polygons.length; i++ ){
+			v = polygons[i].vertices;
+			uvs = polygons[i].uvs || [];
+			mesh.addFace( v[0], v[1], v[2], undefined, uvs[0], uvs[1], uvs[2] );
+			if( v.length === 4 ){
+				mesh.addFace( v[0], v[2], v[3], undefined, uvs[0], uvs[2], uvs[3] );
+				quads.push( v );
+			}
+		}
+		for( i=0; i<creases.length; i++ ){
+			edge = mesh.getEdge( creases[i][0], creases[i][1] );
+			if( edge !== undefined ){
+				edge.setCrease( creases[i][2] );
+			}
+		}
+		diagonals = {};
+		for( i=0; i<quads.length; i++ ){
+			edge = mesh.getEdge( quads[i][0], quads[i][2] );
+			if( edge !== undefined && edge.faces.length === 2 ){
+				diagonals[edge.id] = true;
+			}
+		}
+		mesh.computeFaceNormals();
+		return diagonals;
+	};
+
+	//the smooth, sharp or blended rule depending on the sharp edges at the vertex
+	proto._computeVertexPoint = function( topology, vertex, facePoints ){
+		var sharpEdges = this.getEdges( topology, vertex ).filter(function( e ){
+				return getSharpness( e ) > 0;
+			}),
+			sharpness = 0,
+			smooth, j;
+		if( sharpEdges.length < 2 ){
+			return this.computeVertexPoint( topology, vertex, facePoints );
+		}
+		for( j=0; j<sharpEdges.length; j++ ){
+			sharpness += getSharpness( sharpEdges[j] );
+		}
+		sharpness /= sharpEdges.length;
+		smooth = sharpness < 1 ? this.computeVertexPoint( topology, vertex, facePoints ) : undefined;
+		return blend( smooth, this.computeSharpVertexPoint( vertex, sharpEdges ), sharpness );
+	};
+
+	return SmoothSubdivision;
+});
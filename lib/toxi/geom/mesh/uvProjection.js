@@ -0,0 +1,232 @@
+define(function(require, exports, module) {
+
+	var Vec2D = require('../Vec2D'),
+		Vec3D = require('../Vec3D');
+
+	/**
+	 * @class
+	 * @static
+	 * @member toxi.geom.mesh
+	 * @description generate texture coordinates for the faces of any
+	 * {@link toxi.geom.mesh.TriangleMesh} by projecting them onto a plane, box,
+	 * cylinder or sphere. Existing coordinates are replaced. Without a scale
+	 * the coordinates are fitted into the 0..1 interval using the bounds of the mesh.
+	 */
+	var UVProjection = {};
+
+	//@private
+	var getBounds = function( mesh ){
+		var min = Vec3D.MAX_VALUE.copy(),
+			max = Vec3D.MAX_VALUE.getInverted();
+		for( var i=0; i<mesh.vertices.length; i++ ){
+			min.minSelf( mesh.vertices[i] );
+			max.maxSelf( mesh.vertices[i] );
+		}
+		return { min: min, max: max, center: min.interpolateTo( max, 0.5 ) };
+	};
+
+	//@private
+	//two axes perpendicular to the normal, u x v = normal
+	var getTangents = function( normal ){
+		var n = normal.getNormalized(),
+			up = Math.abs( n.y ) < 0.99 ? Vec3D.Y_AXIS : Vec3D.Z_AXIS,
+			u = up.cross( n ).normalize();
+		return [u, n.cross( u )];
+	};
+
+	//@private
+	//assign a texture coordinate per corner of each face
+	var setUVs = function( mesh, fn ){
+		var i, f;
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			f.uvA = fn( f.a, f );
+			f.uvB = fn( f.b, f );
+			f.uvC = fn( f.c, f );
+		}
+		return mesh;
+	};
+
+	//@private
+	//faces crossing the seam of a wrapped u coordinate get the ones on the
+	//low side moved past 1, so they don't span the whole texture. Vertices
+	//on the axis have no longitude of their own, they get the average of
+	//the other corners of the face
+	var fixSeams = function( mesh, isPole ){
+		var i, j, f, corners, uvs, poles, min, max, sum, n;
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			corners = [f.a, f.b, f.c];
+			uvs = [f.uvA, f.uvB, f.uvC];
+			poles = corners.map( isPole );
+			min = Infinity;
+			max = -Infinity;
+			for( j=0; j<3; j++ ){
+				if( !poles[j] ){
+					min = Math.min( min, uvs[j].x );
+					max = Math.max( max, uvs[j].x );
+				}
+			}
+			if( max - min > 0.5 ){
+				for( j=0; j<3; j++ ){
+					if( !poles[j] && uvs[j].x < 0.5 ){
+						uvs[j].x += 1;
+					}
+				}
+			}
+			sum = 0;
+			n = 0;
+			for( j=0; j<3; j++ ){
+				if( !poles[j] ){
+					sum += uvs[j].x;
+					n++;
+				}
+			}
+			for( j=0; j<3 && n > 0; j++ ){
+				if( poles[j] ){
+					uvs[j].x = sum / n;
+				}
+			}
+		}
+	};
+
+	/**
+	 * project all faces onto one plane
+	 * @param {toxi.geom.mesh.TriangleMesh} mesh
+	 * @param {Object} [options]
+	 * @param {toxi.geom.Vec3D} [options.normal] direction of the projection, defaults to the Z axis
+	 * @param {Number} [options.scale] size of the texture in world units
+	 * @return {toxi.geom.mesh.TriangleMesh} the mesh
+	 */
+	UVProjection.planar = function( mesh, options ){
+		options = options || {};
+		var tangents = getTangents( options.normal || Vec3D.Z_AXIS ),
+			minU = Infinity, minV = Infinity,
+			maxU = -Infinity, maxV = -Infinity,
+			i, u, v, scaleU, scaleV;
+		for( i=0; i<mesh.vertices.length; i++ ){
+			u = mesh.vertices[i].dot( tangents[0] );
+			v = mesh.vertices[i].dot( tangents[1] );
+			minU = Math.min( minU, u );
+			maxU = Math.max( maxU, u );
+			minV = Math.min( minV, v );
+			maxV = Math.max( maxV, v );
+		}
+		if( options.scale !== undefined ){
+			scaleU = scaleV = 1 / options.scale;
+		} else {
+			scaleU = maxU > minU ? 1 / (maxU - minU) : 1;
+			scaleV = maxV > minV ? 1 / (maxV - minV) : 1;
+		}
+		return setUVs( mesh, function( p ){
+			return new Vec2D( (p.dot( tangents[0] ) - minU) * scaleU, (p.dot( tangents[1] ) - minV) * scaleV );
+		});
+	};
+
+	/**
+	 * project every face along the axis closest to its normal, like six
+	 * planar projections onto the sides of the bounding box
+	 * @param {toxi.geom.mesh.TriangleMesh} mesh
+	 * @param {Object} [options]
+	 * @param {Number} [options.scale] size of the texture in world units
+	 * @return {toxi.geom.mesh.TriangleMesh} the mesh
+	 */
+	UVProjection.box = function( mesh, options ){
+		options = options || {};
+		var bounds = getBounds( mesh ),
+			size = bounds.max.sub( bounds.min ),
+			//axis and direction of u and v for each side, so that u x v is the side's normal
+			sides = {
+				'x1': [['z', -1], ['y', 1]],
+				'x-1': [['z', 1], ['y', 1]],
+				'y1': [['x', 1], ['z', -1]],
+				'y-1': [['x', 1], ['z', 1]],
+				'z1': [['x', 1], ['y', 1]],
+				'z-1': [['x', -1], ['y', 1]]
+			};
+		var coord = function( p, axis ){
+			var a = axis[0],
+				extent = options.scale !== undefined ? options.scale : (size[a] > 0 ? size[a] : 1);
+			return axis[1] > 0 ? (p[a] - bounds.min[a]) / extent : (bounds.max[a] - p[a]) / extent;
+		};
+		return setUVs( mesh, function( p, f ){
+			var n = f.normal,
+				ax = Math.abs( n.x ), ay = Math.abs( n.y ), az = Math.abs( n.z ),
+				side;
+			if( ax >= ay && ax >= az ){
+				side = sides[n.x < 0 ? 'x-1' : 'x1'];
+			} else if( ay >= az ){
+				side = sides[n.y < 0 ? 'y-1' : 'y1'];
+			} else {
+				side = sides[n.z < 0 ? 'z-1' : 'z1'];
+			}
+			return new Vec2D( coord( p, side[0] ), coord( p, side[1] ) );
+		});
+	};
+
+	/**
+	 * wrap the texture around a cylinder, u follows the angle around the axis
+	 * and v the height along it
+	 * @param {toxi.geom.mesh.TriangleMesh} mesh
+	 * @param {Object} [options]
+	 * @param {toxi.geom.Vec3D} [options.axis] defaults to the Y axis
+	 * @param {toxi.geom.Vec3D} [options.center] a point on the axis, defaults to the centre of the bounds
+	 * @param {Number} [options.scale] height of the texture in world units
+	 * @return {toxi.geom.mesh.TriangleMesh} the mesh
+	 */
+	UVProjection.cylindrical = function( mesh, options ){
+		options = options || {};
+		var axis = (options.axis || Vec3D.Y_AXIS).getNormalized(),
+			center = options.center || getBounds( mesh ).center,
+			tangents = getTangents( axis ),
+			minH = Infinity,
+			maxH = -Infinity,
+			i, h, scale;
+		for( i=0; i<mesh.vertices.length; i++ ){
+			h = mesh.vertices[i].sub( center ).dot( axis );
+			minH = Math.min( minH, h );
+			maxH = Math.max( maxH, h );
+		}
+		scale = options.scale !== undefined ? 1 / options.scale : (maxH > minH ? 1 / (maxH - minH) : 1);
+		setUVs( mesh, function( p ){
+			var d = p.sub( center ),
+				theta = Math.atan2( d.dot( tangents[1] ), d.dot( tangents[0] ) );
+			return new Vec2D( theta / (2 * Math.PI) + 0.5, (d.dot( axis ) - minH) * scale );
+		});
+		fixSeams( mesh, function( p ){
+			var d = p.sub( center );
+			return d.sub( axis.scale( d.dot( axis ) ) ).magSquared() < 1e-12;
+		});
+		return mesh;
+	};
+
+	/**
+	 * wrap the texture around a sphere, u is the longitude around the axis
+	 * and v the latitude from the bottom (0) to the top (1)
+	 * @param {toxi.geom.mesh.TriangleMesh} mesh
+	 * @param {Object} [options]
+	 * @param {toxi.geom.Vec3D} [options.axis] direction of the poles, defaults to the Y axis
+	 * @param {toxi.geom.Vec3D} [options.center] defaults to the centre of the bounds
+	 * @return {toxi.geom.mesh.TriangleMesh} the mesh
+	 */
+	UVProjection.spherical = function( mesh, options ){
+		options = options || {};
+		var axis = (options.axis || Vec3D.Y_AXIS).getNormalized(),
+			center = options.center || getBounds( mesh ).center,
+			tangents = getTangents( axis );
+		setUVs( mesh, function( p ){
+			var d = p.sub( center ),
+				r = d.magnitude(),
+				theta = Math.atan2( d.dot( tangents[1] ), d.dot( tangents[0] ) ),
+				phi = r > 0 ? Math.acos( Math.max( -1, Math.min( 1, d.dot( axis ) / r ) ) ) : 0;
+			return new Vec2D( theta / (2 * Math.PI) + 0.5, 1 - phi / Math.PI );
+		});
+		fixSeams( mesh, function( p ){
+			var d = p.sub( center );
+			return d.sub( axis.scale( d.dot( axis ) ) ).magSquared() < 1e-12 * Math.max( 1, d.magSquared() );
+		});
+		return mesh;
+	};
+
+	module.exports = UVProjection;
+});
@@ -0,0 +1,161 @@
+define(function( require, exports ){
+	//private: helpers shared by OBJWriter and MTLWriter
+
+	var has = require('../../internals/has');
+
+	var DEFAULT_BUFFER = 0x10000;
+
+	/**
+	 * check if an object can be written to like a node.js WritableStream
+	 * @param {Object} stream
+	 * @return {Boolean}
+	 */
+	var isWritable = function( stream ){
+		return has.all( stream, ['write', 'end'] ) && typeof stream.write === 'function' && stream.writable !== false;
+	};
+
+	/**
+	 * collects text and passes it on in chunks to a node.js WritableStream,
+	 * any object with `write( str )` and `end()` or a callback `function( str )`.
+	 * Without a stream or callback all text is kept for `toString()`.
+	 * When the stream's `write()` returns false no more is written to it until
+	 * it emits 'drain', chunks written meanwhile are queued here and ending the
+	 * stream waits for them. Producers that want to keep that queue small
+	 * write in batches and continue with `onDrain()`
+	 * @param {WritableStream|Function} [stream]
+	 * @param {Number} [bufferSize] number of characters to collect before writing
+	 */
+	var TextSink = function( stream, bufferSize ){
+		this.stream = undefined;
+		this.callback = undefined;
+		if( typeof stream === 'function' ){
+			this.callback = stream;
+		} else if( isWritable( stream ) ){
+			this.stream = stream;
+		}
+		this.bufferSize = bufferSize || DEFAULT_BUFFER;
+		this._buffer = [];
+		this._length = 0;
+		this._output = [];
+		this._paused = false;
+		this._queue = [];
+		this._drainCallbacks = [];
+		this._ending = false;
+	};
+
+	TextSink.prototype = {
+		constructor: TextSink,
+
+		/**
+		 * end the sink, remaining text is flushed and the stream is ended
+		 */
+		end: function(){
+			this.flush();
+			if( this.stream !== undefined ){
+				if( this._paused ){
+					this._ending = true;
+				} else {
+					this.stream.end();
+				}
+			}
+		},
+
+		/**
+		 * pass all collected text on to the stream or callback
+		 */
+		flush: function(){
+			if( this._length === 0 ){
+				return;
+			}
+			var str = this._buffer.join("");
+			this._buffer = [];
+			this._length = 0;
+			if( this.stream !== undefined ){
+				this._send( str );
+			} else if( this.callback !== undefined ){
+				this.callback( str );
+			} else {
+				this._output.push( str );
+			}
+		},
+
+		/**
+		 * @return {Boolean} true while waiting for the stream to drain
+		 */
+		isPaused: function(){
+			return this._paused;
+		},
+
+		isStreaming: function(){
+			return this.stream !== undefined || this.callback !== undefined;
+		},
+
+		/**
+		 * call a function once the stream can take more text,
+		 * right away if it isn't paused
+		 * @param {Function} callback
+		 */
+		onDrain: function( callback ){
+			if( this._paused ){
+				this._drainCallbacks.push( callback );
+			} else {
+				callback();
+			}
+		},
+
+		_drain: function(){
+			var callbacks;
+			this._paused = false;
+			while( this._queue.length > 0 && !this._paused ){
+				this._send( this._queue.shift() );
+			}
+			if( this._paused ){
+				return;
+			}
+			if( this._ending ){
+				this._ending = false;
+				this.stream.end();
+			}
+			callbacks = this._drainCallbacks;
+			this._drainCallbacks = [];
+			callbacks.forEach(function( callback ){
+				callback();
+			});
+		},
+
+		_send: function( str ){
+			var self = this;
+			if( this._paused ){
+				this._queue.push( str );
+				return;
+			}
+			//streams without events can't signal draining, keep writing to them
+			if( this.stream.write( str ) === false && typeof this.stream.once === 'function' ){
+				this._paused = true;
+				this.stream.once( 'drain', function(){
+					self._drain();
+				});
+			}
+		},
+
+		/**
+		 * @return {String} all text written, empty when streaming
+		 */
+		toString: function(){
+			this.flush();
+			return this._output.join("");
+		},
+
+		write: function( str ){
+			this._buffer.push( str );
+			this._length += str.length;
+			if( this._length >= this.bufferSize && this.isStreaming() ){
+				this.flush();
+			}
+			return this;
+		}
+	};
+
+	exports.isWritable = isWritable;
+	exports.TextSink = TextSink;
+});
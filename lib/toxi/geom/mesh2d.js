@@ -2,5 +2,6 @@ define(function(require, exports) {
 	exports.DelaunayTriangle = require('./mesh2d/DelaunayTriangle');
 	exports.DelaunayTriangulation = require('./mesh2d/DelaunayTriangulation');
 	exports.DelaunayVertex = require('./mesh2d/DelaunayVertex');
+	exports.LloydRelaxation = require('./mesh2d/LloydRelaxation');
 	exports.Voronoi = require('./mesh2d/Voronoi');
 });
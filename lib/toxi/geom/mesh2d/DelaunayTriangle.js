@@ -1,161 +1,148 @@
-define(
-  [
-    'require',
-    'exports',
-    'module',
-    './DelaunayVertex',
-    '../../util/datatypes/ArraySet'
-  ],
-  function(require, exports, module) {
-    const DelaunayVertex = require('./DelaunayVertex');
-    const ArraySet = require('../../util/datatypes/ArraySet');
-
-    /**
- * A DelaunayTriangle is an immutable Set of exactly three Pnts.
- * 
+define([
+	'require',
+	'exports',
+	'module',
+	'../../internals',
+	'./DelaunayVertex',
+	'../../util/datatypes/ArraySet'
+], function(require, exports, module) {
+
+var internals = require('../../internals'),
+	DelaunayVertex = require('./DelaunayVertex'),
+	ArraySet = require('../../util/datatypes/ArraySet');
+
+//used to create id numbers
+var idGenerator = 0;
+
+/**
+ * @class A DelaunayTriangle is an immutable Set of exactly three Pnts.
+ *
  * All Set operations are available. Individual vertices can be accessed via
  * iterator() and also via triangle.get(index).
- * 
+ *
  * Note that, even if two triangles have the same vertex set, they are
- * *different* triangles. Methods equals() and hashCode() are consistent with
+ * *different* triangles. Methods equals() and toString() are consistent with
  * this rule.
- * 
+ *
  * @author Paul Chew
- * 
+ *
  *         Created December 2007. Replaced general simplices with geometric
  *         triangle.
- * 
+ * @member toxi.geom.mesh2d
+ * @augments toxi.util.datatypes.ArraySet
+ * @param {DelaunayVertex[]|DelaunayVertex...} vertices the 3 vertices, as array or as arguments
  */
-    class DelaunayTriangle extends ArraySet {
-      /**
-     * @param collection
-     *            a Collection holding the Simplex vertices
-     * @throws IllegalArgumentException
-     *             if there are not three distinct vertices
-     */
-      constructor(...args) {
-        if (args.length === 1) super(args[0]);
-        else super(args);
-
-        this.idNumber = 0; // The id number
-        this.circumcenter = null; // The triangle's circumcenter
-
-        this.idGenerator = 0; // Used to create id numbers
-        this.moreInfo = false; // True if more info in toString
-
-        this.idNumber = this.idGenerator++;
-
-        if (this.size != 3) {
-          throw new Error('DelaunayTriangle must have 3 vertices');
-        }
-      }
-
-      add(vertex) {
-        throw new Error('UnsupportedOperationException');
-      }
-
-      equals(o) {
-        return this == o;
-      }
-
-      /**
-     * Report the facet opposite vertex.
-     * 
-     * @param vertex
-     *            a vertex of this DelaunayTriangle
-     * @return the facet opposite vertex
-     * @throws IllegalArgumentException
-     *             if the vertex is not in triangle
-     */
-      facetOpposite(vertex) {
-        let facet = new ArraySet(this);
-        if (!facet.delete(vertex)) {
-          throw new Error('Vertex not in triangle');
-        }
-        return facet;
-      }
-
-      /**
-     * @return the triangle's circumcenter
-     */
-      getCircumcenter() {
-        if (circumcenter == null) {
-          circumcenter = DelaunayVertex.circumcenter(
-            this.toArray(new DelaunayVertex[0]())
-          );
-        }
-        return circumcenter;
-      }
-
-      /**
-     * Get arbitrary vertex of this triangle, but not any of the bad vertices.
-     * 
-     * @param badVertices
-     *            one or more bad vertices
-     * @return a vertex of this triangle, but not one of the bad vertices
-     * @throws NoSuchElementException
-     *             if no vertex found
-     */
-      getVertexButNot(...badVertices) {
-        for (v of this) {
-          if (!badVertices.contains(v)) {
-            return v;
-          }
-        }
-        throw new Error('No vertex found');
-      }
-
-      /* The following two methods ensure that a DelaunayTriangle is immutable */
-
-      hashCode() {
-        return idNumber ^ (idNumber >>> 32);
-      }
-
-      /**
-     * True iff triangles are neighbors. Two triangles are neighbors if they
-     * share a facet.
-     * 
-     * @param triangle
-     *            the other DelaunayTriangle
-     * @return true iff this DelaunayTriangle is a neighbor of triangle
-     */
-      isNeighbor(triangle) {
-        let count = 0;
-        for (vertex of this) {
-          if (!triangle.contains(vertex)) {
-            count++;
-          }
-        }
-        return count == 1;
-      }
-
-      /* Useless Java */
-      /* The following two methods ensure that all triangles are different. */
-      /*    iterator() {
-        return function*() {
-
-            Iterator<DelaunayVertex> it = DelaunayTriangle.super.iterator();
-
-            boolean hasNext() {
-                return it.hasNext();
-            }
-
-            DelaunayVertex next() {
-                return it.next();
-            }
-
-            void remove() {
-                throw new UnsupportedOperationException();
-            }
-        };
-    }*/
-
-      toString() {
-        if (!moreInfo) {
-          return 'DelaunayTriangle' + this.idNumber;
-        }
-        return 'DelaunayTriangle' + this.idNumber + super.toString();
-      }
-    }
-  }
-);
+var DelaunayTriangle = function( vertices ){
+	if( arguments.length !== 1 ){
+		vertices = Array.prototype.slice.call( arguments );
+	}
+	ArraySet.call( this, vertices );
+	this.idNumber = idGenerator++;
+	this.circumcenter = undefined;
+	if( this.length !== 3 ){
+		throw new Error("DelaunayTriangle must have 3 vertices");
+	}
+};
+
+internals.extend( DelaunayTriangle, ArraySet );
+
+internals.mixin( DelaunayTriangle.prototype, {
+
+	add: function(){
+		throw new Error("DelaunayTriangle: UnsupportedOperationException");
+	},
+
+	/**
+	 * @param {DelaunayVertex} vertex
+	 * @return {Boolean} true, if the triangle has a vertex equal to the given one
+	 */
+	contains: function( vertex ){
+		for( var i=0; i<this.length; i++ ){
+			if( this[i].equals( vertex ) ){
+				return true;
+			}
+		}
+		return false;
+	},
+
+	equals: function( o ){
+		return this === o;
+	},
+
+	/**
+	 * Report the facet opposite vertex.
+	 * @param {DelaunayVertex} vertex a vertex of this DelaunayTriangle
+	 * @return {ArraySet} the facet opposite vertex
+	 */
+	facetOpposite: function( vertex ){
+		var facet = new ArraySet(),
+			found = false,
+			i;
+		for( i=0; i<this.length; i++ ){
+			if( !found && this[i].equals( vertex ) ){
+				found = true;
+			} else {
+				facet.add( this[i] );
+			}
+		}
+		if( !found ){
+			throw new Error("DelaunayTriangle: Vertex not in triangle");
+		}
+		return facet;
+	},
+
+	/**
+	 * @return {DelaunayVertex} the triangle's circumcenter
+	 */
+	getCircumcenter: function(){
+		if( this.circumcenter === undefined ){
+			this.circumcenter = DelaunayVertex.circumcenter( this.toArray() );
+		}
+		return this.circumcenter;
+	},
+
+	/**
+	 * Get arbitrary vertex of this triangle, but not any of the bad vertices.
+	 * @param {DelaunayVertex...} badVertices one or more bad vertices
+	 * @return {DelaunayVertex} a vertex of this triangle, but not one of the bad vertices
+	 */
+	getVertexButNot: function(){
+		var i, j, isBad;
+		for( i=0; i<this.length; i++ ){
+			isBad = false;
+			for( j=0; j<arguments.length; j++ ){
+				if( this[i].equals( arguments[j] ) ){
+					isBad = true;
+				}
+			}
+			if( !isBad ){
+				return this[i];
+			}
+		}
+		throw new Error("DelaunayTriangle: No vertex found");
+	},
+
+	/**
+	 * True iff triangles are neighbors. Two triangles are neighbors if they
+	 * share a facet.
+	 * @param {DelaunayTriangle} triangle
+	 * @return {Boolean}
+	 */
+	isNeighbor: function( triangle ){
+		var count = 0,
+			i;
+		for( i=0; i<this.length; i++ ){
+			if( !triangle.contains( this[i] ) ){
+				count++;
+			}
+		}
+		return count === 1;
+	},
+
+	toString: function(){
+		return "DelaunayTriangle" + this.idNumber;
+	}
+});
+
+module.exports = DelaunayTriangle;
+});
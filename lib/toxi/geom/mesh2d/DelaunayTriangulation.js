@@ -1,301 +1,288 @@
-define(
-  [
-    'require',
-    'exports',
-    'module',
-    './DelaunayVertex',
-    '../../util/datatypes/UndirectedGraph'
-  ],
-  function(require, exports, module) {
-    const DelaunayVertex = require('./DelaunayVertex');
-    const UndirectedGraph = require('../../util/datatypes/UndirectedGraph');
+define([
+	'require',
+	'exports',
+	'module',
+	'../../internals',
+	'./DelaunayTriangle',
+	'../../util/datatypes/ArraySet',
+	'../../util/datatypes/UndirectedGraph'
+], function(require, exports, module) {
 
-    /**
- * A 2D Delaunay DelaunayTriangulation (DT) with incremental site insertion.
- * 
+var internals = require('../../internals'),
+	DelaunayTriangle = require('./DelaunayTriangle'),
+	ArraySet = require('../../util/datatypes/ArraySet'),
+	UndirectedGraph = require('../../util/datatypes/UndirectedGraph');
+
+/**
+ * @class A 2D Delaunay DelaunayTriangulation (DT) with incremental site insertion.
+ *
  * This is not the fastest way to build a DT, but it's a reasonable way to build
  * a DT incrementally and it makes a nice interactive display. There are several
  * O(n log n) methods, but they require that the sites are all known initially.
- * 
+ *
  * A DelaunayTriangulation is a Set of Triangles. A DelaunayTriangulation is
  * unmodifiable as a Set; the only way to change it is to add sites (via
  * delaunayPlace).
- * 
+ *
  * @author Paul Chew
- * 
+ *
  *         Created July 2005. Derived from an earlier, messier version.
- * 
+ *
  *         Modified November 2007. Rewrote to use AbstractSet as parent class
  *         and to use the UndirectedGraph class internally. Tried to make the DT
  *         algorithm clearer by explicitly creating a cavity. Added code needed
  *         to find a Voronoi cell.
- * 
+ *
  * @author Karsten Schmidt
- * 
+ *
  *         Ported to use toxiclibs classes (June 2010).
+ * @member toxi.geom.mesh2d
+ * @param {DelaunayTriangle} triangle the initial triangle, all sites must fall within it
  */
-    class DelaunayTriangulation extends Set {
-      /**
-     * All sites must fall within the initial triangle.
-     * 
-     * @param triangle
-     *            the initial triangle
-     */
-      constructor(triangle) {
-        this.triGraph = new UndirectedGraph();
-        this.triGraph.add(triangle);
-        this.mostRecent = triangle;
-      }
+var DelaunayTriangulation = function( triangle ){
+	this.triGraph = new UndirectedGraph();
+	this.triGraph.add( triangle );
+	this.mostRecent = triangle;
+};
+
+DelaunayTriangulation.prototype = {
+	constructor: DelaunayTriangulation,
+
+	/**
+	 * True iff triangle is a member of this triangulation.
+	 * @param {DelaunayTriangle} triangle
+	 * @return {Boolean}
+	 */
+	contains: function( triangle ){
+		return this.triGraph._nodeLinks[triangle] !== undefined;
+	},
 
-      /**
-     * True iff triangle is a member of this triangulation. This method isn't
-     * required by AbstractSet, but it improves efficiency.
-     * 
-     * @param triangle
-     *            the object to check for membership
-     */
-      contains(triangle) {
-        return this.triGraph.getNodes().contains(triangle);
-      }
+	/**
+	 * Place a new site into the DT. Nothing happens if the site matches an
+	 * existing DT vertex.
+	 * @param {DelaunayVertex} site the new DelaunayVertex
+	 * @throws {Error} if site does not lie in any triangle
+	 */
+	delaunayPlace: function( site ){
+		//uses straightforward scheme rather than best asymptotic time
+		//locate containing triangle
+		var triangle = this.locate( site );
+		//give up if no containing triangle or if site is already in DT
+		if( triangle === undefined ){
+			throw new Error("DelaunayTriangulation: No containing triangle");
+		}
+		if( triangle.contains( site ) ){
+			return;
+		}
+		//determine the cavity and update the triangulation
+		var cavity = this.getCavity( site, triangle );
+		this.mostRecent = this.update( site, cavity );
+	},
 
-      /**
-     * Place a new site into the DT. Nothing happens if the site matches an
-     * existing DT vertex.
-     * 
-     * @param site
-     *            the new DelaunayVertex
-     * @throws IllegalArgumentException
-     *             if site does not lie in any triangle
-     */
-      delaunayPlace(site) {
-        // Uses straightforward scheme rather than best asymptotic time
-        // Locate containing triangle
-        let triangle = this.locate(site);
-        // Give up if no containing triangle or if site is already in DT
-        if (triangle == null) {
-          throw new Error('IllegalArgumentException: No containing triangle');
-        }
-        if (triangle.contains(site)) {
-          return;
-        }
-        // Determine the cavity and update the triangulation
-        let cavity = this.getCavity(site, triangle);
-        this.mostRecent = this.update(site, cavity);
-      }
+	/**
+	 * Determine the cavity caused by site.
+	 * @param {DelaunayVertex} site the site causing the cavity
+	 * @param {DelaunayTriangle} triangle the triangle containing site
+	 * @return {DelaunayTriangle[]} all triangles that have site in their circumcircle
+	 */
+	getCavity: function( site, triangle ){
+		var encroached = [],
+			toBeChecked = [triangle],
+			marked = {},
+			neighbors, i;
+		marked[triangle] = true;
+		while( toBeChecked.length > 0 ){
+			triangle = toBeChecked.shift();
+			if( site.vsCircumcircle( triangle.toArray() ) === 1 ){
+				//site outside triangle => triangle not in cavity
+				continue;
+			}
+			encroached.push( triangle );
+			//check the neighbors
+			neighbors = this.triGraph.getConnectedNodesFor( triangle );
+			for( i=0; i<neighbors.length; i++ ){
+				if( marked[neighbors[i]] ){
+					continue;
+				}
+				marked[neighbors[i]] = true;
+				toBeChecked.push( neighbors[i] );
+			}
+		}
+		return encroached;
+	},
 
-      /**
-     * Determine the cavity caused by site.
-     * 
-     * @param site
-     *            the site causing the cavity
-     * @param triangle
-     *            the triangle containing site
-     * @return set of all triangles that have site in their circumcircle
-     */
-      getCavity(site, triangle) {
-        let encroached = new Set();
-        let toBeChecked = new Array();
-        let marked = new Set();
-        toBeChecked.add(triangle);
-        marked.add(triangle);
-        while (!toBeChecked.isEmpty()) {
-          triangle = toBeChecked.remove();
-          if (
-            site.vsCircumcircle(triangle.toArray(new DelaunayVertex[0]())) == 1
-          ) {
-            // Site outside triangle => triangle not in cavity
-            continue;
-          }
-          encroached.add(triangle);
-          // Check the neighbors
-          for (let neighbor of triGraph.getConnectedNodesFor(triangle)) {
-            if (marked.contains(neighbor)) {
-              continue;
-            }
-            marked.add(neighbor);
-            toBeChecked.add(neighbor);
-          }
-        }
-        return encroached;
-      }
+	/**
+	 * @return {DelaunayTriangle[]} a copy of all triangles
+	 */
+	getTriangles: function(){
+		return this.triGraph.getNodes().slice( 0 );
+	},
 
-      iterator() {
-        return triGraph.getNodes().iterator();
-      }
+	iterator: function(){
+		return new internals.Iterator( this.getTriangles() );
+	},
 
-      /**
-     * Locate the triangle with point inside it or on its boundary.
-     * 
-     * @param point
-     *            the point to locate
-     * @return the triangle that holds point; null if no such triangle
-     */
-      locate(point) {
-        let triangle = this.mostRecent;
-        if (!this.contains(triangle)) {
-          triangle = null;
-        }
+	/**
+	 * Locate the triangle with point inside it or on its boundary.
+	 * @param {DelaunayVertex} point the point to locate
+	 * @return {DelaunayTriangle} the triangle that holds point, undefined if no such triangle
+	 */
+	locate: function( point ){
+		var triangle = this.mostRecent,
+			visited = {},
+			triangles, corner, i;
+		if( !this.contains( triangle ) ){
+			triangle = undefined;
+		}
+		//try a directed walk (this works fine in 2D, but can fail in 3D)
+		while( triangle !== undefined ){
+			if( visited[triangle] ){
+				//this should never happen
+				break;
+			}
+			visited[triangle] = true;
+			//corner opposite point
+			corner = point.isOutside( triangle.toArray() );
+			if( corner === undefined ){
+				return triangle;
+			}
+			triangle = this.neighborOpposite( corner, triangle );
+		}
+		//no luck; try brute force
+		triangles = this.triGraph.getNodes();
+		for( i=0; i<triangles.length; i++ ){
+			if( point.isOutside( triangles[i].toArray() ) === undefined ){
+				return triangles[i];
+			}
+		}
+		//no such triangle
+		return undefined;
+	},
 
-        // Try a directed walk (this works fine in 2D, but can fail in 3D)
-        let visited = new Set();
-        while (triangle != null) {
-          if (visited.contains(triangle)) {
-            // This should never happen
-            System.out.println('Warning: Caught in a locate loop');
-            break;
-          }
-          visited.add(triangle);
-          // Corner opposite point
-          let corner = point.isOutside(
-            triangle.toArray(new DelaunayVertex[0]())
-          );
-          if (corner == null) {
-            return triangle;
-          }
-          triangle = this.neighborOpposite(corner, triangle);
-        }
-        // No luck; try brute force
-        console.log('Warning: Checking all triangles for ' + point);
-        for (let tri of this) {
-          if (point.isOutside(tri.toArray(new DelaunayVertex[0]())) == null) {
-            return tri;
-          }
-        }
-        // No such triangle
-        console.log('Warning: No triangle holds ' + point);
-        return null;
-      }
+	/**
+	 * Report neighbor opposite the given vertex of triangle.
+	 * @param {DelaunayVertex} site a vertex of triangle
+	 * @param {DelaunayTriangle} triangle we want the neighbor of this triangle
+	 * @return {DelaunayTriangle} the neighbor opposite site in triangle, undefined if none
+	 */
+	neighborOpposite: function( site, triangle ){
+		var neighbors, i;
+		if( !triangle.contains( site ) ){
+			throw new Error("DelaunayTriangulation: Bad vertex; not in triangle");
+		}
+		neighbors = this.triGraph.getConnectedNodesFor( triangle );
+		for( i=0; i<neighbors.length; i++ ){
+			if( !neighbors[i].contains( site ) ){
+				return neighbors[i];
+			}
+		}
+		return undefined;
+	},
 
-      /**
-     * Report neighbor opposite the given vertex of triangle.
-     * 
-     * @param site
-     *            a vertex of triangle
-     * @param triangle
-     *            we want the neighbor of this triangle
-     * @return the neighbor opposite site in triangle; null if none
-     * @throws IllegalArgumentException
-     *             if site is not in this triangle
-     */
-      neighborOpposite(site, triangle) {
-        if (!triangle.contains(site)) {
-          throw new Error(
-            'IllegalArgumentException: Bad vertex; not in triangle'
-          );
-        }
-        for (let neighbor of triGraph.getConnectedNodesFor(triangle)) {
-          if (!neighbor.contains(site)) {
-            return neighbor;
-          }
-        }
-        return null;
-      }
+	/**
+	 * Return the set of triangles adjacent to triangle.
+	 * @param {DelaunayTriangle} triangle
+	 * @return {ArraySet} the neighbors of triangle
+	 */
+	neighbors: function( triangle ){
+		return this.triGraph.getConnectedNodesFor( triangle );
+	},
 
-      /**
-     * Return the set of triangles adjacent to triangle.
-     * 
-     * @param triangle
-     *            the triangle to check
-     * @return the neighbors of triangle
-     */
-      neighbors(triangle) {
-        return triGraph.getConnectedNodesFor(triangle);
-      }
+	size: function(){
+		return this.triGraph.getNodes().length;
+	},
 
-      size() {
-        return triGraph.getNodes().size();
-      }
+	/**
+	 * Report triangles surrounding site in order (cw or ccw).
+	 * @param {DelaunayVertex} site we want the surrounding triangles for this site
+	 * @param {DelaunayTriangle} triangle a "starting" triangle that has site as a vertex
+	 * @return {DelaunayTriangle[]} all triangles surrounding site in order (cw or ccw)
+	 */
+	surroundingTriangles: function( site, triangle ){
+		if( !triangle.contains( site ) ){
+			throw new Error("DelaunayTriangulation: Site not in triangle");
+		}
+		var list = [],
+			start = triangle,
+			//affects cw or ccw
+			guide = triangle.getVertexButNot( site ),
+			previous;
+		do {
+			list.push( triangle );
+			previous = triangle;
+			//next triangle
+			triangle = this.neighborOpposite( guide, triangle );
+			//update guide
+			guide = previous.getVertexButNot( site, guide );
+		} while( triangle !== start && triangle !== undefined );
+		return list;
+	},
 
-      /**
-     * Report triangles surrounding site in order (cw or ccw).
-     * 
-     * @param site
-     *            we want the surrounding triangles for this site
-     * @param triangle
-     *            a "starting" triangle that has site as a vertex
-     * @return all triangles surrounding site in order (cw or ccw)
-     * @throws IllegalArgumentException
-     *             if site is not in triangle
-     */
-      surroundingTriangles(site, triangle) {
-        if (!triangle.contains(site)) {
-          throw new Error('IllegalArgumentException: Site not in triangle');
-        }
-        let list = new Array();
-        let start = triangle;
-        let guide = triangle.getVertexButNot(site); // Affects cw or
-        // ccw
-        while (true) {
-          list.add(triangle);
-          let previous = triangle;
-          triangle = this.neighborOpposite(guide, triangle); // Next triangle
-          guide = previous.getVertexButNot(site, guide); // Update guide
-          if (triangle == start) {
-            break;
-          }
-        }
-        return list;
-      }
+	toString: function(){
+		return "DelaunayTriangulation with " + this.size() + " triangles";
+	},
 
-      toString() {
-        return 'DelaunayTriangulation with ' + size() + ' triangles';
-      }
+	/**
+	 * Update the triangulation by removing the cavity triangles and then
+	 * filling the cavity with new triangles.
+	 * @param {DelaunayVertex} site the site that created the cavity
+	 * @param {DelaunayTriangle[]} cavity the triangles with site in their circumcircle
+	 * @return {DelaunayTriangle} one of the new triangles
+	 */
+	update: function( site, cavity ){
+		var boundary = [],
+			theTriangles = new ArraySet(),
+			newTriangles = [],
+			triangle, facet, tri, i, j, k;
 
-      /**
-     * Update the triangulation by removing the cavity triangles and then
-     * filling the cavity with new triangles.
-     * 
-     * @param site
-     *            the site that created the cavity
-     * @param cavity
-     *            the triangles with site in their circumcircle
-     * @return one of the new triangles
-     */
-      update(site, cavity) {
-        let boundary = new Set();
-        let theTriangles = new Set();
+		//find boundary facets and adjacent triangles
+		for( i=0; i<cavity.length; i++ ){
+			triangle = cavity[i];
+			theTriangles.addAll( this.neighbors( triangle ) );
+			for( j=0; j<triangle.length; j++ ){
+				facet = triangle.facetOpposite( triangle[j] );
+				//facets are shared when they have the same vertices
+				for( k=0; k<boundary.length; k++ ){
+					if( boundary[k].containsAll( facet ) ){
+						break;
+					}
+				}
+				if( k < boundary.length ){
+					boundary.splice( k, 1 );
+				} else {
+					boundary.push( facet );
+				}
+			}
+		}
+		//adjacent triangles only
+		theTriangles.removeAll( cavity );
 
-        // Find boundary facets and adjacent triangles
-        for (let triangle of cavity) {
-          theTriangles.addAll(neighbors(triangle));
-          for (let vertex of triangle) {
-            let facet = triangle.facetOpposite(vertex);
-            if (boundary.contains(facet)) {
-              boundary.remove(facet);
-            } else {
-              boundary.add(facet);
-            }
-          }
-        }
-        theTriangles.removeAll(cavity); // Adj triangles only
+		//remove the cavity triangles from the triangulation
+		for( i=0; i<cavity.length; i++ ){
+			this.triGraph.remove( cavity[i] );
+		}
 
-        // Remove the cavity triangles from the triangulation
-        for (let triangle of cavity) {
-          triGraph.remove(triangle);
-        }
+		//build each new triangle and add it to the triangulation
+		for( i=0; i<boundary.length; i++ ){
+			tri = new DelaunayTriangle( boundary[i][0], boundary[i][1], site );
+			this.triGraph.add( tri );
+			newTriangles.push( tri );
+		}
 
-        // Build each new triangle and add it to the triangulation
-        let newTriangles = new Set();
-        for (let vertices of boundary) {
-          vertices.add(site);
-          let tri = new DelaunayTriangle(vertices);
-          triGraph.add(tri);
-          newTriangles.add(tri);
-        }
+		//update the graph links for each new triangle
+		theTriangles.addAll( newTriangles );
+		for( i=0; i<newTriangles.length; i++ ){
+			for( j=0; j<theTriangles.length; j++ ){
+				if( newTriangles[i].isNeighbor( theTriangles[j] ) ){
+					this.triGraph.connect( newTriangles[i], theTriangles[j] );
+				}
+			}
+		}
 
-        // Update the graph links for each new triangle
-        theTriangles.addAll(newTriangles); // Adj triangle + new triangles
-        for (let triangle of newTriangles) {
-          for (let other of theTriangles) {
-            if (triangle.isNeighbor(other)) {
-              triGraph.connect(triangle, other);
-            }
-          }
-        }
+		//return one of the new triangles
+		return newTriangles[0];
+	}
+};
 
-        // Return one of the new triangles
-        return newTriangles.iterator().next();
-      }
-    }
-  }
-);
+module.exports = DelaunayTriangulation;
+});
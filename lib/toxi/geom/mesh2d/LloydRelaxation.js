@@ -0,0 +1,223 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../Vec2D',
+	'../Rect',
+	'./Voronoi'
+], function(require, exports, module) {
+
+var Vec2D = require('../Vec2D'),
+	Rect = require('../Rect'),
+	Voronoi = require('./Voronoi');
+
+/**
+ * @class Moves sites toward the centroids of their Voronoi cells (Lloyd's
+ * algorithm), which converges to a centroidal Voronoi tessellation with evenly
+ * spaced sites. With a density function the centroids are weighted, so sites
+ * gather where the density is high, e.g. for stippling.
+ * @member toxi.geom.mesh2d
+ * @param {Polygon2D|Rect} bounds convex shape to keep the sites and cells in
+ * @param {Object} [options]
+ * @param {Function} [options.density] function( x, y ) returning a weight of 0 or more
+ * @param {Number} [options.samples] subdivisions of each cell triangle to integrate
+ * the density with, defaults to 4
+ */
+var LloydRelaxation = function( bounds, options ){
+	options = options || {};
+	this.setBounds( bounds );
+	this.density = options.density;
+	this.samples = options.samples || 4;
+};
+
+/**
+ * create a density function from grayscale image data, dark pixels get a
+ * high density
+ * @param {ImageData} imageData an object with width, height and RGBA `data`
+ * @param {Rect} bounds the area the image is mapped to
+ * @param {Boolean} [invert] use bright pixels for a high density instead
+ * @return {Function} function( x, y ) returning a density between 0 and 1
+ */
+LloydRelaxation.densityFromImageData = function( imageData, bounds, invert ){
+	var width = imageData.width,
+		height = imageData.height,
+		data = imageData.data;
+	return function( x, y ){
+		var px = Math.floor( (x - bounds.x) / bounds.width * width ),
+			py = Math.floor( (y - bounds.y) / bounds.height * height ),
+			i, brightness;
+		px = Math.max( 0, Math.min( width - 1, px ) );
+		py = Math.max( 0, Math.min( height - 1, py ) );
+		i = (py * width + px) * 4;
+		brightness = (data[i] + data[i+1] + data[i+2]) / (3 * 255);
+		return invert ? brightness : 1 - brightness;
+	};
+};
+
+LloydRelaxation.prototype = {
+	constructor: LloydRelaxation,
+
+	/**
+	 * compute the (density weighted) centroid of a convex cell
+	 * @param {Polygon2D} cell
+	 * @return {Vec2D} the centroid, or undefined for cells without area or weight
+	 */
+	computeCentroid: function( cell ){
+		var vertices = cell.vertices,
+			num = vertices.length,
+			density = this.density,
+			n = this.samples,
+			sum = new Vec2D(),
+			total = 0,
+			i, j, k, a, b, c, area, e1, e2, u, v, x, y, w;
+		if( num < 3 ){
+			return undefined;
+		}
+		if( density === undefined ){
+			if( cell.getArea() === 0 ){
+				return undefined;
+			}
+			return cell.getCentroid();
+		}
+		//fan triangulation, each triangle is split into n * n smaller ones
+		//which are sampled at their centroids
+		a = vertices[0];
+		for( i=1; i<num-1; i++ ){
+			b = vertices[i];
+			c = vertices[i+1];
+			e1 = b.sub( a );
+			e2 = c.sub( a );
+			area = Math.abs( e1.cross( e2 ) ) / 2 / (n * n);
+			for( j=0; j<n; j++ ){
+				for( k=0; k<n-j; k++ ){
+					//upright sub-triangle
+					u = (j + 1 / 3) / n;
+					v = (k + 1 / 3) / n;
+					x = a.x + e1.x * u + e2.x * v;
+					y = a.y + e1.y * u + e2.y * v;
+					w = density( x, y ) * area;
+					sum.x += x * w;
+					sum.y += y * w;
+					total += w;
+					//inverted sub-triangle
+					if( k < n - j - 1 ){
+						u = (j + 2 / 3) / n;
+						v = (k + 2 / 3) / n;
+						x = a.x + e1.x * u + e2.x * v;
+						y = a.y + e1.y * u + e2.y * v;
+						w = density( x, y ) * area;
+						sum.x += x * w;
+						sum.y += y * w;
+						total += w;
+					}
+				}
+			}
+		}
+		if( !(total > 0) ){
+			return undefined;
+		}
+		return sum.scaleSelf( 1 / total );
+	},
+
+	/**
+	 * compute the cells of the sites, clipped to the bounds
+	 * @param {Vec2D[]} sites
+	 * @return {Polygon2D[]} a cell for every site, in the same order
+	 */
+	computeCells: function( sites ){
+		var voronoi = new Voronoi( this._voronoiSize ),
+			cells = [],
+			regions, i, j;
+		voronoi.addPoints( sites );
+		regions = voronoi.getRegions( this.bounds );
+		//duplicate sites are skipped by the Voronoi, share their cells
+		for( i=0, j=0; i<sites.length; i++ ){
+			if( j < regions.length && voronoi.getSites()[j].equals( sites[i] ) ){
+				cells[i] = regions[j++];
+			} else {
+				cells[i] = cells[ this._indexOfSite( sites, sites[i] ) ];
+			}
+		}
+		return cells;
+	},
+
+	getBounds: function(){
+		return this.bounds;
+	},
+
+	getDensity: function(){
+		return this.density;
+	},
+
+	_indexOfSite: function( sites, p ){
+		for( var i=0; i<sites.length; i++ ){
+			if( sites[i].equals( p ) ){
+				return i;
+			}
+		}
+		return -1;
+	},
+
+	/**
+	 * run Lloyd iterations, moving each site to the centroid of its cell.
+	 * Sites without a cell inside the bounds or without density stay in place.
+	 * @param {Vec2D[]} sites initial positions, these aren't modified
+	 * @param {Number} [iterations] maximum number of iterations, defaults to 1
+	 * @param {Number} [tolerance] stop early once no site moves further than this
+	 * @return {Object} `{ sites: Vec2D[], cells: Polygon2D[], iterations: Number }`
+	 * with the relaxed sites and their cells
+	 */
+	relax: function( sites, iterations, tolerance ){
+		iterations = iterations === undefined ? 1 : iterations;
+		tolerance = tolerance || 0;
+		var current = sites.map(function( p ){ return p.copy(); }),
+			count = 0,
+			cells, next, maxMove, centroid, i;
+		while( count < iterations ){
+			cells = this.computeCells( current );
+			next = [];
+			maxMove = 0;
+			for( i=0; i<current.length; i++ ){
+				centroid = this.computeCentroid( cells[i] );
+				next[i] = centroid !== undefined ? centroid : current[i].copy();
+				maxMove = Math.max( maxMove, next[i].distanceTo( current[i] ) );
+			}
+			current = next;
+			count++;
+			if( maxMove <= tolerance ){
+				break;
+			}
+		}
+		return {
+			sites: current,
+			cells: this.computeCells( current ),
+			iterations: count
+		};
+	},
+
+	/**
+	 * @param {Polygon2D|Rect} bounds convex shape to keep the sites and cells in
+	 * @return itself
+	 */
+	setBounds: function( bounds ){
+		var rect = bounds instanceof Rect ? bounds : bounds.getBounds(),
+			extent = Math.max( Math.abs( rect.x ), Math.abs( rect.y ), Math.abs( rect.x + rect.width ), Math.abs( rect.y + rect.height ) );
+		this.bounds = bounds;
+		//the initial triangle of the voronoi needs to contain all sites
+		this._voronoiSize = Math.max( Voronoi.DEFAULT_SIZE, extent * 10 );
+		return this;
+	},
+
+	/**
+	 * @param {Function} density function( x, y ) returning a weight of 0 or more,
+	 * undefined for a uniform density
+	 * @return itself
+	 */
+	setDensity: function( density ){
+		this.density = density;
+		return this;
+	}
+};
+
+module.exports = LloydRelaxation;
+});
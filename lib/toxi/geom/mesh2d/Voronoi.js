@@ -1,89 +1,203 @@
-define(
-  [
-    'require',
-    'exports',
-    'module',
-    '../Polygon2D',
-    '../Triangle2D',
-    '../Vec2D',
-    './DelaunayTriangle',
-    './DelaunayTriangulation',
-    './DelaunayVertex'
-  ],
-  function(require, exports, module) {
-    const internals = require('../Polygon2D'),
-      Vec3D = require('../Triangle2D'),
-      Vec2D = require('../Vec2D'),
-      DelaunayTriangle = require('./ DelaunayTriangle'),
-      DelaunayTriangulation = require('./DelaunayTriangulation'),
-      DelaunayVertex = require('./DelaunayVertex');
+define([
+	'require',
+	'exports',
+	'module',
+	'../Polygon2D',
+	'../Triangle2D',
+	'../Vec2D',
+	'../SutherlandHodgemanClipper',
+	'../ConvexPolygonClipper',
+	'../../internals/is',
+	'./DelaunayTriangle',
+	'./DelaunayTriangulation',
+	'./DelaunayVertex'
+], function(require, exports, module) {
 
-    const DEFAULT_SIZE = 10000;
+var Polygon2D = require('../Polygon2D'),
+	Triangle2D = require('../Triangle2D'),
+	Vec2D = require('../Vec2D'),
+	SutherlandHodgemanClipper = require('../SutherlandHodgemanClipper'),
+	ConvexPolygonClipper = require('../ConvexPolygonClipper'),
+	is = require('../../internals/is'),
+	DelaunayTriangle = require('./DelaunayTriangle'),
+	DelaunayTriangulation = require('./DelaunayTriangulation'),
+	DelaunayVertex = require('./DelaunayVertex');
 
-    class Voronoi {
-      constructor(size = DEFAULT_SIZE) {
-        this.initialTriangle = new DelaunayTriangle(
-          new DelaunayVertex(-size, -size),
-          new DelaunayVertex(size, -size),
-          new DelaunayVertex(0, size)
-        );
+/**
+ * @class Voronoi diagram of a set of sites, built incrementally on a
+ * {@link toxi.geom.mesh2d.DelaunayTriangulation}. All sites need to be
+ * inside the initial triangle spanning +/- size around the origin.
+ * @member toxi.geom.mesh2d
+ * @param {Number} [size] extent of the initial triangle, defaults to Voronoi.DEFAULT_SIZE
+ */
+var Voronoi = function( size ){
+	size = size || Voronoi.DEFAULT_SIZE;
+	this.initialTriangle = new DelaunayTriangle(
+		new DelaunayVertex( -size, -size ),
+		new DelaunayVertex( size, -size ),
+		new DelaunayVertex( 0, size )
+	);
+	this.delaunay = new DelaunayTriangulation( this.initialTriangle );
+	this.sites = [];
+	this._vertices = [];
+};
 
-        this.delaunay = new DelaunayTriangulation(initialTriangle);
+Voronoi.DEFAULT_SIZE = 10000;
 
-        this.sites = new Array();
-      }
+Voronoi.prototype = {
+	constructor: Voronoi,
 
-      addPoint(p) {
-        this.sites.push(p.copy());
-        this.delaunay.delaunayPlace(new DelaunayVertex(p.x, p.y));
-      }
+	/**
+	 * add a site, sites at the same position as an existing one are ignored
+	 * @param {Vec2D} p
+	 * @return itself
+	 */
+	addPoint: function( p ){
+		var vertex = new DelaunayVertex( p.x, p.y ),
+			triangle = this.delaunay.locate( vertex );
+		if( triangle !== undefined && triangle.contains( vertex ) ){
+			return this;
+		}
+		this.delaunay.delaunayPlace( vertex );
+		this.sites.push( p.copy() );
+		this._vertices.push( vertex );
+		return this;
+	},
 
-      addPoints(points) {
-        for (p of points) {
-          addPoint(p);
-        }
-      }
+	/**
+	 * @param {Vec2D[]} points
+	 * @return itself
+	 */
+	addPoints: function( points ){
+		for( var i=0; i<points.length; i++ ){
+			this.addPoint( points[i] );
+		}
+		return this;
+	},
 
-      getRegions() {
-        let regions = new Array();
-        let done = new Set(initialTriangle);
-        for (triangle of this.delaunay) {
-          for (site of triangle) {
-            if (done.has(site)) {
-              continue;
-            }
-            done.add(site);
-            let list = this.delaunay.surroundingTriangles(site, triangle);
-            let poly = new Polygon2D();
-            for (tri of list) {
-              let circumeter = tri.getCircumcenter();
-              poly.add(new Vec2D(circumeter.coord(0), circumeter.coord(1)));
-            }
-            regions.push(poly);
-          }
-        }
-        return regions;
-      }
+	//map the key of each site's vertex to a triangle using it
+	_getTrianglesBySite: function(){
+		var triangles = this.delaunay.getTriangles(),
+			bySite = {},
+			i, j;
+		for( i=0; i<triangles.length; i++ ){
+			for( j=0; j<3; j++ ){
+				bySite[triangles[i][j]] = triangles[i];
+			}
+		}
+		return bySite;
+	},
 
-      getSites() {
-        return this.sites;
-      }
+	/**
+	 * the Delaunay neighbours of every site, sites are neighbours if their
+	 * regions share an edge in the unclipped diagram
+	 * @return {Number[][]} for each site the indices of its neighbours in {@link #getSites}
+	 */
+	getAdjacency: function(){
+		var indices = {},
+			adjacency = [],
+			triangles = this.delaunay.getTriangles(),
+			i, j, a, b;
+		for( i=0; i<this._vertices.length; i++ ){
+			indices[this._vertices[i]] = i;
+			adjacency[i] = [];
+		}
+		for( i=0; i<triangles.length; i++ ){
+			for( j=0; j<3; j++ ){
+				a = indices[triangles[i][j]];
+				b = indices[triangles[i][(j+1) % 3]];
+				if( a !== undefined && b !== undefined && adjacency[a].indexOf( b ) < 0 ){
+					adjacency[a].push( b );
+					adjacency[b].push( a );
+				}
+			}
+		}
+		return adjacency;
+	},
 
-      getTriangles() {
-        let tris = new Array();
-        for (t of this.delaunay) {
-          tris.push(
-            new Triangle2D(
-              t.get(0).toVec2D(),
-              t.get(1).toVec2D(),
-              t.get(2).toVec2D()
-            )
-          );
-        }
-        return tris;
-      }
-    }
+	/**
+	 * @param {Number|Vec2D} site index of a site or a site's position
+	 * @return {Vec2D[]} the sites neighbouring the given one
+	 */
+	getNeighbors: function( site ){
+		var index = site,
+			sites = this.sites;
+		if( typeof site !== 'number' ){
+			for( index=0; index<sites.length; index++ ){
+				if( sites[index].equals( site ) ){
+					break;
+				}
+			}
+		}
+		if( index >= sites.length ){
+			return [];
+		}
+		return this.getAdjacency()[index].map(function( i ){ return sites[i]; });
+	},
 
-    module.exports = Voronoi;
-  }
-);
+	/**
+	 * compute the region of every site, in the same order as {@link #getSites}.
+	 * The vertices of each region are ordered like {@link toxi.geom.Polygon2D#isClockwise}.
+	 * Regions on the hull of the sites reach out to the initial triangle, use
+	 * a clipping shape to limit them.
+	 * @param {Rect|Polygon2D} [clip] optional rect or convex polygon to clip the regions to
+	 * @return {Polygon2D[]} regions, clipped regions can have no vertices
+	 */
+	getRegions: function( clip ){
+		var bySite = this._getTrianglesBySite(),
+			clipper,
+			regions = [],
+			i, j, list, poly, c, p, prev;
+		if( clip !== undefined ){
+			clipper = is.Array( clip.vertices ) ? new ConvexPolygonClipper( clip ) : new SutherlandHodgemanClipper( clip );
+		}
+		for( i=0; i<this._vertices.length; i++ ){
+			list = this.delaunay.surroundingTriangles( this._vertices[i], bySite[this._vertices[i]] );
+			poly = new Polygon2D();
+			prev = undefined;
+			for( j=0; j<list.length; j++ ){
+				c = list[j].getCircumcenter();
+				p = new Vec2D( c.coord( 0 ), c.coord( 1 ) );
+				//co-circular sites share a circumcenter
+				if( prev === undefined || !prev.equalsWithTolerance( p, 1e-9 ) ){
+					poly.add( p );
+				}
+				prev = p;
+			}
+			if( poly.vertices.length > 1 && poly.vertices[0].equalsWithTolerance( prev, 1e-9 ) ){
+				poly.vertices.pop();
+			}
+			if( !poly.isClockwise() ){
+				poly.flipVertexOrder();
+			}
+			if( clipper !== undefined && poly.vertices.length > 2 ){
+				poly = clipper.clipPolygon( poly );
+				if( poly.vertices.length > 2 && !poly.isClockwise() ){
+					poly.flipVertexOrder();
+				}
+			}
+			regions.push( poly );
+		}
+		return regions;
+	},
+
+	/**
+	 * @return {Vec2D[]} the sites in the order they were added
+	 */
+	getSites: function(){
+		return this.sites;
+	},
+
+	/**
+	 * @return {Triangle2D[]} the Delaunay triangles, including those connected
+	 * to the corners of the initial triangle
+	 */
+	getTriangles: function(){
+		return this.delaunay.getTriangles().map(function( t ){
+			return new Triangle2D( t.get( 0 ).toVec2D(), t.get( 1 ).toVec2D(), t.get( 2 ).toVec2D() );
+		});
+	}
+};
+
+module.exports = Voronoi;
+});
@@ -0,0 +1,458 @@
+define([
+    'require',
+    'exports',
+    'module',
+    '../internals/is',
+    './Vec2D',
+    './Polygon2D'
+], function( require, exports, module ){
+
+    var is = require('../internals/is'),
+        Vec2D = require('./Vec2D');
+
+    //decide if a point is inside the result, given if it is inside of a and b
+    var operations = {
+        union: function( a, b ){ return a || b; },
+        intersection: function( a, b ){ return a && b; },
+        difference: function( a, b ){ return a && !b; },
+        xor: function( a, b ){ return a !== b; }
+    };
+
+    //points closer than this (relative to the size of the input) are merged
+    var WELD_TOLERANCE = 1e-9,
+        //distance of the sample points beside each edge, relative to the size of the input
+        SAMPLE_OFFSET = 1e-6;
+
+    //collect the vertex arrays of a polygon, its holes or an array of those
+    var getRings = function( shape, rings ){
+        var i;
+        if( is.Array( shape ) ){
+            for( i=0; i<shape.length; i++ ){
+                getRings( shape[i], rings );
+            }
+        } else if( shape !== undefined ){
+            if( shape.vertices.length >= 3 ){
+                rings.push( shape.vertices );
+            }
+            if( shape.holes !== undefined ){
+                getRings( shape.holes, rings );
+            }
+        }
+        return rings;
+    };
+
+    //even-odd test against all rings
+    var isInside = function( rings, x, y ){
+        var inside = false,
+            r, ring, i, j, vi, vj;
+        for( r=0; r<rings.length; r++ ){
+            ring = rings[r];
+            for( i=0, j=ring.length-1; i<ring.length; j=i++ ){
+                vi = ring[i];
+                vj = ring[j];
+                if( (vi.y > y) !== (vj.y > y) && x < (vj.x - vi.x) * (y - vi.y) / (vj.y - vi.y) + vi.x ){
+                    inside = !inside;
+                }
+            }
+        }
+        return inside;
+    };
+
+    //merges points within a tolerance into one vertex, hashed by grid cells
+    var PointWelder = function( tolerance ){
+        this.tolerance = tolerance;
+        this.cellSize = tolerance * 4;
+        this.cells = {};
+        this.points = [];
+    };
+
+    PointWelder.prototype = {
+        //@return {Number} id of the vertex at p
+        weld: function( p ){
+            var cx = Math.floor( p.x / this.cellSize ),
+                cy = Math.floor( p.y / this.cellSize ),
+                tolSq = this.tolerance * this.tolerance,
+                x, y, cell, i, q, key;
+            for( x=cx-1; x<=cx+1; x++ ){
+                for( y=cy-1; y<=cy+1; y++ ){
+                    cell = this.cells[x + ',' + y];
+                    if( cell === undefined ){
+                        continue;
+                    }
+                    for( i=0; i<cell.length; i++ ){
+                        q = this.points[cell[i]];
+                        if( (q.x - p.x) * (q.x - p.x) + (q.y - p.y) * (q.y - p.y) <= tolSq ){
+                            return cell[i];
+                        }
+                    }
+                }
+            }
+            key = cx + ',' + cy;
+            if( this.cells[key] === undefined ){
+                this.cells[key] = [];
+            }
+            this.cells[key].push( this.points.length );
+            this.points.push( new Vec2D( p ) );
+            return this.points.length - 1;
+        }
+    };
+
+    //split all segments where they intersect or touch other segments
+    var splitSegments = function( segments, tolerance ){
+        var i, j, s1, s2, d1x, d1y, d2x, d2y, len1, len2, denom, ex, ey, t, u, p;
+        var addSplit = function( s, t, p ){
+            s.splits.push({ t: t, p: p });
+        };
+        var splitCollinear = function( s, other ){
+            var dx = s.b.x - s.a.x,
+                dy = s.b.y - s.a.y,
+                lenSq = dx * dx + dy * dy,
+                ends = [ other.a, other.b ],
+                k, t;
+            for( k=0; k<2; k++ ){
+                t = ((ends[k].x - s.a.x) * dx + (ends[k].y - s.a.y) * dy) / lenSq;
+                if( t > 0 && t < 1 ){
+                    addSplit( s, t, ends[k] );
+                }
+            }
+        };
+        for( i=0; i<segments.length; i++ ){
+            s1 = segments[i];
+            d1x = s1.b.x - s1.a.x;
+            d1y = s1.b.y - s1.a.y;
+            len1 = Math.sqrt( d1x * d1x + d1y * d1y );
+            for( j=i+1; j<segments.length; j++ ){
+                s2 = segments[j];
+                //reject by bounding boxes first
+                if( s2.maxX < s1.minX - tolerance || s2.minX > s1.maxX + tolerance ||
+                    s2.maxY < s1.minY - tolerance || s2.minY > s1.maxY + tolerance ){
+                    continue;
+                }
+                d2x = s2.b.x - s2.a.x;
+                d2y = s2.b.y - s2.a.y;
+                len2 = Math.sqrt( d2x * d2x + d2y * d2y );
+                denom = d1x * d2y - d1y * d2x;
+                ex = s2.a.x - s1.a.x;
+                ey = s2.a.y - s1.a.y;
+                if( Math.abs( denom ) > 1e-12 * len1 * len2 ){
+                    t = (ex * d2y - ey * d2x) / denom;
+                    u = (ex * d1y - ey * d1x) / denom;
+                    if( t >= -tolerance / len1 && t <= 1 + tolerance / len1 &&
+                        u >= -tolerance / len2 && u <= 1 + tolerance / len2 ){
+                        t = Math.min( Math.max( t, 0 ), 1 );
+                        u = Math.min( Math.max( u, 0 ), 1 );
+                        p = new Vec2D( s1.a.x + d1x * t, s1.a.y + d1y * t );
+                        addSplit( s1, t, p );
+                        addSplit( s2, u, p );
+                    }
+                } else if( Math.abs( ex * d1y - ey * d1x ) / len1 <= tolerance ){
+                    //collinear and overlapping segments split each other at their ends
+                    splitCollinear( s1, s2 );
+                    splitCollinear( s2, s1 );
+                }
+            }
+        }
+    };
+
+    //@return {Array} the unique edges between welded vertices, as [id, id]
+    var buildEdges = function( ringsA, ringsB, welder, tolerance ){
+        var segments = [],
+            edges = [],
+            seen = {},
+            rings = ringsA.concat( ringsB ),
+            r, ring, i, a, b, s, k, from, to, key;
+        for( r=0; r<rings.length; r++ ){
+            ring = rings[r];
+            for( i=0; i<ring.length; i++ ){
+                a = ring[i];
+                b = ring[(i+1) % ring.length];
+                if( a.distanceToSquared( b ) <= tolerance * tolerance ){
+                    continue;
+                }
+                segments.push({
+                    a: a, b: b,
+                    minX: Math.min( a.x, b.x ), maxX: Math.max( a.x, b.x ),
+                    minY: Math.min( a.y, b.y ), maxY: Math.max( a.y, b.y ),
+                    splits: [ { t: 0, p: a }, { t: 1, p: b } ]
+                });
+            }
+        }
+        splitSegments( segments, tolerance );
+        for( i=0; i<segments.length; i++ ){
+            s = segments[i];
+            s.splits.sort(function( p, q ){ return p.t - q.t; });
+            from = welder.weld( s.splits[0].p );
+            for( k=1; k<s.splits.length; k++ ){
+                to = welder.weld( s.splits[k].p );
+                if( to !== from ){
+                    key = from < to ? from + ',' + to : to + ',' + from;
+                    if( !seen[key] ){
+                        seen[key] = true;
+                        edges.push( [ from, to ] );
+                    }
+                }
+                from = to;
+            }
+        }
+        return edges;
+    };
+
+    //link directed edges into closed loops, at vertices with several outgoing
+    //edges the sharpest left turn is taken so touching loops stay separate
+    var traceLoops = function( directed, points ){
+        var outgoing = {},
+            loops = [],
+            i, e, start, loop, v, prev, candidates, best, bestAngle, angle, reverseAngle, k;
+        for( i=0; i<directed.length; i++ ){
+            e = directed[i];
+            if( outgoing[e.from] === undefined ){
+                outgoing[e.from] = [];
+            }
+            outgoing[e.from].push( e );
+        }
+        for( i=0; i<directed.length; i++ ){
+            start = directed[i];
+            if( start.used ){
+                continue;
+            }
+            start.used = true;
+            loop = [ start.from ];
+            e = start;
+            while( true ){
+                v = e.to;
+                prev = points[e.from];
+                reverseAngle = Math.atan2( prev.y - points[v].y, prev.x - points[v].x );
+                candidates = outgoing[v] || [];
+                best = undefined;
+                bestAngle = Infinity;
+                for( k=0; k<candidates.length; k++ ){
+                    if( candidates[k].used && candidates[k] !== start ){
+                        continue;
+                    }
+                    //clockwise angle from the reverse of the incoming edge
+                    angle = reverseAngle - Math.atan2( points[candidates[k].to].y - points[v].y, points[candidates[k].to].x - points[v].x );
+                    while( angle <= 0 ){
+                        angle += Math.PI * 2;
+                    }
+                    if( angle < bestAngle ){
+                        bestAngle = angle;
+                        best = candidates[k];
+                    }
+                }
+                if( best === undefined ){
+                    //open chain, can only happen for degenerate input
+                    loop = undefined;
+                    break;
+                }
+                if( best === start ){
+                    break;
+                }
+                best.used = true;
+                loop.push( v );
+                e = best;
+            }
+            if( loop !== undefined && loop.length >= 3 ){
+                loops.push( loop );
+            }
+        }
+        return loops;
+    };
+
+    //drop vertices in the middle of straight edges
+    var removeCollinear = function( points, tolerance ){
+        var result = points.slice(0),
+            changed = true,
+            i, a, b, c, abx, aby, bcx, bcy, len;
+        while( changed && result.length > 3 ){
+            changed = false;
+            for( i=0; i<result.length && result.length > 3; i++ ){
+                a = result[(i + result.length - 1) % result.length];
+                b = result[i];
+                c = result[(i+1) % result.length];
+                abx = b.x - a.x;
+                aby = b.y - a.y;
+                bcx = c.x - b.x;
+                bcy = c.y - b.y;
+                len = Math.sqrt( (c.x - a.x) * (c.x - a.x) + (c.y - a.y) * (c.y - a.y) );
+                if( Math.abs( abx * bcy - aby * bcx ) <= tolerance * len && abx * bcx + aby * bcy > 0 ){
+                    result.splice( i, 1 );
+                    i--;
+                    changed = true;
+                }
+            }
+        }
+        return result;
+    };
+
+    /**
+     * @class Boolean operations on arbitrary polygons: concave, self-intersecting
+     * or touching polygons and polygons with holes. Shapes are a Polygon2D, whose
+     * optional `holes` property is an array of Polygon2D, or an array of those.
+     * All rings of a shape are combined with the even-odd rule, so holes can
+     * have either vertex order.
+     * Results are arrays of Polygon2D, each with a `holes` array. Outlines are
+     * ordered clockwise (see {@link toxi.geom.Polygon2D#isClockwise}), holes
+     * counter-clockwise. Polygons only touching at single vertices are separate.
+     * @member toxi.geom
+     */
+    var PolygonBooleans = {};
+
+    PolygonBooleans.UNION = 'union';
+    PolygonBooleans.INTERSECTION = 'intersection';
+    PolygonBooleans.DIFFERENCE = 'difference';
+    PolygonBooleans.XOR = 'xor';
+
+    /**
+     * compute a boolean operation
+     * @param {Polygon2D|Array} a
+     * @param {Polygon2D|Array} b
+     * @param {String} operation one of 'union', 'intersection', 'difference' or 'xor'
+     * @return {Polygon2D[]}
+     */
+    PolygonBooleans.compute = function( a, b, operation ){
+        var op = operations[operation];
+        if( op === undefined ){
+            throw new Error("PolygonBooleans: unknown operation `" + operation + "`");
+        }
+        //required late, Polygon2D depends on this module
+        var Polygon2D = require('./Polygon2D'),
+            ringsA = getRings( a, [] ),
+            ringsB = getRings( b, [] ),
+            rings = ringsA.concat( ringsB ),
+            minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity,
+            scale, tolerance, offset, welder, edges, points, directed,
+            loops, outlines, holes, i, k, e, pa, pb, dx, dy, len, nx, ny, mx, my, d,
+            left, right, poly, vertices, area, hole, best, bestArea, sx, sy;
+
+        for( i=0; i<rings.length; i++ ){
+            for( k=0; k<rings[i].length; k++ ){
+                minX = Math.min( minX, rings[i][k].x );
+                minY = Math.min( minY, rings[i][k].y );
+                maxX = Math.max( maxX, rings[i][k].x );
+                maxY = Math.max( maxY, rings[i][k].y );
+            }
+        }
+        scale = Math.max( maxX - minX, maxY - minY );
+        if( !(scale > 0) ){
+            return [];
+        }
+        tolerance = scale * WELD_TOLERANCE;
+        offset = scale * SAMPLE_OFFSET;
+        welder = new PointWelder( tolerance );
+        edges = buildEdges( ringsA, ringsB, welder, tolerance );
+        points = welder.points;
+
+        //keep edges with the result on exactly one side, oriented with it on the left
+        directed = [];
+        for( i=0; i<edges.length; i++ ){
+            e = edges[i];
+            pa = points[e[0]];
+            pb = points[e[1]];
+            dx = pb.x - pa.x;
+            dy = pb.y - pa.y;
+            len = Math.sqrt( dx * dx + dy * dy );
+            nx = -dy / len;
+            ny = dx / len;
+            mx = (pa.x + pb.x) * 0.5;
+            my = (pa.y + pb.y) * 0.5;
+            d = Math.min( offset, len * 0.25 );
+            left = op( isInside( ringsA, mx + nx * d, my + ny * d ), isInside( ringsB, mx + nx * d, my + ny * d ) );
+            right = op( isInside( ringsA, mx - nx * d, my - ny * d ), isInside( ringsB, mx - nx * d, my - ny * d ) );
+            if( left && !right ){
+                directed.push({ from: e[0], to: e[1], used: false });
+            } else if( right && !left ){
+                directed.push({ from: e[1], to: e[0], used: false });
+            }
+        }
+
+        loops = traceLoops( directed, points );
+        outlines = [];
+        holes = [];
+        for( i=0; i<loops.length; i++ ){
+            vertices = [];
+            for( k=0; k<loops[i].length; k++ ){
+                vertices.push( points[ loops[i][k] ] );
+            }
+            vertices = removeCollinear( vertices, tolerance );
+            area = Polygon2D.getSignedArea( vertices );
+            if( Math.abs( area ) <= tolerance * scale ){
+                continue;
+            }
+            poly = new Polygon2D( vertices );
+            if( area > 0 ){
+                poly.holes = [];
+                poly._area = area;
+                outlines.push( poly );
+            } else {
+                holes.push( poly );
+            }
+        }
+
+        //each hole belongs to the smallest outline around it
+        for( i=0; i<holes.length; i++ ){
+            hole = holes[i];
+            pa = hole.vertices[0];
+            pb = hole.vertices[1];
+            dx = pb.x - pa.x;
+            dy = pb.y - pa.y;
+            len = Math.sqrt( dx * dx + dy * dy );
+            d = Math.min( offset, len * 0.25 );
+            //a point just beside the hole, inside the result
+            sx = (pa.x + pb.x) * 0.5 - dy / len * d;
+            sy = (pa.y + pb.y) * 0.5 + dx / len * d;
+            best = undefined;
+            bestArea = Infinity;
+            for( k=0; k<outlines.length; k++ ){
+                if( outlines[k]._area < bestArea && isInside( [ outlines[k].vertices ], sx, sy ) ){
+                    best = outlines[k];
+                    bestArea = outlines[k]._area;
+                }
+            }
+            if( best !== undefined ){
+                best.holes.push( hole );
+            }
+        }
+        for( i=0; i<outlines.length; i++ ){
+            delete outlines[i]._area;
+        }
+        return outlines;
+    };
+
+    /**
+     * @param {Polygon2D|Array} a
+     * @param {Polygon2D|Array} b
+     * @return {Polygon2D[]} the area of a minus the area of b
+     */
+    PolygonBooleans.difference = function( a, b ){
+        return PolygonBooleans.compute( a, b, PolygonBooleans.DIFFERENCE );
+    };
+
+    /**
+     * @param {Polygon2D|Array} a
+     * @param {Polygon2D|Array} b
+     * @return {Polygon2D[]} the area covered by both a and b
+     */
+    PolygonBooleans.intersection = function( a, b ){
+        return PolygonBooleans.compute( a, b, PolygonBooleans.INTERSECTION );
+    };
+
+    /**
+     * @param {Polygon2D|Array} a
+     * @param {Polygon2D|Array} b
+     * @return {Polygon2D[]} the area covered by a or b
+     */
+    PolygonBooleans.union = function( a, b ){
+        return PolygonBooleans.compute( a, b, PolygonBooleans.UNION );
+    };
+
+    /**
+     * @param {Polygon2D|Array} a
+     * @param {Polygon2D|Array} b
+     * @return {Polygon2D[]} the area covered by either a or b, but not both
+     */
+    PolygonBooleans.xor = function( a, b ){
+        return PolygonBooleans.compute( a, b, PolygonBooleans.XOR );
+    };
+
+    module.exports = PolygonBooleans;
+});
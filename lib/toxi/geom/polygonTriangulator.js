@@ -0,0 +1,335 @@
+define([
+    'require',
+    'exports',
+    'module',
+    './Vec2D',
+    './Polygon2D',
+    './Triangle2D',
+    './mesh/TriangleMesh'
+], function( require, exports, module ){
+
+    var Vec2D = require('./Vec2D');
+
+    //twice the signed area of the triangle a, b, c
+    var cross = function( a, b, c ){
+        return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    };
+
+    var coincides = function( a, b ){
+        return a.x === b.x && a.y === b.y;
+    };
+
+    //inclusive test for a counter-clockwise triangle
+    var pointInTriangle = function( p, a, b, c ){
+        return cross( a, b, p ) >= 0 && cross( b, c, p ) >= 0 && cross( c, a, p ) >= 0;
+    };
+
+    //copy the vertices of a ring without consecutive duplicates
+    var cleanRing = function( vertices ){
+        var ring = [],
+            i, v;
+        for( i=0; i<vertices.length; i++ ){
+            v = vertices[i];
+            if( ring.length === 0 || !coincides( ring[ring.length-1], v ) ){
+                ring.push( v );
+            }
+        }
+        while( ring.length > 1 && coincides( ring[0], ring[ring.length-1] ) ){
+            ring.pop();
+        }
+        return ring;
+    };
+
+    //create a circular doubly linked list of nodes for the indices start..end-1
+    var linkNodes = function( points, start, end ){
+        var first, last, node, i;
+        for( i=start; i<end; i++ ){
+            node = { i: i, x: points[i].x, y: points[i].y, prev: last, next: undefined };
+            if( last !== undefined ){
+                last.next = node;
+            } else {
+                first = node;
+            }
+            last = node;
+        }
+        last.next = first;
+        first.prev = last;
+        return first;
+    };
+
+    var isReflex = function( node ){
+        return cross( node.prev, node, node.next ) <= 0;
+    };
+
+    //true if the diagonal from a to b starts inside the polygon at a
+    var locallyInside = function( a, b ){
+        if( cross( a.prev, a, a.next ) > 0 ){
+            return cross( a, b, a.next ) <= 0 && cross( a, a.prev, b ) <= 0;
+        }
+        return cross( a, b, a.prev ) > 0 || cross( a, a.next, b ) > 0;
+    };
+
+    //true if the sector of the outline at p lies within the sector at m,
+    //for choosing between coincident copies of a vertex left by earlier bridges
+    var sectorContainsSector = function( m, p ){
+        return cross( m.prev, m, p.prev ) > 0 && cross( p.next, m, m.next ) > 0;
+    };
+
+    //find the outline node a hole can be connected to without crossing any edge,
+    //a ray is cast from the hole's rightmost vertex along +x to the closest edge
+    //(as in earcut, mirrored)
+    var findBridge = function( hole, outer ){
+        var hx = hole.x,
+            hy = hole.y,
+            qx = Infinity,
+            candidate, node, x, mx, best, t;
+        node = outer;
+        do {
+            //only edges running upwards can be hit from the inside, which also
+            //skips the reversed copies of bridges to earlier holes
+            if( node.y <= hy && hy <= node.next.y && node.next.y !== node.y ){
+                x = node.x + (hy - node.y) * (node.next.x - node.x) / (node.next.y - node.y);
+                if( x >= hx && x < qx ){
+                    qx = x;
+                    candidate = node.x > node.next.x ? node : node.next;
+                    if( x === hx ){
+                        //the hole touches the outline
+                        return hy === node.y ? node : hy === node.next.y ? node.next : candidate;
+                    }
+                }
+            }
+            node = node.next;
+        } while( node !== outer );
+        if( candidate === undefined ){
+            return undefined;
+        }
+        //vertices inside the triangle of the hole vertex, the hit point and
+        //the candidate could block the bridge, use the one closest to the ray instead
+        mx = candidate.x;
+        best = Infinity;
+        var stop = candidate,
+            hit = { x: qx, y: hy };
+        node = candidate;
+        do {
+            if( hx <= node.x && node.x <= mx && hx !== node.x &&
+                (pointInTriangle( node, hole, hit, stop ) || pointInTriangle( node, hit, hole, stop )) ){
+                t = Math.abs( hy - node.y ) / (node.x - hx);
+                if( locallyInside( node, hole ) && (t < best || (t === best &&
+                    (node.x < candidate.x || (node.x === candidate.x && sectorContainsSector( candidate, node ))))) ){
+                    best = t;
+                    candidate = node;
+                }
+            }
+            node = node.next;
+        } while( node !== stop );
+        return candidate;
+    };
+
+    //splice a hole into the outline by connecting it with two coincident edges
+    var bridgeHole = function( hole, bridge ){
+        var holeCopy = { i: hole.i, x: hole.x, y: hole.y },
+            bridgeCopy = { i: bridge.i, x: bridge.x, y: bridge.y };
+        bridgeCopy.next = bridge.next;
+        bridge.next.prev = bridgeCopy;
+        holeCopy.prev = hole.prev;
+        hole.prev.next = holeCopy;
+        bridge.next = hole;
+        hole.prev = bridge;
+        holeCopy.next = bridgeCopy;
+        bridgeCopy.prev = holeCopy;
+    };
+
+    var isEar = function( ear ){
+        var a = ear.prev,
+            b = ear,
+            c = ear.next,
+            node;
+        if( cross( a, b, c ) <= 0 ){
+            return false;
+        }
+        node = c.next;
+        while( node !== a ){
+            //coincident points are the ends of bridges to holes
+            if( !coincides( node, a ) && !coincides( node, b ) && !coincides( node, c ) &&
+                isReflex( node ) && pointInTriangle( node, a, b, c ) ){
+                return false;
+            }
+            node = node.next;
+        }
+        return true;
+    };
+
+    //node to clip if there is no ear left because of degenerate input, a node without
+    //area is dropped, otherwise the most convex one is clipped
+    var findFallback = function( start ){
+        var node = start,
+            best = start,
+            bestArea = -Infinity,
+            area;
+        do {
+            area = cross( node.prev, node, node.next );
+            if( area === 0 || coincides( node.prev, node.next ) ){
+                return node;
+            }
+            if( area > bestArea ){
+                bestArea = area;
+                best = node;
+            }
+            node = node.next;
+        } while( node !== start );
+        return best;
+    };
+
+    var clipEars = function( ear, indices, flip ){
+        var stop = ear,
+            size = 1,
+            node = ear.next;
+        while( node !== ear ){
+            size++;
+            node = node.next;
+        }
+        var clip = function( b ){
+            var a = b.prev,
+                c = b.next;
+            if( cross( a, b, c ) > 0 ){
+                if( flip ){
+                    indices.push( a.i, c.i, b.i );
+                } else {
+                    indices.push( a.i, b.i, c.i );
+                }
+            }
+            a.next = c;
+            c.prev = a;
+            size--;
+            ear = stop = c;
+        };
+        while( size > 2 ){
+            if( isEar( ear ) ){
+                clip( ear );
+            } else if( ear.next === stop ){
+                clip( findFallback( ear ) );
+            } else {
+                ear = ear.next;
+            }
+        }
+        return indices;
+    };
+
+    /**
+     * @class Triangulation of simple polygons with holes by ear clipping. Holes are
+     * connected to the outline through bridge edges first, so the result has no
+     * additional vertices. The triangles keep the orientation of the outline,
+     * the orientation of holes doesn't matter.
+     * @member toxi.geom
+     * @static
+     */
+    var PolygonTriangulator = {};
+
+    /**
+     * triangulate a polygon into indices of its points
+     * @param {Polygon2D} poly the outline
+     * @param {Polygon2D[]} [holes] polygons inside the outline, defaults to `poly.holes`
+     * @return {Object} `{ points: Vec2D[], indices: Number[] }`, 3 indices per triangle
+     * referencing the (not copied) vertices of the outline and holes
+     */
+    PolygonTriangulator.getIndices = function( poly, holes ){
+        //required late, Polygon2D depends on this module
+        var Polygon2D = require('./Polygon2D'),
+            outer = cleanRing( poly.vertices ),
+            flip = Polygon2D.getSignedArea( outer ) < 0,
+            points = flip ? outer.reverse() : outer,
+            holeNodes = [],
+            i, ring, start, node, rightmost, bridge;
+        holes = holes || poly.holes || [];
+        if( points.length < 3 ){
+            return { points: [], indices: [] };
+        }
+        for( i=0; i<holes.length; i++ ){
+            ring = cleanRing( holes[i].vertices );
+            if( ring.length < 3 ){
+                continue;
+            }
+            //holes run clockwise against the counter-clockwise outline
+            if( Polygon2D.getSignedArea( ring ) > 0 ){
+                ring.reverse();
+            }
+            start = points.length;
+            points = points.concat( ring );
+            node = rightmost = linkNodes( points, start, points.length );
+            do {
+                if( node.x > rightmost.x || (node.x === rightmost.x && node.y > rightmost.y) ){
+                    rightmost = node;
+                }
+                node = node.next;
+            } while( node.i !== start );
+            holeNodes.push( rightmost );
+        }
+        node = linkNodes( points, 0, outer.length );
+        //connect the holes from right to left so earlier bridges can't block later ones
+        holeNodes.sort(function( a, b ){ return b.x - a.x; });
+        for( i=0; i<holeNodes.length; i++ ){
+            bridge = findBridge( holeNodes[i], node );
+            if( bridge !== undefined ){
+                bridgeHole( holeNodes[i], bridge );
+            }
+        }
+        return {
+            points: points,
+            indices: clipEars( node, [], flip )
+        };
+    };
+
+    /**
+     * @param {Polygon2D} poly the outline
+     * @param {Polygon2D[]} [holes] polygons inside the outline, defaults to `poly.holes`
+     * @return {Triangle2D[]}
+     */
+    PolygonTriangulator.triangulate = function( poly, holes ){
+        var Triangle2D = require('./Triangle2D'),
+            result = PolygonTriangulator.getIndices( poly, holes ),
+            points = result.points,
+            indices = result.indices,
+            triangles = [],
+            i;
+        for( i=0; i<indices.length; i+=3 ){
+            triangles.push( new Triangle2D( points[indices[i]], points[indices[i+1]], points[indices[i+2]] ) );
+        }
+        return triangles;
+    };
+
+    /**
+     * triangulate a polygon into a mesh in the XY plane, UV coordinates are
+     * normalized to the bounding rect of the outline. Faces are added in the
+     * same order as {@link toxi.geom.Polygon2D#toMesh} does for convex polygons.
+     * @param {Polygon2D} poly the outline
+     * @param {Polygon2D[]} [holes] polygons inside the outline, defaults to `poly.holes`
+     * @param {TriangleMesh} [mesh] optional mesh to add the faces to
+     * @return {TriangleMesh}
+     */
+    PolygonTriangulator.toMesh = function( poly, holes, mesh ){
+        var TriangleMesh = require('./mesh/TriangleMesh'),
+            result = PolygonTriangulator.getIndices( poly, holes ),
+            points = result.points,
+            indices = result.indices,
+            bounds = poly.getBounds(),
+            topLeft = bounds.getTopLeft(),
+            boundScale = new Vec2D( 1 / bounds.width, 1 / bounds.height ),
+            verts = [],
+            uvs = [],
+            i;
+        mesh = mesh || new TriangleMesh();
+        for( i=0; i<points.length; i++ ){
+            verts.push( points[i].to3DXY() );
+            uvs.push( points[i].sub( topLeft ).scaleSelf( boundScale ) );
+        }
+        for( i=0; i<indices.length; i+=3 ){
+            mesh.addFace(
+                verts[indices[i]], verts[indices[i+2]], verts[indices[i+1]],
+                uvs[indices[i]], uvs[indices[i+2]], uvs[indices[i+1]]
+            );
+        }
+        return mesh;
+    };
+
+    module.exports = PolygonTriangulator;
+});
@@ -12,7 +12,8 @@ define([
 		is = require('../internals/is');
 
 	var hasXY = has.XY;
-	var isRect = is.Rect;
+	var isRect = is.Rect,
+		isRandom = is.Random;
 
 	//modules defined within
 	var Vec2D, Vec3D;
@@ -360,19 +361,26 @@ define([
 		},
 
 		/**
-		 * Adds random jitter to the vector in the range -j ... +j using the default
-		 * {@link Random} generator of {@link MathUtils}.
+		 * Adds random jitter to the vector in the range -j ... +j using the given
+		 * generator or the default {@link MathUtils.RND}.
 		 *
 		 * @param a
 		 *				maximum x jitter or  Vec2D
 		 * @param b
 		 *				maximum y jitter or undefined
+		 * @param [rng]
+		 *				generator with a `random()` method, like {@link toxi.math.Random}
 		 * @return itself
 		 */
-		jitter: function(a,b) {
+		jitter: function(a,b,rng) {
+			//a null generator stands for the default one
+			if( b === null || isRandom(b) ){
+				rng = b;
+				b = undefined;
+			}
 			var v = _getXY(a,b);
-			this.x += mathUtils.normalizedRandom() * v.x;
-			this.y += mathUtils.normalizedRandom() * v.y;
+			this.x += mathUtils.normalizedRandom(rng) * v.x;
+			this.y += mathUtils.normalizedRandom(rng) * v.y;
 			return this;
 		},
 
@@ -638,9 +646,13 @@ define([
 		return new Vec2D(mathUtils.min(a.x, b.x), mathUtils.min(a.y, b.y));
 	};
 
-	Vec2D.randomVector = function(rnd){
-		var v = new Vec2D(Math.random()*2 - 1, Math.random() * 2 - 1);
-		return v.normalize();
+	/**
+	 * Creates a new random unit vector.
+	 * @param {Object} [rng] generator with a `random()` method, defaults to {@link MathUtils.RND}
+	 * @return a new random normalized unit vector.
+	 */
+	Vec2D.randomVector = function(rng){
+		return Vec2D.fromTheta(mathUtils.random(rng, mathUtils.TWO_PI));
 	};
 
 	/**
@@ -853,7 +865,7 @@ define([
 		},
 
 		getComponent: function(id){
-			if(typeof(id) == 'number'){
+			if(typeof(id) != 'number'){
 				if(id === Vec3D.Axis.X){
 					id = 0;
 				} else if(id === Vec3D.Axis.Y){
@@ -1031,21 +1043,31 @@ define([
 		},
 
 		/**
-		 * Add random jitter to the vector in the range -j ... +j using the default
-		 * {@link Random} generator of {@link MathUtils}.
+		 * Add random jitter to the vector in the range -j ... +j using the given
+		 * generator or the default {@link MathUtils.RND}.
 		 *
-		 * @param j
-		 *				the j
-		 *
-		 * @return the vec3 d
+		 * @param a
+		 *				maximum jitter, or maximum x jitter if b and c are given
+		 * @param [b]
+		 *				maximum y jitter
+		 * @param [c]
+		 *				maximum z jitter
+		 * @param [rng]
+		 *				generator with a `random()` method, like {@link toxi.math.Random}
+		 * @return itself
 		 */
-		jitter: function(a,b,c){
+		jitter: function(a,b,c,rng){
+			//a null generator stands for the default one
+			if(b === null || isRandom(b)){
+				rng = b;
+				b = undefined;
+			}
 			if(b === undefined || c === undefined){
 				b = c = a;
 			}
-			this.x += mathUtils.normalizedRandom()*a;
-			this.y += mathUtils.normalizedRandom()*b;
-			this.z += mathUtils.normalizedRandom()*c;
+			this.x += mathUtils.normalizedRandom(rng)*a;
+			this.y += mathUtils.normalizedRandom(rng)*b;
+			this.z += mathUtils.normalizedRandom(rng)*c;
 			return this;
 		},
 
@@ -1272,16 +1294,36 @@ define([
 			return this;
 		},
 
+		/**
+		 * set a single component by axis
+		 * @param {Vec3D.Axis|Number} id Vec3D.Axis or 0, 1, 2
+		 * @param {Number} val
+		 * @return itself
+		 */
+		setComponent: function(id, val){
+			if(typeof(id) == 'number'){
+				id = (id === 0) ? Vec3D.Axis.X : (id === 1) ? Vec3D.Axis.Y : Vec3D.Axis.Z;
+			}
+			if(id === Vec3D.Axis.X){
+				this.x = val;
+			} else if(id === Vec3D.Axis.Y){
+				this.y = val;
+			} else if(id === Vec3D.Axis.Z){
+				this.z = val;
+			}
+			return this;
+		},
+
 		setXY: function(v){
 			this.x = v.x;
 			this.y = v.y;
 			return this;
 		},
 
-		shuffle:function(nIterations){
+		shuffle:function(nIterations,rng){
 			var t;
 			for(var i=0;i<nIterations;i++) {
-				switch(Math.floor(Math.random()*3)){
+				switch(Math.floor(mathUtils.random(rng,3))){
 					case 0:
 					t = this.x;
 					this.x = this.y;
@@ -1476,14 +1518,15 @@ define([
 
 
 	/**
-	 * Static factory method. Creates a new random unit vector using the Random
-	 * implementation set as default for the {@link MathUtils} class.
+	 * Static factory method. Creates a new random unit vector using the given
+	 * generator or the one set as default for the {@link MathUtils} class.
 	 *
+	 * @param {Object} [rng] generator with a `random()` method, like {@link toxi.math.Random}
 	 * @return a new random normalized unit vector.
 	 */
 
-	Vec3D.randomVector = function() {
-		var v = new Vec3D(Math.random()*2 - 1, Math.random() * 2 -1, Math.random()* 2 - 1);
+	Vec3D.randomVector = function(rng) {
+		var v = new Vec3D(mathUtils.normalizedRandom(rng), mathUtils.normalizedRandom(rng), mathUtils.normalizedRandom(rng));
 		return v.normalize();
 	};
 	Vec3D.ZERO = new Vec3D(0,0,0);
@@ -37,10 +37,15 @@ define(['./has','exports'],function( has, exports ){
     exports.Hue = apply(['getHue','isPrimary']);
 	exports.Line2D = apply(['closestPointTo','intersectLine','getLength']);
 	exports.Matrix4x4 = apply(['identity', 'invert', 'setFrustrum']);
+	//any generator with a random() method, like toxi.math.Random or Math
+	exports.Random = function( o ){
+		return o != null && typeof o.random === 'function';
+	};
 	exports.Rect = apply(['x','y','width','height','getArea','getCentroid','getDimensions']);
 	exports.Sphere = apply(['x','y','z','radius','toMesh']);
     exports.ScaleMap = apply(['mapFunction','setInputRange','setOutputRange','getMappedValueFor']);
 	exports.TColor = apply(['rgb','cmyk','hsv']);
 	exports.ParticleBehavior = apply(['applyBehavior','configure']);
 	exports.VerletParticle2D = apply(['x','y','weight']);
+	exports.VerletParticle3D = apply(['x','y','z','weight']);
 });
@@ -1,4 +1,4 @@
-define(["require", "exports", "module", "./math/BezierInterpolation","./math/CircularInterpolation","./math/CosineInterpolation","./math/DecimatedInterpolation","./math/ExponentialInterpolation","./math/Interpolation2D","./math/LinearInterpolation","./math/mathUtils","./math/mathUtils","./math/ScaleMap","./math/SigmoidInterpolation","./math/SinCosLUT","./math/ThresholdInterpolation","./math/ZoomLensInterpolation","./math/noise","./math/waves"], function(require, exports, module) {
+define(["require", "exports", "module", "./math/BezierInterpolation","./math/CircularInterpolation","./math/CosineInterpolation","./math/DecimatedInterpolation","./math/ExponentialInterpolation","./math/Interpolation2D","./math/LinearInterpolation","./math/mathUtils","./math/mathUtils","./math/Random","./math/ScaleMap","./math/SigmoidInterpolation","./math/SinCosLUT","./math/ThresholdInterpolation","./math/ZoomLensInterpolation","./math/noise","./math/waves"], function(require, exports, module) {
 module.exports = {
 	BezierInterpolation: require('./math/BezierInterpolation'),
 	CircularInterpolation: require('./math/CircularInterpolation'),
@@ -10,6 +10,7 @@ module.exports = {
 	mathUtils: require('./math/mathUtils'),
 	//providing upper-cased version to be more obvious for people coming from java
 	MathUtils: require('./math/mathUtils'),
+	Random: require('./math/Random'),
 	ScaleMap: require('./math/ScaleMap'),
 	SigmoidInterpolation: require('./math/SigmoidInterpolation'),
 	SinCosLUT: require('./math/SinCosLUT'),
@@ -0,0 +1,270 @@
+define(["require", "exports", "module"], function(require, exports, module) {
+
+//32 bit integer multiplication, for environments without Math.imul
+var imul = Math.imul || function( a, b ){
+	var ah = (a >>> 16) & 0xffff,
+		al = a & 0xffff,
+		bh = (b >>> 16) & 0xffff,
+		bl = b & 0xffff;
+	return ((al * bl) + (((ah * bl + al * bh) << 16) >>> 0)) | 0;
+};
+
+//turn a string into a 32 bit seed (FNV-1a)
+var hashString = function( str ){
+	var h = 0x811c9dc5;
+	for( var i=0; i<str.length; i++ ){
+		h = imul( h ^ str.charCodeAt( i ), 0x01000193 );
+	}
+	return h >>> 0;
+};
+
+//32 bit integers are used as they are, strings and other numbers are
+//hashed as a whole, so fractional seeds give different sequences
+var seedToState = function( seed ){
+	if( typeof seed === 'number' && ((seed | 0) === seed || (seed >>> 0) === seed) ){
+		return seed | 0;
+	}
+	return hashString( String( seed ) ) | 0;
+};
+
+/**
+ * @class A seedable pseudo-random number generator (mulberry32) with a
+ * number of distributions. Any object with a `random()` method returning
+ * numbers in the interval [0,1) can be passed to the randomized functions of
+ * the library, including instances of this class and the global `Math` object,
+ * so a whole design can be regenerated from a single seed.
+ * @member toxi.math
+ * @param {Number|String} [seed] defaults to a random seed
+ */
+var Random = function( seed ){
+	if( seed === undefined ){
+		seed = Math.floor( Math.random() * 4294967296 );
+	}
+	this.setSeed( seed );
+};
+
+Random.prototype = {
+	constructor: Random,
+
+	/**
+	 * @param {Number} [probability] chance of returning true, defaults to 0.5
+	 * @return {Boolean}
+	 */
+	bool: function( probability ){
+		return this.random() < (probability === undefined ? 0.5 : probability);
+	},
+
+	/**
+	 * @return {Random} a new generator continuing with the same sequence
+	 */
+	copy: function(){
+		var rnd = new Random( this.seed );
+		rnd._state = this._state;
+		rnd._nextGaussian = this._nextGaussian;
+		return rnd;
+	},
+
+	/**
+	 * exponentially distributed number, e.g. for the time between random events
+	 * @param {Number} [lambda] rate, defaults to 1
+	 * @return {Number}
+	 */
+	exponential: function( lambda ){
+		return -Math.log( 1 - this.random() ) / (lambda === undefined ? 1 : lambda);
+	},
+
+	/**
+	 * uniformly distributed number, within [0,1), [0,max) or [min,max)
+	 * @param {Number} [min]
+	 * @param {Number} [max]
+	 * @return {Number}
+	 */
+	float: function( min, max ){
+		if( min === undefined ){
+			return this.random();
+		}
+		if( max === undefined ){
+			return this.random() * min;
+		}
+		return min + this.random() * (max - min);
+	},
+
+	/**
+	 * normally distributed number (Box-Muller transform)
+	 * @param {Number} [mean] defaults to 0
+	 * @param {Number} [deviation] standard deviation, defaults to 1
+	 * @return {Number}
+	 */
+	gaussian: function( mean, deviation ){
+		var g = this._nextGaussian,
+			u, v, s;
+		if( g !== undefined ){
+			this._nextGaussian = undefined;
+		} else {
+			do {
+				u = this.random() * 2 - 1;
+				v = this.random() * 2 - 1;
+				s = u * u + v * v;
+			} while( s >= 1 || s === 0 );
+			s = Math.sqrt( -2 * Math.log( s ) / s );
+			this._nextGaussian = v * s;
+			g = u * s;
+		}
+		return (mean || 0) + g * (deviation === undefined ? 1 : deviation);
+	},
+
+	/**
+	 * @return {Number} the seed the generator was last seeded with
+	 */
+	getSeed: function(){
+		return this.seed;
+	},
+
+	/**
+	 * uniformly distributed integer, within [0,max) or [min,max)
+	 * @param {Number} min
+	 * @param {Number} [max]
+	 * @return {Number}
+	 */
+	int: function( min, max ){
+		if( max === undefined ){
+			max = min;
+			min = 0;
+		}
+		return min + Math.floor( this.random() * (max - min) );
+	},
+
+	/**
+	 * @return {Number} uniformly distributed number in the interval -1 .. +1
+	 */
+	normalized: function(){
+		return this.random() * 2 - 1;
+	},
+
+	/**
+	 * @param {Array} arr
+	 * @return a random element of the array, undefined if it is empty
+	 */
+	pick: function( arr ){
+		return arr[ Math.floor( this.random() * arr.length ) ];
+	},
+
+	/**
+	 * poisson distributed integer, the number of events in an interval
+	 * @param {Number} lambda expected number of events
+	 * @return {Number}
+	 */
+	poisson: function( lambda ){
+		var limit = Math.exp( -lambda ),
+			k = 0,
+			p = this.random();
+		//for large rates the product underflows, use the normal approximation
+		if( lambda > 500 ){
+			return Math.max( 0, Math.round( this.gaussian( lambda, Math.sqrt( lambda ) ) ) );
+		}
+		while( p > limit ){
+			k++;
+			p *= this.random();
+		}
+		return k;
+	},
+
+	/**
+	 * the next number of the sequence
+	 * @return {Number} uniformly distributed number in the interval [0,1)
+	 */
+	random: function(){
+		var t = this._state = (this._state + 0x6D2B79F5) | 0;
+		t = imul( t ^ (t >>> 15), t | 1 );
+		t ^= t + imul( t ^ (t >>> 7), t | 61 );
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	},
+
+	/**
+	 * restart the sequence
+	 * @param {Number|String} seed
+	 * @return itself
+	 */
+	setSeed: function( seed ){
+		this.seed = seed;
+		this._state = seedToState( seed );
+		this._nextGaussian = undefined;
+		return this;
+	},
+
+	/**
+	 * shuffle an array in place (Fisher-Yates)
+	 * @param {Array} arr
+	 * @return {Array} the given array
+	 */
+	shuffle: function( arr ){
+		var i, j, t;
+		for( i=arr.length-1; i>0; i-- ){
+			j = Math.floor( this.random() * (i + 1) );
+			t = arr[i];
+			arr[i] = arr[j];
+			arr[j] = t;
+		}
+		return arr;
+	},
+
+	/**
+	 * @return {Number} -1 or +1
+	 */
+	sign: function(){
+		return this.random() < 0.5 ? -1 : 1;
+	},
+
+	/**
+	 * triangular distributed number
+	 * @param {Number} [min] defaults to 0
+	 * @param {Number} [max] defaults to 1
+	 * @param {Number} [mode] the most likely value, defaults to the middle
+	 * @return {Number}
+	 */
+	triangular: function( min, max, mode ){
+		min = min || 0;
+		max = max === undefined ? 1 : max;
+		mode = mode === undefined ? (min + max) / 2 : mode;
+		var u = this.random(),
+			f = (mode - min) / (max - min);
+		if( u < f ){
+			return min + Math.sqrt( u * (max - min) * (mode - min) );
+		}
+		return max - Math.sqrt( (1 - u) * (max - min) * (max - mode) );
+	},
+
+	/**
+	 * pick an index with a probability proportional to its weight
+	 * @param {Number[]} weights
+	 * @return {Number} the index, -1 if no weight is positive
+	 */
+	weighted: function( weights ){
+		var total = 0,
+			i, r;
+		for( i=0; i<weights.length; i++ ){
+			total += Math.max( 0, weights[i] );
+		}
+		if( !(total > 0) ){
+			return -1;
+		}
+		r = this.random() * total;
+		for( i=0; i<weights.length; i++ ){
+			if( weights[i] > 0 ){
+				r -= weights[i];
+				if( r < 0 ){
+					return i;
+				}
+			}
+		}
+		//rounding, return the last positive weight
+		i = weights.length - 1;
+		while( !(weights[i] > 0) ){
+			i--;
+		}
+		return i;
+	}
+};
+
+module.exports = Random;
+});
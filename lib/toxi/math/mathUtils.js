@@ -41,6 +41,12 @@ define([], function() {
     MathUtils.SIN_A = -4.0 / (MathUtils.PI * MathUtils.PI);
     MathUtils.SIN_B = 4.0 / MathUtils.PI;
     MathUtils.SIN_P = 9.0 / 40;
+
+    /**
+    * The default random generator, any object with a `random()` method
+    * returning numbers in the interval [0,1), see {@link MathUtils.setDefaultRandomGenerator}
+    */
+    MathUtils.RND = Math;
     MathUtils.abs = Math.abs;
     /**
     * Rounds up the value to the nearest higher power^2 value.
@@ -104,8 +110,12 @@ define([], function() {
         return MathUtils.SIN_P * (x * Math.abs(x) - x) + x;
     };
 
-    MathUtils.flipCoin = function(rnd) {
-        return Math.random() < 0.5;
+    /**
+    * @param {Object} [rng] generator with a `random()` method, defaults to {@link MathUtils.RND}
+    * @return {Boolean} true or false with equal chances
+    */
+    MathUtils.flipCoin = function(rng) {
+        return (rng || MathUtils.RND).random() < 0.5;
     };
 
     /**
@@ -151,34 +161,44 @@ define([], function() {
     /**
     * Returns a random number in the interval -1 .. +1.
     *
+    * @param {Object} [rng] generator with a `random()` method, defaults to {@link MathUtils.RND}
     * @return random float
     */
-    MathUtils.normalizedRandom = function() {
-        return Math.random() * 2 - 1;
+    MathUtils.normalizedRandom = function(rng) {
+        return (rng || MathUtils.RND).random() * 2 - 1;
     };
 
     MathUtils.radians = function(degrees) {
         return degrees * MathUtils.DEG2RAD;
     };
 
-    MathUtils.random = function(rand,min,max) {
-        //one param
-        if( arguments.length === 1 ){
-            return Math.random() * arguments[0];
-        } else if(arguments.length == 2) {
-            //min and max
+    /**
+    * Returns a random number in the interval [0,1), [0,max) or [min,max).
+    *
+    * @param {Object|Function} [rng] generator with a `random()` method, like
+    * {@link toxi.math.Random}, or a function returning numbers in [0,1),
+    * defaults to {@link MathUtils.RND}
+    * @param {Number} [min]
+    * @param {Number} [max]
+    * @return random float
+    */
+    MathUtils.random = function(rng,min,max) {
+        var r;
+        if( typeof rng === 'number' ){
+            //no generator given
             max = min;
-            min = rand;
-            rand = Math.random;
+            min = rng;
+            rng = undefined;
         }
-        if(!min && !max) {
-            return Math.random();
-        } else if(!max){
+        rng = rng || MathUtils.RND;
+        r = typeof rng === 'function' ? rng() : rng.random();
+        if( min === undefined ){
+            return r;
+        } else if( max === undefined ){
             //if only one is provided, then thats actually the max
-            max = min;
-            return rand()*max;
+            return r * min;
         }
-        return rand() * (max - min) + min;
+        return r * (max - min) + min;
     };
 
     MathUtils.reduceAngle = function(theta) {
@@ -192,6 +212,16 @@ define([], function() {
         return theta;
     };
 
+    /**
+    * Sets the generator used by the randomized functions of the library when
+    * none is passed to them, e.g. a seeded {@link toxi.math.Random}.
+    *
+    * @param {Object} [rng] generator with a `random()` method, resets to `Math` if omitted
+    */
+    MathUtils.setDefaultRandomGenerator = function(rng) {
+        MathUtils.RND = rng || Math;
+    };
+
     MathUtils.sign = function(x) {
         return x < 0 ? -1 : (x > 0 ? 1 : 0);
     };
@@ -21,9 +21,10 @@ define([
             timeStep: 1
         };
         var a;
-        if( arguments.length == 1 && (arguments[0].gravity || arguments[0].numIterations || arguments[0].timeStep || arguments[0].drag) ){ //options object literal
+        if( arguments.length == 1 && (arguments[0].gravity || arguments[0].numIterations || arguments[0].timeStep || arguments[0].drag || arguments[0].index) ){ //options object literal
             a = arguments[0];
             opts.gravity = a.gravity;
+            opts.index = a.index;
             opts.numIterations = a.numIterations || opts.numIterations;
             opts.drag = a.drag || opts.drag;
             opts.timeStep = a.timeStep || opts.timeStep;
@@ -48,6 +49,9 @@ define([
             }
             this.addBehavior( opts.gravity );
         }
+        if( opts.index ){
+            this.setIndex( opts.index );
+        }
         this.id = id++;
     };
 
@@ -72,6 +76,9 @@ define([
 
         addParticle: function(p){
             this.particles.push(p);
+            if(this.index !== undefined){
+                this.index.index(p);
+            }
             return this;
         },
 
@@ -85,6 +92,9 @@ define([
         clear: function(){
             this.particles = [];
             this.springs = [];
+            if(this.index !== undefined){
+                this.index.clear();
+            }
             return this;
         },
 
@@ -124,10 +134,37 @@ define([
             return 1 - this.drag;
         },
 
+        getIndex: function(){
+            return this.index;
+        },
+
         getNumIterations: function(){
             return this.numIterations;
         },
 
+        /**
+         * find all particles within a radius, uses the spatial index if there is one
+         * @param {Vec2D} p center of the search
+         * @param {Number} radius
+         * @param {VerletParticle2D[]} [results] optional array to add the particles to
+         * @return {VerletParticle2D[]}
+         */
+        getParticlesWithinRadius: function(p, radius, results){
+            results = results || [];
+            if(this.index !== undefined){
+                return this.index.itemsWithinRadius(p, radius, results);
+            }
+            var radiusSquared = radius * radius,
+                i = 0,
+                pLen = this.particles.length;
+            for(; i<pLen; i++){
+                if(this.particles[i].distanceToSquared(p) <= radiusSquared){
+                    results.push(this.particles[i]);
+                }
+            }
+            return results;
+        },
+
         getSpring: function(a,b){
             var i = 0,
                 sLen = this.springs.length;
@@ -153,6 +190,9 @@ define([
         },
 
         removeParticle: function(p){
+            if(this.index !== undefined){
+                this.index.unindex(p);
+            }
             return internals.removeItemFrom(p,this.particles);
         },
 
@@ -171,6 +211,22 @@ define([
             this.drag = 1 - drag;
         },
 
+        /**
+         * use a spatial index for neighbour lookups of behaviors, such as
+         * {@link toxi.geom.SpatialBins} or a {@link toxi.geom.PointQuadtree}
+         * covering the world. Any object implementing `clear()`, `index( p )`,
+         * `unindex( p )` and `itemsWithinRadius( p, radius, [results] )` can be used.
+         * The index is rebuilt once at the end of each update, after all particles
+         * moved, call `updateIndex()` after moving particles by hand in between
+         * @param {Object} [index] the index or undefined to stop using one
+         * @return itself
+         */
+        setIndex: function(index){
+            this.index = index;
+            this.updateIndex();
+            return this;
+        },
+
         setNumIterations: function(numIterations){
             this.numIterations = numIterations;
         },
@@ -192,6 +248,8 @@ define([
             this.updateParticles();
             this.updateSprings();
             this.constrainToBounds();
+            //for searches until the next update
+            this.updateIndex();
             return this;
         },
 
@@ -204,8 +262,12 @@ define([
                 p;
             for(; i<bLen; i++){
                 b = this.behaviors[i];
-                for(j = 0; j<pLen; j++){
-                    b.applyBehavior(this.particles[j]);
+                if(this.index !== undefined && typeof b.supportsSpatialIndex === 'function' && b.supportsSpatialIndex()){
+                    b.applyWithIndex(this.index);
+                } else {
+                    for(j = 0; j<pLen; j++){
+                        b.applyBehavior(this.particles[j], this);
+                    }
                 }
             }
             for(j = 0; j<pLen; j++){
@@ -215,6 +277,21 @@ define([
             }
         },
 
+        /**
+         * rebuild the spatial index from the current particle positions,
+         * done by update() and needed after moving particles outside of it
+         * @return itself
+         */
+        updateIndex: function(){
+            if(this.index !== undefined){
+                this.index.clear();
+                for(var i = 0, pLen = this.particles.length; i<pLen; i++){
+                    this.index.index(this.particles[i]);
+                }
+            }
+            return this;
+        },
+
         updateSprings: function(){
             var i = this.numIterations,
                 sLen = this.springs.length,
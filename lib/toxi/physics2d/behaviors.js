@@ -2,9 +2,11 @@ define([
     'exports',
     './behaviors/AttractionBehavior',
     './behaviors/ConstantForceBehavior',
-    './behaviors/GravityBehavior'
-], function( exports, AttractionBehavior, ConstantForceBehavior, GravityBehavior ){
+    './behaviors/GravityBehavior',
+    './behaviors/MinDistanceBehavior'
+], function( exports, AttractionBehavior, ConstantForceBehavior, GravityBehavior, MinDistanceBehavior ){
     exports.AttractionBehavior = AttractionBehavior;
     exports.ConstantForceBehavior = ConstantForceBehavior;
     exports.GravityBehavior = GravityBehavior;
+    exports.MinDistanceBehavior = MinDistanceBehavior;
 });
@@ -1,9 +1,19 @@
 define(["require", "exports", "module"], function(require, exports, module) {
-    var AttractionBehavior = function(attractor,radius,strength,jitter){
+    /**
+     * @class attracts particles within a radius of the attractor, use a negative strength to repel them
+     * @member toxi.physics2d.behaviors
+     * @param {Vec2D} attractor
+     * @param {Number} radius
+     * @param {Number} strength
+     * @param {Number} [jitter]
+     * @param {Object} [rng] generator with a `random()` method for the jitter, like {@link toxi.math.Random}
+     */
+    var AttractionBehavior = function(attractor,radius,strength,jitter,rng){
         if(arguments.length < 3){
             throw new Error("Constructor received incorrect Parameters");
         }
         this.jitter = jitter || 0;
+        this.rng = rng;
         this.attractor = attractor;
         this.strength = strength;
         this.setRadius(radius);
@@ -14,11 +24,24 @@ define(["require", "exports", "module"], function(require, exports, module) {
             var delta = this.attractor.sub(p);
             var dist = delta.magSquared();
             if(dist < this.radiusSquared){
-                var f = delta.normalizeTo((1.0 - dist / this.radiusSquared)).jitter(this.jitter).scaleSelf(this.attrStrength);
+                var f = delta.normalizeTo((1.0 - dist / this.radiusSquared)).jitter(this.jitter,this.rng).scaleSelf(this.attrStrength);
                 p.addForce(f);
             }
         },
 
+        /**
+         * apply to the particles within the radius only, found through a spatial index
+         * @param {Object} index see {@link toxi.physics2d.VerletPhysics2D#setIndex}
+         */
+        applyWithIndex: function(index){
+            var particles = index.itemsWithinRadius(this.attractor, this.radius),
+                i = 0,
+                len = particles.length;
+            for(; i<len; i++){
+                this.applyBehavior(particles[i]);
+            }
+        },
+
         configure: function(timeStep){
             this.timeStep = timeStep;
             this.setStrength(this.strength);
@@ -36,6 +59,10 @@ define(["require", "exports", "module"], function(require, exports, module) {
             return this.radius;
         },
 
+        getRandom: function(){
+            return this.rng;
+        },
+
         getStrength: function(){
             return this.strength;
         },
@@ -53,9 +80,21 @@ define(["require", "exports", "module"], function(require, exports, module) {
             this.radiusSquared = r * r;
         },
 
+        /**
+         * @param {Object} [rng] generator for the jitter, the default
+         * {@link toxi.math.MathUtils.RND} if omitted
+         */
+        setRandom: function(rng){
+            this.rng = rng;
+        },
+
         setStrength: function(strength){
             this.strength = strength;
             this.attrStrength = strength * this.timeStep;
+        },
+
+        supportsSpatialIndex: function(){
+            return true;
         }
     };
 
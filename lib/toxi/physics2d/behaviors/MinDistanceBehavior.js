@@ -0,0 +1,72 @@
+define(["require", "exports", "module", "../../geom/Vec2D"], function(require, exports, module) {
+
+    var Vec2D = require('../../geom/Vec2D');
+
+    /**
+     * @class pushes particles apart which are closer to each other than the
+     * minimum distance, e.g. for the separation of flocks. Needs to be added to
+     * a VerletPhysics2D, which provides the neighbours of each particle through
+     * its spatial index if it has one
+     * @member toxi.physics2d.behaviors
+     * @param {Number} minDistance
+     * @param {Number} [strength] defaults to 1
+     */
+    var MinDistanceBehavior = function(minDistance, strength){
+        if(minDistance === undefined){
+            throw new Error("Constructor received incorrect Parameters");
+        }
+        this.strength = strength === undefined ? 1 : strength;
+        this.timeStep = 1;
+        this._neighbours = [];
+        this._delta = new Vec2D();
+        this.setMinDistance(minDistance);
+    };
+
+    MinDistanceBehavior.prototype = {
+        applyBehavior: function(p, physics){ //apply() is reserved, so this is now applyBehavior
+            if(physics === undefined){
+                throw new Error("MinDistanceBehavior needs to be added to a VerletPhysics2D");
+            }
+            var neighbours = physics.getParticlesWithinRadius(p, this.minDistance, this._neighbours),
+                i = 0,
+                len = neighbours.length,
+                q, dist;
+            for(; i<len; i++){
+                q = neighbours[i];
+                if(q === p){
+                    continue;
+                }
+                this._delta.set(p).subSelf(q);
+                dist = this._delta.magnitude();
+                if(dist > 0 && dist < this.minDistance){
+                    p.addForce(this._delta.normalizeTo((1.0 - dist / this.minDistance) * this.scaledStrength));
+                }
+            }
+            neighbours.length = 0;
+        },
+
+        configure: function(timeStep){
+            this.timeStep = timeStep;
+            this.setStrength(this.strength);
+        },
+
+        getMinDistance: function(){
+            return this.minDistance;
+        },
+
+        getStrength: function(){
+            return this.strength;
+        },
+
+        setMinDistance: function(minDistance){
+            this.minDistance = minDistance;
+        },
+
+        setStrength: function(strength){
+            this.strength = strength;
+            this.scaledStrength = strength * this.timeStep;
+        }
+    };
+
+    module.exports = MinDistanceBehavior;
+});
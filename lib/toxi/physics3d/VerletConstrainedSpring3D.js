@@ -0,0 +1,44 @@
+define(["require", "exports", "module", "../internals","./VerletSpring3D"], function(require, exports, module) {
+
+var internals = require('../internals'),
+	VerletSpring3D = require('./VerletSpring3D');
+
+/**
+ * @class Implements a spring whose maximum relaxation distance at every time step
+ * can be limited to achieve better (if physically less accurate) stability
+ * @member toxi.physics3d
+ * @augments toxi.physics3d.VerletSpring3D
+ * @param {VerletParticle3D} particleA
+ * @param {VerletParticle3D} particleB
+ * @param {Number} len rest length
+ * @param {Number} str strength
+ * @param {Number} [limit] maximum distance a particle moves per update
+ */
+var VerletConstrainedSpring3D = function(particleA, particleB, len, str, limit){
+	VerletSpring3D.call(this,particleA,particleB,len,str);
+	this.limit = (limit === undefined) ? Number.MAX_VALUE : limit;
+};
+
+internals.extend(VerletConstrainedSpring3D,VerletSpring3D);
+
+VerletConstrainedSpring3D.prototype.update = function(applyConstraints){
+	var delta = this.b.sub(this.a);
+	// add minute offset to avoid div-by-zero errors
+	var dist = delta.magnitude() + VerletSpring3D.EPS;
+	var normDistStrength = (dist - this.restLength) / (dist * (this.a.invWeight + this.b.invWeight))* this.strength;
+	if (!this.a.isLocked && !this.isALocked) {
+		this.a.addSelf(delta.scale(normDistStrength * this.a.invWeight).limit(this.limit));
+		if (applyConstraints) {
+			this.a.applyConstraints();
+		}
+	}
+	if (!this.b.isLocked && !this.isBLocked) {
+		this.b.subSelf(delta.scale(normDistStrength * this.b.invWeight).limit(this.limit));
+		if (applyConstraints) {
+			this.b.applyConstraints();
+		}
+	}
+};
+
+module.exports = VerletConstrainedSpring3D;
+});
@@ -0,0 +1,25 @@
+define(["require", "exports", "module", "../internals","./VerletSpring3D"], function(require, exports, module) {
+
+var internals = require('../internals'),
+	VerletSpring3D = require('./VerletSpring3D');
+
+/**
+ * @class Implements a spring which only enforces its rest length if the
+ * current distance between its particles is less than the rest length
+ * @member toxi.physics3d
+ * @augments toxi.physics3d.VerletSpring3D
+ */
+var	VerletMinDistanceSpring3D = function(particleA,particleB,len,str){
+	VerletSpring3D.call(this,particleA,particleB,len,str);
+};
+
+internals.extend(VerletMinDistanceSpring3D,VerletSpring3D);
+
+VerletMinDistanceSpring3D.prototype.update = function(applyConstraints){
+	if(this.b.distanceToSquared(this.a) < this.restLengthSquared){
+		VerletSpring3D.prototype.update.call(this,applyConstraints);
+	}
+};
+
+module.exports = VerletMinDistanceSpring3D;
+});
@@ -0,0 +1,173 @@
+define(["require", "exports", "module", "../internals","../geom/Vec3D"], function(require, exports, module) {
+
+var internals = require('../internals'),
+	Vec3D = require('../geom/Vec3D');
+
+/**
+ * @class An individual 3D particle for use by the VerletPhysics3D and VerletSpring3D
+ * classes. A particle has weight, can be locked in space and its position
+ * constrained inside an (optional) axis-aligned bounding box.
+ * @member toxi.physics3d
+ * @augments toxi.geom.Vec3D
+ * @param {Number|Vec3D|VerletParticle3D} x x-coordinate, or a vector or particle to copy
+ * @param {Number} [y] y-coordinate, or the weight if a vector was given
+ * @param {Number} [z]
+ * @param {Number} [w] weight, defaults to 1
+ */
+var	VerletParticle3D = function(x,y,z,w){
+	var isLocked = false;
+	this.force = new Vec3D();
+	if( internals.has.XYZ( x ) ){
+		if( internals.is.VerletParticle3D( x ) ){
+			w = x.weight;
+			isLocked = x.isLocked;
+		} else {
+			w = y;
+		}
+		z = x.z;
+		y = x.y;
+		x = x.x;
+	}
+	Vec3D.call(this, x,y,z);
+	this.isLocked = isLocked;
+	this.prev = new Vec3D(this);
+	this.temp = new Vec3D();
+	w = w || 1;
+	this.setWeight(w);
+};
+
+internals.extend(VerletParticle3D,Vec3D);
+
+VerletParticle3D.prototype.addBehavior = function(behavior,timeStep){
+	if(this.behaviors === undefined){
+		this.behaviors = [];
+	}
+	if(behavior === undefined){
+		throw new Error("behavior was undefined");
+	}
+	timeStep = (timeStep === undefined)? 1 : timeStep;
+	behavior.configure(timeStep);
+	this.behaviors.push(behavior);
+	return this;
+};
+
+VerletParticle3D.prototype.addConstraint = function(c){
+	if(this.constraints === undefined){
+		this.constraints = [];
+	}
+	this.constraints.push(c);
+	return this;
+};
+
+VerletParticle3D.prototype.addForce = function(f){
+	this.force.addSelf(f);
+	return this;
+};
+
+VerletParticle3D.prototype.addVelocity = function(v){
+	this.prev.subSelf(v);
+	return this;
+};
+
+VerletParticle3D.prototype.applyBehaviors = function(){
+	if(this.behaviors !== undefined){
+		var i = 0, len = this.behaviors.length;
+		for(i = 0;i<len;i++){
+			this.behaviors[i].applyBehavior(this);
+		}
+	}
+};
+
+VerletParticle3D.prototype.applyConstraints = function(){
+	if(this.constraints !== undefined){
+		var i = 0, len = this.constraints.length;
+		for(i =0;i<len;i++){
+			this.constraints[i].applyConstraint(this);
+		}
+	}
+};
+
+VerletParticle3D.prototype.clearForce = function(){
+	this.force.clear();
+	return this;
+};
+
+VerletParticle3D.prototype.clearVelocity = function(){
+	this.prev.set(this);
+	return this;
+};
+
+VerletParticle3D.prototype.getInvWeight = function(){
+	return this.invWeight;
+};
+
+VerletParticle3D.prototype.getPreviousPosition = function(){
+	return this.prev;
+};
+
+VerletParticle3D.prototype.getVelocity = function(){
+	return this.sub(this.prev);
+};
+
+VerletParticle3D.prototype.getWeight = function(){
+	return this.weight;
+};
+
+VerletParticle3D.prototype.lock = function(){
+	this.isLocked = true;
+	return this;
+};
+
+VerletParticle3D.prototype.removeAllBehaviors = function(){
+	this.behaviors = [];
+	return this;
+};
+
+VerletParticle3D.prototype.removeAllConstraints = function(){
+	this.constraints = [];
+	return this;
+};
+
+VerletParticle3D.prototype.removeBehavior = function(b){
+	return internals.removeItemFrom(b,this.behaviors);
+};
+
+VerletParticle3D.prototype.removeConstraint = function(c){
+	return internals.removeItemFrom(c,this.constraints);
+};
+
+VerletParticle3D.prototype.scaleVelocity = function(scl){
+	this.prev.interpolateToSelf(this,1 - scl);
+	return this;
+};
+
+VerletParticle3D.prototype.setPreviousPosition = function(p){
+	this.prev.set(p);
+	return this;
+};
+
+VerletParticle3D.prototype.setWeight = function(w){
+	this.weight = w;
+	this.invWeight = (w !== 0) ? 1 / w : 0; //avoid divide by zero
+};
+
+VerletParticle3D.prototype.unlock = function() {
+	this.clearVelocity();
+	this.isLocked = false;
+	return this;
+};
+
+VerletParticle3D.prototype.update = function(){
+	if(!this.isLocked){
+		this.applyBehaviors();
+		//applyForce() - inline
+		this.temp.set(this);
+		this.addSelf(this.sub(this.prev).addSelf(this.force.scale(this.weight)));
+		this.prev.set(this.temp);
+		this.force.clear();
+		this.applyConstraints();
+	}
+};
+
+module.exports = VerletParticle3D;
+});
@@ -0,0 +1,247 @@
+define([
+    'require',
+    'exports',
+    'module',
+    '../internals',
+    './behaviors/GravityBehavior3D',
+    '../geom/AABB',
+    '../geom/Vec3D'
+], function(require, exports, module) {
+
+    var internals = require('../internals'),
+        GravityBehavior3D = require('./behaviors/GravityBehavior3D'),
+        AABB = require('../geom/AABB'),
+        Vec3D = require('../geom/Vec3D'),
+        id = 0;
+
+    /**
+     * @class 3D particle physics engine using Verlet integration, the counterpart
+     * of {@link toxi.physics2d.VerletPhysics2D}
+     * @member toxi.physics3d
+     * @param {Vec3D|GravityBehavior3D|Object} [gravity] gravity or an options object
+     * with `gravity`, `numIterations`, `drag` and `timeStep`
+     * @param {Number} [numIterations]
+     * @param {Number} [drag]
+     * @param {Number} [timeStep]
+     */
+    var VerletPhysics3D = function(gravity, numIterations, drag, timeStep) {
+        var opts = {
+            numIterations: 50,
+            drag: 0,
+            timeStep: 1
+        };
+        var a;
+        if( arguments.length == 1 && (arguments[0].gravity || arguments[0].numIterations || arguments[0].timeStep || arguments[0].drag) ){ //options object literal
+            a = arguments[0];
+            opts.gravity = a.gravity;
+            opts.numIterations = a.numIterations || opts.numIterations;
+            opts.drag = a.drag || opts.drag;
+            opts.timeStep = a.timeStep || opts.timeStep;
+        } else if( arguments.length == 1){
+            opts.gravity = gravity; //might be Vec3D, will get handled below
+        } else if( arguments.length == 4 ){
+            opts.gravity = gravity;
+            opts.numIterations = numIterations;
+            opts.drag = drag;
+            opts.timeStep = timeStep;
+        }
+
+        this.behaviors = [];
+        this.particles = [];
+        this.springs = [];
+        this.numIterations = opts.numIterations;
+        this.timeStep = opts.timeStep;
+        this.setDrag(opts.drag);
+        if( opts.gravity ){
+            if( internals.has.XYZ( opts.gravity ) ){
+                opts.gravity = new GravityBehavior3D( new Vec3D(opts.gravity) );
+            }
+            this.addBehavior( opts.gravity );
+        }
+        this.id = id++;
+    };
+
+    VerletPhysics3D.addConstraintToAll = function(c, list){
+        for(var i=0;i<list.length;i++){
+            list[i].addConstraint(c);
+        }
+    };
+
+    VerletPhysics3D.removeConstraintFromAll = function(c,list){
+        for(var i=0;i<list.length;i++){
+            list[i].removeConstraint(c);
+        }
+    };
+
+    VerletPhysics3D.prototype = {
+        constructor: VerletPhysics3D,
+
+        addBehavior: function(behavior){
+            behavior.configure(this.timeStep);
+            this.behaviors.push(behavior);
+        },
+
+        addParticle: function(p){
+            this.particles.push(p);
+            return this;
+        },
+
+        addSpring: function(s){
+            if(this.getSpring(s.a,s.b) === undefined){
+                this.springs.push(s);
+            }
+            return this;
+        },
+
+        clear: function(){
+            this.particles = [];
+            this.springs = [];
+            return this;
+        },
+
+        constrainToBounds: function(){ //protected
+            var p,
+                i = 0,
+                len = this.particles.length;
+            for(i=0; i<len; i++){
+                p = this.particles[i];
+                if(p.bounds !== undefined){
+                    p.constrain(p.bounds);
+                }
+            }
+            if(this.worldBounds !== undefined){
+                for(i=0; i<len; i++){
+                    p = this.particles[i];
+                    p.constrain(this.worldBounds);
+                }
+            }
+        },
+
+        /**
+         * @return {AABB} the bounding box of all particles
+         */
+        getCurrentBounds: function(){
+            var min = new Vec3D(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+            var max = new Vec3D(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+            var i = 0,
+                pLen = this.particles.length;
+            for(; i<pLen; i++){
+                min.minSelf(this.particles[i]);
+                max.maxSelf(this.particles[i]);
+            }
+            return AABB.fromMinMax(min,max);
+        },
+
+        getDrag: function() {
+            return 1 - this.drag;
+        },
+
+        getNumIterations: function(){
+            return this.numIterations;
+        },
+
+        getSpring: function(a,b){
+            var i = 0,
+                sLen = this.springs.length;
+            for(; i<sLen; i++){
+                var s = this.springs[i];
+                if((s.a === a && s.b === b) || (s.a === b && s.b === a)){
+                    return s;
+                }
+            }
+            return undefined;
+        },
+
+        getTimeStep: function(){
+            return this.timeStep;
+        },
+
+        getWorldBounds: function(){
+            return this.worldBounds;
+        },
+
+        removeBehavior: function(c){
+            return internals.removeItemFrom(c,this.behaviors);
+        },
+
+        removeParticle: function(p){
+            return internals.removeItemFrom(p,this.particles);
+        },
+
+        removeSpring: function(s) {
+            return internals.removeItemFrom(s,this.springs);
+        },
+
+        removeSpringElements: function(s){
+            if(this.removeSpring(s) !== undefined){
+                return (this.removeParticle(s.a) && this.removeParticle(s.b));
+            }
+            return false;
+        },
+
+        setDrag: function(drag){
+            this.drag = 1 - drag;
+        },
+
+        setNumIterations: function(numIterations){
+            this.numIterations = numIterations;
+        },
+
+        setTimeStep: function(timeStep){
+            this.timeStep = timeStep;
+            var i =0, l = this.behaviors.length;
+            for(; i<l; i++){
+                this.behaviors[i].configure(timeStep);
+            }
+        },
+
+        /**
+         * @param {AABB} world bounding box all particles are kept within
+         * @return itself
+         */
+        setWorldBounds: function(world){
+            this.worldBounds = world;
+            return this;
+        },
+
+        update: function(){
+            this.updateParticles();
+            this.updateSprings();
+            this.constrainToBounds();
+            return this;
+        },
+
+        updateParticles: function(){
+            var i = 0,
+                j = 0,
+                bLen = this.behaviors.length,
+                pLen = this.particles.length,
+                b,
+                p;
+            for(; i<bLen; i++){
+                b = this.behaviors[i];
+                for(j = 0; j<pLen; j++){
+                    b.applyBehavior(this.particles[j]);
+                }
+            }
+            for(j = 0; j<pLen; j++){
+                p = this.particles[j];
+                p.scaleVelocity(this.drag);
+                p.update();
+            }
+        },
+
+        updateSprings: function(){
+            var i = this.numIterations,
+                sLen = this.springs.length,
+                j = 0;
+            for(; i > 0; i--){
+                for(j = 0; j<sLen; j++){
+                    this.springs[j].update(i === 1);
+                }
+            }
+        }
+    };
+
+    module.exports = VerletPhysics3D;
+});
@@ -0,0 +1,77 @@
+define(["require", "exports", "module"], function(require, exports, module) {
+/**
+ * @class A spring class connecting two VerletParticle3D instances, trying to keep
+ * them at the given rest length
+ * @member toxi.physics3d
+ * @param {VerletParticle3D} a
+ * @param {VerletParticle3D} b
+ * @param {Number} len rest length
+ * @param {Number} str strength, 0.0 - 1.0
+ */
+var	VerletSpring3D = function(a,b,len,str){
+	this.a = a;
+	this.b = b;
+	this.setRestLength(len);
+	this.strength = str;
+};
+
+VerletSpring3D.EPS = 1e-6;
+
+VerletSpring3D.prototype = {
+	constructor: VerletSpring3D,
+
+	getRestLength: function(){
+		return this.restLength;
+	},
+
+	getStrength: function(){
+		return this.strength;
+	},
+
+	lockA: function(s){
+		this.isALocked = s;
+		return this;
+	},
+
+	lockB: function(s){
+		this.isBLocked = s;
+		return this;
+	},
+
+	setRestLength: function(len){
+		this.restLength = len;
+		this.restLengthSquared = len * len;
+		return this;
+	},
+
+	setStrength: function(strength){
+		this.strength = strength;
+		return this;
+	},
+
+	update: function(applyConstraints){ //protected
+		var delta = this.b.sub(this.a);
+		//add minute offset to avoid div-by-zero errors
+		var dist = delta.magnitude() + VerletSpring3D.EPS;
+		var normDistStrength = (dist - this.restLength) / (dist * (this.a.invWeight + this.b.invWeight)) * this.strength;
+		if(!this.a.isLocked && !this.isALocked){
+			this.a.addSelf(
+				delta.scale(normDistStrength * this.a.invWeight)
+			);
+			if(applyConstraints){
+				this.a.applyConstraints();
+			}
+		}
+		if(!this.b.isLocked && !this.isBLocked){
+			this.b.addSelf(
+				delta.scale(-normDistStrength * this.b.invWeight)
+			);
+			if(applyConstraints){
+				this.b.applyConstraints();
+			}
+		}
+	}
+};
+
+module.exports = VerletSpring3D;
+});
@@ -0,0 +1,10 @@
+define([
+    'exports',
+    './behaviors/AttractionBehavior3D',
+    './behaviors/ConstantForceBehavior3D',
+    './behaviors/GravityBehavior3D'
+], function( exports, AttractionBehavior3D, ConstantForceBehavior3D, GravityBehavior3D ){
+    exports.AttractionBehavior3D = AttractionBehavior3D;
+    exports.ConstantForceBehavior3D = ConstantForceBehavior3D;
+    exports.GravityBehavior3D = GravityBehavior3D;
+});
@@ -0,0 +1,85 @@
+define(["require", "exports", "module"], function(require, exports, module) {
+    /**
+     * @class attracts (or with negative strength, repels) particles within a radius of a point
+     * @member toxi.physics3d.behaviors
+     * @param {Vec3D} attractor
+     * @param {Number} radius
+     * @param {Number} strength
+     * @param {Number} [jitter]
+     * @param {Object} [rng] generator with a `random()` method for the jitter, like {@link toxi.math.Random}
+     */
+    var AttractionBehavior3D = function(attractor,radius,strength,jitter,rng){
+        if(arguments.length < 3){
+            throw new Error("Constructor received incorrect Parameters");
+        }
+        this.jitter = jitter || 0;
+        this.rng = rng;
+        this.attractor = attractor;
+        this.strength = strength;
+        this.setRadius(radius);
+    };
+
+    AttractionBehavior3D.prototype = {
+        applyBehavior: function(p){ //apply() is reserved, so this is now applyBehavior
+            var delta = this.attractor.sub(p);
+            var dist = delta.magSquared();
+            if(dist < this.radiusSquared){
+                var f = delta.normalizeTo((1.0 - dist / this.radiusSquared)).jitter(this.jitter,this.rng).scaleSelf(this.attrStrength);
+                p.addForce(f);
+            }
+        },
+
+        configure: function(timeStep){
+            this.timeStep = timeStep;
+            this.setStrength(this.strength);
+        },
+
+        getAttractor: function(){
+            return this.attractor;
+        },
+
+        getJitter: function(){
+            return this.jitter;
+        },
+
+        getRadius: function(){
+            return this.radius;
+        },
+
+        getRandom: function(){
+            return this.rng;
+        },
+
+        getStrength: function(){
+            return this.strength;
+        },
+
+        setAttractor: function(attractor){
+            this.attractor = attractor;
+        },
+
+        setJitter: function(jitter){
+            this.jitter = jitter;
+        },
+
+        setRadius: function(r){
+            this.radius = r;
+            this.radiusSquared = r * r;
+        },
+
+        /**
+         * @param {Object} [rng] generator for the jitter, the default
+         * {@link toxi.math.MathUtils.RND} if omitted
+         */
+        setRandom: function(rng){
+            this.rng = rng;
+        },
+
+        setStrength: function(strength){
+            this.strength = strength;
+            this.attrStrength = strength * this.timeStep;
+        }
+    };
+
+    module.exports = AttractionBehavior3D;
+});
@@ -0,0 +1,41 @@
+define(["require", "exports", "module", "../../geom/Vec3D"], function(require, exports, module) {
+
+    var Vec3D = require('../../geom/Vec3D');
+
+    /**
+     * @class applies the same force to every particle on every update
+     * @member toxi.physics3d.behaviors
+     * @param {Vec3D} force
+     */
+    var	ConstantForceBehavior3D = function(force){
+        this.force = force;
+        this.scaledForce = new Vec3D();
+        this.timeStep = 0;
+    };
+
+    ConstantForceBehavior3D.prototype = {
+        applyBehavior: function(p){ //apply() is reserved, so this is now applyBehavior
+            p.addForce(this.scaledForce);
+        },
+
+        configure: function(timeStep){
+            this.timeStep = timeStep;
+            this.setForce(this.force);
+        },
+
+        getForce: function(){
+            return this.force;
+        },
+
+        setForce: function(forceVec){
+            this.force = forceVec;
+            this.scaledForce = this.force.scale(this.timeStep);
+        },
+
+        toString: function(){
+            return "behavior force: "+ this.force+ " scaledForce: "+this.scaledForce+ " timeStep: "+this.timeStep;
+        }
+    };
+
+    module.exports = ConstantForceBehavior3D;
+});
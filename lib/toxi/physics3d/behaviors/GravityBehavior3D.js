@@ -0,0 +1,30 @@
+define([
+    "require",
+    "exports",
+    "module",
+    "../../internals",
+    "./ConstantForceBehavior3D"
+],function(require, exports, module) {
+
+    var internals = require('../../internals'),
+        ConstantForceBehavior3D = require('./ConstantForceBehavior3D');
+
+    /**
+     * @class a constant force scaled by the square of the time step
+     * @member toxi.physics3d.behaviors
+     * @augments toxi.physics3d.behaviors.ConstantForceBehavior3D
+     * @param {Vec3D} gravityVec
+     */
+    var	GravityBehavior3D = function(gravityVec){
+        ConstantForceBehavior3D.call(this,gravityVec);
+    };
+
+    internals.extend(GravityBehavior3D,ConstantForceBehavior3D);
+
+    GravityBehavior3D.prototype.configure = function(timeStep){
+        this.timeStep = timeStep;
+        this.scaledForce = this.force.scale(timeStep * timeStep);
+    };
+
+    module.exports = GravityBehavior3D;
+});
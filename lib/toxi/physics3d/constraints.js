@@ -0,0 +1,17 @@
+define([
+    "exports",
+    "./constraints/AxisConstraint",
+    "./constraints/BoxConstraint",
+    "./constraints/MaxConstraint",
+    "./constraints/MinConstraint",
+    "./constraints/PlaneConstraint",
+    "./constraints/SphereConstraint"
+], function( exports, AxisConstraint, BoxConstraint, MaxConstraint, MinConstraint, PlaneConstraint, SphereConstraint) {
+    /** @module toxi/physics3d/constraints */
+	exports.AxisConstraint = AxisConstraint;
+	exports.BoxConstraint = BoxConstraint;
+	exports.MaxConstraint = MaxConstraint;
+	exports.MinConstraint = MinConstraint;
+	exports.PlaneConstraint = PlaneConstraint;
+	exports.SphereConstraint = SphereConstraint;
+});
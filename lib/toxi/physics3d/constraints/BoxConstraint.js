@@ -0,0 +1,59 @@
+define(["require", "exports", "module", "../../geom/AABB"], function(require, exports, module) {
+
+    var AABB = require('../../geom/AABB');
+
+    /**
+     * Keeps particles outside of an axis-aligned box, particles inside
+     * are pushed out through the closest side. To keep particles inside
+     * a box use `VerletPhysics3D#setWorldBounds()`
+     * @param {AABB|Vec3D} box box or its min corner
+     * @param {Vec3D} [max] if a min corner was given
+     */
+    var	BoxConstraint = function(a,b){
+        if(arguments.length == 1){
+            this.setBox(a);
+        } else if(arguments.length > 1){
+            this.setBox(AABB.fromMinMax(a,b));
+        }
+        if( !this.box ){
+            throw new Error('Received Incorrect arguments');
+        }
+    };
+
+    BoxConstraint.prototype = {
+        applyConstraint: function(p){
+            if(!this.box.containsPoint(p)){
+                return;
+            }
+            var min = this.box.getMin(),
+                max = this.box.getMax(),
+                //distances to each side, find the closest
+                sides = [ p.x - min.x, max.x - p.x, p.y - min.y, max.y - p.y, p.z - min.z, max.z - p.z ],
+                closest = 0,
+                i;
+            for(i=1; i<6; i++){
+                if(sides[i] < sides[closest]){
+                    closest = i;
+                }
+            }
+            switch(closest){
+                case 0: p.x = min.x; break;
+                case 1: p.x = max.x; break;
+                case 2: p.y = min.y; break;
+                case 3: p.y = max.y; break;
+                case 4: p.z = min.z; break;
+                case 5: p.z = max.z; break;
+            }
+        },
+
+        getBox: function(){
+            return this.box.copy();
+        },
+
+        setBox: function(box){
+            this.box = box.copy();
+        }
+    };
+
+    module.exports = BoxConstraint;
+});
@@ -0,0 +1,19 @@
+define(["require", "exports", "module"], function(require, exports, module) {
+/**
+ * Constrains a particle's component on the given axis to a maximum
+ * @param {Vec3D.Axis|Number} axis
+ * @param {Number} threshold
+ */
+var	MaxConstraint = function(axis,threshold){
+	this.axis = axis;
+	this.threshold = threshold;
+};
+
+MaxConstraint.prototype.applyConstraint = function(p){
+	if(p.getComponent(this.axis) > this.threshold){
+		p.setComponent(this.axis,this.threshold);
+	}
+};
+
+module.exports = MaxConstraint;
+});
@@ -0,0 +1,27 @@
+define(["require", "exports", "module", "../../geom/Plane"], function(require, exports, module) {
+	var Plane = require('../../geom/Plane');
+
+	/**
+	 * Keeps particles on the front side of a plane (the side its normal points to),
+	 * particles behind the plane are projected back onto it
+	 * @param {Plane|Vec3D} plane plane or a point on the plane
+	 * @param {Vec3D} [normal] if a point was given
+	 */
+	var	PlaneConstraint = function(a,b){
+		if(arguments.length == 1){
+			this.plane = a;
+		} else {
+			this.plane = new Plane(a,b);
+		}
+	};
+
+	PlaneConstraint.prototype.applyConstraint = function(p){
+		var n = this.plane.normal,
+			d = n.dot(p.sub(this.plane));
+		if(d < 0){
+			p.subSelf(n.scale(d / n.magSquared()));
+		}
+	};
+
+	module.exports = PlaneConstraint;
+});
@@ -0,0 +1,31 @@
+define(["require", "exports", "module", "../../geom/Sphere"], function(require, exports, module) {
+	var Sphere = require('../../geom/Sphere');
+
+	/**
+	 * Keeps particles either inside (bounding sphere) or outside of a sphere
+	 * @param {Sphere|Vec3D} sphere sphere or its origin
+	 * @param {Number} [radius] if an origin was given
+	 * @param {Boolean} isBoundingSphere `SphereConstraint.INSIDE` or `SphereConstraint.OUTSIDE`
+	 */
+	var	SphereConstraint = function(a,b,c){
+		if(arguments.length == 2){
+			this.sphere = a;
+			this.isBoundingSphere = b;
+		} else {
+			this.sphere = new Sphere(a,b);
+			this.isBoundingSphere = c;
+		}
+	};
+
+	SphereConstraint.INSIDE = true;
+	SphereConstraint.OUTSIDE = false;
+
+	SphereConstraint.prototype.applyConstraint = function(p){
+		var isInside = this.sphere.containsPoint(p);
+		if((this.isBoundingSphere && !isInside) || (!this.isBoundingSphere && isInside)){
+			p.set(this.sphere.add(p.sub(this.sphere).normalizeTo(this.sphere.radius)));
+		}
+	};
+
+	module.exports = SphereConstraint;
+});
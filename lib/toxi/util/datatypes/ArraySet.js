@@ -36,11 +36,11 @@ var ArraySet = function(collection){
 		return true;
 	},
 	addAll: function(collection){
-		var self = this;
+		var changed = false;
 		for(var i=0,len = collection.length;i<len;i++){
-			this.push(collection[i]);
+			changed = this.add(collection[i]) || changed;
 		}
-
+		return changed;
 	},
 	clear: function(){
 		this.retainAll([]);
@@ -75,7 +75,7 @@ var ArraySet = function(collection){
 		return this[index];
 	},
 	iterator: function(){
-		return new internals.Iterator(this);
+		return new internals.Iterator(this.toArray());
 	},
 	isEmpty: function(){
 		return this.length < 1;
@@ -88,8 +88,15 @@ var ArraySet = function(collection){
 		}
 		return false;
 	},
-	removeAll: function(){
-		this.retainAll([]);
+	removeAll: function(collection){
+		if(collection === undefined){
+			return this.retainAll([]);
+		}
+		var changed = false;
+		for(var i=0,len = collection.length;i<len;i++){
+			changed = this.remove(collection[i]) || changed;
+		}
+		return changed;
 	},
 	retainAll: function(collection){
 		var self = this,
@@ -111,7 +118,6 @@ var ArraySet = function(collection){
 	toArray: function(arr){
 		arr = arr || [];
 		for(var i=0;i<this.length;i++){
-			if(this.hasOwnProperty())
 			arr[i] = this[i];
 		}
 		return arr;
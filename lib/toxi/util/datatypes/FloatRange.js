@@ -1,6 +1,7 @@
-define(["require", "exports", "module", "../../math/mathUtils"], function(require, exports, module) {
+define(["require", "exports", "module", "../../math/mathUtils", "../../math/Random"], function(require, exports, module) {
 
-var mathUtils = require('../../math/mathUtils');
+var mathUtils = require('../../math/mathUtils'),
+	Random = require('../../math/Random');
 
 /**
  * construct a new `FloatRange`
@@ -30,6 +31,9 @@ FloatRange.prototype = {
 	copy: function(){
 		var range = new FloatRange(this.min,this.max);
 		range.currValue = this.currValue;
+		if( this.rng !== undefined ){
+			range.setRandom(this.rng);
+		}
 		return range;
 	},
     /**
@@ -57,22 +61,36 @@ FloatRange.prototype = {
 	isValueInRange: function(val){
 		return val >= this.min && val <= this.max;
 	},
-	pickRandom: function(){
-		this.currValue = mathUtils.random(this.min,this.max);
+	/**
+	 * pick a random value within the range and make it the current value
+	 * @param {Object} [rng] generator to use instead of the one set with {@link #setRandom}
+	 * @return {Number} the picked value
+	 */
+	pickRandom: function(rng){
+		this.currValue = mathUtils.random(rng || this.rng,this.min,this.max);
 		return this.currValue;
 	},
+	/**
+	 * use a new {@link toxi.math.Random} with the given seed for picking values
+	 * @param {Number|String} seed
+	 * @return itself
+	 */
+	seed: function(seed){
+		return this.setRandom(new Random(seed));
+	},
     setCurrent: function( val ){
         this.currValue = mathUtils.clip( val, this.min, this.max );
         return this.currValue;
     },
-	/*
-	seed: function(seed){
-		throw new Error("Not yet Implemented");
-	},
+	/**
+	 * @param {Object} [rnd] generator with a `random()` method used by {@link #pickRandom},
+	 * the default {@link MathUtils.RND} if omitted
+	 * @return itself
+	 */
 	setRandom: function(rnd){
-		
-	}
-	*/
+		this.rng = rnd;
+		return this;
+	},
 	toArray: function(step){
 		var range = [],
 			v = this.min;
@@ -51,8 +51,8 @@ UndirectedGraph.prototype = {
 		if(this._nodeLinks[nodeB] === undefined){
 			throw new Error("nodeB has not been added");
 		}
-		this._nodeLinks[nodeA].push(nodeB);
-		this._nodeLinks[nodeB].push(nodeA);
+		this._nodeLinks[nodeA].add(nodeB);
+		this._nodeLinks[nodeB].add(nodeA);
 	},
 	disconnect: function(nodeA,nodeB){
 		if(this._nodeLinks[nodeA] === undefined){
@@ -80,13 +80,11 @@ UndirectedGraph.prototype = {
 		}
 
 		for(var i = 0,len = connections.length;i<len;i++){
-			var neighbor = connections[i];
-			var	nodeI = neighbor.indexOf(node);
-			neighbor.splice(nodeI,1);
+			var links = this._nodeLinks[connections[i]];
+			links.splice(links.indexOf(node),1);
 		}
 		delete this._nodeLinks[node];
-		var i = this._nodeIDs.indexOf(node);
-		this._nodeIDs.splice(node,1);
+		this._nodeIDs.splice(this._nodeIDs.indexOf(node),1);
 	}
 };
 
@@ -0,0 +1,9 @@
+define(["require", "exports", "module", "./volume/BoxBrush","./volume/IsoSurface","./volume/RoundBrush","./volume/VolumetricBrush","./volume/VolumetricSpace"], function(require, exports, module) {
+module.exports = {
+	BoxBrush: require('./volume/BoxBrush'),
+	IsoSurface: require('./volume/IsoSurface'),
+	RoundBrush: require('./volume/RoundBrush'),
+	VolumetricBrush: require('./volume/VolumetricBrush'),
+	VolumetricSpace: require('./volume/VolumetricSpace')
+};
+});
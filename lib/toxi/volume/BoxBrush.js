@@ -0,0 +1,71 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../internals',
+	'../geom/Vec3D',
+	'./VolumetricBrush'
+], function( require, exports, module ){
+
+	var internals = require('../internals'),
+		Vec3D = require('../geom/Vec3D'),
+		VolumetricBrush = require('./VolumetricBrush');
+
+	/**
+	 * @class An axis-aligned box brush, paints the same density into
+	 * every voxel inside the box.
+	 * @member toxi.volume
+	 * @augments toxi.volume.VolumetricBrush
+	 * @param {VolumetricSpace} volume
+	 * @param {Vec3D|Number} size edge length(s) of the box in world units
+	 */
+	var BoxBrush = function( volume, size ){
+		VolumetricBrush.call( this, volume );
+		this.setSize( size );
+	};
+
+	internals.extend( BoxBrush, VolumetricBrush );
+
+	BoxBrush.prototype.drawAtGridPos = function( cx, cy, cz, density ){
+		var v = this.volume,
+			minX = Math.max( Math.ceil( cx - this.cellHalfSize.x ), 0 ),
+			minY = Math.max( Math.ceil( cy - this.cellHalfSize.y ), 0 ),
+			minZ = Math.max( Math.ceil( cz - this.cellHalfSize.z ), 0 ),
+			maxX = Math.min( Math.floor( cx + this.cellHalfSize.x ), v.resX1 ),
+			maxY = Math.min( Math.floor( cy + this.cellHalfSize.y ), v.resY1 ),
+			maxZ = Math.min( Math.floor( cz + this.cellHalfSize.z ), v.resZ1 ),
+			x, y, z;
+		for( z=minZ; z<=maxZ; z++ ){
+			for( y=minY; y<=maxY; y++ ){
+				for( x=minX; x<=maxX; x++ ){
+					this.updateVoxel( x, y, z, density );
+				}
+			}
+		}
+		return this;
+	};
+
+	BoxBrush.prototype.getSize = function(){
+		return this.size.copy();
+	};
+
+	/**
+	 * @param {Vec3D|Number} size edge length(s) of the box in world units
+	 * @return itself
+	 */
+	BoxBrush.prototype.setSize = function( size ){
+		var voxelSize = this.volume.voxelSize;
+		if( typeof size === 'number' ){
+			size = new Vec3D( size, size, size );
+		}
+		this.size = size.copy();
+		this.cellHalfSize = new Vec3D(
+			size.x * 0.5 / voxelSize.x,
+			size.y * 0.5 / voxelSize.y,
+			size.z * 0.5 / voxelSize.z
+		);
+		return this;
+	};
+
+	module.exports = BoxBrush;
+});
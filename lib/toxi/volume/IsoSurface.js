@@ -0,0 +1,103 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../geom/mesh/TriangleMesh',
+	'./marchingCubesIndex'
+], function( require, exports, module ){
+
+	var TriangleMesh = require('../geom/mesh/TriangleMesh'),
+		index = require('./marchingCubesIndex');
+
+	/**
+	 * @class Polygonizes the iso surface of a {@link toxi.volume.VolumetricSpace}
+	 * using marching cubes. Voxels with a density above the iso value are
+	 * considered inside, the resulting faces point outwards.
+	 * @member toxi.volume
+	 * @param {VolumetricSpace} volume
+	 */
+	var IsoSurface = function( volume ){
+		this.volume = volume;
+	};
+
+	IsoSurface.prototype = {
+		constructor: IsoSurface,
+
+		/**
+		 * compute the surface mesh for the given iso value
+		 * @param {TriangleMesh|WETriangleMesh} [mesh] mesh to add faces to, a new TriangleMesh if undefined
+		 * @param {Number} isoValue density at which the surface is placed
+		 * @param {Number} [smoothing] number of smoothing passes applied to a copy
+		 * of the volume before polygonizing, see {@link toxi.volume.VolumetricSpace#smooth}
+		 * @return {TriangleMesh|WETriangleMesh} the mesh
+		 */
+		computeSurfaceMesh: function( mesh, isoValue, smoothing ){
+			mesh = mesh || new TriangleMesh("isosurface");
+			var volume = smoothing > 0 ? this.volume.copy().smooth( smoothing ) : this.volume,
+				data = volume.data,
+				resX = volume.resX,
+				sliceRes = volume.sliceRes,
+				//index offsets of the 8 corners of a cell
+				offsets = [],
+				values = [],
+				verts = [],
+				x, y, z, i, cell, cubeIndex, tris, t;
+
+			for( i=0; i<8; i++ ){
+				offsets.push( index.corners[i][0] + index.corners[i][1] * resX + index.corners[i][2] * sliceRes );
+			}
+
+			var edgeVertex = function( e ){
+				var ca = index.corners[ index.edges[e][0] ],
+					cb = index.corners[ index.edges[e][1] ],
+					va = values[ index.edges[e][0] ],
+					vb = values[ index.edges[e][1] ],
+					//always interpolate from the lower corner so neighbouring cells agree exactly
+					f = (isoValue - va) / (vb - va);
+				return volume.getWorldPosition(
+					x + ca[0] + (cb[0] - ca[0]) * f,
+					y + ca[1] + (cb[1] - ca[1]) * f,
+					z + ca[2] + (cb[2] - ca[2]) * f
+				);
+			};
+
+			for( z=0; z<volume.resZ1; z++ ){
+				for( y=0; y<volume.resY1; y++ ){
+					for( x=0; x<volume.resX1; x++ ){
+						cell = x + y * resX + z * sliceRes;
+						cubeIndex = 0;
+						for( i=0; i<8; i++ ){
+							values[i] = data[ cell + offsets[i] ];
+							if( values[i] > isoValue ){
+								cubeIndex |= 1 << i;
+							}
+						}
+						tris = index.triangles[cubeIndex];
+						for( t=0; t<tris.length; t+=3 ){
+							verts[0] = edgeVertex( tris[t] );
+							verts[1] = edgeVertex( tris[t+1] );
+							verts[2] = edgeVertex( tris[t+2] );
+							mesh.addFace( verts[0], verts[1], verts[2] );
+						}
+					}
+				}
+			}
+			return mesh;
+		},
+
+		getVolume: function(){
+			return this.volume;
+		},
+
+		/**
+		 * @param {VolumetricSpace} volume
+		 * @return itself
+		 */
+		setVolume: function( volume ){
+			this.volume = volume;
+			return this;
+		}
+	};
+
+	module.exports = IsoSurface;
+});
@@ -0,0 +1,75 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../internals',
+	'./VolumetricBrush'
+], function( require, exports, module ){
+
+	var internals = require('../internals'),
+		VolumetricBrush = require('./VolumetricBrush');
+
+	/**
+	 * @class A spherical brush, density falls off linearly from the
+	 * full amount at the center to 0 at the radius.
+	 * @member toxi.volume
+	 * @augments toxi.volume.VolumetricBrush
+	 * @param {VolumetricSpace} volume
+	 * @param {Number} radius in world units
+	 */
+	var RoundBrush = function( volume, radius ){
+		VolumetricBrush.call( this, volume );
+		this.setSize( radius );
+	};
+
+	internals.extend( RoundBrush, VolumetricBrush );
+
+	RoundBrush.prototype.drawAtGridPos = function( cx, cy, cz, density ){
+		var v = this.volume,
+			rx = this.cellRadiusX,
+			ry = this.cellRadiusY,
+			rz = this.cellRadiusZ,
+			minX = Math.max( Math.ceil( cx - rx ), 0 ),
+			minY = Math.max( Math.ceil( cy - ry ), 0 ),
+			minZ = Math.max( Math.ceil( cz - rz ), 0 ),
+			maxX = Math.min( Math.floor( cx + rx ), v.resX1 ),
+			maxY = Math.min( Math.floor( cy + ry ), v.resY1 ),
+			maxZ = Math.min( Math.floor( cz + rz ), v.resZ1 ),
+			x, y, z, dx, dy, dz, d;
+		for( z=minZ; z<=maxZ; z++ ){
+			dz = (z - cz) / rz;
+			dz *= dz;
+			for( y=minY; y<=maxY; y++ ){
+				dy = (y - cy) / ry;
+				dy = dz + dy * dy;
+				for( x=minX; x<=maxX; x++ ){
+					dx = (x - cx) / rx;
+					d = dy + dx * dx;
+					if( d <= 1 ){
+						this.updateVoxel( x, y, z, (1 - Math.sqrt( d )) * density );
+					}
+				}
+			}
+		}
+		return this;
+	};
+
+	RoundBrush.prototype.getSize = function(){
+		return this.radius;
+	};
+
+	/**
+	 * @param {Number} radius in world units
+	 * @return itself
+	 */
+	RoundBrush.prototype.setSize = function( radius ){
+		var voxelSize = this.volume.voxelSize;
+		this.radius = radius;
+		this.cellRadiusX = radius / voxelSize.x;
+		this.cellRadiusY = radius / voxelSize.y;
+		this.cellRadiusZ = radius / voxelSize.z;
+		return this;
+	};
+
+	module.exports = RoundBrush;
+});
@@ -0,0 +1,113 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../math/mathUtils',
+	'../geom/Vec3D'
+], function( require, exports, module ){
+
+	var MathUtils = require('../math/mathUtils'),
+		Vec3D = require('../geom/Vec3D');
+
+	/**
+	 * @class Abstract base for brushes painting density into a
+	 * {@link toxi.volume.VolumetricSpace}. Subclasses implement
+	 * `drawAtGridPos( cx, cy, cz, density )` and call `updateVoxel()`
+	 * for every voxel they touch.
+	 * @member toxi.volume
+	 * @param {VolumetricSpace} volume
+	 */
+	var VolumetricBrush = function( volume ){
+		this.volume = volume;
+		this.mode = VolumetricBrush.MODE_ADDITIVE;
+		this._gridPos = new Vec3D();
+	};
+
+	/** new density is added to the current value */
+	VolumetricBrush.MODE_ADDITIVE = 1;
+	/** current value is multiplied by the new density */
+	VolumetricBrush.MODE_MULTIPLY = 2;
+	/** current value is replaced with the new density, if that is larger */
+	VolumetricBrush.MODE_PEAK = 3;
+	/** current value is replaced with the new density */
+	VolumetricBrush.MODE_REPLACE = 4;
+
+	VolumetricBrush.prototype = {
+		constructor: VolumetricBrush,
+
+		/**
+		 * paint at a world space position, positions are clipped to the volume
+		 * @param {Vec3D} pos
+		 * @param {Number} density
+		 * @return itself
+		 */
+		drawAtAbsolutePos: function( pos, density ){
+			var v = this.volume,
+				g = v.getGridPosition( pos, this._gridPos );
+			return this.drawAtGridPos(
+				MathUtils.clip( g.x, 0, v.resX1 ),
+				MathUtils.clip( g.y, 0, v.resY1 ),
+				MathUtils.clip( g.z, 0, v.resZ1 ),
+				density
+			);
+		},
+
+		/**
+		 * paint at a (fractional) grid position, implemented by subclasses
+		 * @param {Number} cx
+		 * @param {Number} cy
+		 * @param {Number} cz
+		 * @param {Number} density
+		 * @return itself
+		 */
+		drawAtGridPos: function( cx, cy, cz, density ){
+			throw new Error("VolumetricBrush: drawAtGridPos() needs to be implemented by a subclass");
+		},
+
+		getMode: function(){
+			return this.mode;
+		},
+
+		/**
+		 * @param {Number} mode one of the VolumetricBrush.MODE_* constants
+		 * @return itself
+		 */
+		setMode: function( mode ){
+			if( mode !== VolumetricBrush.MODE_ADDITIVE && mode !== VolumetricBrush.MODE_MULTIPLY &&
+				mode !== VolumetricBrush.MODE_PEAK && mode !== VolumetricBrush.MODE_REPLACE ){
+				throw new Error("VolumetricBrush: unknown mode `" + mode + "`");
+			}
+			this.mode = mode;
+			return this;
+		},
+
+		/**
+		 * combine a voxel with a new density according to the brush mode
+		 * @param {Number} x grid position
+		 * @param {Number} y
+		 * @param {Number} z
+		 * @param {Number} cellVal
+		 */
+		updateVoxel: function( x, y, z, cellVal ){
+			var data = this.volume.data,
+				i = this.volume.getIndexFor( x, y, z );
+			switch( this.mode ){
+				case VolumetricBrush.MODE_MULTIPLY:
+					data[i] *= cellVal;
+					break;
+				case VolumetricBrush.MODE_PEAK:
+					if( cellVal > data[i] ){
+						data[i] = cellVal;
+					}
+					break;
+				case VolumetricBrush.MODE_REPLACE:
+					data[i] = cellVal;
+					break;
+				default:
+					data[i] += cellVal;
+			}
+		}
+	};
+
+	module.exports = VolumetricBrush;
+});
@@ -0,0 +1,265 @@
+define([
+	'require',
+	'exports',
+	'module',
+	'../internals/has',
+	'../geom/Vec3D',
+	'../geom/AABB'
+], function( require, exports, module ){
+
+	var has = require('../internals/has'),
+		Vec3D = require('../geom/Vec3D'),
+		AABB = require('../geom/AABB');
+
+	var hasTypedArrays = has.typedArrays();
+
+	/**
+	 * @class A regular 3D grid of density values (voxels), centered around the
+	 * origin. The grid spans `scale` in world units, voxels are stored in a
+	 * Float32Array (or plain array without typed array support) in x, y, z order.
+	 * Paint density into the space with {@link toxi.volume.VolumetricBrush}
+	 * subclasses and polygonize it with {@link toxi.volume.IsoSurface}.
+	 * @member toxi.volume
+	 * @param {Vec3D|Number} scale size of the space in world units
+	 * @param {Number} resX number of voxels along the X axis, at least 2
+	 * @param {Number} [resY] defaults to resX
+	 * @param {Number} [resZ] defaults to resX
+	 */
+	var VolumetricSpace = function( scale, resX, resY, resZ ){
+		resY = resY || resX;
+		resZ = resZ || resX;
+		if( !(resX >= 2 && resY >= 2 && resZ >= 2) ){
+			throw new Error("VolumetricSpace: resolution needs to be at least 2 voxels on each axis");
+		}
+		this.resX = Math.floor( resX );
+		this.resY = Math.floor( resY );
+		this.resZ = Math.floor( resZ );
+		this.resX1 = this.resX - 1;
+		this.resY1 = this.resY - 1;
+		this.resZ1 = this.resZ - 1;
+		this.sliceRes = this.resX * this.resY;
+		this.numCells = this.sliceRes * this.resZ;
+		this.data = hasTypedArrays ? new Float32Array( this.numCells ) : [];
+		if( !hasTypedArrays ){
+			this.clear();
+		}
+		this.setScale( scale );
+	};
+
+	VolumetricSpace.prototype = {
+		constructor: VolumetricSpace,
+
+		/**
+		 * reset all voxels to 0
+		 * @return itself
+		 */
+		clear: function(){
+			for( var i=0; i<this.numCells; i++ ){
+				this.data[i] = 0;
+			}
+			return this;
+		},
+
+		/**
+		 * set all voxels on the sides of the space to 0, this ensures
+		 * iso surfaces touching the borders are closed
+		 * @return itself
+		 */
+		closeSides: function(){
+			return this.setVolumeSidesTo( 0 );
+		},
+
+		/**
+		 * @return {VolumetricSpace} a new space with the same scale, resolution and density
+		 */
+		copy: function(){
+			var v = new VolumetricSpace( this.scale, this.resX, this.resY, this.resZ );
+			for( var i=0; i<this.numCells; i++ ){
+				v.data[i] = this.data[i];
+			}
+			return v;
+		},
+
+		/**
+		 * @return {AABB} the world space bounds of the voxel grid
+		 */
+		getBounds: function(){
+			return new AABB( new Vec3D(), this.halfScale.copy() );
+		},
+
+		/**
+		 * @param {Number} x grid position
+		 * @param {Number} y
+		 * @param {Number} z
+		 * @return {Number} index into `data`
+		 */
+		getIndexFor: function( x, y, z ){
+			return x + y * this.resX + z * this.sliceRes;
+		},
+
+		/**
+		 * convert a world space position into (fractional) grid coordinates
+		 * @param {Vec3D} pos
+		 * @param {Vec3D} [out] optional vector to store the result in
+		 * @return {Vec3D}
+		 */
+		getGridPosition: function( pos, out ){
+			out = out || new Vec3D();
+			return out.set(
+				(pos.x + this.halfScale.x) / this.voxelSize.x,
+				(pos.y + this.halfScale.y) / this.voxelSize.y,
+				(pos.z + this.halfScale.z) / this.voxelSize.z
+			);
+		},
+
+		getScale: function(){
+			return this.scale.copy();
+		},
+
+		/**
+		 * get the density of a voxel either by its index or by its grid position
+		 * @param {Number} x index into `data` or x grid position
+		 * @param {Number} [y]
+		 * @param {Number} [z]
+		 * @return {Number}
+		 */
+		getVoxelAt: function( x, y, z ){
+			if( y === undefined ){
+				return this.data[x];
+			}
+			return this.data[ x + y * this.resX + z * this.sliceRes ];
+		},
+
+		/**
+		 * @return {Vec3D} the distance between neighbouring voxels in world units
+		 */
+		getVoxelSize: function(){
+			return this.voxelSize.copy();
+		},
+
+		/**
+		 * convert grid coordinates into a world space position
+		 * @param {Number} x
+		 * @param {Number} y
+		 * @param {Number} z
+		 * @param {Vec3D} [out] optional vector to store the result in
+		 * @return {Vec3D}
+		 */
+		getWorldPosition: function( x, y, z, out ){
+			out = out || new Vec3D();
+			return out.set(
+				x * this.voxelSize.x - this.halfScale.x,
+				y * this.voxelSize.y - this.halfScale.y,
+				z * this.voxelSize.z - this.halfScale.z
+			);
+		},
+
+		/**
+		 * @param {Vec3D|Number} scale size of the space in world units
+		 * @return itself
+		 */
+		setScale: function( scale ){
+			if( typeof scale === 'number' ){
+				scale = new Vec3D( scale, scale, scale );
+			}
+			this.scale = scale.copy();
+			this.halfScale = this.scale.scale( 0.5 );
+			this.voxelSize = new Vec3D(
+				this.scale.x / this.resX1,
+				this.scale.y / this.resY1,
+				this.scale.z / this.resZ1
+			);
+			return this;
+		},
+
+		/**
+		 * set all voxels on the 6 sides of the space to a value
+		 * @param {Number} density
+		 * @return itself
+		 */
+		setVolumeSidesTo: function( density ){
+			var x, y, z,
+				zOffset = this.resZ1 * this.sliceRes,
+				yOffset = this.resY1 * this.resX;
+			//front and back
+			for( y=0; y<this.resY; y++ ){
+				for( x=0; x<this.resX; x++ ){
+					this.data[ x + y * this.resX ] = density;
+					this.data[ x + y * this.resX + zOffset ] = density;
+				}
+			}
+			//top and bottom
+			for( z=0; z<this.resZ; z++ ){
+				for( x=0; x<this.resX; x++ ){
+					this.data[ x + z * this.sliceRes ] = density;
+					this.data[ x + yOffset + z * this.sliceRes ] = density;
+				}
+			}
+			//left and right
+			for( z=0; z<this.resZ; z++ ){
+				for( y=0; y<this.resY; y++ ){
+					this.data[ y * this.resX + z * this.sliceRes ] = density;
+					this.data[ this.resX1 + y * this.resX + z * this.sliceRes ] = density;
+				}
+			}
+			return this;
+		},
+
+		/**
+		 * set the density of a voxel either by its index or by its grid position
+		 * @param {Number} x index into `data` or x grid position
+		 * @param {Number} y density if an index was given, otherwise y grid position
+		 * @param {Number} [z]
+		 * @param {Number} [density]
+		 * @return itself
+		 */
+		setVoxelAt: function( x, y, z, density ){
+			if( z === undefined ){
+				this.data[x] = y;
+			} else {
+				this.data[ x + y * this.resX + z * this.sliceRes ] = density;
+			}
+			return this;
+		},
+
+		/**
+		 * smooth the density field by averaging each voxel with its 6 direct
+		 * neighbours, voxels on the sides only average with the neighbours they have
+		 * @param {Number} [iterations] number of passes, defaults to 1
+		 * @param {Number} [amount] blend between the current (0) and averaged (1) density, defaults to 1
+		 * @return itself
+		 */
+		smooth: function( iterations, amount ){
+			iterations = iterations === undefined ? 1 : iterations;
+			amount = amount === undefined ? 1 : amount;
+			var src = this.data,
+				dest = hasTypedArrays ? new Float32Array( this.numCells ) : [],
+				tmp, x, y, z, i, sum, n;
+			while( iterations-- > 0 ){
+				for( z=0; z<this.resZ; z++ ){
+					for( y=0; y<this.resY; y++ ){
+						for( x=0; x<this.resX; x++ ){
+							i = x + y * this.resX + z * this.sliceRes;
+							sum = src[i];
+							n = 1;
+							if( x > 0 ){ sum += src[i-1]; n++; }
+							if( x < this.resX1 ){ sum += src[i+1]; n++; }
+							if( y > 0 ){ sum += src[i-this.resX]; n++; }
+							if( y < this.resY1 ){ sum += src[i+this.resX]; n++; }
+							if( z > 0 ){ sum += src[i-this.sliceRes]; n++; }
+							if( z < this.resZ1 ){ sum += src[i+this.sliceRes]; n++; }
+							dest[i] = src[i] + (sum / n - src[i]) * amount;
+						}
+					}
+				}
+				tmp = src;
+				src = dest;
+				dest = tmp;
+			}
+			this.data = src;
+			return this;
+		}
+	};
+
+	module.exports = VolumetricSpace;
+});
@@ -0,0 +1,120 @@
+define(function( require, exports ){
+	//private: lookup tables for IsoSurface
+	//instead of the usual hardcoded 256 case table, the triangles of each case
+	//are derived from the cube's faces, every face separates its inside corners
+	//the same way so neighbouring cells always agree and the surface has no holes
+
+	//corner offsets, corner i is (x, y, z)
+	var corners = [
+		[0,0,0], [1,0,0], [1,1,0], [0,1,0],
+		[0,0,1], [1,0,1], [1,1,1], [0,1,1]
+	];
+
+	//pairs of corners connected by each of the 12 edges
+	var edges = [
+		[0,1], [1,2], [3,2], [0,3],
+		[4,5], [5,6], [7,6], [4,7],
+		[0,4], [1,5], [2,6], [3,7]
+	];
+
+	//corners of the 6 faces, counter-clockwise seen from outside of the cube
+	var faces = [
+		[0,3,2,1], [4,5,6,7],
+		[0,1,5,4], [3,7,6,2],
+		[0,4,7,3], [1,2,6,5]
+	];
+
+	var edgeBetween = function( a, b ){
+		for( var i=0; i<edges.length; i++ ){
+			if( (edges[i][0] === a && edges[i][1] === b) || (edges[i][0] === b && edges[i][1] === a) ){
+				return i;
+			}
+		}
+	};
+
+	var sharesFace = function( ea, eb ){
+		var f, fc;
+		for( f=0; f<faces.length; f++ ){
+			fc = faces[f];
+			if( fc.indexOf( edges[ea][0] ) >= 0 && fc.indexOf( edges[ea][1] ) >= 0 &&
+				fc.indexOf( edges[eb][0] ) >= 0 && fc.indexOf( edges[eb][1] ) >= 0 ){
+				return true;
+			}
+		}
+		return false;
+	};
+
+	//clip ears from a loop of edges, preferring diagonals that don't lie on a face
+	//of the cube, those would be shared with the neighbouring cell and make the
+	//surface non-manifold
+	var triangulate = function( loop, triangles ){
+		var n, i, prev, next, found;
+		loop = loop.slice(0);
+		while( loop.length > 3 ){
+			n = loop.length;
+			found = 0;
+			for( i=0; i<n; i++ ){
+				prev = loop[(i+n-1) % n];
+				next = loop[(i+1) % n];
+				if( !sharesFace( prev, next ) ){
+					found = i;
+					break;
+				}
+			}
+			triangles.push( loop[(found+n-1) % n], loop[found], loop[(found+1) % n] );
+			loop.splice( found, 1 );
+		}
+		triangles.push( loop[0], loop[1], loop[2] );
+	};
+
+	//@return {Array} flat list of edge indices, 3 per triangle
+	var buildCase = function( cubeIndex ){
+		var inside = function( c ){ return (cubeIndex & (1 << c)) !== 0; },
+			//map of start edge to end edge of every segment on the cube's surface
+			segments = {},
+			triangles = [],
+			f, i, a, b, crossings, loop, e;
+		for( f=0; f<faces.length; f++ ){
+			crossings = [];
+			for( i=0; i<4; i++ ){
+				a = faces[f][i];
+				b = faces[f][(i+1) % 4];
+				if( inside(a) !== inside(b) ){
+					crossings.push({ edge: edgeBetween( a, b ), entering: inside(b) });
+				}
+			}
+			//each entry into an inside run of corners pairs with the following exit
+			for( i=0; i<crossings.length; i++ ){
+				if( crossings[i].entering ){
+					segments[ crossings[(i+1) % crossings.length].edge ] = crossings[i].edge;
+				}
+			}
+		}
+		//chain segments into closed loops and triangulate each
+		for( e in segments ){
+			if( segments[e] === undefined ){
+				continue;
+			}
+			loop = [];
+			e = parseInt( e, 10 );
+			while( segments[e] !== undefined ){
+				loop.push( e );
+				a = segments[e];
+				segments[e] = undefined;
+				e = a;
+			}
+			triangulate( loop, triangles );
+		}
+		return triangles;
+	};
+
+	var triangles = [];
+	for( var i=0; i<256; i++ ){
+		triangles.push( buildCase( i ) );
+	}
+
+	exports.corners = corners;
+	exports.edges = edges;
+	//triangles[cubeIndex] is a flat list of edge indices, bit n of cubeIndex is set for corners inside the surface
+	exports.triangles = triangles;
+});
@@ -54,6 +54,64 @@ describe('ColorGradient', function(){
         });
 	});
 
+	describe('#setColorSpace()', function(){
+		var TColor = toxi.color.TColor,
+			colorSpaces = toxi.color.colorSpaces;
 
+		var midpoint = function( a, b, space ){
+			var grad = new toxi.color.ColorGradient();
+			if( space !== undefined ){
+				grad.setColorSpace( space );
+			}
+			grad.addColorAt( 0, a );
+			grad.addColorAt( 2, b );
+			return grad.calcGradient( 0, 3 ).get( 1 );
+		};
+
+		it('should interpolate in RGB by default', function(){
+			var grad = new toxi.color.ColorGradient();
+			assert.equal( grad.getColorSpace(), colorSpaces.RGB );
+			assert.ok( midpoint( red, blue ).equals( red.getBlended( blue, 0.5 ) ) );
+		});
+		it('should keep a hue gradient saturated in OKLCh', function(){
+			var rgb = midpoint( red, blue ),
+				oklch = midpoint( red, blue, colorSpaces.OKLCH );
+			assert.ok( oklch.toLChAArray()[1] > rgb.toLChAArray()[1] + 10 );
+		});
+		it('should take the shorter way around the hue circle', function(){
+			//red to magenta passes through pink, not through green
+			var magenta = TColor.newRGB( 1, 0, 1 );
+			[colorSpaces.HSV, colorSpaces.LCH, colorSpaces.OKLCH].forEach(function( space ){
+				var c = midpoint( red, magenta, space );
+				assert.ok( c.red() > 0.9, space );
+				assert.ok( c.green() < 0.1, space );
+			});
+			assert.ok( Math.abs( midpoint( TColor.newHSV( 0.9, 1, 1 ), TColor.newHSV( 0.1, 1, 1 ), colorSpaces.HSV ).hue() ) < 1e-6 );
+		});
+		it('should keep the hue when blending with a gray', function(){
+			var white = TColor.newRGB( 1, 1, 1 ),
+				okHue = function( c ){
+					var lab = TColor.rgbToOKLab( c.red(), c.green(), c.blue() );
+					return TColor.labToLCh( lab[0], lab[1], lab[2] )[2];
+				};
+			assert.ok( Math.abs( midpoint( blue, white, colorSpaces.LCH ).toLChAArray()[2] - blue.toLChAArray()[2] ) < 1 );
+			assert.ok( Math.abs( okHue( midpoint( blue, white, colorSpaces.OKLCH ) ) - okHue( blue ) ) < 2 );
+		});
+		it('should mix light physically in linear RGB', function(){
+			var black = TColor.newRGB( 0, 0, 0 ),
+				white = TColor.newRGB( 1, 1, 1 );
+			assert.ok( Math.abs( midpoint( black, white ).red() - 0.5 ) < 1e-9 );
+			assert.ok( Math.abs( midpoint( black, white, colorSpaces.LINEAR_RGB ).red() - 0.7354 ) < 1e-3 );
+		});
+		it('should interpolate alpha linearly', function(){
+			var c = midpoint( TColor.newRGBA( 1, 0, 0, 0 ), blue, colorSpaces.LAB );
+			assert.ok( Math.abs( c.alpha() - 0.5 ) < 1e-9 );
+		});
+		it('should throw for an unknown color space', function(){
+			assert.throws(function(){
+				new toxi.color.ColorGradient().setColorSpace( 'cmy' );
+			});
+		});
+	});
 
 });
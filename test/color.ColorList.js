@@ -71,6 +71,107 @@ describe('ColorList', function(){
         });
     });
 
+    describe('#sortByProximityTo()', function(){
+        it('should sort perceptually with a CIEDE2000 proxy', function(){
+            var list = new toxi.color.ColorList([
+                toxi.color.TColor.newRGB( 0, 0, 1 ),
+                toxi.color.TColor.newRGB( 1, 0.5, 0 ),
+                toxi.color.TColor.newRGB( 0.9, 0.1, 0.1 )
+            ]);
+            list.sortByProximityTo( toxi.color.TColor.newRGB( 1, 0, 0 ), new toxi.color.CIEDE2000DistanceProxy(), false );
+            assert.equal( list.colors[0].toHex(), 'e51919' );
+            assert.equal( list.colors[2].toHex(), '0000ff' );
+        });
+    });
+
+    describe('#clusterSort() by lightness', function(){
+        it('should order by CIE lightness', function(){
+            var list = new toxi.color.ColorList([
+                toxi.color.TColor.newRGB( 0, 0, 1 ),
+                toxi.color.TColor.newRGB( 1, 1, 0 ),
+                toxi.color.TColor.newRGB( 0, 1, 0 ),
+                toxi.color.TColor.newRGB( 1, 0, 0 )
+            ]);
+            list.clusterSort( toxi.color.AccessCriteria.LIGHTNESS, toxi.color.AccessCriteria.CHROMA, 4, false );
+            var last = Infinity;
+            list.each(function( c ){
+                var l = c.toLabAArray()[0];
+                assert.ok( l <= last );
+                last = l;
+            });
+            assert.equal( list.colors[0].toHex(), 'ffff00' );
+        });
+    });
+
+    describe('#getLowContrastPairs()', function(){
+        var TColor = toxi.color.TColor;
+        it('should find the pairs below the ratio', function(){
+            var list = new toxi.color.ColorList([
+                TColor.newRGB( 1, 1, 1 ),
+                TColor.newHex( '777777' ),
+                TColor.newRGB( 0, 0, 0 )
+            ]);
+            var pairs = list.getLowContrastPairs();
+            assert.equal( pairs.length, 1 );
+            assert.equal( pairs[0].a, list.get( 0 ) );
+            assert.equal( pairs[0].b, list.get( 1 ) );
+            assert.ok( pairs[0].ratio < TColor.WCAG_AA );
+            assert.equal( list.getLowContrastPairs( TColor.WCAG_AAA ).length, 2 );
+            assert.equal( list.getLowContrastPairs( TColor.WCAG_AA_LARGE ).length, 0 );
+        });
+    });
+
+    describe('#adjustForContrast()', function(){
+        it('should make all colors readable on the background', function(){
+            var TColor = toxi.color.TColor,
+                white = TColor.newRGB( 1, 1, 1 ),
+                list = toxi.color.createListUsingStrategy( 'triad', TColor.newRGB( 0.9, 0.6, 0.2 ) );
+            list.adjustForContrast( white, TColor.WCAG_AAA );
+            list.each(function( c ){
+                assert.ok( c.contrastRatio( white ) >= TColor.WCAG_AAA );
+            });
+        });
+    });
+
+    describe('color blindness', function(){
+        var TColor = toxi.color.TColor,
+            createList = function(){
+                return new toxi.color.ColorList([
+                    TColor.newHex( 'd62728' ),
+                    TColor.newHex( '2ca02c' ),
+                    TColor.newHex( 'ffffff' )
+                ]);
+            };
+
+        it('should simulate it for every color', function(){
+            var list = createList().simulateColorBlindness( TColor.ACHROMATOPSIA );
+            list.each(function( c ){
+                assert.equal( c.saturation(), 0 );
+            });
+        });
+        it('should keep the colors without severity', function(){
+            var list = createList(),
+                hex = list.colors.map(function( c ){ return c.toHex(); });
+            list.simulateColorBlindness( TColor.DEUTERANOPIA, 0 );
+            assert.deepEqual( list.colors.map(function( c ){ return c.toHex(); }), hex );
+        });
+        it('should report the colors that become indistinguishable', function(){
+            var list = createList(),
+                report = list.getIndistinguishableColors();
+            assert.deepEqual( Object.keys( report ), TColor.COLOR_BLINDNESS_TYPES );
+            assert.equal( report.deuteranopia.length, 1 );
+            assert.equal( report.deuteranopia[0].a, list.get( 0 ) );
+            assert.equal( report.deuteranopia[0].b, list.get( 1 ) );
+            assert.ok( report.deuteranopia[0].distance < 10 );
+            assert.equal( report.tritanopia.length, 0 );
+            assert.equal( list.get( 0 ).toHex(), 'd62728' );
+        });
+        it('should check the given deficiencies', function(){
+            var report = createList().getIndistinguishableColors( 5, [TColor.TRITANOPIA] );
+            assert.deepEqual( Object.keys( report ), [TColor.TRITANOPIA] );
+        });
+    });
+
     describe('.createUsingStrategy( )', function(){
         it('should throw an error', function(){
             assert.throws( toxi.color.ColorList.createUsingStrategy, Error );
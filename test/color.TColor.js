@@ -232,4 +232,305 @@ describe('TColor', function(){
 			});
 		});
 	});
+	describe('CIE color spaces', function(){
+		var TColor = toxi.color.TColor;
+		var assertClose = function( actual, expected, tolerance ){
+			expected.forEach(function( value, i ){
+				assert.ok( Math.abs( actual[i] - value ) < tolerance, actual + ' != ' + expected );
+			});
+		};
+
+		it('should convert to XYZ', function(){
+			assertClose( TColor.newRGB( 1, 1, 1 ).toXYZAArray(), TColor.D65.concat( 1 ), 1e-4 );
+			assertClose( TColor.newRGB( 1, 0, 0 ).toXYZAArray(), [0.4124564, 0.2126729, 0.0193339], 1e-6 );
+		});
+		it('should convert to Lab relative to D65', function(){
+			assertClose( TColor.newRGB( 1, 0, 0 ).toLabAArray(), [53.2408, 80.0925, 67.2032, 1], 1e-3 );
+			assertClose( TColor.newRGB( 1, 1, 1 ).toLabAArray(), [100, 0, 0], 1e-3 );
+		});
+		it('should convert to Lab relative to D50', function(){
+			assertClose( TColor.newRGB( 1, 0, 0 ).toLabAArray( [], TColor.D50 ), [54.29, 80.81, 69.89], 1e-2 );
+			assertClose( TColor.newRGB( 1, 1, 1 ).toLabAArray( [], TColor.D50 ), [100, 0, 0], 1e-3 );
+		});
+		it('should convert to LCh', function(){
+			var lch = TColor.newRGB( 0, 0, 1 ).toLChAArray();
+			assertClose( lch, [32.297, 133.808, 306.285, 1], 1e-3 );
+		});
+		it('should round trip through Lab and LCh', function(){
+			var c = TColor.newRGBA( 0.2, 0.6, 0.4, 0.5 ),
+				lab = c.toLabAArray(),
+				lch = c.toLChAArray();
+			assertClose( TColor.newLab( lab[0], lab[1], lab[2] ).rgb, c.rgb, 1e-9 );
+			assertClose( TColor.newLCh( lch[0], lch[1], lch[2] ).rgb, c.rgb, 1e-9 );
+			assertClose( new TColor().setLab( c.toLabAArray( [], TColor.D50 ), TColor.D50 ).rgb, c.rgb, 1e-9 );
+			assertClose( new TColor().setXYZ( c.toXYZAArray() ).rgb, c.rgb, 1e-9 );
+		});
+		it('should clip colors outside of sRGB', function(){
+			var c = TColor.newLab( 50, 127, -127 );
+			c.rgb.forEach(function( v ){
+				assert.ok( v >= 0 && v <= 1 );
+			});
+		});
+		it('should keep converting Lab to RGB without a white point', function(){
+			assertClose( TColor.labToRGB( 53.2408, 80.0925, 67.2032 ), [1, 0, 0], 1e-4 );
+		});
+
+		describe('color differences', function(){
+			//pairs and results from Sharma, Wu and Dalal
+			var pairs = [
+				[[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+				[[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+				[[50, 2.5, 0], [73, 25, -18], 27.1492],
+				[[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+				[[22.7233, 20.0904, -46.6940], [23.0331, 14.9730, -42.5619], 2.0373]
+			];
+			it('should compute CIEDE2000', function(){
+				pairs.forEach(function( p ){
+					assert.ok( Math.abs( TColor.deltaE2000( p[0], p[1] ) - p[2] ) < 1e-4 );
+					assert.ok( Math.abs( TColor.deltaE2000( p[1], p[0] ) - p[2] ) < 1e-4 );
+				});
+			});
+			it('should compute CIE76 and CIE94', function(){
+				assert.equal( TColor.deltaE76( [50, 0, 0], [50, 3, 4] ), 5 );
+				assert.equal( TColor.deltaE94( [50, 0, 0], [60, 0, 0] ), 10 );
+				assert.ok( TColor.deltaE94( [50, 40, 0], [50, 45, 0] ) < TColor.deltaE76( [50, 40, 0], [50, 45, 0] ) );
+			});
+			it('should measure the distance between colors', function(){
+				var a = TColor.newRGB( 1, 0, 0 ),
+					b = TColor.newRGB( 0.9, 0.1, 0.1 );
+				assert.equal( a.distanceToLab( a.copy() ), 0 );
+				assert.ok( Math.abs( a.distanceToCIEDE2000( b ) - TColor.deltaE2000( a.toLabAArray(), b.toLabAArray() ) ) < 1e-12 );
+				assert.ok( a.distanceToCIE94( b ) > 0 );
+				assert.equal( new toxi.color.LabDistanceProxy().distanceBetween( a, b ), a.distanceToLab( b ) );
+				assert.equal( new toxi.color.CIE94DistanceProxy().distanceBetween( a, b ), a.distanceToCIE94( b ) );
+			});
+		});
+	});
+
+	describe('contrast', function(){
+		var TColor = toxi.color.TColor,
+			white = TColor.newRGB( 1, 1, 1 ),
+			black = TColor.newRGB( 0, 0, 0 ),
+			gray = TColor.newHex( '888888' );
+
+		it('should compute the WCAG contrast ratio', function(){
+			assert.equal( black.contrastRatio( white ), 21 );
+			assert.equal( white.contrastRatio( black ), 21 );
+			assert.equal( gray.contrastRatio( gray.copy() ), 1 );
+			assert.ok( Math.abs( gray.contrastRatio( white ) - 3.5449 ) < 1e-4 );
+			assert.ok( Math.abs( TColor.newRGB( 1, 0, 0 ).relativeLuminance() - 0.2126 ) < 1e-12 );
+		});
+		it('should compute the APCA lightness contrast', function(){
+			assert.ok( Math.abs( black.apcaContrast( white ) - 106.04 ) < 0.01 );
+			assert.ok( Math.abs( white.apcaContrast( black ) + 107.88 ) < 0.01 );
+			assert.ok( Math.abs( gray.apcaContrast( white ) - 63.06 ) < 0.01 );
+			assert.equal( gray.apcaContrast( gray ), 0 );
+		});
+
+		describe('#adjustForContrast()', function(){
+			var blue = TColor.newRGB( 0.4, 0.6, 1 );
+
+			it('should not change colors with enough contrast', function(){
+				assert.ok( black.getAdjustedForContrast( white ).equals( black ) );
+			});
+			it('should change only the lightness as much as needed', function(){
+				var adjusted = blue.getAdjustedForContrast( white, TColor.WCAG_AA ),
+					lch = adjusted.toOKLChAArray(),
+					original = blue.toOKLChAArray();
+				assert.ok( Math.abs( adjusted.contrastRatio( white ) - TColor.WCAG_AA ) < 1e-3 );
+				assert.ok( adjusted.contrastRatio( white ) >= TColor.WCAG_AA );
+				assert.ok( lch[0] < original[0] );
+				assert.ok( Math.abs( lch[1] - original[1] ) < 1e-3 );
+				assert.ok( Math.abs( lch[2] - original[2] ) < 1e-3 );
+				assert.equal( blue.red(), 0.4 );
+			});
+			it('should lighten on dark backgrounds', function(){
+				var bg = TColor.newGray( 0.2 ),
+					adjusted = TColor.newRGB( 0.4, 0.1, 0.1 ).getAdjustedForContrast( bg, TColor.WCAG_AAA, 'lch' );
+				assert.ok( adjusted.contrastRatio( bg ) >= TColor.WCAG_AAA );
+				assert.ok( adjusted.toLabAArray()[0] > 50 );
+			});
+			it('should reach ratios only white or black reaches in CIE LCh', function(){
+				var bg = TColor.newHex( '7063cf' ),
+					color = TColor.newHex( '3dbc84' );
+				['lch', 'lab'].forEach(function( space ){
+					var adjusted = color.getAdjustedForContrast( bg, TColor.WCAG_AA, space );
+					assert.ok( adjusted.contrastRatio( bg ) >= TColor.WCAG_AA, space );
+					assert.ok( adjusted.equals( white ), space );
+				});
+			});
+			it('should go to the extreme if the ratio cannot be reached', function(){
+				var adjusted = blue.getAdjustedForContrast( TColor.newGray( 0.5 ), TColor.WCAG_AAA );
+				assert.ok( adjusted.equals( black ) );
+			});
+			it('should throw for an unknown color space', function(){
+				assert.throws(function(){
+					blue.getAdjustedForContrast( white, TColor.WCAG_AA, 'hsv' );
+				});
+			});
+		});
+	});
+
+	describe('color blindness', function(){
+		var TColor = toxi.color.TColor,
+			red = TColor.newRGB( 1, 0, 0 ),
+			green = TColor.newRGB( 0, 0.5, 0 );
+
+		it('should keep grays', function(){
+			var gray = TColor.newGray( 0.6 );
+			TColor.COLOR_BLINDNESS_TYPES.forEach(function( type ){
+				var c = gray.getSimulatedColorBlindness( type );
+				[c.red(), c.green(), c.blue()].forEach(function( v ){
+					assert.ok( Math.abs( v - 0.6 ) < 1e-5, type );
+				});
+			});
+		});
+		it('should not change anything without severity', function(){
+			assert.ok( red.getSimulatedColorBlindness( TColor.PROTANOPIA, 0 ).equals( red ) );
+			['ff0000', '1f77b4', '7f7f7f'].forEach(function( hex ){
+				TColor.COLOR_BLINDNESS_TYPES.forEach(function( type ){
+					var c = TColor.newHex( hex );
+					assert.equal( c.copy().simulateColorBlindness( type, 0 ).toHex(), c.toHex() );
+				});
+			});
+			assert.throws(function(){
+				red.getSimulatedColorBlindness( 'monochromacy', 0 );
+			});
+		});
+		it('should make red and green look alike for protanopia and deuteranopia', function(){
+			[TColor.PROTANOPIA, TColor.DEUTERANOPIA].forEach(function( type ){
+				var r = red.getSimulatedColorBlindness( type ),
+					g = green.getSimulatedColorBlindness( type );
+				assert.ok( r.distanceToCIEDE2000( g ) < red.distanceToCIEDE2000( green ) / 4, type );
+				assert.ok( r.hue() > 0.1 && r.hue() < 0.2, type );
+			});
+			assert.ok( red.getSimulatedColorBlindness( TColor.TRITANOPIA ).distanceToCIEDE2000( red ) < 5 );
+		});
+		it('should increase the effect with the severity', function(){
+			var mild = red.getSimulatedColorBlindness( TColor.DEUTERANOPIA, 0.3 ),
+				strong = red.getSimulatedColorBlindness( TColor.DEUTERANOPIA, 0.7 );
+			assert.ok( mild.distanceToCIEDE2000( red ) < strong.distanceToCIEDE2000( red ) );
+		});
+		it('should keep the relative luminance for achromatopsia', function(){
+			var c = TColor.newRGB( 0.2, 0.7, 0.4 ),
+				gray = c.getSimulatedColorBlindness( TColor.ACHROMATOPSIA );
+			assert.equal( gray.saturation(), 0 );
+			assert.ok( Math.abs( gray.relativeLuminance() - c.relativeLuminance() ) < 1e-9 );
+		});
+		it('should change the color in place', function(){
+			var c = red.copy();
+			assert.equal( c.simulateColorBlindness( TColor.PROTANOPIA ), c );
+			assert.ok( !c.equals( red ) );
+			assert.equal( red.red(), 1 );
+		});
+		it('should throw for an unknown deficiency', function(){
+			assert.throws(function(){
+				red.getSimulatedColorBlindness( 'monochromacy' );
+			});
+		});
+	});
+
+	describe('OKLab and CSS Color 4', function(){
+		var TColor = toxi.color.TColor,
+			red = TColor.newRGB( 1, 0, 0 );
+
+		var assertRGB = function( color, rgb, tolerance ){
+			[color.red(), color.green(), color.blue()].forEach(function( c, i ){
+				assert.ok( Math.abs( c - rgb[i] ) < (tolerance || 1e-3), color.toString() );
+			});
+		};
+
+		it('should convert to OKLab and OKLCh', function(){
+			var lab = red.toOKLabAArray(),
+				lch = red.toOKLChAArray();
+			[0.62796, 0.22486, 0.12585].forEach(function( v, i ){
+				assert.ok( Math.abs( lab[i] - v ) < 1e-5 );
+			});
+			assert.ok( Math.abs( lch[1] - 0.25768 ) < 1e-5 );
+			assert.ok( Math.abs( lch[2] - 29.2339 ) < 1e-3 );
+			assert.equal( lch[3], 1 );
+		});
+		it('should round trip OKLab', function(){
+			var color = TColor.newRGB( 0.2, 0.6, 0.9 );
+			assertRGB( TColor.newOKLab( color.toOKLabAArray() ), color.rgb, 1e-6 );
+			assertRGB( new TColor().setOKLCh( color.toOKLChAArray() ), color.rgb, 1e-6 );
+		});
+		it('should write oklch() strings', function(){
+			assert.equal( red.toOKLCHCSS(), 'oklch(62.8% 0.2577 29.23)' );
+			assert.equal( TColor.newGrayAlpha( 1, 0.5 ).toOKLCHCSS(), 'oklch(100% 0 0 / 0.5)' );
+			assertRGB( TColor.newCSS( red.toOKLCHCSS() ), red.rgb );
+		});
+
+		describe('gamut mapping', function(){
+			it('should keep colors in gamut', function(){
+				var rgb = TColor.gamutMapRGB( 0.2, 0.5, 0.7 );
+				assert.deepEqual( rgb, [0.2, 0.5, 0.7] );
+			});
+			it('should reduce the chroma of colors out of gamut', function(){
+				var color = TColor.newOKLCh( 0.7, 0.4, 150 ),
+					lch = color.toOKLChAArray();
+				assert.ok( lch[1] < 0.4 );
+				assert.ok( lch[1] > 0.15 );
+				//clipping may move it by a just noticeable difference
+				assert.ok( Math.abs( lch[0] - 0.7 ) < 0.02 );
+				assert.ok( Math.abs( lch[2] - 150 ) < 5 );
+			});
+			it('should map lightness beyond the range to white and black', function(){
+				assert.deepEqual( TColor.gamutMapOKLCh( 1.2, 0.1, 30 ), [1, 1, 1] );
+				assert.deepEqual( TColor.gamutMapOKLCh( -0.1, 0.1, 30 ), [0, 0, 0] );
+			});
+			it('should keep lightness and hue of a wide gamut red', function(){
+				var rgb = TColor.gamutMapRGB( 1.09, -0.23, -0.15 ),
+					lab = TColor.rgbToOKLab( 1.09, -0.23, -0.15 ),
+					expected = TColor.labToLCh( lab[0], lab[1], lab[2] ),
+					lch = TColor.newRGB( rgb[0], rgb[1], rgb[2] ).toOKLChAArray();
+				rgb.forEach(function( c ){
+					assert.ok( c >= 0 && c <= 1 );
+				});
+				assert.ok( Math.abs( lch[0] - expected[0] ) < 0.02 );
+				assert.ok( Math.abs( lch[2] - expected[2] ) < 5 );
+				assert.ok( lch[1] < expected[1] );
+			});
+		});
+
+		describe('newCSS', function(){
+			it('should parse oklch() and oklab()', function(){
+				assertRGB( TColor.newCSS( 'oklch(62.8% 0.2577 29.23)' ), [1, 0, 0] );
+				assertRGB( TColor.newCSS( 'oklch(0.628 0.2577 29.23deg)' ), [1, 0, 0] );
+				assertRGB( TColor.newCSS( 'oklab(0.62796 0.22486 0.12585)' ), [1, 0, 0] );
+				assertRGB( TColor.newCSS( 'oklab(62.796% 56.215% 31.4625%)' ), [1, 0, 0] );
+			});
+			it('should parse lab() and lch() relative to D50', function(){
+				assertRGB( TColor.newCSS( 'lab(54.29 80.8 69.89)' ), [1, 0, 0] );
+				assertRGB( TColor.newCSS( 'LCH(54.29% 106.84 40.85)' ), [1, 0, 0] );
+			});
+			it('should parse hwb()', function(){
+				assertRGB( TColor.newCSS( 'hwb(120 20% 20%)' ), [0.2, 0.8, 0.2], 1e-9 );
+				assertRGB( TColor.newCSS( 'hwb(0.5turn 0% 0%)' ), [0, 1, 1], 1e-9 );
+				assertRGB( TColor.newCSS( 'hwb(0 60% 60%)' ), [0.5, 0.5, 0.5], 1e-9 );
+			});
+			it('should parse color()', function(){
+				assertRGB( TColor.newCSS( 'color(srgb 1 0.5 0)' ), [1, 0.5, 0], 1e-9 );
+				assertRGB( TColor.newCSS( 'color(srgb-linear 0.5 0.5 0.5)' ), [0.7354, 0.7354, 0.7354] );
+				assertRGB( TColor.newCSS( 'color(display-p3 0.9175 0.2003 0.1387)' ), [1, 0, 0] );
+			});
+			it('should map display-p3 colors into gamut', function(){
+				var color = TColor.newCSS( 'color(display-p3 1 0 0)' ),
+					hue = red.toOKLChAArray()[2];
+				assert.ok( color.red() > 0.99 );
+				assert.ok( Math.abs( color.toOKLChAArray()[2] - hue ) < 1 );
+			});
+			it('should parse the alpha after a slash', function(){
+				assert.equal( TColor.newCSS( 'oklch(50% 0.1 200 / 0.25)' ).alpha(), 0.25 );
+				assert.equal( TColor.newCSS( 'hwb(0 0% 0% / 50%)' ).alpha(), 0.5 );
+			});
+			it('should treat none as zero', function(){
+				assertRGB( TColor.newCSS( 'oklch(60% none none)' ), TColor.newOKLab( 0.6, 0, 0 ).rgb, 1e-9 );
+			});
+			it('should return undefined for invalid values', function(){
+				assert.equal( TColor.newCSS( 'lab(foo 1 2)' ), undefined );
+				assert.equal( TColor.newCSS( 'color(rec2020 1 0 0)' ), undefined );
+			});
+		});
+	});
 });
@@ -50,6 +50,35 @@ describe('toxi.color.ToneMap', function(){
         });
     });
 
+    describe('color spaces', function(){
+        var red = TColor.newRGB( 1, 0, 0 ),
+            blue = TColor.newRGB( 0, 0, 1 ),
+            colorSpaces = toxi.color.colorSpaces;
+
+        it('should calculate the gradient in the given color space', function(){
+            var rgb = new ToneMap( 0, 1, red, blue, 3 ),
+                oklch = new ToneMap( 0, 1, red, blue, 3, colorSpaces.OKLCH );
+            assert.ok( oklch.colors.get(1).toLChAArray()[1] > rgb.colors.get(1).toLChAArray()[1] + 10 );
+        });
+
+        it('should blend between neighbouring colors after #setColorSpace()', function(){
+            var tm = new ToneMap( 0, 1, red, blue ),
+                expected = colorSpaces.blend( red, blue, 0.25, colorSpaces.LAB );
+            assert.ok( tm.getToneFor( 0.25 ).equals( red ) );
+            tm.setColorSpace( colorSpaces.LAB );
+            assert.ok( tm.getToneFor( 0.25 ).equals( expected ) );
+            assert.ok( tm.getToneFor( 1 ).equals( blue ) );
+            tm.setColorSpace( undefined );
+            assert.ok( tm.getToneFor( 0.25 ).equals( red ) );
+        });
+
+        it('should throw for an unknown color space', function(){
+            assert.throws(function(){
+                new ToneMap( 0, 1, red, blue ).setColorSpace( 'cmy' );
+            });
+        });
+    });
+
     //setup instance
     var tm = new ToneMap( 0.1, 0.8, TColor.newRandom(), TColor.newRandom(), 8 );
 
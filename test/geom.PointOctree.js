@@ -0,0 +1,112 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var PointOctree = toxi.geom.PointOctree,
+	AABB = toxi.geom.AABB,
+	Sphere = toxi.geom.Sphere,
+	Vec3D = toxi.geom.Vec3D;
+
+describe("toxi.geom.PointOctree", function(){
+	var createPoints = function( num ){
+		var points = [];
+		for( var i=0; i<num; i++ ){
+			points.push( new Vec3D( Math.random() * 100, Math.random() * 100, Math.random() * 100 ) );
+		}
+		return points;
+	};
+	var sortByDistance = function( points, p ){
+		return points.slice(0).sort(function( a, b ){
+			return a.distanceToSquared( p ) - b.distanceToSquared( p );
+		});
+	};
+
+	describe("constructor", function(){
+		it('should be an AABB spanning from its corner', function(){
+			var tree = new PointOctree( new Vec3D(-50, -50, -50), 100 );
+			assert.ok( tree instanceof AABB );
+			assert.ok( tree.getMin().equals( new Vec3D(-50, -50, -50) ) );
+			assert.ok( tree.getMax().equals( new Vec3D(50, 50, 50) ) );
+			assert.equal( tree.getSize(), 100 );
+		});
+	});
+	describe("#addPoint()", function(){
+		it('should only add points inside the tree', function(){
+			var tree = new PointOctree( new Vec3D(), 100 );
+			assert.ok( tree.addPoint( new Vec3D(10, 20, 30) ) );
+			assert.ok( tree.addPoint( new Vec3D(100, 100, 100) ) );
+			assert.equal( tree.addPoint( new Vec3D(-1, 20, 30) ), false );
+			assert.equal( tree.getPoints().length, 2 );
+		});
+		it('should subdivide down to the minimum node size', function(){
+			var tree = new PointOctree( new Vec3D(), 64 ),
+				p = new Vec3D(1, 1, 1),
+				leaf;
+			tree.setMinNodeSize( 16 );
+			tree.addPoint( p );
+			leaf = tree.getLeafForPoint( p );
+			assert.equal( leaf.getSize(), 16 );
+			assert.equal( leaf.getDepth(), 2 );
+			assert.equal( leaf.getParent().getParent(), tree );
+			assert.equal( tree.getNumChildren(), 1 );
+		});
+	});
+	describe("#remove()", function(){
+		it('should remove points by reference', function(){
+			var tree = new PointOctree( new Vec3D(), 100 ),
+				points = createPoints( 50 );
+			tree.addAll( points );
+			assert.ok( tree.remove( points[0] ) );
+			assert.equal( tree.remove( points[0] ), false );
+			assert.equal( tree.remove( points[1].copy() ), false );
+			assert.equal( tree.getPoints().length, 49 );
+			assert.ok( tree.removeAll( points.slice(1) ) );
+			assert.equal( tree.getPoints().length, 0 );
+		});
+		it('should prune empty branches with auto reduction', function(){
+			var tree = new PointOctree( new Vec3D(), 100 ),
+				p = new Vec3D(90, 90, 90);
+			tree.setTreeAutoReduction( true );
+			tree.addPoint( new Vec3D(10, 10, 10) );
+			tree.addPoint( p );
+			assert.equal( tree.getNumChildren(), 2 );
+			tree.remove( p );
+			assert.equal( tree.getNumChildren(), 1 );
+			assert.equal( tree.getLeafForPoint( p ), undefined );
+		});
+	});
+	describe("queries", function(){
+		var tree = new PointOctree( new Vec3D(), 100 ),
+			points = createPoints( 2000 );
+		tree.addAll( points );
+
+		it('should find all points within an AABB', function(){
+			var box = AABB.fromMinMax( new Vec3D(20, 30, 40), new Vec3D(45, 70, 60) ),
+				expected = points.filter(function( p ){ return p.isInAABB( box ); }),
+				found = tree.getPointsWithinAABB( box );
+			assert.equal( found.length, expected.length );
+			expected.forEach(function( p ){
+				assert.ok( found.indexOf( p ) >= 0 );
+			});
+		});
+		it('should find all points within a sphere', function(){
+			var sphere = new Sphere( new Vec3D(50, 40, 60), 20 ),
+				expected = points.filter(function( p ){ return p.distanceTo( sphere ) <= 20; });
+			assert.equal( tree.getPointsWithinSphere( sphere ).length, expected.length );
+			assert.equal( tree.getPointsWithinSphere( new Vec3D(50, 40, 60), 20 ).length, expected.length );
+		});
+		it('should find the nearest point', function(){
+			var q = new Vec3D(33, 66, 12);
+			assert.equal( tree.getNearestPoint( q ), sortByDistance( points, q )[0] );
+			//also from outside the tree
+			q = new Vec3D(-20, 50, 150);
+			assert.equal( tree.getNearestPoint( q ), sortByDistance( points, q )[0] );
+			assert.equal( tree.getNearestPoint( q, 1 ), undefined );
+		});
+		it('should find the k nearest points in order', function(){
+			var q = new Vec3D(70, 10, 45),
+				found = tree.getNearestPoints( q, 10 );
+			assert.deepEqual( found, sortByDistance( points, q ).slice( 0, 10 ) );
+		});
+	});
+});
@@ -0,0 +1,85 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var PointQuadtree = toxi.geom.PointQuadtree,
+	Rect = toxi.geom.Rect,
+	Circle = toxi.geom.Circle,
+	Vec2D = toxi.geom.Vec2D;
+
+describe("toxi.geom.PointQuadtree", function(){
+	var createPoints = function( num ){
+		var points = [];
+		for( var i=0; i<num; i++ ){
+			points.push( new Vec2D( Math.random() * 100, Math.random() * 100 ) );
+		}
+		return points;
+	};
+	var sortByDistance = function( points, p ){
+		return points.slice(0).sort(function( a, b ){
+			return a.distanceToSquared( p ) - b.distanceToSquared( p );
+		});
+	};
+
+	describe("constructor", function(){
+		it('should be a Rect', function(){
+			var tree = new PointQuadtree( 10, 20, 100 );
+			assert.ok( tree instanceof Rect );
+			assert.equal( tree.width, 100 );
+			assert.equal( tree.height, 100 );
+			tree = new PointQuadtree( new Vec2D(10, 20), 50 );
+			assert.equal( tree.x, 10 );
+			assert.equal( tree.y, 20 );
+			assert.equal( tree.getSize(), 50 );
+		});
+	});
+	describe("#addPoint() / #remove()", function(){
+		it('should only add points inside the tree', function(){
+			var tree = new PointQuadtree( 0, 0, 100 );
+			assert.ok( tree.addPoint( new Vec2D(10, 20) ) );
+			assert.ok( tree.addPoint( new Vec2D(100, 100) ) );
+			assert.equal( tree.addPoint( new Vec2D(101, 20) ), false );
+			assert.equal( tree.getPoints().length, 2 );
+		});
+		it('should remove points and prune empty branches', function(){
+			var tree = new PointQuadtree( 0, 0, 100 ),
+				p = new Vec2D(90, 10);
+			tree.setTreeAutoReduction( true );
+			tree.addPoint( new Vec2D(10, 10) );
+			tree.addPoint( p );
+			assert.equal( tree.getNumChildren(), 2 );
+			assert.ok( tree.remove( p ) );
+			assert.equal( tree.remove( p ), false );
+			assert.equal( tree.getNumChildren(), 1 );
+			assert.equal( tree.getPoints().length, 1 );
+		});
+	});
+	describe("queries", function(){
+		var tree = new PointQuadtree( 0, 0, 100 ),
+			points = createPoints( 2000 );
+		tree.setMinNodeSize( 4 );
+		tree.addAll( points );
+
+		it('should find all points within a rect', function(){
+			var rect = new Rect( 20, 30, 25, 40 ),
+				expected = points.filter(function( p ){ return p.isInRectangle( rect ); }),
+				found = tree.getPointsWithinRect( rect );
+			assert.equal( found.length, expected.length );
+			expected.forEach(function( p ){
+				assert.ok( found.indexOf( p ) >= 0 );
+			});
+		});
+		it('should find all points within a circle', function(){
+			var circle = new Circle( new Vec2D(50, 40), 20 ),
+				expected = points.filter(function( p ){ return p.distanceTo( circle ) <= 20; });
+			assert.equal( tree.getPointsWithinCircle( circle ).length, expected.length );
+			assert.equal( tree.getPointsWithinCircle( new Vec2D(50, 40), 20 ).length, expected.length );
+		});
+		it('should find the nearest points', function(){
+			var q = new Vec2D(33, 66);
+			assert.equal( tree.getNearestPoint( q ), sortByDistance( points, q )[0] );
+			assert.deepEqual( tree.getNearestPoints( q, 8 ), sortByDistance( points, q ).slice( 0, 8 ) );
+			assert.equal( tree.getNearestPoint( new Vec2D(-50, -50), 10 ), undefined );
+		});
+	});
+});
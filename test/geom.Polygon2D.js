@@ -110,6 +110,16 @@ describe('toxi.geom.Polygon2D', function(){
         });
     });
 
+    describe('Polygon2D.getSignedArea( points )', function(){
+        it('should match #getArea() and change sign with the order', function(){
+            var poly = new Rect(-1,-1,2,2).toPolygon2D(),
+                points = poly.vertices.slice();
+            assert.equal( Polygon2D.getSignedArea(points), poly.getArea() );
+            assert.equal( Math.abs(Polygon2D.getSignedArea(points)), 4 );
+            assert.equal( Polygon2D.getSignedArea(points.reverse()), -poly.getArea() );
+        });
+    });
+
     describe('#getEdges()', function(){
         it('should return an array of Line2D', function(){
             var poly = new Rect(-1,-1,2,2).toPolygon2D();
@@ -159,6 +169,10 @@ describe('toxi.geom.Polygon2D', function(){
             var poly = new Circle( new Vec2D(), 10 ).toPolygon2D(8);
             assert.ok( poly.isConvex() );
         });
+        it('should be a convex shape in either orientation', function(){
+            var poly = new Circle( new Vec2D(), 10 ).toPolygon2D(8).flipVertexOrder();
+            assert.ok( poly.isConvex() );
+        });
         it('should not be a convex shape', function(){
             var poly = new Polygon2D([
                 new Vec2D(-1,-1),
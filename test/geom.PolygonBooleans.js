@@ -0,0 +1,163 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Rect = toxi.geom.Rect,
+	Circle = toxi.geom.Circle,
+	Polygon2D = toxi.geom.Polygon2D,
+	PolygonBooleans = toxi.geom.PolygonBooleans;
+
+var square = function( x, y, size ){
+	return new Rect( x, y, size, size ).toPolygon2D();
+};
+
+//total area of polygons minus their holes
+var totalArea = function( polys ){
+	var area = 0;
+	polys.forEach(function( p ){
+		area += Math.abs( p.getArea() );
+		p.holes.forEach(function( h ){
+			area -= Math.abs( h.getArea() );
+		});
+	});
+	return area;
+};
+
+var assertClose = function( a, b, tolerance ){
+	assert.ok( Math.abs( a - b ) <= (tolerance || 1e-9), a + " should be close to " + b );
+};
+
+describe('toxi.geom.PolygonBooleans', function(){
+	it('should be the same module as toxi.geom.polygonBooleans', function(){
+		assert.equal( PolygonBooleans, toxi.geom.polygonBooleans );
+	});
+	describe('overlapping squares', function(){
+		var a = square( 0, 0, 10 ),
+			b = square( 5, 5, 10 );
+		it('should compute the union', function(){
+			var result = a.union( b );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].getNumVertices(), 8 );
+			assert.equal( result[0].holes.length, 0 );
+			assertClose( totalArea( result ), 175 );
+		});
+		it('should compute the intersection', function(){
+			var result = a.intersection( b );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].getNumVertices(), 4 );
+			assertClose( totalArea( result ), 25 );
+			assert.ok( result[0].containsPoint( new Vec2D( 7, 7 ) ) );
+		});
+		it('should compute the difference', function(){
+			var result = a.difference( b );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].getNumVertices(), 6 );
+			assertClose( totalArea( result ), 75 );
+			assertClose( totalArea( b.difference( a ) ), 75 );
+		});
+		it('should compute the xor', function(){
+			var result = a.xor( b );
+			assert.equal( result.length, 2 );
+			assertClose( totalArea( result ), 150 );
+		});
+		it('should order outlines clockwise', function(){
+			assert.ok( a.union( b )[0].isClockwise() );
+			assert.ok( a.flipVertexOrder().copy().union( b )[0].isClockwise() );
+		});
+	});
+	describe('holes', function(){
+		it('should cut a hole out of a polygon', function(){
+			var result = square( 0, 0, 10 ).difference( square( 3, 3, 4 ) );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].holes.length, 1 );
+			assert.ok( !result[0].holes[0].isClockwise() );
+			assertClose( totalArea( result ), 84 );
+		});
+		it('should use holes of the input', function(){
+			var frame = square( 0, 0, 10 ),
+				result;
+			frame.holes = [ square( 2, 2, 6 ) ];
+			//fill the hole partially
+			result = frame.union( square( 4, 4, 2 ) );
+			assert.equal( result.length, 2 );
+			assertClose( totalArea( result ), 100 - 36 + 4 );
+			//an array of polygons uses the even-odd rule
+			result = PolygonBooleans.intersection( [ square( 0, 0, 10 ), square( 2, 2, 6 ) ], square( 5, 0, 10 ) );
+			assertClose( totalArea( result ), 50 - 18 );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].holes.length, 0 );
+		});
+		it('should handle the results as input', function(){
+			var ring = square( 0, 0, 10 ).difference( square( 3, 3, 4 ) ),
+				result = PolygonBooleans.union( ring, square( 20, 0, 5 ) );
+			assert.equal( result.length, 2 );
+			assertClose( totalArea( result ), 84 + 25 );
+		});
+	});
+	describe('degenerate cases', function(){
+		it('should merge squares sharing an edge', function(){
+			var result = square( 0, 0, 10 ).union( square( 10, 0, 10 ) );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].getNumVertices(), 4 );
+			assertClose( totalArea( result ), 200 );
+			assert.equal( square( 0, 0, 10 ).intersection( square( 10, 0, 10 ) ).length, 0 );
+		});
+		it('should keep squares touching at a corner separate', function(){
+			var result = square( 0, 0, 10 ).union( square( 10, 10, 10 ) );
+			assert.equal( result.length, 2 );
+			assertClose( totalArea( result ), 200 );
+		});
+		it('should handle identical polygons', function(){
+			var a = square( 0, 0, 10 );
+			assertClose( totalArea( a.union( a.copy() ) ), 100 );
+			assertClose( totalArea( a.intersection( a.copy() ) ), 100 );
+			assert.equal( a.difference( a.copy() ).length, 0 );
+			assert.equal( a.xor( a.copy() ).length, 0 );
+		});
+		it('should handle polygons inside each other', function(){
+			var a = square( 0, 0, 10 ),
+				b = square( 2, 2, 3 );
+			assertClose( totalArea( a.union( b ) ), 100 );
+			assertClose( totalArea( a.intersection( b ) ), 9 );
+			assert.equal( b.difference( a ).length, 0 );
+		});
+		it('should handle a self-intersecting polygon', function(){
+			//a bowtie, two triangles of 25 each
+			var bowtie = new Polygon2D([ new Vec2D(0, 0), new Vec2D(10, 10), new Vec2D(10, 0), new Vec2D(0, 10) ]),
+				result = bowtie.union( square( 20, 20, 1 ) );
+			assert.equal( result.length, 3 );
+			assertClose( totalArea( result ), 51 );
+		});
+		it('should throw for unknown operations', function(){
+			assert.throws(function(){
+				PolygonBooleans.compute( square( 0, 0, 1 ), square( 0, 0, 1 ), 'merge' );
+			});
+		});
+	});
+	describe('concave polygons', function(){
+		it('should split a U shape', function(){
+			var u = new Polygon2D([
+					new Vec2D(0, 0), new Vec2D(30, 0), new Vec2D(30, 30), new Vec2D(20, 30),
+					new Vec2D(20, 10), new Vec2D(10, 10), new Vec2D(10, 30), new Vec2D(0, 30)
+				]),
+				bar = new Rect( -5, 20, 40, 5 ).toPolygon2D(),
+				result = u.intersection( bar );
+			assert.equal( result.length, 2 );
+			assertClose( totalArea( result ), 100 );
+			result = u.union( bar );
+			assert.equal( result.length, 1 );
+			assert.equal( result[0].holes.length, 1 );
+			assertClose( totalArea( result ), 700 + 200 - 100 );
+		});
+		it('should match the area of circles', function(){
+			var a = new Circle( new Vec2D(0, 0), 10 ).toPolygon2D( 64 ),
+				b = new Circle( new Vec2D(5, 3), 8 ).toPolygon2D( 48 ),
+				union = totalArea( a.union( b ) ),
+				inter = totalArea( a.intersection( b ) );
+			assertClose( union + inter, Math.abs( a.getArea() ) + Math.abs( b.getArea() ), 1e-6 );
+			assertClose( totalArea( a.xor( b ) ), union - inter, 1e-6 );
+			assertClose( totalArea( a.difference( b ) ), union - Math.abs( b.getArea() ), 1e-6 );
+		});
+	});
+});
@@ -0,0 +1,189 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Rect = toxi.geom.Rect,
+	Circle = toxi.geom.Circle,
+	Polygon2D = toxi.geom.Polygon2D,
+	Triangle2D = toxi.geom.Triangle2D,
+	PolygonTriangulator = toxi.geom.PolygonTriangulator;
+
+var signedArea = function( a, b, c ){
+	return ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+};
+
+var uShape = function(){
+	return new Polygon2D([
+		new Vec2D(0, 0), new Vec2D(30, 0), new Vec2D(30, 30), new Vec2D(20, 30),
+		new Vec2D(20, 10), new Vec2D(10, 10), new Vec2D(10, 30), new Vec2D(0, 30)
+	]);
+};
+
+//checks the triangles cover the area without overlaps, in the orientation of the outline
+var assertTriangulation = function( triangles, poly, holes ){
+	var expected = poly.getArea(),
+		sign = expected > 0 ? 1 : -1,
+		sum = 0;
+	(holes || []).forEach(function( h ){
+		expected -= sign * Math.abs( h.getArea() );
+	});
+	triangles.forEach(function( t ){
+		var area = signedArea( t.a, t.b, t.c );
+		assert.ok( area * sign > 0, "triangle should keep the orientation of the outline" );
+		sum += area;
+		//the centroid of each triangle needs to be inside the shape
+		var c = t.computeCentroid();
+		assert.ok( poly.containsPoint( c ) );
+		(holes || []).forEach(function( h ){
+			assert.ok( !h.containsPoint( c ) );
+		});
+	});
+	assert.ok( Math.abs( sum - expected ) < 1e-9, sum + " should equal " + expected );
+};
+
+describe('toxi.geom.PolygonTriangulator', function(){
+	it('should be the same module as toxi.geom.polygonTriangulator', function(){
+		assert.equal( PolygonTriangulator, toxi.geom.polygonTriangulator );
+	});
+	describe('#triangulate()', function(){
+		it('should triangulate a convex polygon', function(){
+			var poly = new Circle( new Vec2D(), 10 ).toPolygon2D( 12 ),
+				triangles = PolygonTriangulator.triangulate( poly );
+			assert.equal( triangles.length, 10 );
+			assert.ok( triangles[0] instanceof Triangle2D );
+			assertTriangulation( triangles, poly );
+		});
+		it('should triangulate a concave polygon in both orientations', function(){
+			var poly = uShape();
+			assertTriangulation( poly.triangulate(), poly );
+			assert.equal( poly.triangulate().length, 6 );
+			poly.flipVertexOrder();
+			assertTriangulation( poly.triangulate(), poly );
+		});
+		it('should triangulate a star', function(){
+			var poly = new Polygon2D(),
+				i, r;
+			for( i=0; i<40; i++ ){
+				r = i % 2 === 0 ? 10 : 3 + (i % 7);
+				poly.add( Vec2D.fromTheta( i / 40 * Math.PI * 2 ).scaleSelf( r ) );
+			}
+			assert.ok( !poly.isConvex() );
+			assert.equal( poly.triangulate().length, 38 );
+			assertTriangulation( poly.triangulate(), poly );
+		});
+		it('should ignore collinear and duplicate points', function(){
+			var poly = new Polygon2D([
+				new Vec2D(0, 0), new Vec2D(5, 0), new Vec2D(10, 0), new Vec2D(10, 10),
+				new Vec2D(10, 10), new Vec2D(0, 10)
+			]);
+			poly.vertices.push( poly.vertices[0].copy() );
+			assertTriangulation( poly.triangulate(), poly );
+		});
+	});
+	describe('holes', function(){
+		it('should triangulate around a hole', function(){
+			var poly = new Rect( 0, 0, 10, 10 ).toPolygon2D(),
+				hole = new Rect( 3, 3, 4, 4 ).toPolygon2D(),
+				triangles = poly.triangulate( [hole] );
+			assert.equal( triangles.length, 8 );
+			assertTriangulation( triangles, poly, [hole] );
+			//orientation of the hole doesn't matter
+			hole.flipVertexOrder();
+			assertTriangulation( poly.triangulate( [hole] ), poly, [hole] );
+		});
+		it('should triangulate around multiple holes', function(){
+			var poly = uShape(),
+				holes = [
+					new Circle( new Vec2D(5, 20), 2 ).toPolygon2D( 10 ),
+					new Circle( new Vec2D(25, 20), 3 ).toPolygon2D( 7 ),
+					new Rect( 2, 2, 4, 4 ).toPolygon2D(),
+					new Rect( 24, 2, 4, 4 ).toPolygon2D(),
+					new Rect( 12, 3, 6, 4 ).toPolygon2D()
+				];
+			assertTriangulation( PolygonTriangulator.triangulate( poly, holes ), poly, holes );
+		});
+		it('should not overlap triangles for holes above one another', function(){
+			var poly = new Rect( 0, 0, 100, 100 ).toPolygon2D(),
+				holes = [];
+			[2, 5].forEach(function( num ){
+				holes = [];
+				for( var i=0; i<num; i++ ){
+					holes.push( new Rect( 10, 5 + i * 20, 10, 10 ).toPolygon2D() );
+				}
+				var triangles = PolygonTriangulator.triangulate( poly, holes );
+				assert.equal( triangles.length, 2 + 6 * num );
+				assertTriangulation( triangles, poly, holes );
+			});
+			//columns of holes, bridges of earlier holes run along the rows
+			holes = [];
+			for( var x=0; x<4; x++ ){
+				for( var y=0; y<4; y++ ){
+					holes.push( new Rect( 5 + x * 25, 5 + y * 25, 10 + x, 10 ).toPolygon2D() );
+				}
+			}
+			assertTriangulation( PolygonTriangulator.triangulate( poly, holes ), poly, holes );
+		});
+		it('should use the holes of a polygon', function(){
+			var poly = new Rect( 0, 0, 10, 10 ).toPolygon2D();
+			poly.holes = [ new Circle( new Vec2D(5, 5), 2 ).toPolygon2D( 16 ) ];
+			assertTriangulation( poly.triangulate(), poly, poly.holes );
+			poly = poly.difference( new Rect( 8, -1, 4, 4 ).toPolygon2D() )[0];
+			assertTriangulation( poly.triangulate(), poly, poly.holes );
+		});
+	});
+	describe('#getIndices()', function(){
+		it('should reference the input vertices', function(){
+			var poly = uShape(),
+				result = PolygonTriangulator.getIndices( poly );
+			assert.equal( result.indices.length, 18 );
+			result.indices.forEach(function( i ){
+				assert.ok( poly.vertices.indexOf( result.points[i] ) >= 0 );
+			});
+		});
+		it('should skip degenerate polygons', function(){
+			var result = PolygonTriangulator.getIndices( new Polygon2D([ new Vec2D(), new Vec2D(1, 1) ]) );
+			assert.equal( result.indices.length, 0 );
+		});
+	});
+	describe('Polygon2D#toMesh()', function(){
+		var meshArea = function( mesh ){
+			var area = 0;
+			mesh.faces.forEach(function( f ){
+				area += f.b.sub( f.a ).cross( f.c.sub( f.a ) ).magnitude() / 2;
+				assert.ok( f.normal.z > 0.999 );
+			});
+			return area;
+		};
+		it('should ear clip concave polygons', function(){
+			var poly = uShape(),
+				mesh = poly.toMesh();
+			assert.equal( mesh.getNumFaces(), 6 );
+			assert.ok( Math.abs( meshArea( mesh ) - poly.getArea() ) < 1e-9 );
+		});
+		it('should ear clip polygons with holes', function(){
+			var poly = new Rect( 0, 0, 10, 10 ).toPolygon2D();
+			poly.holes = [ new Rect( 3, 3, 4, 4 ).toPolygon2D() ];
+			assert.ok( Math.abs( meshArea( poly.toMesh() ) - 84 ) < 1e-9 );
+		});
+		it('should face the same way as the fan of convex polygons', function(){
+			var poly = new Circle( new Vec2D(), 10 ).toPolygon2D( 12 );
+			if( !poly.isClockwise() ){
+				poly.flipVertexOrder();
+			}
+			assert.equal( poly.toMesh().getNumFaces(), 12 );
+			meshArea( poly.toMesh() );
+		});
+		it('should throw for a fan center or extrusion of concave polygons', function(){
+			var poly = new Rect( 0, 0, 10, 10 ).toPolygon2D();
+			poly.holes = [ new Rect( 3, 3, 4, 4 ).toPolygon2D() ];
+			assert.throws(function(){
+				uShape().toMesh( null, null, 5 );
+			}, /convex polygon without holes/);
+			assert.throws(function(){
+				poly.toMesh( null, new Vec2D( 5, 5 ) );
+			}, /convex polygon without holes/);
+			assert.equal( uShape().toMesh( null, null, 0 ).getNumFaces(), 6 );
+		});
+	});
+});
@@ -0,0 +1,72 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var SpatialBins = toxi.geom.SpatialBins,
+	Vec2D = toxi.geom.Vec2D;
+
+describe("toxi.geom.SpatialBins", function(){
+	var createPoints = function( num ){
+		var rng = new toxi.math.Random( 7 ),
+			points = [];
+		for( var i=0; i<num; i++ ){
+			points.push( new Vec2D( rng.random() * 200 - 100, rng.random() * 200 - 100 ) );
+		}
+		return points;
+	};
+
+	it('should need a positive bin size', function(){
+		assert.throws(function(){
+			return new SpatialBins( 0 );
+		});
+	});
+	it('should index and unindex items by reference', function(){
+		var bins = new SpatialBins( 10 ),
+			p = new Vec2D( 5, -5 );
+		assert.ok( bins.index( p ) );
+		assert.ok( bins.isIndexed( p ) );
+		assert.equal( bins.isIndexed( p.copy() ), false );
+		assert.equal( bins.getNumItems(), 1 );
+		assert.ok( bins.unindex( p ) );
+		assert.equal( bins.unindex( p ), false );
+		assert.equal( bins.getNumItems(), 0 );
+	});
+	it('should find items that moved since they were indexed', function(){
+		var bins = new SpatialBins( 10 ),
+			p = new Vec2D( 5, 5 );
+		bins.index( p );
+		p.set( 55, 55 );
+		assert.equal( bins.itemsWithinRadius( p, 1 ).length, 0 );
+		assert.ok( bins.reindex( p ) );
+		assert.equal( bins.itemsWithinRadius( p, 1 )[0], p );
+		assert.equal( bins.getNumItems(), 1 );
+	});
+	it('should find all items within a radius', function(){
+		var bins = new SpatialBins( 15 ),
+			points = createPoints( 1000 ),
+			center = new Vec2D( -12, 30 ),
+			expected = points.filter(function( p ){ return p.distanceTo( center ) <= 25; }),
+			found;
+		points.forEach(function( p ){ bins.index( p ); });
+		found = bins.itemsWithinRadius( center, 25 );
+		assert.equal( found.length, expected.length );
+		expected.forEach(function( p ){
+			assert.ok( found.indexOf( p ) >= 0 );
+		});
+		bins.clear();
+		assert.equal( bins.itemsWithinRadius( center, 25 ).length, 0 );
+	});
+	it('should search large and infinite radii in the occupied bins only', function(){
+		var bins = new SpatialBins( 0.001 ),
+			points = createPoints( 200 ),
+			center = new Vec2D( 10, 10 ),
+			expected = points.filter(function( p ){ return p.distanceTo( center ) <= 1e6; }).length;
+		points.forEach(function( p ){ bins.index( p ); });
+		assert.equal( bins.itemsWithinRadius( center, Infinity ).length, 200 );
+		assert.equal( bins.itemsWithinRadius( center, 1e6 ).length, expected );
+		assert.equal( bins.itemsWithinRadius( new Vec2D( 1000, 1000 ), 10 ).length, 0 );
+		points.forEach(function( p ){ bins.unindex( p ); });
+		assert.equal( bins.numBins, 0 );
+		assert.equal( bins.itemsWithinRadius( center, Infinity ).length, 0 );
+	});
+});
@@ -238,6 +238,15 @@ describe("toxi.geom.Vec2D", function(){
 					assert.ok( vec.y <= jitVec.y && vec.y >= -jitVec.y );
 				});
 			});
+			describe("( x, null )", function(){
+				var vec = v.copy();
+				vec.jitter( jitVec.x, null );
+				it("should use the default generator for both axes", function(){
+					assert.ok( vec.x !== 0 && vec.y !== 0 );
+					assert.ok( vec.x <= jitVec.x && vec.x >= -jitVec.x );
+					assert.ok( vec.y <= jitVec.x && vec.y >= -jitVec.x );
+				});
+			});
 			describe("({x: 1, y: 1})", function(){
 				var vec = v.copy();
 				vec.jitter({x: jitVec.x, y: jitVec.y });
@@ -38,6 +38,24 @@ describe("toxi.geom.Vec3D", function(){
 					assert.notStrictEqual( v2, vec );
 				});
 			});
+			describe("#getComponent( id )", function(){
+				it("should return the component for an index", function(){
+					assert.equal( v.getComponent(0), v.x );
+					assert.equal( v.getComponent(1), v.y );
+					assert.equal( v.getComponent(2), v.z );
+				});
+				it("should return the component for an axis", function(){
+					assert.equal( v.getComponent(Vec3D.Axis.X), v.x );
+					assert.equal( v.getComponent(Vec3D.Axis.Y), v.y );
+					assert.equal( v.getComponent(Vec3D.Axis.Z), v.z );
+				});
+			});
+			describe("#setComponent( id, val )", function(){
+				it("should set the component for an index or axis", function(){
+					assert.ok( v.copy().setComponent(1, 5).equals(new Vec3D(0.1, 5, 0.3)) );
+					assert.ok( v.copy().setComponent(Vec3D.Axis.Z, 5).equals(new Vec3D(0.1, 0.2, 5)) );
+				});
+			});
 		});
 	});
 });
@@ -0,0 +1,213 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	Ray3D = toxi.geom.Ray3D,
+	Sphere = toxi.geom.Sphere,
+	Triangle3D = toxi.geom.Triangle3D,
+	BVH = toxi.geom.mesh.BVH,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh;
+
+//repeatable pseudo random numbers
+var createRandom = function( seed ){
+	return function(){
+		seed = (seed * 16807) % 2147483647;
+		return seed / 2147483647;
+	};
+};
+
+var randomVector = function( random ){
+	return new Vec3D( random() - 0.5, random() - 0.5, random() - 0.5 );
+};
+
+//nearest hit of the ray by testing every face
+var bruteForceRay = function( mesh, ray ){
+	var best = Infinity;
+	mesh.faces.forEach(function( f ){
+		var n = f.a.sub( f.c ).crossSelf( f.a.sub( f.b ) ),
+			denom = n.dot( ray.dir ),
+			t, p, bary;
+		if( denom === 0 ){
+			return;
+		}
+		t = n.dot( f.a.sub( ray ) ) / denom;
+		if( t <= 0 || t >= best ){
+			return;
+		}
+		p = ray.getPointAtDistance( t );
+		bary = [f.b.sub( p ).cross( f.c.sub( p ) ), f.c.sub( p ).cross( f.a.sub( p ) ), f.a.sub( p ).cross( f.b.sub( p ) )];
+		if( bary.every(function( b ){ return b.dot( n ) <= 0; }) || bary.every(function( b ){ return b.dot( n ) >= 0; }) ){
+			best = t;
+		}
+	});
+	return best;
+};
+
+describe('toxi.geom.mesh.BVH', function(){
+	var sphere = new Sphere( new Vec3D(), 1 ).toMesh( 20 );
+
+	describe('intersectRay()', function(){
+		it('should find the nearest face', function(){
+			var ray = new Ray3D( new Vec3D( 0, 0, -5 ), new Vec3D( 0, 0, 1 ) ),
+				hit = new BVH( sphere ).intersectRay( ray );
+			assert.ok( hit.isIntersection );
+			assert.ok( Math.abs( hit.dist - 4 ) < 1e-2 );
+			assert.ok( hit.pos.z < 0 );
+			assert.ok( sphere.faces.indexOf( hit.face ) >= 0 );
+		});
+		it('should return barycentric weights of the hit', function(){
+			var ray = new Ray3D( new Vec3D( 0.1, 0.2, -5 ), new Vec3D( 0, 0, 1 ) ),
+				hit = new BVH( sphere ).intersectRay( ray ),
+				f = hit.face,
+				b = hit.barycentric;
+			assert.ok( Math.abs( b.x + b.y + b.z - 1 ) < 1e-9 );
+			assert.ok( new Triangle3D( f.a, f.b, f.c ).fromBarycentric( b ).equalsWithTolerance( hit.pos, 1e-9 ) );
+		});
+		it('should match testing every face', function(){
+			var random = createRandom( 7 ),
+				bvh = new BVH( sphere ),
+				i, ray, hit, expected;
+			for( i=0; i<200; i++ ){
+				ray = new Ray3D( randomVector( random ).scaleSelf( 4 ), randomVector( random ).normalize() );
+				hit = bvh.intersectRay( ray );
+				expected = bruteForceRay( sphere, ray );
+				if( expected === Infinity ){
+					assert.equal( hit, undefined );
+				} else {
+					assert.ok( Math.abs( hit.dist - expected ) < 1e-6 );
+				}
+				assert.equal( bvh.intersectsRay( ray ), expected !== Infinity );
+			}
+		});
+		it('should ignore hits further than the maximum distance', function(){
+			var ray = new Ray3D( new Vec3D( 0, 0, -5 ), new Vec3D( 0, 0, 1 ) ),
+				bvh = new BVH( sphere );
+			assert.equal( bvh.intersectRay( ray, 3 ), undefined );
+			assert.equal( bvh.intersectsRay( ray, 3 ), false );
+		});
+	});
+
+	describe('getClosestPoint()', function(){
+		it('should find the closest point on the surface', function(){
+			var closest = new BVH( sphere ).getClosestPoint( new Vec3D( 0, 3, 0 ) );
+			assert.ok( closest.point.equalsWithTolerance( new Vec3D( 0, 1, 0 ), 1e-9 ) );
+			assert.ok( Math.abs( closest.dist - 2 ) < 1e-9 );
+		});
+		it('should match testing every face', function(){
+			var random = createRandom( 11 ),
+				bvh = new BVH( sphere ),
+				tri = new Triangle3D(),
+				i, p, closest, best;
+			for( i=0; i<50; i++ ){
+				p = randomVector( random ).scaleSelf( 4 );
+				closest = bvh.getClosestPoint( p );
+				best = Infinity;
+				sphere.faces.forEach(function( f ){
+					tri.set( f.a, f.b, f.c );
+					//inside the face or on its edges
+					var q = tri.computeNormal(),
+						onPlane = p.sub( q.scale( q.dot( p.sub( f.a ) ) ) );
+					if( tri.containsPoint( onPlane ) ){
+						best = Math.min( best, p.distanceTo( onPlane ) );
+					}
+					best = Math.min( best, p.distanceTo( tri.getClosestPointTo( p ) ) );
+				});
+				assert.ok( Math.abs( closest.dist - best ) < 1e-9 );
+				assert.ok( new Triangle3D( closest.face.a, closest.face.b, closest.face.c ).fromBarycentric( closest.barycentric ).equalsWithTolerance( closest.point, 1e-9 ) );
+			}
+		});
+		it('should return nothing beyond the maximum distance', function(){
+			assert.equal( new BVH( sphere ).getClosestPoint( new Vec3D( 0, 3, 0 ), 1 ), undefined );
+		});
+	});
+
+	describe('overlap queries', function(){
+		it('should find the faces in a sphere', function(){
+			var bvh = new BVH( sphere ),
+				query = new Sphere( new Vec3D( 1, 0, 0 ), 0.3 ),
+				faces = bvh.getFacesInSphere( query );
+			assert.ok( faces.length > 0 );
+			assert.ok( faces.length < sphere.getNumFaces() );
+			assert.ok( bvh.intersectsSphere( query ) );
+			assert.equal( bvh.intersectsSphere( new Sphere( new Vec3D(), 0.5 ) ), false );
+		});
+		it('should find the faces in a box', function(){
+			var bvh = new BVH( sphere ),
+				box = new AABB( new Vec3D( 0, 1, 0 ), 0.2 ),
+				faces = bvh.getFacesInBox( box );
+			assert.ok( faces.length > 0 );
+			faces.forEach(function( f ){
+				assert.ok( f.getCentroid().y > 0.5 );
+			});
+			assert.ok( bvh.intersectsBox( box ) );
+			assert.equal( bvh.intersectsBox( new AABB( new Vec3D(), 0.3 ) ), false );
+		});
+	});
+
+	describe('intersectsMesh()', function(){
+		it('should detect crossing meshes', function(){
+			var bvh = new BVH( sphere ),
+				cube = new AABB( new Vec3D( 1, 0, 0 ), 0.5 ).toMesh();
+			assert.ok( bvh.intersectsMesh( cube ) );
+			assert.ok( bvh.getIntersectingFaces( new BVH( cube ) ).length > 0 );
+		});
+		it('should not report a mesh inside the other', function(){
+			var bvh = new BVH( sphere ),
+				cube = new AABB( new Vec3D(), 0.3 ).toMesh();
+			assert.equal( bvh.intersectsMesh( cube ), false );
+			assert.equal( bvh.getIntersectingFaces( cube ).length, 0 );
+		});
+	});
+
+	describe('refit()', function(){
+		it('should follow the transformed mesh', function(){
+			var mesh = new Sphere( new Vec3D(), 1 ).toMesh( 12 ),
+				bvh = mesh.getBVH(),
+				ray = new Ray3D( new Vec3D( 0, 0, -5 ), new Vec3D( 0, 0, 1 ) );
+			assert.ok( bvh.intersectsRay( ray ) );
+			mesh.translate( new Vec3D( 10, 0, 0 ) );
+			assert.equal( mesh.getBVH(), bvh );
+			assert.equal( bvh.intersectsRay( ray ), false );
+			assert.ok( bvh.getBoundingBox().getMin().x > 8 );
+			assert.ok( Math.abs( bvh.getClosestPoint( new Vec3D( 10, 3, 0 ) ).dist - 2 ) < 1e-9 );
+		});
+		it('should follow the centered mesh', function(){
+			[new Sphere( new Vec3D( 10, 0, 0 ), 1 ).toMesh( 12 ), new AABB( new Vec3D( 10, 0, 0 ), 1 ).toMesh( new WETriangleMesh() )].forEach(function( mesh ){
+				var bvh = mesh.getBVH();
+				assert.ok( bvh.getBoundingBox().getMin().x > 8 );
+				mesh.center();
+				assert.equal( mesh.getBVH(), bvh );
+				assert.ok( bvh.getBoundingBox().getMin().x < -0.9 );
+				assert.ok( bvh.intersectsRay( new Ray3D( new Vec3D( 0, 0, -5 ), new Vec3D( 0, 0, 1 ) ) ) );
+			});
+		});
+		it('should follow smoothing and updated vertices', function(){
+			var mesh = new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() ),
+				bvh = mesh.getBVH();
+			mesh.taubinSmooth( 2 );
+			assert.ok( bvh.getBoundingBox().getMax().x < 1 );
+			mesh.laplacianSmooth( 2 );
+			assert.ok( Math.abs( bvh.getBoundingBox().getMax().x - Math.max.apply( Math, mesh.vertices.map(function( v ){ return v.x; }) ) ) < 1e-9 );
+			mesh.updateVertex( mesh.vertices[0], new Vec3D( 5, 0, 0 ) );
+			assert.ok( Math.abs( bvh.getBoundingBox().getMax().x - 5 ) < 1e-9 );
+		});
+		it('should update the boxes after moving the vertices', function(){
+			var mesh = new AABB( new Vec3D(), 1 ).toMesh(),
+				bvh = new BVH( mesh, 1 );
+			mesh.vertices.forEach(function( v ){
+				v.scaleSelf( 2 );
+			});
+			bvh.refit();
+			assert.ok( bvh.getBoundingBox().getMax().equalsWithTolerance( new Vec3D( 2, 2, 2 ), 1e-9 ) );
+		});
+		it('should build a new tree for a changed number of faces', function(){
+			var mesh = new AABB( new Vec3D(), 1 ).toMesh(),
+				bvh = mesh.getBVH();
+			mesh.addFace( new Vec3D( 5, 5, 5 ), new Vec3D( 6, 5, 5 ), new Vec3D( 5, 6, 5 ) );
+			assert.notEqual( mesh.getBVH(), bvh );
+			assert.equal( mesh.getBVH().faces.length, 13 );
+		});
+	});
+});
@@ -0,0 +1,141 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	Sphere = toxi.geom.Sphere,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	CSG = toxi.geom.mesh.CSG;
+
+var createCube = function( center, extent ){
+	return new AABB( center || new Vec3D(), extent || 1 ).toMesh();
+};
+
+//signed volume, positive for the winding of AABB.toMesh
+var getVolume = function( mesh ){
+	var volume = 0;
+	mesh.faces.forEach(function( f ){
+		volume += f.a.dot( f.b.cross( f.c ) ) / 6;
+	});
+	return volume;
+};
+
+var validate = function( mesh ){
+	var we = new WETriangleMesh();
+	mesh.faces.forEach(function( f ){
+		we.addFace( f.a, f.b, f.c );
+	});
+	return we.validate();
+};
+
+var assertSolid = function( mesh ){
+	var report = validate( mesh );
+	assert.ok( mesh.getNumFaces() > 0 );
+	assert.ok( report.isClosed, 'closed' );
+	assert.ok( report.isValid, 'valid' );
+};
+
+describe('toxi.geom.mesh.CSG', function(){
+	var a = createCube(),
+		b = createCube( new Vec3D( 1, 1, 1 ) );
+
+	describe('overlapping cubes', function(){
+		it('should unite them', function(){
+			var result = CSG.union( a, b );
+			assertSolid( result );
+			assert.ok( Math.abs( getVolume( result ) - 15 ) < 1e-9 );
+		});
+		it('should subtract one from the other', function(){
+			var result = CSG.difference( a, b );
+			assertSolid( result );
+			assert.ok( Math.abs( getVolume( result ) - 7 ) < 1e-9 );
+		});
+		it('should intersect them', function(){
+			var result = CSG.intersection( a, b );
+			assertSolid( result );
+			assert.ok( Math.abs( getVolume( result ) - 1 ) < 1e-9 );
+			assert.ok( result.getBoundingBox().getMin().equalsWithTolerance( new Vec3D( 0, 0, 0 ), 1e-9 ) );
+			assert.ok( result.getBoundingBox().getMax().equalsWithTolerance( new Vec3D( 1, 1, 1 ), 1e-9 ) );
+		});
+		it('should not change the meshes', function(){
+			CSG.union( a, b );
+			assert.equal( a.getNumFaces(), 12 );
+			assert.equal( b.getNumFaces(), 12 );
+		});
+		it('should compute the normals of the result', function(){
+			var result = CSG.difference( a, b );
+			result.faces.forEach(function( f ){
+				assert.ok( Math.abs( f.normal.magnitude() - 1 ) < 1e-9 );
+			});
+			result.vertices.forEach(function( v ){
+				assert.ok( Math.abs( v.normal.magnitude() - 1 ) < 1e-9 );
+			});
+		});
+	});
+
+	describe('cube and sphere', function(){
+		var sphere = new Sphere( new Vec3D( 0.5, 0.3, 0.2 ), 1.2 ).toMesh( 20 ),
+			volumeA = getVolume( a ),
+			volumeSphere = Math.abs( getVolume( sphere ) );
+
+		it('should keep the volumes consistent', function(){
+			var union = CSG.union( a, sphere ),
+				difference = CSG.difference( a, sphere ),
+				intersection = CSG.intersection( a, sphere );
+			[union, difference, intersection].forEach( assertSolid );
+			assert.ok( Math.abs( getVolume( union ) + getVolume( intersection ) - volumeA - volumeSphere ) < 1e-6 );
+			assert.ok( Math.abs( getVolume( difference ) + getVolume( intersection ) - volumeA ) < 1e-6 );
+		});
+		it('should accept the sphere as first mesh', function(){
+			var result = CSG.difference( sphere, a );
+			assertSolid( result );
+			assert.ok( Math.abs( Math.abs( getVolume( result ) ) + getVolume( CSG.intersection( a, sphere ) ) - volumeSphere ) < 1e-6 );
+		});
+	});
+
+	describe('winding', function(){
+		it('should keep the winding of the first mesh', function(){
+			var flipped = createCube().flipVertexOrder(),
+				result = CSG.union( flipped, b );
+			assertSolid( result );
+			assert.ok( Math.abs( getVolume( result ) + 15 ) < 1e-9 );
+		});
+	});
+
+	describe('disjoint meshes', function(){
+		var c = createCube( new Vec3D( 5, 0, 0 ) );
+		it('should combine them in a union', function(){
+			var result = CSG.union( a, c );
+			assert.equal( result.getNumFaces(), 24 );
+			assert.ok( Math.abs( getVolume( result ) - 16 ) < 1e-9 );
+		});
+		it('should return the first one for a difference', function(){
+			var result = CSG.difference( a, c );
+			assert.equal( result.getNumFaces(), 12 );
+			assert.ok( Math.abs( getVolume( result ) - 8 ) < 1e-9 );
+		});
+		it('should return an empty mesh for an intersection', function(){
+			assert.equal( CSG.intersection( a, c ).getNumFaces(), 0 );
+		});
+	});
+
+	describe('solids', function(){
+		it('should round trip a mesh', function(){
+			var result = CSG.fromMesh( a ).toMesh();
+			assertSolid( result );
+			assert.equal( result.getNumFaces(), 12 );
+			assert.ok( Math.abs( getVolume( result ) - 8 ) < 1e-9 );
+		});
+		it('should turn a solid inside out', function(){
+			var result = CSG.fromMesh( a ).inverse().toMesh();
+			assert.ok( Math.abs( getVolume( result ) + 8 ) < 1e-9 );
+		});
+		it('should chain operations', function(){
+			var c = createCube( new Vec3D( -1, -1, -1 ) ),
+				result = CSG.fromMesh( a ).subtract( CSG.fromMesh( b ) ).subtract( CSG.fromMesh( c ) ).toMesh();
+			assertSolid( result );
+			assert.ok( Math.abs( getVolume( result ) - 6 ) < 1e-9 );
+		});
+	});
+});
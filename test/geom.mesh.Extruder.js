@@ -0,0 +1,201 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Vec3D = toxi.geom.Vec3D,
+	Rect = toxi.geom.Rect,
+	Circle = toxi.geom.Circle,
+	Polygon2D = toxi.geom.Polygon2D,
+	LineStrip3D = toxi.geom.LineStrip3D,
+	Spline3D = toxi.geom.Spline3D,
+	Extruder = toxi.geom.mesh.Extruder;
+
+//every edge needs to be shared by 2 faces using it in opposite directions
+var assertClosed = function( mesh ){
+	var edges = {};
+	mesh.faces.forEach(function( f ){
+		[[f.a, f.b], [f.b, f.c], [f.c, f.a]].forEach(function( e ){
+			var key = e[0].id + '-' + e[1].id;
+			assert.ok( edges[key] === undefined, "edge " + key + " is used twice in the same direction" );
+			edges[key] = true;
+		});
+	});
+	Object.keys( edges ).forEach(function( key ){
+		var ids = key.split('-');
+		assert.ok( edges[ids[1] + '-' + ids[0]], "edge " + key + " is open" );
+	});
+};
+
+//positive for faces pointing outwards
+var getVolume = function( mesh ){
+	var volume = 0;
+	mesh.faces.forEach(function( f ){
+		assert.ok( f.normal.dot( f.c.sub( f.a ).cross( f.b.sub( f.a ) ) ) > 0 );
+		volume += f.a.dot( f.c.cross( f.b ) ) / 6;
+	});
+	return volume;
+};
+
+var assertVolume = function( mesh, expected, tolerance ){
+	var volume = getVolume( mesh );
+	assert.ok( Math.abs( volume - expected ) <= (tolerance || 1e-6), volume + " should be close to " + expected );
+};
+
+var square = function( x, y, size ){
+	return new Rect( x, y, size, size ).toPolygon2D();
+};
+
+describe('toxi.geom.mesh.Extruder', function(){
+	it('should be the same module as toxi.geom.mesh.extruder', function(){
+		assert.equal( Extruder, toxi.geom.mesh.extruder );
+	});
+	describe('#extrude()', function(){
+		it('should extrude a polygon', function(){
+			var mesh = Extruder.extrude( square( 0, 0, 10 ), 5 );
+			assert.ok( mesh instanceof toxi.geom.mesh.TriangleMesh );
+			assert.equal( mesh.getNumFaces(), 12 );
+			assert.equal( mesh.getNumVertices(), 8 );
+			assertClosed( mesh );
+			assertVolume( mesh, 500 );
+		});
+		it('should extrude in both orientations and directions', function(){
+			assertVolume( Extruder.extrude( square( 0, 0, 10 ).flipVertexOrder(), 5 ), 500 );
+			var mesh = square( 0, 0, 10 ).extrude( -5 );
+			assertClosed( mesh );
+			assertVolume( mesh, 500 );
+			assert.equal( mesh.getBoundingBox().getMin().z, -5 );
+		});
+		it('should extrude a concave polygon with holes', function(){
+			var poly = new Polygon2D([
+					new Vec2D(0, 0), new Vec2D(30, 0), new Vec2D(30, 30), new Vec2D(20, 30),
+					new Vec2D(20, 10), new Vec2D(10, 10), new Vec2D(10, 30), new Vec2D(0, 30)
+				]),
+				holes = [ square( 2, 2, 4 ), square( 24, 2, 4 ).flipVertexOrder() ],
+				mesh = Extruder.extrude( poly, 2, { holes: holes } );
+			assertClosed( mesh );
+			assertVolume( mesh, (700 - 32) * 2 );
+			poly.holes = holes;
+			assertVolume( poly.extrude( 2 ), (700 - 32) * 2 );
+		});
+		it('should extrude a polygon with holes above one another into a closed mesh', function(){
+			var holes = [ square( 10, 10, 10 ), square( 10, 60, 10 ), square( 40, 10, 10 ), square( 40, 35, 10 ), square( 40, 60, 10 ) ],
+				mesh = Extruder.extrude( square( 0, 0, 100 ), 5, { holes: holes, mesh: new toxi.geom.mesh.WETriangleMesh() } ),
+				report = toxi.geom.mesh.MeshTopology.validate( mesh );
+			assert.ok( report.isClosed );
+			assert.ok( report.isManifold );
+			assertClosed( mesh );
+			assertVolume( mesh, (10000 - 500) * 5 );
+		});
+		it('should taper towards the top', function(){
+			var mesh = Extruder.extrude( square( 0, 0, 10 ), 6, { taper: 0.5 } );
+			assertClosed( mesh );
+			assertVolume( mesh, 6 / 3 * (100 + 25 + 50) );
+			//a taper of 0 creates a pyramid
+			mesh = Extruder.extrude( square( 0, 0, 10 ), 6, { taper: 0 } );
+			assertClosed( mesh );
+			assertVolume( mesh, 200 );
+		});
+		it('should bevel the caps', function(){
+			var mesh = Extruder.extrude( square( 0, 0, 10 ), 5, { bevel: 1 } ),
+				box = mesh.getBoundingBox();
+			assertClosed( mesh );
+			//the 4 chamfered edges of each cap are missing 0.5 each
+			assertVolume( mesh, 500 - 2 * 4 * 10 * 0.5 + 8 * 1 / 3 );
+			assert.ok( box.getMin().distanceTo( new Vec3D() ) < 1e-9 );
+			assert.ok( box.getMax().distanceTo( new Vec3D(10, 10, 5) ) < 1e-9 );
+			mesh = Extruder.extrude( new Circle( new Vec2D(), 5 ).toPolygon2D( 20 ), 3, { bevel: 1, bevelSegments: 4, taper: 0.8 } );
+			assertClosed( mesh );
+			assert.ok( getVolume( mesh ) > 0 );
+		});
+		it('should not allow bevels larger than half the depth', function(){
+			assert.throws(function(){
+				Extruder.extrude( square( 0, 0, 10 ), 2, { bevel: 1 } );
+			});
+		});
+	});
+
+	describe('#lathe()', function(){
+		var cylinderVolume = function( steps, radius, height ){
+			return steps * 0.5 * Math.sin( 2 * Math.PI / steps ) * radius * radius * height;
+		};
+		it('should close an open profile along the axis', function(){
+			var mesh = Extruder.lathe( [ new Vec2D(5, 0), new Vec2D(5, 10) ], { steps: 32 } );
+			assertClosed( mesh );
+			assertVolume( mesh, cylinderVolume( 32, 5, 10 ) );
+			//profiles touching the axis
+			mesh = Extruder.lathe( [ new Vec2D(0, 0), new Vec2D(5, 2), new Vec2D(3, 5), new Vec2D(0, 8) ] );
+			assertClosed( mesh );
+		});
+		it('should create caps on partial revolutions', function(){
+			var mesh = Extruder.lathe( [ new Vec2D(5, 0), new Vec2D(5, 10) ], { steps: 16, angle: Math.PI } );
+			assertClosed( mesh );
+			assertVolume( mesh, cylinderVolume( 32, 5, 10 ) / 2 );
+			assertVolume( Extruder.lathe( [ new Vec2D(5, 0), new Vec2D(5, 10) ], { steps: 16, angle: -Math.PI } ), cylinderVolume( 32, 5, 10 ) / 2 );
+		});
+		it('should revolve a closed profile', function(){
+			var profile = new Circle( new Vec2D(10, 0), 2 ).toPolygon2D( 12 ),
+				mesh = Extruder.lathe( profile, { steps: 24 } );
+			assertClosed( mesh );
+			//Pappus's theorem for a polygonal path
+			assertVolume( mesh, Math.abs( profile.getArea() ) * 2 * Math.PI * 10, 20 );
+		});
+	});
+
+	describe('#loft()', function(){
+		it('should connect polygons', function(){
+			var mesh = Extruder.loft( [ square( -5, -5, 10 ), square( -2.5, -2.5, 5 ) ], { spacing: 6 } );
+			assertClosed( mesh );
+			assertVolume( mesh, 6 / 3 * (100 + 25 + 50) );
+			mesh = Extruder.loft( [ square( 0, 0, 10 ), square( 0, 0, 10 ).flipVertexOrder(), square( 2, 2, 6 ) ], { z: [ 0, 1, 3 ] } );
+			assertClosed( mesh );
+		});
+		it('should require matching polygons', function(){
+			assert.throws(function(){
+				Extruder.loft( [ square( 0, 0, 10 ), new Circle( new Vec2D(), 5 ).toPolygon2D( 8 ) ] );
+			});
+			assert.throws(function(){
+				Extruder.loft( [ square( 0, 0, 10 ) ] );
+			});
+		});
+	});
+
+	describe('#sweep()', function(){
+		it('should sweep along a line strip', function(){
+			var path = new LineStrip3D().add( 0, 0, 0 ).add( 10, 0, 0 ),
+				mesh = Extruder.sweep( square( -1, -1, 2 ), path );
+			assertClosed( mesh );
+			assertVolume( mesh, 40 );
+		});
+		it('should sweep along a closed loop', function(){
+			var path = [],
+				i;
+			for( i=0; i<=32; i++ ){
+				path.push( new Vec3D( Math.cos( i / 32 * Math.PI * 2 ) * 10, Math.sin( i / 32 * Math.PI * 2 ) * 10, 0 ) );
+			}
+			path[32] = path[0].copy();
+			var mesh = Extruder.sweep( square( -1, -1, 2 ), path );
+			assertClosed( mesh );
+			assert.ok( Math.abs( getVolume( mesh ) - 4 * Math.PI * 2 * 10 ) < 4 );
+		});
+		it('should not twist along planar paths', function(){
+			var spline = new Spline3D([ new Vec3D(0, 0, 0), new Vec3D(10, 5, 0), new Vec3D(20, -5, 0), new Vec3D(30, 10, 0) ]),
+				mesh = Extruder.sweep( new Rect( -1, -1, 2, 2 ).toPolygon2D(), spline, { up: Vec3D.Z_AXIS, resolution: 12 } );
+			assertClosed( mesh );
+			assert.ok( getVolume( mesh ) > 0 );
+			mesh.vertices.forEach(function( v ){
+				assert.ok( Math.abs( Math.abs( v.z ) - 1 ) < 1e-6 );
+			});
+		});
+		it('should keep frames continuous along a helix', function(){
+			var path = [],
+				i, mesh;
+			for( i=0; i<=64; i++ ){
+				path.push( new Vec3D( Math.cos( i / 16 ) * 10, Math.sin( i / 16 ) * 10, i / 4 ) );
+			}
+			mesh = Extruder.sweep( new Circle( new Vec2D(), 1 ).toPolygon2D( 8 ), path, { twist: Math.PI } );
+			assertClosed( mesh );
+			assert.ok( getVolume( mesh ) > 0 );
+		});
+	});
+});
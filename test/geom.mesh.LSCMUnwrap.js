@@ -0,0 +1,137 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	LSCMUnwrap = toxi.geom.mesh.LSCMUnwrap,
+	LoopSubdivision = toxi.geom.mesh.subdiv.LoopSubdivision;
+
+var createSphere = function(){
+	var mesh = new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() );
+	new LoopSubdivision().subdivideMesh( mesh, 2 );
+	mesh.vertices.forEach(function( v ){
+		v.normalize();
+	});
+	mesh.rebuildIndex();
+	mesh.computeFaceNormals();
+	return mesh;
+};
+
+//a curved grid, which can be flattened without cuts
+var createSheet = function( n ){
+	var mesh = new WETriangleMesh(),
+		p = function( x, y ){
+			return new Vec3D( x, y, 0.05 * x * x );
+		},
+		x, y;
+	for( y=0; y<n; y++ ){
+		for( x=0; x<n; x++ ){
+			mesh.addFace( p(x,y), p(x+1,y), p(x+1,y+1) );
+			mesh.addFace( p(x,y), p(x+1,y+1), p(x,y+1) );
+		}
+	}
+	return mesh;
+};
+
+var signedArea = function( f ){
+	var a = f.uvB.sub( f.uvA ),
+		b = f.uvC.sub( f.uvA );
+	return (a.x * b.y - a.y * b.x) / 2;
+};
+
+var inUnitSquare = function( mesh ){
+	return mesh.faces.every(function( f ){
+		return [f.uvA, f.uvB, f.uvC].every(function( uv ){
+			return uv.x >= 0 && uv.x <= 1 && uv.y >= 0 && uv.y <= 1;
+		});
+	});
+};
+
+describe('toxi.geom.mesh.LSCMUnwrap', function(){
+	it('should keep a developable sheet in one chart', function(){
+		var sheet = createSheet( 4 );
+		assert.equal( new LSCMUnwrap().getCharts( sheet ).length, 1 );
+	});
+	it('should flatten a developable sheet without distortion', function(){
+		var sheet = createSheet( 4 ),
+			ratio;
+		new LSCMUnwrap().unwrap( sheet );
+		assert.ok( inUnitSquare( sheet ) );
+		sheet.faces.forEach(function( f ){
+			[[f.a, f.b, f.uvA, f.uvB], [f.b, f.c, f.uvB, f.uvC], [f.c, f.a, f.uvC, f.uvA]].forEach(function( e ){
+				var r = e[2].distanceTo( e[3] ) / e[0].distanceTo( e[1] );
+				ratio = ratio || r;
+				assert.ok( Math.abs( r / ratio - 1 ) < 0.02 );
+			});
+		});
+	});
+	it('should converge on faces of different sizes', function(){
+		//a flat grid, denser towards one corner
+		var mesh = new WETriangleMesh(),
+			n = 20,
+			p = function( x, y ){
+				return new Vec3D( Math.pow( x / n, 3 ), Math.pow( y / n, 2 ), 0 );
+			},
+			x, y, uvs;
+		for( y=0; y<n; y++ ){
+			for( x=0; x<n; x++ ){
+				mesh.addFace( p(x,y), p(x+1,y), p(x+1,y+1) );
+				mesh.addFace( p(x,y), p(x+1,y+1), p(x,y+1) );
+			}
+		}
+		uvs = new LSCMUnwrap({ maxIterations: 600 }).flattenChart( mesh.faces );
+		mesh.edges.forEach(function( e ){
+			assert.ok( Math.abs( uvs[e.a.id].distanceTo( uvs[e.b.id] ) - e.a.distanceTo( e.b ) ) < 1e-6 );
+		});
+	});
+	it('should split a sphere into charts', function(){
+		var sphere = createSphere(),
+			charts = new LSCMUnwrap().getCharts( sphere ),
+			count = 0;
+		assert.ok( charts.length > 1 );
+		charts.forEach(function( chart ){
+			count += chart.length;
+		});
+		assert.equal( count, sphere.getNumFaces() );
+	});
+	it('should unwrap a sphere without flipped or overlapping charts', function(){
+		var sphere = createSphere(),
+			unwrap = new LSCMUnwrap(),
+			charts = unwrap.getCharts( sphere ),
+			sign;
+		unwrap.unwrap( sphere );
+		assert.ok( inUnitSquare( sphere ) );
+		sign = signedArea( sphere.faces[0] ) > 0 ? 1 : -1;
+		sphere.faces.forEach(function( f ){
+			assert.ok( signedArea( f ) * sign > 0 );
+		});
+		//bounding rectangles of the charts
+		var boxes = charts.map(function( chart ){
+			var min = new toxi.geom.Vec2D( Infinity, Infinity ),
+				max = new toxi.geom.Vec2D( -Infinity, -Infinity );
+			chart.forEach(function( f ){
+				[f.uvA, f.uvB, f.uvC].forEach(function( uv ){
+					min.minSelf( uv );
+					max.maxSelf( uv );
+				});
+			});
+			return [min, max];
+		});
+		boxes.forEach(function( a, i ){
+			boxes.slice( i + 1 ).forEach(function( b ){
+				assert.ok( a[1].x <= b[0].x || b[1].x <= a[0].x || a[1].y <= b[0].y || b[1].y <= a[0].y );
+			});
+		});
+	});
+	it('should preserve angles on curved charts', function(){
+		var sphere = createSphere();
+		new LSCMUnwrap().unwrap( sphere );
+		sphere.faces.forEach(function( f ){
+			var r3 = f.b.distanceTo( f.a ) / f.c.distanceTo( f.a ),
+				r2 = f.uvB.distanceTo( f.uvA ) / f.uvC.distanceTo( f.uvA );
+			assert.ok( Math.abs( Math.log( r3 / r2 ) ) < 0.15 );
+		});
+	});
+});
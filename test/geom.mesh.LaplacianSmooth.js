@@ -0,0 +1,142 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	Random = toxi.math.Random,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	VertexSelector = toxi.geom.mesh.VertexSelector,
+	LaplacianSmooth = toxi.geom.mesh.LaplacianSmooth,
+	TaubinSmooth = toxi.geom.mesh.TaubinSmooth,
+	LoopSubdivision = toxi.geom.mesh.subdiv.LoopSubdivision;
+
+//a roughly round, closed mesh with noise added to its vertices
+var createNoisySphere = function(){
+	var mesh = new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() ),
+		rnd = new Random( 23 );
+	new LoopSubdivision().subdivideMesh( mesh, 3 );
+	mesh.vertices.forEach(function( v ){
+		v.normalize().jitter( 0.03, rnd );
+	});
+	mesh.rebuildIndex();
+	mesh.computeFaceNormals();
+	return mesh;
+};
+
+//a flat grid of nearly equilateral triangles
+var createGrid = function(){
+	var mesh = new WETriangleMesh(),
+		rnd = new Random( 5 ),
+		h = Math.sqrt( 3 ) / 2,
+		points = [],
+		x, y, row;
+	for( y=0; y<6; y++ ){
+		row = [];
+		for( x=0; x<6; x++ ){
+			row.push( new Vec3D( x + (y % 2) * 0.5 + rnd.float( -0.1, 0.1 ), y * h + rnd.float( -0.1, 0.1 ), 0 ) );
+		}
+		points.push( row );
+	}
+	for( y=0; y<5; y++ ){
+		for( x=0; x<5; x++ ){
+			if( y % 2 === 0 ){
+				mesh.addFace( points[y][x], points[y][x+1], points[y+1][x] );
+				mesh.addFace( points[y][x+1], points[y+1][x+1], points[y+1][x] );
+			} else {
+				mesh.addFace( points[y][x], points[y][x+1], points[y+1][x+1] );
+				mesh.addFace( points[y][x], points[y+1][x+1], points[y+1][x] );
+			}
+		}
+	}
+	return mesh;
+};
+
+//average angle between the normals of neighbouring faces
+var getRoughness = function( mesh ){
+	return mesh.edges.reduce(function( sum, e ){
+		return sum + e.faces[0].normal.angleBetween( e.faces[1].normal, true );
+	}, 0 ) / mesh.edges.length;
+};
+
+var getVolume = function( mesh ){
+	return mesh.faces.reduce(function( volume, f ){
+		return volume + f.a.dot( f.b.cross( f.c ) ) / 6;
+	}, 0 );
+};
+
+var copyPositions = function( mesh ){
+	return mesh.vertices.map(function( v ){ return v.copy(); });
+};
+
+describe('toxi.geom.mesh.LaplacianSmooth', function(){
+	it('should smooth and shrink a noisy mesh', function(){
+		var mesh = createNoisySphere(),
+			roughness = getRoughness( mesh ),
+			volume = Math.abs( getVolume( mesh ) );
+		assert.equal( new LaplacianSmooth().filter( mesh, 5 ), mesh );
+		assert.ok( getRoughness( mesh ) < roughness * 0.6 );
+		assert.ok( Math.abs( getVolume( mesh ) ) < volume * 0.9 );
+		//the index stays valid
+		mesh.vertices.forEach(function( v ){
+			assert.equal( mesh.getVertexAtPoint( v ), v );
+		});
+	});
+
+	it('should smooth a mesh without shrinking it with TaubinSmooth', function(){
+		var mesh = createNoisySphere(),
+			laplacian = createNoisySphere(),
+			roughness = getRoughness( mesh ),
+			volume = Math.abs( getVolume( mesh ) );
+		mesh.taubinSmooth( 5 );
+		laplacian.laplacianSmooth( 5 );
+		assert.ok( getRoughness( mesh ) < roughness * 0.6 );
+		assert.ok( Math.abs( Math.abs( getVolume( mesh ) ) - volume ) < Math.abs( Math.abs( getVolume( laplacian ) ) - volume ) / 4 );
+		assert.throws(function(){
+			return new TaubinSmooth({ mu: 0.5 });
+		});
+	});
+
+	it('should keep flat meshes in shape with cotangent weights', function(){
+		var uniform = createGrid(),
+			cotangent = createGrid(),
+			before = copyPositions( cotangent ),
+			moved = function( mesh ){
+				return Math.max.apply( Math, mesh.vertices.map(function( v, i ){
+					assert.equal( v.z, 0 );
+					return v.distanceTo( before[i] );
+				}));
+			};
+		uniform.laplacianSmooth( 3, { pinBoundary: true } );
+		cotangent.laplacianSmooth( 3, { pinBoundary: true, weighting: LaplacianSmooth.COTANGENT } );
+		assert.ok( moved( uniform ) > 0.01 );
+		assert.ok( moved( cotangent ) < 1e-9 );
+	});
+
+	it('should pin boundary and selected vertices', function(){
+		var mesh = createGrid(),
+			before = copyPositions( mesh ),
+			pinned = new VertexSelector( mesh ).selectSimilar( [before[14], before[15]] ),
+			isBoundary = function( v ){
+				return v.edges.some(function( e ){ return e.faces.length === 1; });
+			};
+		mesh.laplacianSmooth( 2, { pinBoundary: true, pinned: pinned } );
+		mesh.vertices.forEach(function( v, i ){
+			if( isBoundary( v ) || i === 14 || i === 15 ){
+				assert.ok( v.equals( before[i] ) );
+			} else {
+				assert.ok( !v.equals( before[i] ) );
+			}
+		});
+	});
+
+	it('should only smooth the vertices of a selection', function(){
+		var mesh = createNoisySphere(),
+			before = copyPositions( mesh ),
+			selector = new VertexSelector( mesh ).selectSimilar( before.slice( 0, 10 ) );
+		new TaubinSmooth().filter( selector, 2 );
+		mesh.vertices.forEach(function( v, i ){
+			assert.equal( v.equals( before[i] ), i >= 10 );
+		});
+	});
+});
@@ -0,0 +1,168 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	MeshSimplifier = toxi.geom.mesh.MeshSimplifier,
+	LoopSubdivision = toxi.geom.mesh.subdiv.LoopSubdivision;
+
+var createSphere = function(){
+	var mesh = new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() );
+	new LoopSubdivision().subdivideMesh( mesh, 3 );
+	mesh.vertices.forEach(function( v ){
+		v.normalize();
+	});
+	mesh.rebuildIndex();
+	mesh.computeFaceNormals();
+	return mesh;
+};
+
+//a flat, open grid in the xy plane with texture coordinates matching x and y
+var createGrid = function( n ){
+	var mesh = new WETriangleMesh(),
+		p = function( x, y ){ return new Vec3D( x / n, y / n, 0 ); },
+		uv = function( x, y ){ return new Vec2D( x / n, y / n ); },
+		x, y;
+	for( y=0; y<n; y++ ){
+		for( x=0; x<n; x++ ){
+			mesh.addFace( p(x,y), p(x+1,y), p(x+1,y+1), undefined, uv(x,y), uv(x+1,y), uv(x+1,y+1) );
+			mesh.addFace( p(x,y), p(x+1,y+1), p(x,y+1), undefined, uv(x,y), uv(x+1,y+1), uv(x,y+1) );
+		}
+	}
+	return mesh;
+};
+
+var faceArea = function( f ){
+	return f.a.sub( f.c ).cross( f.a.sub( f.b ) ).magnitude() / 2;
+};
+
+var totalArea = function( mesh ){
+	return mesh.faces.reduce(function( sum, f ){ return sum + faceArea( f ); }, 0);
+};
+
+describe('toxi.geom.mesh.MeshSimplifier', function(){
+	describe('closed mesh', function(){
+		var sphere = createSphere(),
+			numFaces = sphere.getNumFaces(),
+			orientation = sphere.faces[0].normal.dot( sphere.faces[0].getCentroid() ),
+			simple = new MeshSimplifier({ targetFaces: 200 }).simplify( sphere, new WETriangleMesh() );
+
+		it('should reduce to the target face count', function(){
+			assert.ok( simple.getNumFaces() <= 200 );
+			assert.ok( simple.getNumFaces() >= 190 );
+		});
+		it('should not modify the original', function(){
+			assert.equal( sphere.getNumFaces(), numFaces );
+		});
+		it('should return a WETriangleMesh', function(){
+			assert.ok( simple instanceof WETriangleMesh );
+		});
+		it('should create a mesh of the same type if none is given', function(){
+			var mesh = new MeshSimplifier({ targetFaces: 100 }).simplify( sphere ),
+				triangles = new AABB( new Vec3D(), 1 ).toMesh();
+			assert.ok( mesh instanceof WETriangleMesh );
+			assert.notEqual( mesh, sphere );
+			assert.ok( mesh.getNumFaces() <= 100 );
+			mesh = new MeshSimplifier({ targetFaces: 8 }).simplify( triangles );
+			assert.ok( mesh instanceof toxi.geom.mesh.TriangleMesh );
+			assert.ok( !(mesh instanceof WETriangleMesh) );
+			assert.notEqual( mesh, triangles );
+		});
+		it('should keep the mesh closed and manifold', function(){
+			simple.edges.forEach(function( e ){
+				assert.equal( e.faces.length, 2 );
+			});
+		});
+		it('should not create degenerate or flipped faces', function(){
+			simple.faces.forEach(function( f ){
+				assert.ok( faceArea( f ) > 1e-6 );
+				//same orientation as the faces of the original
+				assert.ok( f.normal.dot( f.getCentroid() ) * orientation > 0 );
+			});
+		});
+		it('should keep the shape', function(){
+			simple.vertices.forEach(function( v ){
+				assert.ok( Math.abs( v.magnitude() - 1 ) < 0.05 );
+			});
+		});
+		it('should default to half of the faces', function(){
+			var half = sphere.simplify();
+			assert.ok( half.getNumFaces() <= numFaces / 2 );
+			assert.ok( half.getNumFaces() >= numFaces / 2 - 4 );
+		});
+	});
+
+	describe('open mesh', function(){
+		var grid = createGrid( 8 );
+
+		it('should stop at the maximum error', function(){
+			var curved = createSphere(),
+				simple = curved.simplify({ targetFaces: 0, maxError: 0 });
+			//nothing on a sphere can be collapsed without error
+			assert.equal( simple.getNumFaces(), curved.getNumFaces() );
+		});
+		it('should collapse flat regions without changing them', function(){
+			var simple = grid.simplify({ targetFaces: 0, maxError: 1e-12 });
+			assert.ok( simple.getNumFaces() < grid.getNumFaces() / 2 );
+			assert.ok( Math.abs( totalArea( simple ) - 1 ) < 1e-9 );
+			simple.vertices.forEach(function( v ){
+				assert.ok( Math.abs( v.z ) < 1e-9 );
+			});
+		});
+		it('should keep boundary vertices on the boundary', function(){
+			var onBoundary = function( v ){
+				return v.x < 1e-9 || v.y < 1e-9 || v.x > 1 - 1e-9 || v.y > 1 - 1e-9;
+			};
+			var simple = grid.simplify( 20 ),
+				corners = 0;
+			simple.edges.forEach(function( e ){
+				if( e.faces.length === 1 ){
+					assert.ok( onBoundary( e.a ) && onBoundary( e.b ) );
+				}
+			});
+			simple.vertices.forEach(function( v ){
+				if( (v.x < 1e-9 || v.x > 1 - 1e-9) && (v.y < 1e-9 || v.y > 1 - 1e-9) ){
+					corners++;
+				}
+			});
+			assert.equal( corners, 4 );
+			assert.ok( Math.abs( totalArea( simple ) - 1 ) < 1e-9 );
+		});
+		it('should interpolate texture coordinates', function(){
+			var simple = grid.simplify( 20 );
+			simple.faces.forEach(function( f ){
+				assert.ok( f.uvA.distanceTo( new Vec2D( f.a.x, f.a.y ) ) < 1e-9 );
+				assert.ok( f.uvB.distanceTo( new Vec2D( f.b.x, f.b.y ) ) < 1e-9 );
+				assert.ok( f.uvC.distanceTo( new Vec2D( f.c.x, f.c.y ) ) < 1e-9 );
+			});
+		});
+		it('should keep texture seams', function(){
+			//the left and right half use separate parts of the texture
+			var mesh = new WETriangleMesh(),
+				n = 8,
+				p = function( x, y ){ return new Vec3D( x / n, y / n, 0 ); },
+				uv = function( x, y, right ){ return new Vec2D( x / n + (right ? 1 : 0), y / n ); },
+				x, y, r, simple;
+			for( y=0; y<n; y++ ){
+				for( x=0; x<n; x++ ){
+					r = x >= n / 2;
+					mesh.addFace( p(x,y), p(x+1,y), p(x+1,y+1), undefined, uv(x,y,r), uv(x+1,y,r), uv(x+1,y+1,r) );
+					mesh.addFace( p(x,y), p(x+1,y+1), p(x,y+1), undefined, uv(x,y,r), uv(x+1,y+1,r), uv(x,y+1,r) );
+				}
+			}
+			simple = mesh.simplify( 30 );
+			assert.ok( simple.getNumFaces() < mesh.getNumFaces() / 2 );
+			simple.faces.forEach(function( f ){
+				var right = f.getCentroid().x > 0.5;
+				[[f.a, f.uvA], [f.b, f.uvB], [f.c, f.uvC]].forEach(function( corner ){
+					//no face crosses the seam
+					assert.ok( right ? corner[0].x > 0.5 - 1e-9 : corner[0].x < 0.5 + 1e-9 );
+					assert.ok( corner[1].distanceTo( new Vec2D( corner[0].x + (right ? 1 : 0), corner[0].y ) ) < 1e-9 );
+				});
+			});
+		});
+	});
+});
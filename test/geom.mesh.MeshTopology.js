@@ -0,0 +1,172 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	MeshTopology = toxi.geom.mesh.MeshTopology;
+
+var createCube = function( center ){
+	return new AABB( center || new Vec3D(), 1 ).toMesh( new WETriangleMesh() );
+};
+
+//an open n x n grid in the xy plane
+var createGrid = function( n ){
+	var mesh = new WETriangleMesh(),
+		x, y;
+	for( y=0; y<n; y++ ){
+		for( x=0; x<n; x++ ){
+			mesh.addFace( new Vec3D( x, y, 0 ), new Vec3D( x+1, y, 0 ), new Vec3D( x+1, y+1, 0 ) );
+			mesh.addFace( new Vec3D( x, y, 0 ), new Vec3D( x+1, y+1, 0 ), new Vec3D( x, y+1, 0 ) );
+		}
+	}
+	return mesh;
+};
+
+describe('toxi.geom.mesh.MeshTopology', function(){
+	it('should be the same module as toxi.geom.mesh.meshTopology', function(){
+		assert.equal( MeshTopology, toxi.geom.mesh.meshTopology );
+	});
+	describe('queries', function(){
+		it('should order the one-ring of a vertex around it', function(){
+			var grid = createGrid( 2 ),
+				ring = grid.getOneRing( new Vec3D( 1, 1, 0 ) ),
+				i;
+			assert.equal( ring.length, 6 );
+			for( i=0; i<ring.length; i++ ){
+				//consecutive neighbours share a face with the vertex
+				assert.ok( grid.getEdge( ring[i], ring[(i+1) % ring.length] ) !== undefined );
+			}
+		});
+		it('should start the one-ring of a boundary vertex at the boundary', function(){
+			var grid = createGrid( 2 ),
+				ring = grid.getOneRing( new Vec3D( 1, 0, 0 ) );
+			assert.equal( ring.length, 4 );
+			assert.ok( grid.getEdge( new Vec3D( 1, 0, 0 ), ring[0] ).isBoundary() );
+			assert.ok( grid.getEdge( new Vec3D( 1, 0, 0 ), ring[3] ).isBoundary() );
+		});
+		it('should return an empty one-ring for unknown points', function(){
+			assert.deepEqual( createGrid( 1 ).getOneRing( new Vec3D( 5, 5, 5 ) ), [] );
+		});
+		it('should find the faces around an edge', function(){
+			var grid = createGrid( 1 );
+			assert.equal( grid.getEdgeFaces( new Vec3D( 0, 0, 0 ), new Vec3D( 1, 1, 0 ) ).length, 2 );
+			assert.equal( grid.getEdgeFaces( new Vec3D( 1, 0, 0 ), new Vec3D( 0, 0, 0 ) ).length, 1 );
+			assert.equal( grid.getEdgeFaces( new Vec3D( 1, 0, 0 ), new Vec3D( 0, 1, 0 ) ).length, 0 );
+		});
+		it('should find the faces of a vertex', function(){
+			var grid = createGrid( 2 ),
+				v = grid.vertexMap.get( new Vec3D( 1, 1, 0 ) );
+			assert.equal( v.getFaces().length, 6 );
+			assert.ok( !v.isBoundary() );
+			assert.ok( grid.vertexMap.get( new Vec3D( 0, 1, 0 ) ).isBoundary() );
+		});
+		it('should extract boundary loops in order', function(){
+			var grid = createGrid( 2 ),
+				loops = grid.getBoundaryLoops(),
+				loop = loops[0],
+				i;
+			assert.equal( grid.getBoundaryEdges().length, 8 );
+			assert.equal( loops.length, 1 );
+			assert.equal( loop.length, 8 );
+			for( i=0; i<loop.length; i++ ){
+				assert.ok( grid.getEdge( loop[i], loop[(i+1) % loop.length] ).isBoundary() );
+			}
+			assert.equal( createCube().getBoundaryLoops().length, 0 );
+		});
+		it('should split connected components', function(){
+			var mesh = createCube(),
+				parts;
+			mesh.addMesh( createCube( new Vec3D( 5, 0, 0 ) ) );
+			assert.equal( mesh.getComponents().length, 2 );
+			parts = mesh.splitComponents();
+			assert.equal( parts.length, 2 );
+			parts.forEach(function( part ){
+				assert.ok( part instanceof WETriangleMesh );
+				assert.equal( part.getNumFaces(), 12 );
+				assert.ok( part.validate().isClosed );
+			});
+		});
+	});
+
+	describe('validate', function(){
+		it('should accept a closed cube', function(){
+			var report = createCube().validate();
+			assert.ok( report.isValid );
+			assert.ok( report.isClosed );
+			assert.ok( report.isManifold );
+			assert.ok( report.isConsistent );
+		});
+		it('should report holes', function(){
+			var cube = createCube(),
+				report;
+			cube.removeFace( cube.faces[0] );
+			report = cube.validate();
+			assert.ok( !report.isClosed );
+			assert.ok( report.isValid );
+			assert.equal( report.holes.length, 1 );
+			assert.equal( report.holes[0].length, 3 );
+		});
+		it('should report inconsistent winding', function(){
+			var cube = createCube(),
+				report;
+			cube.faces[0].flipVertexOrder();
+			report = cube.validate();
+			assert.ok( !report.isConsistent );
+			assert.equal( report.inconsistentEdges.length, 3 );
+		});
+		it('should report duplicate faces and non-manifold edges', function(){
+			var grid = createGrid( 1 ),
+				f = grid.faces[0],
+				report;
+			grid.addFace( f.a, f.c, f.b );
+			report = grid.validate();
+			assert.equal( report.duplicateFaces.length, 1 );
+			assert.equal( report.nonManifoldEdges.length, 1 );
+			assert.ok( !report.isValid );
+		});
+	});
+
+	describe('repairs', function(){
+		it('should unify the winding with the majority', function(){
+			var cube = createCube(),
+				normal = cube.faces[3].normal.copy();
+			cube.faces[3].flipVertexOrder();
+			assert.equal( cube.unifyWinding(), 1 );
+			assert.ok( cube.validate().isConsistent );
+			assert.ok( cube.faces[3].normal.distanceTo( normal ) < 1e-9 );
+			assert.equal( cube.unifyWinding(), 0 );
+		});
+		it('should fill small holes', function(){
+			var cube = createCube(),
+				grid = createGrid( 2 );
+			cube.removeFace( cube.faces[0] );
+			assert.equal( cube.fillHoles(), 1 );
+			assert.ok( cube.validate().isClosed );
+			assert.ok( cube.validate().isValid );
+			assert.equal( grid.fillHoles( 4 ), 0 );
+			assert.equal( grid.fillHoles( 8 ), 1 );
+			assert.equal( grid.getNumFaces(), 16 );
+			assert.ok( grid.validate().isClosed );
+			assert.ok( grid.validate().isConsistent );
+		});
+		it('should weld vertices within the tolerance', function(){
+			var mesh = new WETriangleMesh(),
+				report;
+			mesh.addFace( new Vec3D( 0, 0, 0 ), new Vec3D( 1, 0, 0 ), new Vec3D( 1, 1, 0 ) );
+			mesh.addFace( new Vec3D( 0.001, 0, 0 ), new Vec3D( 1, 1.001, 0 ), new Vec3D( 0, 1, 0 ) );
+			//collapses into a line
+			mesh.addFace( new Vec3D( 0, 1, 0 ), new Vec3D( 0.002, 1, 0 ), new Vec3D( 0, 2, 0 ) );
+			assert.equal( mesh.weldVertices( 0.01 ), 4 );
+			assert.equal( mesh.getNumVertices(), 4 );
+			assert.equal( mesh.getNumFaces(), 2 );
+			report = mesh.validate();
+			assert.ok( report.isValid );
+			assert.equal( report.holes[0].length, 4 );
+		});
+		it('should be available without a mesh method', function(){
+			assert.equal( MeshTopology.getComponents( createCube() ).length, 1 );
+		});
+	});
+});
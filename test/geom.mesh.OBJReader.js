@@ -0,0 +1,94 @@
+/*global describe,it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var OBJReader = toxi.geom.mesh.OBJReader;
+
+describe('toxi.geom.mesh.OBJReader', function(){
+	var quad = [
+		'# a quad with uvs and normals',
+		'o quad',
+		'v 0 0 0',
+		'v 1 0 0',
+		'v 1 1 0',
+		'v 0 1 0',
+		'vt 0 0',
+		'vt 1 0',
+		'vt 1 1',
+		'vt 0 1',
+		'vn 0 0 2',
+		'f 1/1/1 2/2/1 3/3/1 4/4/1'
+	].join('\n');
+
+	describe('#parse()', function(){
+		var mesh = new OBJReader().parse( quad );
+		it('should return a TriangleMesh', function(){
+			assert.equal( mesh instanceof toxi.geom.mesh.TriangleMesh, true );
+		});
+		it('should triangulate the polygon', function(){
+			assert.equal( mesh.getNumVertices(), 4 );
+			assert.equal( mesh.getNumFaces(), 2 );
+		});
+		it('should keep the texture coordinates on the faces', function(){
+			mesh.faces.forEach(function( f ){
+				assert.equal( f.uvA.x, f.a.x );
+				assert.equal( f.uvA.y, f.a.y );
+				assert.equal( f.uvC.x, f.c.x );
+			});
+		});
+		it('should set the normalized vertex normals from the file', function(){
+			mesh.vertices.forEach(function( v ){
+				assert.equal( v.normal.z, 1 );
+			});
+		});
+		it('should orient faces like TriangleMesh#saveAsOBJ()', function(){
+			assert.equal( mesh.faces[0].normal.z, 1 );
+		});
+		it('should fill a provided WETriangleMesh', function(){
+			var we = new OBJReader().parse( quad, new toxi.geom.mesh.WETriangleMesh() );
+			assert.equal( we.getNumFaces(), 2 );
+			assert.equal( we.getNumEdges(), 5 );
+		});
+		it('should support negative indices', function(){
+			var m = new OBJReader().parse('v 0 0 0\nv 1 0 0\nv 0 1 0\nf -3 -2 -1');
+			assert.equal( m.getNumFaces(), 1 );
+		});
+	});
+
+	describe('round trip with OBJWriter', function(){
+		var sphere = new toxi.geom.Sphere(10).toMesh({ resolution: 10 });
+		var writer = new toxi.geom.mesh.OBJWriter();
+		sphere.saveAsOBJ( writer );
+		var mesh = new OBJReader().parse( writer.getOutput() );
+		it('should have the same vertices and faces', function(){
+			assert.equal( mesh.getNumVertices(), sphere.getNumVertices() );
+			assert.equal( mesh.getNumFaces(), sphere.getNumFaces() );
+		});
+		it('should have the same face orientation', function(){
+			assert.equal( mesh.faces[5].normal.distanceTo( sphere.faces[5].normal ) < 0.0001, true );
+		});
+	});
+
+	describe('malformed input', function(){
+		function throwsAtLine( str, line ){
+			var err;
+			try {
+				new OBJReader().parse( str );
+			} catch( e ){
+				err = e;
+			}
+			assert.equal( err instanceof Error, true );
+			assert.equal( err.line, line );
+			assert.equal( err.message.indexOf('line ' + line) > -1, true );
+		}
+		it('should report invalid numbers', function(){
+			throwsAtLine('v 0 0 0\nv 1 a 0', 2);
+		});
+		it('should report out of range indices', function(){
+			throwsAtLine('v 0 0 0\nv 1 0 0\n\nf 1 2 3', 4);
+		});
+		it('should report faces with too few vertices', function(){
+			throwsAtLine('v 0 0 0\nv 1 0 0\nf 1 2', 3);
+		});
+	});
+});
@@ -60,3 +60,110 @@ describe('toxi.geom.mesh.OBJWriter', function(){
 		}
 	});
 });
+
+describe('toxi.geom.mesh.OBJWriter streaming', function(){
+	var mesh = new toxi.geom.Sphere(10).toMesh({ resolution: 10 });
+
+	it('should write chunks to a WritableStream and end it', function(){
+		var chunks = [], ended = false;
+		var stream = {
+			writable: true,
+			write: function( str ){ chunks.push( str ); return true; },
+			end: function(){ ended = true; }
+		};
+		var obj = new toxi.geom.mesh.OBJWriter();
+		obj.beginSave( stream, 256 );
+		mesh.saveAsOBJ( obj );
+		assert.equal( chunks.length > 1, true );
+		obj.endSave();
+		assert.equal( ended, true );
+		assert.equal( obj.getOutput(), '' );
+		assert.equal( chunks.join('').indexOf('# generated by OBJExport'), 0 );
+	});
+
+	it('should wait for a full stream to drain', function(){
+		var EventEmitter = require('events').EventEmitter,
+			stream = new EventEmitter(),
+			chunks = [], full = false, ended = false, drained = false;
+		stream.writable = true;
+		stream.write = function( str ){
+			assert.equal( full, false, 'no writes to a full stream' );
+			chunks.push( str );
+			full = chunks.length % 2 === 1;
+			return !full;
+		};
+		stream.end = function(){ ended = true; };
+		var obj = new toxi.geom.mesh.OBJWriter();
+		obj.beginSave( stream, 256 );
+		mesh.saveAsOBJ( obj );
+		obj.endSave();
+		obj.onDrain(function(){ drained = true; });
+		assert.equal( chunks.length, 1 );
+		assert.equal( ended, false );
+		while( full ){
+			full = false;
+			stream.emit( 'drain' );
+		}
+		assert.equal( ended, true );
+		assert.equal( drained, true );
+		var buffered = new toxi.geom.mesh.OBJWriter();
+		buffered.beginSave();
+		mesh.saveAsOBJ( buffered );
+		assert.equal( chunks.join(''), buffered.getOutput() );
+	});
+
+	it('should pass chunks to a callback', function(){
+		var output = '';
+		var obj = new toxi.geom.mesh.OBJWriter();
+		obj.beginSave(function( str ){ output += str; });
+		mesh.saveAsOBJ( obj );
+		obj.endSave();
+		var buffered = new toxi.geom.mesh.OBJWriter();
+		buffered.beginSave();
+		mesh.saveAsOBJ( buffered );
+		assert.equal( output, buffered.getOutput() );
+	});
+
+	it('should write groups and materials', function(){
+		var obj = new toxi.geom.mesh.OBJWriter();
+		obj.beginSave('sphere.obj');
+		obj.materialLib('sphere.mtl');
+		obj.newGroup('shell');
+		mesh.saveAsOBJ( obj, true, 'red' );
+		var out = obj.getOutput();
+		assert.equal( obj.getFilename(), 'sphere.obj' );
+		assert.equal( out.indexOf('mtllib sphere.mtl\n') > 0, true );
+		assert.equal( out.indexOf('g shell\n') > 0, true );
+		assert.equal( out.indexOf('usemtl red\n') > out.indexOf('o '), true );
+	});
+
+	it('should write texture coordinates of faces', function(){
+		var obj = new toxi.geom.mesh.OBJWriter();
+		mesh.saveAsOBJ( obj );
+		var out = obj.getOutput();
+		assert.equal( obj.getCurrUVOffset() > 0, true );
+		assert.equal( /\nf \d+\/\d+\/\d+ /.test( out ), true );
+		var read = new toxi.geom.mesh.OBJReader().parse( out );
+		assert.equal( read.getNumFaces(), mesh.getNumFaces() );
+		assert.equal( read.faces[3].uvA.distanceTo( mesh.faces[3].uvA ) < 0.0001, true );
+		assert.equal( read.faces[3].uvB.distanceTo( mesh.faces[3].uvB ) < 0.0001, true );
+	});
+});
+
+describe('toxi.geom.mesh.MTLWriter', function(){
+	it('should write materials', function(){
+		var mtl = new toxi.geom.mesh.MTLWriter();
+		mtl.beginSave('sphere.mtl');
+		mtl.newMaterial('red');
+		mtl.diffuse( toxi.color.TColor.newRGB(1, 0, 0) );
+		mtl.specular([ 0.5, 0.5, 0.5 ]);
+		mtl.opacity( 0.5 );
+		mtl.newMaterial('textured');
+		mtl.diffuseMap('texture.png');
+		mtl.endSave();
+		var out = mtl.getOutput();
+		assert.equal( mtl.getNumMaterials(), 2 );
+		assert.equal( out.indexOf('newmtl red\nKd 1 0 0\nKs 0.5 0.5 0.5\nd 0.5\n') > 0, true );
+		assert.equal( out.indexOf('\nnewmtl textured\nmap_Kd texture.png\n') > 0, true );
+	});
+});
@@ -0,0 +1,99 @@
+/*global describe,it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var PLYReader = toxi.geom.mesh.PLYReader;
+
+describe('toxi.geom.mesh.PLYReader', function(){
+	var header = [
+		'ply',
+		'format %FORMAT% 1.0',
+		'comment a quad',
+		'element vertex 4',
+		'property float x',
+		'property float y',
+		'property float z',
+		'property float nx',
+		'property float ny',
+		'property float nz',
+		'property float s',
+		'property float t',
+		'element face 1',
+		'property list uchar int vertex_indices',
+		'end_header'
+	].join('\n') + '\n';
+	var verts = [
+		[0, 0, 0, 0, 0, 1, 0, 0],
+		[1, 0, 0, 0, 0, 1, 1, 0],
+		[1, 1, 0, 0, 0, 1, 1, 1],
+		[0, 1, 0, 0, 0, 1, 0, 1]
+	];
+
+	function testQuad( mesh ){
+		it('should triangulate the polygon', function(){
+			assert.equal( mesh.getNumVertices(), 4 );
+			assert.equal( mesh.getNumFaces(), 2 );
+		});
+		it('should keep texture coordinates and normals', function(){
+			mesh.faces.forEach(function( f ){
+				assert.equal( f.uvB.x, f.b.x );
+				assert.equal( f.uvB.y, f.b.y );
+			});
+			mesh.vertices.forEach(function( v ){
+				assert.equal( v.normal.z, 1 );
+			});
+		});
+		it('should orient faces counter-clockwise', function(){
+			assert.equal( mesh.faces[0].normal.z, 1 );
+		});
+	}
+
+	describe('ascii', function(){
+		var str = header.replace('%FORMAT%', 'ascii') + verts.map(function( v ){
+			return v.join(' ');
+		}).join('\n') + '\n4 0 1 2 3\n';
+		testQuad( new PLYReader().parse( str ) );
+		it('should report the line of a malformed row', function(){
+			assert.throws(function(){
+				new PLYReader().parse( str.replace('4 0 1 2 3', '4 0 1 2') );
+			}, /line 20: invalid number/);
+		});
+		it('should report the line of an invalid face', function(){
+			assert.throws(function(){
+				new PLYReader().parse( str.replace('4 0 1 2 3', '4 0 1 2 7') );
+			}, /line 20: face 0 references missing vertex 7/);
+			assert.throws(function(){
+				new PLYReader().parse( str.replace('4 0 1 2 3', '\n2 0 1') );
+			}, /line 21: face 0 needs at least 3 vertices/);
+		});
+		it('should report malformed headers', function(){
+			assert.throws(function(){
+				new PLYReader().parse( str.replace('property float z', 'property floaty z') );
+			}, /line 7: invalid property/);
+		});
+	});
+
+	describe('binary_little_endian', function(){
+		var headerBytes = Buffer.from( header.replace('%FORMAT%', 'binary_little_endian') );
+		var body = Buffer.alloc( 4 * 8 * 4 + 1 + 4 * 4 );
+		var o = 0;
+		verts.forEach(function( v ){
+			v.forEach(function( n ){
+				body.writeFloatLE( n, o );
+				o += 4;
+			});
+		});
+		body.writeUInt8( 4, o++ );
+		[0, 1, 2, 3].forEach(function( i ){
+			body.writeInt32LE( i, o );
+			o += 4;
+		});
+		var data = Buffer.concat([ headerBytes, body ]);
+		testQuad( new PLYReader().parse( data ) );
+		it('should throw for truncated data', function(){
+			assert.throws(function(){
+				new PLYReader().parse( data.slice( 0, data.length - 2 ) );
+			}, /unexpected end/);
+		});
+	});
+});
@@ -0,0 +1,62 @@
+/*global describe,it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var STLReader = toxi.geom.mesh.STLReader,
+	STLWriter = toxi.geom.mesh.STLWriter;
+
+describe('toxi.geom.mesh.STLReader', function(){
+	var sphere = new toxi.geom.Sphere(10).toMesh({ resolution: 10 });
+
+	function testRoundTrip( mesh ){
+		it('should have the same vertices and faces', function(){
+			assert.equal( mesh.getNumVertices(), sphere.getNumVertices() );
+			assert.equal( mesh.getNumFaces(), sphere.getNumFaces() );
+		});
+		it('should have the same face orientation', function(){
+			assert.equal( mesh.faces[5].normal.distanceTo( sphere.faces[5].normal ) < 0.0001, true );
+		});
+	}
+
+	describe('binary', function(){
+		var output = sphere.saveAsSTL();
+		it('should be detected as binary', function(){
+			assert.equal( STLReader.isBinary( output ), true );
+		});
+		describe('from ArrayBuffer', function(){
+			testRoundTrip( new STLReader().parse( output ) );
+		});
+		describe('from Buffer', function(){
+			testRoundTrip( new STLReader().parse( Buffer.from( output ) ) );
+		});
+		it('should throw for truncated data', function(){
+			assert.throws(function(){
+				new STLReader().parse( output.slice( 0, 200 ) );
+			}, /declares/);
+		});
+	});
+
+	describe('ascii', function(){
+		var output = sphere.saveAsSTL( new STLWriter({ ascii: true }) );
+		it('should not be detected as binary', function(){
+			assert.equal( STLReader.isBinary( output ), false );
+			assert.equal( STLReader.isBinary( Buffer.from( output ) ), false );
+		});
+		describe('from String', function(){
+			testRoundTrip( new STLReader().parse( output ) );
+		});
+		describe('from Buffer into WETriangleMesh', function(){
+			var mesh = new STLReader().parse( Buffer.from( output ), new toxi.geom.mesh.WETriangleMesh() );
+			it('should be a WETriangleMesh', function(){
+				assert.equal( mesh instanceof toxi.geom.mesh.WETriangleMesh, true );
+			});
+			testRoundTrip( mesh );
+		});
+		it('should report the line of a malformed facet', function(){
+			var str = 'solid s\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nendloop\nendfacet\nendsolid s';
+			assert.throws(function(){
+				new STLReader().parse( str );
+			}, /line 6: facet needs exactly 3 vertices/);
+		});
+	});
+});
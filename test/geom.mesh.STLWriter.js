@@ -0,0 +1,99 @@
+/*global describe,it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var STLWriter = toxi.geom.mesh.STLWriter,
+	Vec3D = toxi.geom.Vec3D;
+
+describe('toxi.geom.mesh.STLWriter', function(){
+	var mesh = new toxi.geom.AABB( new Vec3D(), new Vec3D(1,2,1) ).toMesh();
+
+	describe('binary', function(){
+		var output = mesh.saveAsSTL();
+		var view = new DataView( output );
+		it('should return an ArrayBuffer of 84 + 50 bytes per face', function(){
+			assert.equal( output instanceof ArrayBuffer, true );
+			assert.equal( output.byteLength, 84 + 50 * mesh.getNumFaces() );
+		});
+		it('should write the face count after the header', function(){
+			assert.equal( view.getUint32(80, true), mesh.getNumFaces() );
+		});
+		it('should write the faces normal and vertices', function(){
+			var f = mesh.faces[0];
+			assert.equal( view.getFloat32(84, true), f.normal.x );
+			assert.equal( view.getFloat32(96, true), f.b.x );
+			assert.equal( view.getFloat32(100, true), f.b.y );
+			assert.equal( view.getFloat32(108, true), f.a.x );
+			assert.equal( view.getUint16(132, true), 0 );
+		});
+		it('should flip Y when requested', function(){
+			var flipped = new DataView( mesh.saveAsSTL(true) );
+			assert.equal( flipped.getFloat32(100, true), -mesh.faces[0].a.y );
+		});
+		it('should flip the normals with Y', function(){
+			var flipped = new DataView( mesh.saveAsSTL(true) ),
+				f = mesh.faces.filter(function( f ){ return f.normal.y !== 0; })[0],
+				offset = 84 + 50 * mesh.faces.indexOf( f );
+			assert.equal( flipped.getFloat32(offset + 4, true), -f.normal.y );
+		});
+		it('should restore the scale of a given writer', function(){
+			var stl = new STLWriter().setScale( 2 ),
+				view;
+			stl.beginSave( mesh.getNumFaces() );
+			mesh.handleSaveAsSTL( stl, true );
+			assert.ok( stl.scale.equals( new Vec3D( 2, 2, 2 ) ) );
+			view = new DataView( stl.getOutput() );
+			assert.equal( view.getFloat32(100, true), -2 * mesh.faces[0].a.y );
+			mesh.saveAsSTL( stl );
+			view = new DataView( stl.getOutput() );
+			assert.equal( view.getFloat32(100, true), 2 * mesh.faces[0].b.y );
+		});
+		it('should write VisCAM colors into the attribute bytes', function(){
+			var colored = new DataView( mesh.saveAsSTL(false, 0xff0000) );
+			assert.equal( colored.getUint16(132, true), 0x8000 | (0x1f << 10) );
+			colored = new DataView( mesh.saveAsSTL(false, function(){
+				return toxi.color.TColor.newRGB(0, 0, 1);
+			}));
+			assert.equal( colored.getUint16(132, true), 0x8000 | 0x1f );
+		});
+		it('should trim unwritten faces', function(){
+			var stl = new STLWriter();
+			stl.beginSave(3);
+			stl.face( new Vec3D(), new Vec3D(1,0,0), new Vec3D(0,1,0) );
+			stl.endSave();
+			assert.equal( stl.getOutput().byteLength, 134 );
+			assert.equal( new DataView(stl.getOutput()).getUint32(80, true), 1 );
+			assert.equal( new DataView(stl.getOutput()).getFloat32(92, true), 1 );
+		});
+		it('should throw when writing more faces than allocated', function(){
+			var stl = new STLWriter();
+			stl.beginSave(0);
+			assert.throws(function(){
+				stl.face( new Vec3D(), new Vec3D(1,0,0), new Vec3D(0,1,0) );
+			});
+		});
+		it('should provide a node.js Buffer', function(){
+			var stl = new STLWriter();
+			mesh.saveAsSTL( stl );
+			assert.equal( Buffer.isBuffer(stl.getBuffer()), true );
+			assert.equal( stl.getBuffer().length, output.byteLength );
+		});
+	});
+
+	describe('ascii', function(){
+		var stl = new STLWriter({ ascii: true });
+		mesh.setName('box');
+		var output = mesh.saveAsSTL( stl );
+		it('should return a String', function(){
+			assert.equal( typeof output, 'string' );
+		});
+		it('should begin and end the solid', function(){
+			assert.equal( output.indexOf('solid box\n'), 0 );
+			assert.equal( output.indexOf('endsolid box\n'), output.length - 'endsolid box\n'.length );
+		});
+		it('should write a facet per face', function(){
+			assert.equal( output.match(/facet normal/g).length, mesh.getNumFaces() );
+			assert.equal( output.match(/vertex/g).length, mesh.getNumFaces() * 3 );
+		});
+	});
+});
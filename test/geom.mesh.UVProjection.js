@@ -0,0 +1,140 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	TriangleMesh = toxi.geom.mesh.TriangleMesh,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	UVProjection = toxi.geom.mesh.UVProjection,
+	LoopSubdivision = toxi.geom.mesh.subdiv.LoopSubdivision;
+
+var createSphere = function(){
+	var mesh = new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() );
+	new LoopSubdivision().subdivideMesh( mesh, 2 );
+	mesh.vertices.forEach(function( v ){
+		v.normalize();
+	});
+	mesh.rebuildIndex();
+	mesh.computeFaceNormals();
+	return mesh;
+};
+
+//an open tube around the y axis from y=0 to y=2
+var createTube = function( n ){
+	var mesh = new TriangleMesh(),
+		p = function( i, y ){
+			var theta = i / n * Math.PI * 2;
+			return new Vec3D( Math.cos( theta ), y, Math.sin( theta ) );
+		};
+	for( var i=0; i<n; i++ ){
+		mesh.addFace( p(i,0), p(i+1,0), p(i+1,2) );
+		mesh.addFace( p(i,0), p(i+1,2), p(i,2) );
+	}
+	return mesh;
+};
+
+var corners = function( f ){
+	return [[f.a, f.uvA], [f.b, f.uvB], [f.c, f.uvC]];
+};
+
+var uSpan = function( f ){
+	return Math.max( f.uvA.x, f.uvB.x, f.uvC.x ) - Math.min( f.uvA.x, f.uvB.x, f.uvC.x );
+};
+
+describe('toxi.geom.mesh.UVProjection', function(){
+	it('should be the same module as toxi.geom.mesh.uvProjection', function(){
+		assert.equal( UVProjection, toxi.geom.mesh.uvProjection );
+	});
+	describe('planar', function(){
+		var mesh = new TriangleMesh();
+		mesh.addFace( new Vec3D( 1, 1, 0 ), new Vec3D( 3, 1, 1 ), new Vec3D( 3, 5, 0 ) );
+		mesh.addFace( new Vec3D( 1, 1, 0 ), new Vec3D( 3, 5, 0 ), new Vec3D( 1, 5, 1 ) );
+
+		it('should fit the projection into the unit square', function(){
+			UVProjection.planar( mesh );
+			mesh.faces.forEach(function( f ){
+				corners( f ).forEach(function( c ){
+					assert.ok( Math.abs( c[1].x - (c[0].x - 1) / 2 ) < 1e-9 );
+					assert.ok( Math.abs( c[1].y - (c[0].y - 1) / 4 ) < 1e-9 );
+				});
+			});
+		});
+		it('should use a scale in world units', function(){
+			UVProjection.planar( mesh, { scale: 4 } );
+			assert.ok( Math.abs( mesh.faces[0].uvB.x - 0.5 ) < 1e-9 );
+			assert.ok( Math.abs( mesh.faces[0].uvC.y - 1 ) < 1e-9 );
+		});
+		it('should project along a normal', function(){
+			UVProjection.planar( mesh, { normal: new Vec3D( 1, 0, 0 ) } );
+			//points with the same y and z get the same coordinates
+			assert.ok( mesh.faces[0].uvA.distanceTo( mesh.faces[0].uvB ) > 0 );
+			assert.ok( mesh.faces[1].uvA.distanceTo( mesh.faces[0].uvA ) < 1e-9 );
+		});
+	});
+
+	describe('box', function(){
+		it('should map every side of a cube to the whole texture', function(){
+			var cube = new AABB( new Vec3D(), 1 ).toMesh( new TriangleMesh() );
+			UVProjection.box( cube );
+			cube.faces.forEach(function( f ){
+				var a = f.uvB.sub( f.uvA ),
+					b = f.uvC.sub( f.uvA );
+				//half of a side each
+				assert.ok( Math.abs( Math.abs( a.x * b.y - a.y * b.x ) - 1 ) < 1e-9 );
+				corners( f ).forEach(function( c ){
+					assert.ok( c[1].x >= 0 && c[1].x <= 1 && c[1].y >= 0 && c[1].y <= 1 );
+				});
+			});
+		});
+		it('should fit a cube in negative space into the texture', function(){
+			var cube = new AABB( new Vec3D( -10, -10, -10 ), 1 ).toMesh( new TriangleMesh() );
+			UVProjection.box( cube );
+			cube.faces.forEach(function( f ){
+				var a = f.uvB.sub( f.uvA ),
+					b = f.uvC.sub( f.uvA );
+				assert.ok( Math.abs( Math.abs( a.x * b.y - a.y * b.x ) - 1 ) < 1e-9 );
+				corners( f ).forEach(function( c ){
+					assert.ok( c[1].x >= 0 && c[1].x <= 1 && c[1].y >= 0 && c[1].y <= 1 );
+				});
+			});
+		});
+	});
+
+	describe('cylindrical', function(){
+		it('should wrap around the axis', function(){
+			var tube = createTube( 12 );
+			UVProjection.cylindrical( tube );
+			tube.faces.forEach(function( f ){
+				assert.ok( uSpan( f ) < 0.1 );
+				corners( f ).forEach(function( c ){
+					assert.ok( Math.abs( c[1].y - c[0].y / 2 ) < 1e-9 );
+				});
+			});
+		});
+		it('should cover the whole texture once', function(){
+			var tube = createTube( 12 ),
+				total = 0;
+			UVProjection.cylindrical( tube );
+			tube.faces.forEach(function( f ){
+				var a = f.uvB.sub( f.uvA ),
+					b = f.uvC.sub( f.uvA );
+				total += Math.abs( a.x * b.y - a.y * b.x ) / 2;
+			});
+			assert.ok( Math.abs( total - 1 ) < 1e-9 );
+		});
+	});
+
+	describe('spherical', function(){
+		it('should map latitude to v', function(){
+			var sphere = createSphere();
+			UVProjection.spherical( sphere );
+			sphere.faces.forEach(function( f ){
+				assert.ok( uSpan( f ) < 0.5 );
+				corners( f ).forEach(function( c ){
+					assert.ok( Math.abs( c[1].y - (1 - Math.acos( c[0].y / c[0].magnitude() ) / Math.PI) ) < 1e-9 );
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,106 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	CatmullClarkSubdivision = toxi.geom.mesh.subdiv.CatmullClarkSubdivision;
+
+var createCube = function(){
+	return new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() );
+};
+
+var getVolume = function( mesh ){
+	return mesh.faces.reduce(function( volume, f ){
+		return volume + f.a.dot( f.b.cross( f.c ) ) / 6;
+	}, 0 );
+};
+
+describe('toxi.geom.mesh.subdiv.CatmullClarkSubdivision', function(){
+	it('should split every face into 3 triangulated quads', function(){
+		var mesh = createCube(),
+			numVertices = mesh.getNumVertices(),
+			numEdges = mesh.getNumEdges(),
+			volume = getVolume( mesh );
+		assert.equal( new CatmullClarkSubdivision().subdivideMesh( mesh ), mesh );
+		assert.equal( mesh.getNumFaces(), 12 * 6 );
+		assert.equal( mesh.getNumVertices(), numVertices + numEdges + 12 );
+		assert.ok( mesh.edges.every(function( e ){ return e.faces.length === 2; }) );
+		assert.ok( getVolume( mesh ) / volume > 0.3 );
+		assert.ok( getVolume( mesh ) / volume < 1 );
+	});
+
+	it('should place the face points at the centroids', function(){
+		var mesh = new WETriangleMesh(),
+			a = new Vec3D( 0, 0, 0 ),
+			b = new Vec3D( 3, 0, 0 ),
+			c = new Vec3D( 0, 3, 0 );
+		mesh.addFace( a, b, c );
+		var normal = mesh.faces[0].normal.copy();
+		mesh.subdivide( new CatmullClarkSubdivision() );
+		assert.equal( mesh.getNumFaces(), 6 );
+		//a single triangle only has boundary edges, so its corners and edges stay
+		assert.ok( mesh.getVertexAtPoint( new Vec3D( 1, 1, 0 ) ) !== undefined );
+		assert.ok( mesh.getVertexAtPoint( new Vec3D( 1.5, 1.5, 0 ) ) !== undefined );
+		//with the orientation of the original face
+		mesh.faces.forEach(function( f ){
+			assert.ok( f.normal.dot( normal ) > 0 );
+		});
+	});
+
+	it('should split the quads of the previous level again', function(){
+		var mesh = createCube();
+		new CatmullClarkSubdivision().subdivideMesh( mesh, 2 );
+		//36 quads with 38 vertices and 72 edges after the first level
+		assert.equal( mesh.getNumFaces(), 36 * 4 * 2 );
+		assert.equal( mesh.getNumVertices(), 38 + 72 + 36 );
+		assert.ok( mesh.edges.every(function( e ){ return e.faces.length === 2; }) );
+	});
+
+	it('should interpolate the texture coordinates', function(){
+		var mesh = new WETriangleMesh(),
+			key = function( uv ){ return uv.x.toFixed( 4 ) + ',' + uv.y.toFixed( 4 ); },
+			expected = [
+				new Vec2D( 0, 0 ), new Vec2D( 1, 0 ), new Vec2D( 0, 1 ),
+				new Vec2D( 0.5, 0 ), new Vec2D( 0.5, 0.5 ), new Vec2D( 0, 0.5 ),
+				new Vec2D( 1 / 3, 1 / 3 )
+			].map( key ),
+			found = {};
+		mesh.addFace( new Vec3D( 0, 0, 0 ), new Vec3D( 3, 0, 0 ), new Vec3D( 0, 3, 0 ), new Vec2D( 0, 0 ), new Vec2D( 1, 0 ), new Vec2D( 0, 1 ) );
+		new CatmullClarkSubdivision().subdivideMesh( mesh );
+		mesh.faces.forEach(function( f ){
+			[f.uvA, f.uvB, f.uvC].forEach(function( uv ){
+				assert.ok( expected.indexOf( key( uv ) ) >= 0 );
+				found[key( uv )] = true;
+			});
+		});
+		assert.equal( Object.keys( found ).length, expected.length );
+		new CatmullClarkSubdivision().subdivideMesh( mesh );
+		assert.ok( mesh.faces.every(function( f ){ return f.uvC !== undefined; }) );
+	});
+
+	it('should smooth a cube towards a sphere', function(){
+		var mesh = createCube(),
+			spread;
+		new CatmullClarkSubdivision().subdivideMesh( mesh, 2 );
+		spread = mesh.vertices.map(function( v ){ return v.magnitude(); });
+		assert.ok( Math.max.apply( Math, spread ) / Math.min.apply( Math, spread ) < 1.5 );
+	});
+
+	it('should keep creased edges sharp', function(){
+		var mesh = createCube();
+		mesh.edges.forEach(function( e ){
+			var d = e.b.sub( e.a );
+			if( [d.x, d.y, d.z].filter(function( c ){ return c !== 0; }).length === 1 ){
+				e.setCrease( Infinity );
+			}
+		});
+		new CatmullClarkSubdivision().subdivideMesh( mesh, 2 );
+		mesh.vertices.forEach(function( v ){
+			assert.ok( Math.max( Math.abs( v.x ), Math.abs( v.y ), Math.abs( v.z ) ) > 1 - 1e-9 );
+		});
+		assert.ok( Math.abs( getVolume( mesh ) - getVolume( createCube() ) ) < 1e-9 );
+	});
+});
@@ -0,0 +1,167 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Vec3D = toxi.geom.Vec3D,
+	AABB = toxi.geom.AABB,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	LoopSubdivision = toxi.geom.mesh.subdiv.LoopSubdivision;
+
+var createCube = function(){
+	return new AABB( new Vec3D(), 1 ).toMesh( new WETriangleMesh() );
+};
+
+//a 2x2 grid of quads in the XY plane with the given height for the center vertex
+var createGrid = function( height ){
+	var mesh = new WETriangleMesh(),
+		p = function( x, y ){ return new Vec3D( x, y, x === 1 && y === 1 ? height : 0 ); },
+		x, y;
+	for( y=0; y<2; y++ ){
+		for( x=0; x<2; x++ ){
+			mesh.addFace( p( x, y ), p( x+1, y ), p( x+1, y+1 ) );
+			mesh.addFace( p( x, y ), p( x+1, y+1 ), p( x, y+1 ) );
+		}
+	}
+	return mesh;
+};
+
+var getVolume = function( mesh ){
+	return mesh.faces.reduce(function( volume, f ){
+		return volume + f.a.dot( f.b.cross( f.c ) ) / 6;
+	}, 0 );
+};
+
+//largest angle between the normals of neighbouring faces
+var getMaxAngle = function( mesh ){
+	return mesh.edges.reduce(function( max, e ){
+		return Math.max( max, e.faces[0].normal.angleBetween( e.faces[1].normal, true ) );
+	}, 0 );
+};
+
+var isClosed = function( mesh ){
+	return mesh.edges.every(function( e ){ return e.faces.length === 2; });
+};
+
+describe('toxi.geom.mesh.subdiv.LoopSubdivision', function(){
+	it('should split every face into 4', function(){
+		var mesh = createCube(),
+			numVertices = mesh.getNumVertices(),
+			numEdges = mesh.getNumEdges(),
+			volume = getVolume( mesh );
+		assert.equal( new LoopSubdivision().subdivideMesh( mesh ), mesh );
+		assert.equal( mesh.getNumFaces(), 48 );
+		assert.equal( mesh.getNumVertices(), numVertices + numEdges );
+		assert.ok( isClosed( mesh ) );
+		//smaller, but with the same orientation
+		assert.ok( getVolume( mesh ) / volume > 0.3 );
+		assert.ok( getVolume( mesh ) / volume < 1 );
+	});
+
+	it('should smooth towards a round shape', function(){
+		var mesh = createCube(),
+			before = getMaxAngle( mesh );
+		new LoopSubdivision().subdivideMesh( mesh, 3 );
+		assert.equal( mesh.getNumFaces(), 12 * 64 );
+		assert.ok( before > 1.5 );
+		assert.ok( getMaxAngle( mesh ) < 0.4 );
+	});
+
+	it('should use the weights of Loop', function(){
+		assert.ok( Math.abs( LoopSubdivision.getBeta( 6 ) - 1 / 16 ) < 1e-12 );
+		assert.ok( Math.abs( LoopSubdivision.getBeta( 3 ) - 3 / 16 ) < 1e-12 );
+	});
+
+	it('should interpolate the texture coordinates', function(){
+		var mesh = new WETriangleMesh(),
+			key = function( uv ){ return uv.x + ',' + uv.y; },
+			expected = ['0,0', '1,0', '0,1', '0.5,0', '0.5,0.5', '0,0.5'];
+		mesh.addFace( new Vec3D( 0, 0, 0 ), new Vec3D( 3, 0, 0 ), new Vec3D( 0, 3, 0 ), new Vec2D( 0, 0 ), new Vec2D( 1, 0 ), new Vec2D( 0, 1 ) );
+		new LoopSubdivision().subdivideMesh( mesh );
+		assert.equal( mesh.getNumFaces(), 4 );
+		mesh.faces.forEach(function( f ){
+			[f.uvA, f.uvB, f.uvC].forEach(function( uv ){
+				assert.ok( expected.indexOf( key( uv ) ) >= 0 );
+			});
+		});
+		//the middle face only uses the edge points
+		assert.ok( mesh.faces.some(function( f ){
+			return [f.uvA, f.uvB, f.uvC].map( key ).sort().join( ';' ) === '0,0.5;0.5,0;0.5,0.5';
+		}) );
+	});
+
+	it('should be used by WETriangleMesh.subdivide', function(){
+		var mesh = createCube();
+		mesh.subdivide( new LoopSubdivision() );
+		assert.equal( mesh.getNumFaces(), 48 );
+	});
+
+	it('should only use the boundary for boundary vertices', function(){
+		var flat = createGrid( 0 ),
+			raised = createGrid( 1 ),
+			subdivision = new LoopSubdivision(),
+			boundary;
+		subdivision.subdivideMesh( flat );
+		subdivision.subdivideMesh( raised );
+		assert.ok( flat.vertices.every(function( v ){ return v.z === 0; }) );
+		boundary = flat.edges.filter(function( e ){ return e.faces.length === 1; });
+		assert.equal( boundary.length, 16 );
+		boundary.forEach(function( e ){
+			assert.ok( raised.getEdge( e.a, e.b ) !== undefined );
+			assert.equal( e.a.z, 0 );
+		});
+		//vertices on straight boundaries stay in place
+		assert.ok( flat.getVertexAtPoint( new Vec3D( 0, 1, 0 ) ) !== undefined );
+	});
+
+	it('should keep creased edges sharp', function(){
+		var mesh = createCube(),
+			creased = 0;
+		mesh.edges.forEach(function( e ){
+			//the edges of the box, not the diagonals of its sides
+			var d = e.b.sub( e.a );
+			if( [d.x, d.y, d.z].filter(function( c ){ return c !== 0; }).length === 1 ){
+				e.setCrease( Infinity );
+				creased++;
+			}
+		});
+		assert.equal( creased, 12 );
+		new LoopSubdivision().subdivideMesh( mesh, 2 );
+		mesh.vertices.forEach(function( v ){
+			assert.ok( Math.max( Math.abs( v.x ), Math.abs( v.y ), Math.abs( v.z ) ) > 1 - 1e-9 );
+		});
+		assert.ok( mesh.getVertexAtPoint( new Vec3D( 1, 1, 1 ) ) !== undefined );
+		assert.ok( Math.abs( getVolume( mesh ) - getVolume( createCube() ) ) < 1e-9 );
+	});
+
+	it('should reduce crease weights every level', function(){
+		var mesh = createCube(),
+			a = new Vec3D( -1, -1, -1 ),
+			b = new Vec3D( 1, -1, -1 ),
+			edge = mesh.getEdge( a, b ),
+			mid;
+		assert.equal( edge.getCrease(), 0 );
+		edge.setCrease( 2 );
+		assert.equal( mesh.copy().getEdge( a, b ).getCrease(), 2 );
+		new LoopSubdivision().subdivideMesh( mesh );
+		mid = mesh.vertices.filter(function( v ){ return v.y === -1 && v.z === -1 && v.x === 0; });
+		assert.equal( mid.length, 1 );
+		assert.deepEqual( mesh.getVertexAtPoint( mid[0] ).edges.map(function( e ){
+			return e.getCrease();
+		}).sort(), [0, 0, 0, 0, 1, 1] );
+	});
+
+	it('should blend fractional creases', function(){
+		var height = function( crease ){
+			var mesh = createGrid( 1 ),
+				center = new Vec3D( 1, 1, 1 );
+			mesh.getEdge( new Vec3D( 0, 1, 0 ), center ).setCrease( crease );
+			mesh.getEdge( center, new Vec3D( 2, 1, 0 ) ).setCrease( crease );
+			new LoopSubdivision().subdivideMesh( mesh );
+			return mesh.vertices.reduce(function( max, v ){ return Math.max( max, v.z ); }, 0 );
+		};
+		assert.ok( height( 0 ) < height( 0.5 ) );
+		assert.ok( height( 0.5 ) < height( 1 ) );
+		assert.equal( height( 1 ), height( 3 ) );
+	});
+});
@@ -0,0 +1,66 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var mesh2d = toxi.geom.mesh2d,
+	DelaunayTriangle = mesh2d.DelaunayTriangle,
+	DelaunayTriangulation = mesh2d.DelaunayTriangulation,
+	DelaunayVertex = mesh2d.DelaunayVertex;
+
+describe('toxi.geom.mesh2d.DelaunayTriangulation', function(){
+	var initial = new DelaunayTriangle(
+			new DelaunayVertex( -1000, -1000 ),
+			new DelaunayVertex( 1000, -1000 ),
+			new DelaunayVertex( 0, 1000 )
+		),
+		dt = new DelaunayTriangulation( initial ),
+		sites = [],
+		i;
+	for( i=0; i<30; i++ ){
+		sites.push( new DelaunayVertex( Math.cos( i * 2.4 ) * i * 3, Math.sin( i * 2.4 ) * i * 3 ) );
+		dt.delaunayPlace( sites[i] );
+	}
+
+	it('should insert all sites', function(){
+		assert.equal( dt.size(), 2 * 30 + 1 );
+		assert.ok( !dt.contains( initial ) );
+		//placing an existing site doesn't change anything
+		dt.delaunayPlace( new DelaunayVertex( sites[5].coordinates ) );
+		assert.equal( dt.size(), 61 );
+	});
+
+	it('should keep all sites outside of circumcircles', function(){
+		dt.getTriangles().forEach(function( t ){
+			sites.forEach(function( s ){
+				if( !t.contains( s ) ){
+					assert.ok( s.vsCircumcircle( t.toArray() ) >= 0 );
+				}
+			});
+		});
+	});
+
+	it('should locate points', function(){
+		var p = new DelaunayVertex( 1, 2 ),
+			t = dt.locate( p );
+		assert.ok( p.isOutside( t.toArray() ) === undefined );
+		assert.equal( dt.locate( new DelaunayVertex( 5000, 5000 ) ), undefined );
+		assert.throws(function(){
+			dt.delaunayPlace( new DelaunayVertex( 5000, 5000 ) );
+		});
+	});
+
+	it('should find the triangles around a site', function(){
+		var t = dt.getTriangles().filter(function( t ){ return t.contains( sites[0] ); })[0],
+			list = dt.surroundingTriangles( sites[0], t );
+		list.forEach(function( t ){
+			assert.ok( t.contains( sites[0] ) );
+		});
+		assert.equal( list.length, dt.getTriangles().filter(function( t ){ return t.contains( sites[0] ); }).length );
+	});
+
+	it('should compute circumcenters', function(){
+		var t = new DelaunayTriangle( new DelaunayVertex( 0, 0 ), new DelaunayVertex( 2, 0 ), new DelaunayVertex( 0, 2 ) ),
+			c = t.getCircumcenter();
+		assert.ok( Math.abs( c.coord(0) - 1 ) < 1e-12 && Math.abs( c.coord(1) - 1 ) < 1e-12 );
+	});
+});
@@ -0,0 +1,98 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Rect = toxi.geom.Rect,
+	Circle = toxi.geom.Circle,
+	LloydRelaxation = toxi.geom.mesh2d.LloydRelaxation;
+
+var createPoints = function( num, x, y, size ){
+	var seed = 4242,
+		points = [],
+		random = function(){
+			seed = (seed * 16807) % 2147483647;
+			return seed / 2147483647;
+		};
+	for( var i=0; i<num; i++ ){
+		points.push( new Vec2D( x + random() * size, y + random() * size ) );
+	}
+	return points;
+};
+
+//variance of the cell areas, 0 for a perfectly even tessellation
+var areaVariance = function( cells ){
+	var areas = cells.map(function( c ){ return Math.abs( c.getArea() ); }),
+		mean = areas.reduce(function( a, b ){ return a + b; }, 0 ) / areas.length;
+	return areas.reduce(function( sum, a ){ return sum + (a - mean) * (a - mean); }, 0 ) / areas.length;
+};
+
+describe('toxi.geom.mesh2d.LloydRelaxation', function(){
+	var bounds = new Rect( 0, 0, 100, 100 ).toPolygon2D(),
+		points = createPoints( 30, 0, 0, 100 );
+
+	it('should even out the cells', function(){
+		var relaxation = new LloydRelaxation( bounds ),
+			before = relaxation.computeCells( points ),
+			result = relaxation.relax( points, 20 ),
+			area = 0;
+		assert.equal( result.sites.length, 30 );
+		assert.equal( result.cells.length, 30 );
+		assert.equal( result.iterations, 20 );
+		assert.ok( areaVariance( result.cells ) < areaVariance( before ) / 4 );
+		result.cells.forEach(function( cell, i ){
+			area += cell.getArea();
+			assert.ok( cell.containsPoint( result.sites[i] ) );
+		});
+		assert.ok( Math.abs( area - 10000 ) < 1e-6 );
+		//the input stays unchanged
+		assert.ok( points[0].equals( createPoints( 1, 0, 0, 100 )[0] ) );
+	});
+
+	it('should move sites to the centroids of their cells', function(){
+		var sites = createPoints( 12, 0, 0, 100 ),
+			result = new LloydRelaxation( new Rect( 0, 0, 100, 100 ) ).relax( sites, 500, 0.01 );
+		assert.ok( result.iterations < 500 );
+		result.cells.forEach(function( cell, i ){
+			assert.ok( cell.getCentroid().distanceTo( result.sites[i] ) < 0.05 );
+		});
+	});
+
+	it('should stay inside a convex polygon', function(){
+		var circle = new Circle( new Vec2D( 50, 50 ), 50 ).toPolygon2D( 32 ),
+			sites = points.filter(function( p ){ return circle.containsPoint( p ); }),
+			result = new LloydRelaxation( circle ).relax( sites, 10 );
+		assert.ok( sites.length > 15 );
+		result.sites.forEach(function( p ){
+			assert.ok( circle.containsPoint( p ) );
+		});
+	});
+
+	it('should gather sites where the density is high', function(){
+		var density = function( x ){ return x < 50 ? 1 : 0.05; },
+			meanX = function( sites ){
+				return sites.reduce(function( sum, p ){ return sum + p.x; }, 0 ) / sites.length;
+			},
+			uniform = new LloydRelaxation( bounds ).relax( points, 10 ),
+			weighted = new LloydRelaxation( bounds, { density: density } ).relax( points, 10 );
+		assert.ok( meanX( weighted.sites ) < meanX( uniform.sites ) - 2 );
+	});
+
+	it('should compute weighted centroids', function(){
+		var relaxation = new LloydRelaxation( bounds, { density: function( x ){ return x; }, samples: 16 } ),
+			c = relaxation.computeCentroid( new Rect( 0, 0, 1, 1 ).toPolygon2D() );
+		//integral of x*x over integral of x
+		assert.ok( Math.abs( c.x - 2 / 3 ) < 1e-3 );
+		assert.ok( Math.abs( c.y - 0.5 ) < 1e-3 );
+		assert.equal( new LloydRelaxation( bounds, { density: function(){ return 0; } } ).computeCentroid( bounds ), undefined );
+	});
+
+	it('should create density functions from image data', function(){
+		//2x1 pixels, black and white
+		var image = { width: 2, height: 1, data: [ 0, 0, 0, 255, 255, 255, 255, 255 ] },
+			density = LloydRelaxation.densityFromImageData( image, new Rect( 0, 0, 100, 100 ) );
+		assert.equal( density( 10, 50 ), 1 );
+		assert.equal( density( 90, 50 ), 0 );
+		assert.equal( LloydRelaxation.densityFromImageData( image, new Rect( 0, 0, 100, 100 ), true )( 90, 50 ), 1 );
+	});
+});
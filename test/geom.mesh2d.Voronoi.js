@@ -0,0 +1,108 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Vec2D = toxi.geom.Vec2D,
+	Rect = toxi.geom.Rect,
+	Circle = toxi.geom.Circle,
+	Polygon2D = toxi.geom.Polygon2D,
+	Voronoi = toxi.geom.mesh2d.Voronoi;
+
+//deterministic points in [0,100)
+var createPoints = function( num ){
+	var seed = 12345,
+		points = [],
+		random = function(){
+			seed = (seed * 16807) % 2147483647;
+			return seed / 2147483647;
+		};
+	for( var i=0; i<num; i++ ){
+		points.push( new Vec2D( random() * 100, random() * 100 ) );
+	}
+	return points;
+};
+
+var closestSite = function( sites, p ){
+	var best = 0;
+	sites.forEach(function( s, i ){
+		if( s.distanceToSquared( p ) < sites[best].distanceToSquared( p ) ){
+			best = i;
+		}
+	});
+	return best;
+};
+
+describe('toxi.geom.mesh2d.Voronoi', function(){
+	var points = createPoints( 40 ),
+		voronoi = new Voronoi().addPoints( points );
+
+	it('should keep the sites', function(){
+		assert.equal( voronoi.getSites().length, 40 );
+		assert.ok( voronoi.getSites()[3].equals( points[3] ) );
+		//duplicates are ignored
+		voronoi.addPoint( points[3].copy() );
+		assert.equal( voronoi.getSites().length, 40 );
+	});
+
+	it('should have triangles including the initial triangle\'s corners', function(){
+		assert.equal( voronoi.getTriangles().length, 2 * 40 + 1 );
+		assert.ok( voronoi.getTriangles()[0] instanceof toxi.geom.Triangle2D );
+	});
+
+	describe('#getRegions()', function(){
+		it('should order the vertices of every region', function(){
+			var regions = voronoi.getRegions();
+			assert.equal( regions.length, 40 );
+			regions.forEach(function( region, i ){
+				assert.ok( region instanceof Polygon2D );
+				assert.ok( region.isClockwise() );
+				assert.ok( region.isConvex() );
+				assert.ok( region.containsPoint( points[i] ) );
+			});
+		});
+		it('should clip regions to a rect', function(){
+			var regions = voronoi.getRegions( new Rect( 0, 0, 100, 100 ) ),
+				area = 0;
+			regions.forEach(function( region, i ){
+				area += region.getArea();
+				assert.ok( region.isClockwise() );
+				assert.equal( closestSite( points, region.getCentroid() ), i );
+				region.vertices.forEach(function( v ){
+					assert.ok( v.x > -1e-6 && v.x < 100 + 1e-6 && v.y > -1e-6 && v.y < 100 + 1e-6 );
+				});
+			});
+			assert.ok( Math.abs( area - 10000 ) < 1e-6, area );
+		});
+		it('should clip regions to a convex polygon', function(){
+			var clip = new Circle( new Vec2D( 50, 50 ), 40 ).toPolygon2D( 24 ),
+				area = 0;
+			voronoi.getRegions( clip ).forEach(function( region ){
+				if( region.getNumVertices() > 2 ){
+					area += region.getArea();
+				}
+			});
+			assert.ok( Math.abs( area - Math.abs( clip.getArea() ) ) < 1e-3, area );
+		});
+	});
+
+	describe('adjacency', function(){
+		var grid = new Voronoi().addPoints([
+			new Vec2D( 0, 0 ), new Vec2D( 10, 1 ), new Vec2D( 1, 10 ), new Vec2D( 11, 11 ), new Vec2D( 5, 5 )
+		]);
+		it('should connect sites sharing a region edge', function(){
+			var adjacency = grid.getAdjacency();
+			assert.deepEqual( adjacency[4].slice().sort(), [ 0, 1, 2, 3 ] );
+			assert.ok( adjacency[0].indexOf( 3 ) < 0 );
+			adjacency.forEach(function( neighbors, i ){
+				neighbors.forEach(function( j ){
+					assert.ok( adjacency[j].indexOf( i ) >= 0 );
+				});
+			});
+		});
+		it('should find the neighbors of a site', function(){
+			assert.equal( grid.getNeighbors( new Vec2D( 5, 5 ) ).length, 4 );
+			assert.equal( grid.getNeighbors( 0 ).length, 3 );
+			assert.equal( grid.getNeighbors( new Vec2D( 50, 50 ) ).length, 0 );
+		});
+	});
+});
@@ -0,0 +1,180 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var Random = toxi.math.Random,
+	MathUtils = toxi.math.MathUtils;
+
+var sequence = function( rnd, num ){
+	var values = [];
+	for( var i=0; i<num; i++ ){
+		values.push( rnd.random() );
+	}
+	return values;
+};
+
+var mean = function( values ){
+	return values.reduce(function( a, b ){ return a + b; }, 0 ) / values.length;
+};
+
+describe('toxi.math.Random', function(){
+	describe('#random()', function(){
+		it('should repeat the sequence for the same seed', function(){
+			assert.deepEqual( sequence( new Random( 42 ), 20 ), sequence( new Random( 42 ), 20 ) );
+			assert.notDeepEqual( sequence( new Random( 42 ), 20 ), sequence( new Random( 43 ), 20 ) );
+			assert.deepEqual( sequence( new Random( 'toxi' ), 20 ), sequence( new Random( 'toxi' ), 20 ) );
+		});
+		it('should be uniform within [0,1)', function(){
+			var values = sequence( new Random( 1 ), 10000 );
+			values.forEach(function( v ){
+				assert.ok( v >= 0 && v < 1 );
+			});
+			assert.ok( Math.abs( mean( values ) - 0.5 ) < 0.02 );
+		});
+	});
+
+	describe('#setSeed()', function(){
+		it('should restart the sequence', function(){
+			var rnd = new Random( 5 ),
+				first = sequence( rnd, 5 );
+			assert.equal( rnd.getSeed(), 5 );
+			rnd.setSeed( 5 );
+			assert.deepEqual( sequence( rnd, 5 ), first );
+		});
+		it('should use the whole number as seed', function(){
+			assert.notDeepEqual( sequence( new Random( 0.1 ), 5 ), sequence( new Random( 0.2 ), 5 ) );
+			assert.notDeepEqual( sequence( new Random( 1 ), 5 ), sequence( new Random( 1.5 ), 5 ) );
+			assert.notDeepEqual( sequence( new Random( 1 ), 5 ), sequence( new Random( 4294967297 ), 5 ) );
+			assert.deepEqual( sequence( new Random( 0.1 ), 5 ), sequence( new Random( 0.1 ), 5 ) );
+		});
+	});
+
+	describe('#copy()', function(){
+		it('should continue with the same sequence', function(){
+			var rnd = new Random( 9 ),
+				copy;
+			rnd.random();
+			rnd.gaussian();
+			copy = rnd.copy();
+			assert.equal( copy.gaussian(), rnd.gaussian() );
+			assert.deepEqual( sequence( copy, 5 ), sequence( rnd, 5 ) );
+		});
+	});
+
+	describe('toxi.internals.is.Random', function(){
+		var isRandom = toxi.internals.is.Random;
+		it('should accept any generator with a random() method', function(){
+			assert.ok( isRandom( new Random( 1 ) ) );
+			assert.ok( isRandom( Math ) );
+		});
+		it('should reject other values without throwing', function(){
+			[ null, undefined, 0.5, 'random', { random: 1 } ].forEach(function( v ){
+				assert.equal( isRandom( v ), false );
+			});
+		});
+	});
+
+	describe('distributions', function(){
+		var rnd = new Random( 1234 ),
+			num = 10000,
+			collect = function( fn ){
+				var values = [];
+				for( var i=0; i<num; i++ ){
+					values.push( fn() );
+				}
+				return values;
+			};
+		it('should create gaussian numbers', function(){
+			var values = collect(function(){ return rnd.gaussian( 10, 2 ); }),
+				m = mean( values ),
+				variance = mean( values.map(function( v ){ return (v - m) * (v - m); }) );
+			assert.ok( Math.abs( m - 10 ) < 0.1 );
+			assert.ok( Math.abs( Math.sqrt( variance ) - 2 ) < 0.1 );
+		});
+		it('should create exponential numbers', function(){
+			var values = collect(function(){ return rnd.exponential( 4 ); });
+			assert.ok( Math.abs( mean( values ) - 0.25 ) < 0.02 );
+			values.forEach(function( v ){ assert.ok( v >= 0 ); });
+		});
+		it('should create poisson numbers', function(){
+			var values = collect(function(){ return rnd.poisson( 3 ); });
+			assert.ok( Math.abs( mean( values ) - 3 ) < 0.1 );
+			values.forEach(function( v ){ assert.equal( v, Math.floor( v ) ); });
+		});
+		it('should create triangular numbers', function(){
+			var values = collect(function(){ return rnd.triangular( 0, 3, 0 ); });
+			assert.ok( Math.abs( mean( values ) - 1 ) < 0.05 );
+			values.forEach(function( v ){ assert.ok( v >= 0 && v <= 3 ); });
+		});
+		it('should create numbers and integers within a range', function(){
+			collect(function(){ return rnd.float( 2, 4 ); }).forEach(function( v ){
+				assert.ok( v >= 2 && v < 4 );
+			});
+			var counts = [0, 0, 0];
+			collect(function(){ return rnd.int( 3 ); }).forEach(function( v ){
+				counts[v]++;
+			});
+			assert.ok( counts.every(function( c ){ return c > num / 4; }) );
+			collect(function(){ return rnd.int( -2, 2 ); }).forEach(function( v ){
+				assert.ok( v >= -2 && v < 2 && v === Math.floor( v ) );
+			});
+		});
+		it('should pick by weight', function(){
+			var counts = [0, 0, 0];
+			collect(function(){ return rnd.weighted( [1, 0, 3] ); }).forEach(function( i ){
+				counts[i]++;
+			});
+			assert.equal( counts[1], 0 );
+			assert.ok( Math.abs( counts[2] / num - 0.75 ) < 0.02 );
+			assert.equal( rnd.weighted( [0, 0] ), -1 );
+		});
+		it('should shuffle arrays', function(){
+			var arr = [1, 2, 3, 4, 5, 6, 7, 8];
+			assert.equal( rnd.shuffle( arr ), arr );
+			assert.deepEqual( arr.slice( 0 ).sort(), [1, 2, 3, 4, 5, 6, 7, 8] );
+			assert.deepEqual( new Random( 3 ).shuffle( [1, 2, 3, 4, 5] ), new Random( 3 ).shuffle( [1, 2, 3, 4, 5] ) );
+		});
+	});
+
+	describe('library functions', function(){
+		it('should reproduce results with the same seed', function(){
+			var create = function( seed ){
+				var rnd = new Random( seed ),
+					poly = new toxi.geom.Circle( 0, 0, 10 ).toPolygon2D( 6 );
+				return [
+					MathUtils.random( rnd, 5, 10 ),
+					MathUtils.normalizedRandom( rnd ),
+					toxi.geom.Vec2D.randomVector( rnd ),
+					toxi.geom.Vec3D.randomVector( rnd ),
+					new toxi.geom.Vec2D().jitter( 1, rnd ),
+					new toxi.geom.Vec3D().jitter( 1, 2, 3, rnd ),
+					poly.getRandomPoint( rnd ),
+					toxi.color.TColor.newRandom( rnd ).toARGB(),
+					toxi.color.ColorRange.BRIGHT.getColor( rnd ).toARGB(),
+					toxi.color.ColorRange.BRIGHT.getColors( 3, rnd ).colors.map(function( c ){ return c.toARGB(); })
+				].map( String );
+			};
+			assert.deepEqual( create( 'design' ), create( 'design' ) );
+			assert.notDeepEqual( create( 'design' ), create( 'other' ) );
+		});
+		it('should use the default generator', function(){
+			var values = function(){
+				return [MathUtils.random(), MathUtils.random( 10 ), toxi.geom.Vec2D.randomVector().toString()];
+			}, a, b;
+			MathUtils.setDefaultRandomGenerator( new Random( 11 ) );
+			a = values();
+			MathUtils.setDefaultRandomGenerator( new Random( 11 ) );
+			b = values();
+			MathUtils.setDefaultRandomGenerator();
+			assert.deepEqual( a, b );
+			assert.equal( MathUtils.RND, Math );
+		});
+		it('should keep the old signatures of MathUtils.random', function(){
+			var r = MathUtils.random( 5 );
+			assert.ok( r >= 0 && r < 5 );
+			r = MathUtils.random( 5, 6 );
+			assert.ok( r >= 5 && r < 6 );
+			assert.equal( MathUtils.random( function(){ return 0.5; }, 2, 4 ), 3 );
+		});
+	});
+});
@@ -31,13 +31,15 @@ function pkg( id, obj, excludes ){
 }
 
 //toxi.color
-pkg('color',t.color, ['accessCriteria','AccessCriteria','namedColor','NamedColor','theory']);
+pkg('color',t.color, ['accessCriteria','AccessCriteria','colorSpaces','ColorSpaces','namedColor','NamedColor','theory']);
 pkg('color.theory', t.color.theory, ['colorTheoryRegistry','ColorTheoryRegistry', 'strategies']);
 //toxi.geom
-pkg('geom',t.geom,['mesh']);
+pkg('geom',t.geom,['mesh','mesh2d','polygonBooleans','PolygonBooleans','polygonTriangulator','PolygonTriangulator']);
 //toxi.geom.mesh
-pkg('geom.mesh',t.geom.mesh, ['subdiv']);
-//pkg('geom.mesh.subdiv', t.geom.mesh.subdiv);
+pkg('geom.mesh',t.geom.mesh, ['subdiv','extruder','Extruder','meshTopology','MeshTopology','uvProjection','UVProjection']);
+pkg('geom.mesh.subdiv', t.geom.mesh.subdiv);
+//toxi.geom.mesh2d
+pkg('geom.mesh2d', t.geom.mesh2d);
 //toxi.math
 pkg('math', t.math, ['mathUtils', 'MathUtils','Interpolation2D','waves','noise']);
 pkg('math.waves', t.math.waves);
@@ -46,7 +48,13 @@ pkg('math.noise', t.math.noise, ['simplexNoise']);
 pkg('physics2d', t.physics2d, ['behaviors','constraints']);
 pkg('physics2d.behaviors', t.physics2d.behaviors );
 pkg('physics2d.constraint', t.physics2d.constraints );
+//t.physics3d
+pkg('physics3d', t.physics3d, ['behaviors','constraints']);
+pkg('physics3d.behaviors', t.physics3d.behaviors );
+pkg('physics3d.constraints', t.physics3d.constraints );
 pkg('processing', t.processing);
 pkg('THREE', t.THREE);
 pkg('util', t.util, ['datatypes']);
 pkg('util.datatypes', t.util.datatypes);
+//t.volume
+pkg('volume', t.volume);
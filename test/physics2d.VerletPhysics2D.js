@@ -5,7 +5,12 @@ var toxi = require('./index'),
 
 
 var VerletPhysics2D = toxi.physics2d.VerletPhysics2D,
+	VerletParticle2D = toxi.physics2d.VerletParticle2D,
 	GravityBehavior = toxi.physics2d.behaviors.GravityBehavior,
+	AttractionBehavior = toxi.physics2d.behaviors.AttractionBehavior,
+	MinDistanceBehavior = toxi.physics2d.behaviors.MinDistanceBehavior,
+	SpatialBins = toxi.geom.SpatialBins,
+	PointQuadtree = toxi.geom.PointQuadtree,
 	Vec2D = toxi.geom.Vec2D;
 
 
@@ -76,4 +81,103 @@ describe("toxi.physics2d.VerletPhysics2D", function(){
 			});
 		});
 	});
+	describe("spatial index", function(){
+		//same particles in a world with and without an index
+		var createWorld = function( index ){
+			var physics = index ? new VerletPhysics2D({ index: index }) : new VerletPhysics2D(),
+				i, a;
+			for( i=0; i<300; i++ ){
+				a = i * 2.39996;
+				physics.addParticle( new VerletParticle2D( Math.cos( a ) * i * 0.3, Math.sin( a ) * i * 0.3 ) );
+			}
+			physics.addBehavior( new AttractionBehavior( new Vec2D( 10, 5 ), 20, 0.5 ) );
+			physics.addBehavior( new AttractionBehavior( new Vec2D( -30, 0 ), 15, -0.5 ) );
+			physics.addBehavior( new MinDistanceBehavior( 4, 0.2 ) );
+			return physics;
+		};
+		var assertSameParticles = function( a, b ){
+			assert.equal( a.particles.length, b.particles.length );
+			for( var i=0; i<a.particles.length; i++ ){
+				assert.ok( a.particles[i].equalsWithTolerance( b.particles[i], 0.00001 ) );
+			}
+		};
+
+		it('should accept an index in the options object', function(){
+			var bins = new SpatialBins( 5 ),
+				physics = new VerletPhysics2D({ index: bins });
+			assert.equal( physics.getIndex(), bins );
+			physics.addParticle( new VerletParticle2D( 1, 1 ) );
+			assert.equal( bins.getNumItems(), 1 );
+			physics.removeParticle( physics.particles[0] );
+			assert.equal( bins.getNumItems(), 0 );
+		});
+		it('should find particles within a radius with or without index', function(){
+			var plain = createWorld(),
+				indexed = createWorld( new SpatialBins( 8 ) ),
+				center = new Vec2D( 3, -4 );
+			assert.equal( indexed.getParticlesWithinRadius( center, 12 ).length, plain.getParticlesWithinRadius( center, 12 ).length );
+		});
+		it('should give the same results with SpatialBins or a PointQuadtree', function(){
+			var plain = createWorld(),
+				binned = createWorld( new SpatialBins( 8 ) ),
+				tree = createWorld( new PointQuadtree( -200, -200, 400 ) );
+			for( var i=0; i<10; i++ ){
+				plain.update();
+				binned.update();
+				tree.update();
+			}
+			assertSameParticles( plain, binned );
+			assertSameParticles( plain, tree );
+		});
+		it('should index the positions after springs moved the particles', function(){
+			var withSprings = function( physics ){
+				for( var i=0; i<physics.particles.length - 10; i += 3 ){
+					physics.addSpring( new toxi.physics2d.VerletSpring2D( physics.particles[i], physics.particles[i+10], 2, 0.5 ) );
+				}
+				return physics;
+			};
+			var plain = withSprings( createWorld() ),
+				binned = withSprings( createWorld( new SpatialBins( 8 ) ) ),
+				center = new Vec2D( 10, 5 );
+			for( var i=0; i<10; i++ ){
+				plain.update();
+				binned.update();
+			}
+			assertSameParticles( plain, binned );
+			assert.equal( binned.getParticlesWithinRadius( center, 20 ).length, plain.getParticlesWithinRadius( center, 20 ).length );
+		});
+		it('should rebuild the index once per update', function(){
+			var bins = new SpatialBins( 8 ),
+				physics = createWorld( bins ),
+				clear = bins.clear,
+				numCleared = 0,
+				p = physics.particles[0];
+			bins.clear = function(){
+				numCleared++;
+				return clear.apply( this, arguments );
+			};
+			for( var i=0; i<3; i++ ){
+				physics.update();
+			}
+			assert.equal( numCleared, 3 );
+			//moved by hand
+			p.set( 500, 500 ).clearVelocity();
+			physics.updateIndex();
+			assert.deepEqual( physics.getParticlesWithinRadius( new Vec2D( 500, 500 ), 1 ), [p] );
+		});
+		it('should keep particles apart with MinDistanceBehavior', function(){
+			var physics = new VerletPhysics2D({ index: new SpatialBins( 10 ), drag: 0.5 }),
+				a = new VerletParticle2D( 0, 0 ),
+				b = new VerletParticle2D( 1, 0 );
+			physics.addParticle( a ).addParticle( b );
+			physics.addBehavior( new MinDistanceBehavior( 10, 0.5 ) );
+			for( var i=0; i<50; i++ ){
+				physics.update();
+			}
+			assert.ok( a.distanceTo( b ) > 9 );
+			assert.throws(function(){
+				new MinDistanceBehavior( 10 ).applyBehavior( a );
+			});
+		});
+	});
 });
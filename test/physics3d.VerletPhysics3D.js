@@ -0,0 +1,129 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var VerletPhysics3D = toxi.physics3d.VerletPhysics3D,
+	VerletParticle3D = toxi.physics3d.VerletParticle3D,
+	VerletSpring3D = toxi.physics3d.VerletSpring3D,
+	GravityBehavior3D = toxi.physics3d.behaviors.GravityBehavior3D,
+	AttractionBehavior3D = toxi.physics3d.behaviors.AttractionBehavior3D,
+	constraints = toxi.physics3d.constraints,
+	Vec3D = toxi.geom.Vec3D;
+
+describe("toxi.physics3d.VerletPhysics3D", function(){
+	describe("constructors", function(){
+		it('should have defaults', function(){
+			var p = new VerletPhysics3D();
+			assert.equal( p.numIterations, 50 );
+			assert.equal( p.drag, 1.0 );
+			assert.equal( p.timeStep, 1 );
+			assert.equal( p.behaviors.length, 0 );
+		});
+		it('should add a Vec3D as gravity', function(){
+			var p = new VerletPhysics3D( new Vec3D(0, 0.1, 0) );
+			assert.equal( p.behaviors.length, 1 );
+			assert.ok( p.behaviors[0] instanceof GravityBehavior3D );
+		});
+		it('should accept an options object', function(){
+			var p = new VerletPhysics3D({
+				gravity: new GravityBehavior3D( new Vec3D(0, 0.1, 0) ),
+				drag: 0.05,
+				timeStep: 2,
+				numIterations: 25
+			});
+			assert.equal( p.behaviors.length, 1 );
+			assert.equal( p.drag, 1.0 - 0.05 );
+			assert.equal( p.timeStep, 2 );
+			assert.equal( p.numIterations, 25 );
+		});
+	});
+
+	describe('#update()', function(){
+		it('should apply gravity to unlocked particles only', function(){
+			var physics = new VerletPhysics3D( new Vec3D(0, 0, -1) ),
+				free = new VerletParticle3D( 0, 0, 0 ),
+				locked = new VerletParticle3D( new Vec3D(1, 0, 0) ).lock();
+			physics.addParticle( free ).addParticle( locked );
+			physics.update();
+			physics.update();
+			assert.equal( free.z, -3 );
+			assert.equal( locked.z, 0 );
+		});
+		it('should relax springs to their rest length', function(){
+			var physics = new VerletPhysics3D(),
+				a = new VerletParticle3D( 0, 0, 0 ).lock(),
+				b = new VerletParticle3D( 0, 10, 10 ),
+				s = new VerletSpring3D( a, b, 5, 0.5 );
+			physics.addParticle( a ).addParticle( b ).addSpring( s );
+			physics.addSpring( new VerletSpring3D( b, a, 5, 0.5 ) );
+			assert.equal( physics.springs.length, 1 );
+			for( var i=0; i<10; i++ ){
+				physics.update();
+			}
+			assert.ok( Math.abs( a.distanceTo( b ) - 5 ) < 0.01 );
+		});
+		it('should keep particles within the world bounds', function(){
+			var physics = new VerletPhysics3D( new Vec3D(0, -10, 0) ),
+				p = new VerletParticle3D( 0, 0, 0 );
+			physics.addParticle( p );
+			physics.setWorldBounds( new toxi.geom.AABB( new Vec3D(), 5 ) );
+			physics.update();
+			assert.equal( p.y, -5 );
+			assert.ok( physics.getCurrentBounds() instanceof toxi.geom.AABB );
+		});
+	});
+
+	describe('behaviors', function(){
+		it('AttractionBehavior3D should pull particles within its radius', function(){
+			var b = new AttractionBehavior3D( new Vec3D(10, 0, 0), 20, 1 ),
+				near = new VerletParticle3D( 0, 0, 0 ),
+				far = new VerletParticle3D( 0, 50, 0 );
+			b.configure( 1 );
+			b.applyBehavior( near );
+			b.applyBehavior( far );
+			assert.ok( near.force.x > 0 );
+			assert.equal( far.force.magnitude(), 0 );
+		});
+	});
+
+	describe('constraints', function(){
+		it('SphereConstraint should keep particles inside a bounding sphere', function(){
+			var c = new constraints.SphereConstraint( new Vec3D(), 10, constraints.SphereConstraint.INSIDE ),
+				p = new VerletParticle3D( 20, 0, 0 );
+			c.applyConstraint( p );
+			assert.equal( p.x, 10 );
+		});
+		it('SphereConstraint should push particles out of a sphere', function(){
+			var c = new constraints.SphereConstraint( new toxi.geom.Sphere( new Vec3D(), 10 ), constraints.SphereConstraint.OUTSIDE ),
+				p = new VerletParticle3D( 0, 0, 2 );
+			c.applyConstraint( p );
+			assert.equal( p.z, 10 );
+		});
+		it('BoxConstraint should push particles out through the closest side', function(){
+			var c = new constraints.BoxConstraint( new Vec3D(-1, -1, -1), new Vec3D(1, 1, 1) ),
+				p = new VerletParticle3D( 0.2, 0.9, 0 );
+			c.applyConstraint( p );
+			assert.equal( p.y, 1 );
+			assert.equal( p.x, 0.2 );
+		});
+		it('PlaneConstraint should keep particles in front of the plane', function(){
+			var c = new constraints.PlaneConstraint( new Vec3D(0, 1, 0), new Vec3D(0, 1, 0) ),
+				behind = new VerletParticle3D( 3, -2, 4 ),
+				front = new VerletParticle3D( 3, 2, 4 );
+			c.applyConstraint( behind );
+			c.applyConstraint( front );
+			assert.ok( Math.abs( behind.y - 1 ) < 1e-9 );
+			assert.equal( behind.x, 3 );
+			assert.equal( front.y, 2 );
+		});
+		it('AxisConstraint should lock an axis', function(){
+			var p = new VerletParticle3D( 1, 2, 3 );
+			new constraints.AxisConstraint( Vec3D.Axis.Z, 0 ).applyConstraint( p );
+			assert.equal( p.z, 0 );
+			new constraints.MinConstraint( Vec3D.Axis.X, 5 ).applyConstraint( p );
+			assert.equal( p.x, 5 );
+			new constraints.MaxConstraint( 1, 0 ).applyConstraint( p );
+			assert.equal( p.y, 0 );
+		});
+	});
+});
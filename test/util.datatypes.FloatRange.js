@@ -106,7 +106,30 @@ describe('toxi.util.datatypes.FloatRange', function(){
         });
     });
 
-    //skipping #seed() and #setRandom(), not implemented
+    describe('#seed( seed )', function(){
+        it('should pick the same sequence for the same seed', function(){
+            var a = new FloatRange(2, 10).seed(7),
+                b = new FloatRange(2, 10).seed(7);
+            for( var i=0; i<10; i++ ){
+                assert.equal( a.pickRandom(), b.pickRandom() );
+            }
+            assert.ok( a.pickRandom() >= 2 && a.pickRandom() < 10 );
+        });
+    });
+
+    describe('#setRandom( rnd )', function(){
+        it('should use the generator for picking values', function(){
+            var f = new FloatRange(2, 10).setRandom({ random: function(){ return 0.5; } });
+            assert.equal( f.pickRandom(), 6 );
+            assert.equal( f.copy().pickRandom(), 6 );
+            assert.equal( f.pickRandom({ random: function(){ return 0; } }), 2 );
+        });
+        it('should not make the range look like a generator', function(){
+            var f = new FloatRange(2, 10).seed(7);
+            assert.equal( toxi.internals.is.Random( f ), false );
+            assert.equal( toxi.internals.is.Random( f.copy() ), false );
+        });
+    });
 
     describe('#setCurrent( val )', function(){
         var f = new FloatRange(2, 10);
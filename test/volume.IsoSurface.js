@@ -0,0 +1,94 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var VolumetricSpace = toxi.volume.VolumetricSpace,
+	RoundBrush = toxi.volume.RoundBrush,
+	BoxBrush = toxi.volume.BoxBrush,
+	IsoSurface = toxi.volume.IsoSurface,
+	TriangleMesh = toxi.geom.mesh.TriangleMesh,
+	WETriangleMesh = toxi.geom.mesh.WETriangleMesh,
+	Vec3D = toxi.geom.Vec3D;
+
+//every edge of a closed, manifold mesh is shared by exactly 2 faces
+var isClosed = function( mesh ){
+	for( var i=0; i<mesh.edges.length; i++ ){
+		if( mesh.edges[i].faces.length !== 2 ){
+			return false;
+		}
+	}
+	return mesh.edges.length > 0;
+};
+
+var maxCornerDistance = function( mesh ){
+	var d = 0;
+	for( var i=0; i<mesh.vertices.length; i++ ){
+		d = Math.max( d, mesh.vertices[i].x + mesh.vertices[i].y + mesh.vertices[i].z );
+	}
+	return d;
+};
+
+describe("toxi.volume.IsoSurface", function(){
+	var createSphere = function(){
+		var v = new VolumetricSpace( new Vec3D(10, 10, 10), 20 );
+		new RoundBrush( v, 3 ).drawAtAbsolutePos( new Vec3D(), 1 );
+		return v;
+	};
+
+	it('should return an empty mesh for an empty volume', function(){
+		var mesh = new IsoSurface( new VolumetricSpace( 10, 8 ) ).computeSurfaceMesh( null, 0.5 );
+		assert.ok( mesh instanceof TriangleMesh );
+		assert.equal( mesh.getNumFaces(), 0 );
+	});
+	it('should polygonize a sphere with outward facing normals', function(){
+		var mesh = new IsoSurface( createSphere() ).computeSurfaceMesh( null, 0.5 ),
+			radius = 1.5,
+			i, f, c;
+		assert.ok( mesh.getNumFaces() > 0 );
+		for( i=0; i<mesh.faces.length; i++ ){
+			f = mesh.faces[i];
+			c = f.getCentroid();
+			assert.ok( f.normal.dot( c ) > 0 );
+		}
+		for( i=0; i<mesh.vertices.length; i++ ){
+			//linear interpolation of a linear falloff places vertices on the sphere
+			assert.ok( Math.abs( mesh.vertices[i].magnitude() - radius ) < 0.2 );
+		}
+	});
+	it('should produce a closed WETriangleMesh', function(){
+		var mesh = new IsoSurface( createSphere() ).computeSurfaceMesh( new WETriangleMesh(), 0.5 );
+		assert.ok( mesh instanceof WETriangleMesh );
+		assert.ok( isClosed( mesh ) );
+	});
+	it('should close surfaces touching the sides of the volume', function(){
+		var v = new VolumetricSpace( 10, 10 ),
+			mesh, i;
+		for( i=0; i<v.numCells; i++ ){
+			v.data[i] = toxi.math.MathUtils.random();
+		}
+		v.closeSides();
+		mesh = new IsoSurface( v ).computeSurfaceMesh( new WETriangleMesh(), 0.5 );
+		assert.ok( isClosed( mesh ) );
+	});
+	it('should place the surface of a box at the iso value', function(){
+		var v = new VolumetricSpace( 10, 11 ),
+			mesh, bounds;
+		new BoxBrush( v, 4 ).drawAtAbsolutePos( new Vec3D(), 1 );
+		mesh = new IsoSurface( v ).computeSurfaceMesh( null, 0.5 );
+		bounds = mesh.getBoundingBox();
+		assert.ok( bounds.getMax().equalsWithTolerance( new Vec3D(2.5, 2.5, 2.5), 0.0001 ) );
+		assert.ok( bounds.getMin().equalsWithTolerance( new Vec3D(-2.5, -2.5, -2.5), 0.0001 ) );
+	});
+	it('should smooth a copy of the volume', function(){
+		var v = new VolumetricSpace( 10, 11 ),
+			iso = new IsoSurface( v ),
+			box, smoothed;
+		new BoxBrush( v, 4 ).drawAtAbsolutePos( new Vec3D(), 1 );
+		box = iso.computeSurfaceMesh( null, 0.5 );
+		smoothed = iso.computeSurfaceMesh( null, 0.5, 2 );
+		assert.equal( v.getVoxelAt( 3, 3, 3 ), 1 );
+		//corners of the box get rounded off
+		assert.ok( maxCornerDistance( smoothed ) < maxCornerDistance( box ) );
+		assert.ok( isClosed( iso.computeSurfaceMesh( new WETriangleMesh(), 0.5, 2 ) ) );
+	});
+});
@@ -0,0 +1,135 @@
+/*global describe, it*/
+var toxi = require('./index'),
+	assert = require('assert');
+
+var VolumetricSpace = toxi.volume.VolumetricSpace,
+	VolumetricBrush = toxi.volume.VolumetricBrush,
+	RoundBrush = toxi.volume.RoundBrush,
+	BoxBrush = toxi.volume.BoxBrush,
+	Vec3D = toxi.geom.Vec3D;
+
+describe("toxi.volume.VolumetricSpace", function(){
+	describe("constructor", function(){
+		it('should allocate a voxel for every grid position', function(){
+			var v = new VolumetricSpace( new Vec3D(10, 20, 30), 4, 5, 6 );
+			assert.equal( v.numCells, 4 * 5 * 6 );
+			assert.equal( v.data.length, v.numCells );
+			assert.ok( v.data instanceof Float32Array );
+			assert.equal( v.getVoxelAt( 3, 4, 5 ), 0 );
+		});
+		it('should default resY and resZ to resX', function(){
+			var v = new VolumetricSpace( 10, 8 );
+			assert.equal( v.resY, 8 );
+			assert.equal( v.resZ, 8 );
+			assert.ok( v.getScale().equals( new Vec3D(10, 10, 10) ) );
+		});
+		it('should throw for a resolution below 2', function(){
+			assert.throws(function(){
+				return new VolumetricSpace( 10, 1 );
+			});
+		});
+	});
+	describe("coordinates", function(){
+		var v = new VolumetricSpace( new Vec3D(10, 20, 30), 11, 11, 11 );
+		it('should span the scale, centered around the origin', function(){
+			assert.ok( v.getWorldPosition( 0, 0, 0 ).equals( new Vec3D(-5, -10, -15) ) );
+			assert.ok( v.getWorldPosition( 10, 10, 10 ).equals( new Vec3D(5, 10, 15) ) );
+			assert.ok( v.getVoxelSize().equals( new Vec3D(1, 2, 3) ) );
+		});
+		it('should convert world positions into grid positions', function(){
+			var g = v.getGridPosition( new Vec3D(0, 0, 0) );
+			assert.ok( g.equals( new Vec3D(5, 5, 5) ) );
+		});
+		it('should access voxels by index and grid position', function(){
+			v.setVoxelAt( 1, 2, 3, 0.5 );
+			assert.equal( v.getVoxelAt( v.getIndexFor( 1, 2, 3 ) ), 0.5 );
+			v.setVoxelAt( v.getIndexFor( 1, 2, 3 ), 0.25 );
+			assert.equal( v.getVoxelAt( 1, 2, 3 ), 0.25 );
+			v.clear();
+			assert.equal( v.getVoxelAt( 1, 2, 3 ), 0 );
+		});
+	});
+	describe("#closeSides()", function(){
+		it('should only clear the outer voxels', function(){
+			var v = new VolumetricSpace( 10, 4 ), i;
+			for( i=0; i<v.numCells; i++ ){
+				v.data[i] = 1;
+			}
+			v.closeSides();
+			assert.equal( v.getVoxelAt( 0, 2, 2 ), 0 );
+			assert.equal( v.getVoxelAt( 2, 3, 2 ), 0 );
+			assert.equal( v.getVoxelAt( 2, 2, 3 ), 0 );
+			assert.equal( v.getVoxelAt( 1, 1, 1 ), 1 );
+			assert.equal( v.getVoxelAt( 2, 2, 2 ), 1 );
+		});
+	});
+	describe("#smooth()", function(){
+		it('should spread density to neighbours while keeping the total in the interior', function(){
+			var v = new VolumetricSpace( 10, 9 );
+			v.setVoxelAt( 4, 4, 4, 7 );
+			v.smooth();
+			assert.equal( v.getVoxelAt( 4, 4, 4 ), 1 );
+			assert.equal( v.getVoxelAt( 5, 4, 4 ), 1 );
+			assert.equal( v.getVoxelAt( 4, 4, 3 ), 1 );
+			assert.equal( v.getVoxelAt( 5, 5, 4 ), 0 );
+		});
+		it('should not change the original when copied', function(){
+			var v = new VolumetricSpace( 10, 5 );
+			v.setVoxelAt( 2, 2, 2, 1 );
+			v.copy().smooth( 2 );
+			assert.equal( v.getVoxelAt( 2, 2, 2 ), 1 );
+			assert.equal( v.getVoxelAt( 3, 2, 2 ), 0 );
+		});
+	});
+});
+
+describe("toxi.volume brushes", function(){
+	describe("RoundBrush", function(){
+		it('should fall off from the center to the radius', function(){
+			var v = new VolumetricSpace( 10, 11 ),
+				brush = new RoundBrush( v, 2 );
+			brush.drawAtAbsolutePos( new Vec3D(), 1 );
+			assert.equal( v.getVoxelAt( 5, 5, 5 ), 1 );
+			assert.equal( v.getVoxelAt( 6, 5, 5 ), 0.5 );
+			assert.equal( v.getVoxelAt( 7, 5, 5 ), 0 );
+			assert.equal( v.getVoxelAt( 6, 6, 6 ) > 0, true );
+			assert.equal( v.getVoxelAt( 8, 5, 5 ), 0 );
+		});
+		it('should combine density according to its mode', function(){
+			var v = new VolumetricSpace( 10, 11 ),
+				brush = new RoundBrush( v, 2 ),
+				center = new Vec3D();
+			brush.drawAtAbsolutePos( center, 1 );
+			brush.drawAtAbsolutePos( center, 1 );
+			assert.equal( v.getVoxelAt( 5, 5, 5 ), 2 );
+			brush.setMode( VolumetricBrush.MODE_MULTIPLY ).drawAtAbsolutePos( center, 0.5 );
+			assert.equal( v.getVoxelAt( 5, 5, 5 ), 1 );
+			brush.setMode( VolumetricBrush.MODE_PEAK ).drawAtAbsolutePos( center, 0.5 );
+			assert.equal( v.getVoxelAt( 5, 5, 5 ), 1 );
+			brush.setMode( VolumetricBrush.MODE_REPLACE ).drawAtAbsolutePos( center, 0.5 );
+			assert.equal( v.getVoxelAt( 5, 5, 5 ), 0.5 );
+			assert.throws(function(){
+				brush.setMode( 'blend' );
+			});
+		});
+		it('should clip positions outside of the volume', function(){
+			var v = new VolumetricSpace( 10, 11 );
+			new RoundBrush( v, 1 ).drawAtAbsolutePos( new Vec3D(100, 0, 0), 1 );
+			assert.equal( v.getVoxelAt( 10, 5, 5 ), 1 );
+		});
+	});
+	describe("BoxBrush", function(){
+		it('should fill every voxel inside the box', function(){
+			var v = new VolumetricSpace( 10, 11 ),
+				brush = new BoxBrush( v, new Vec3D(2, 4, 0) ),
+				sum = 0, i;
+			brush.drawAtAbsolutePos( new Vec3D(), 0.5 );
+			for( i=0; i<v.numCells; i++ ){
+				sum += v.data[i];
+			}
+			assert.equal( sum, 3 * 5 * 1 * 0.5 );
+			assert.equal( v.getVoxelAt( 4, 3, 5 ), 0.5 );
+			assert.equal( v.getVoxelAt( 5, 5, 4 ), 0 );
+		});
+	});
+});